@@ -0,0 +1,277 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _clone = require('clone');
+
+var ALARM_TYPE = 'alarm';
+var RAISED_STATE = 'raised';
+var CLEARED_STATE = 'cleared';
+var ACKNOWLEDGED_STATE = 'acknowledged';
+var DEFAULT_SEVERITY = 'warning';
+var DEFAULT_HISTORY_LIMIT = 20;
+var DEFAULT_CLEARED_LIMIT = 100;
+
+/**
+ * Tracks the lifecycle of the alarms that are reported by device
+ * connectors and rules, so that alarm conditions that persist, or that are
+ * reported repeatedly, only reach the cloud when they change.
+ *
+ * An alarm record is a data record with a "type" of "alarm", a "state" of
+ * either "raised" or "cleared", and a "name" (or "rule") that identifies the
+ * alarm condition. Records may also define a "key" that distinguishes
+ * multiple instances of the same condition, a "severity", a "message" and a
+ * "timestamp". Alarms are identified by the device connector that reported
+ * them, their name and their key.
+ *
+ * An alarm is passed on when it is raised, when it is raised again with a
+ * different severity, and when it is cleared. All other alarm records are
+ * suppressed as duplicates. An alarm remains in the list of alarms until it
+ * has been both cleared and acknowledged, or until it is one of the oldest
+ * cleared alarms once the limit on unacknowledged cleared alarms has been
+ * exceeded.
+ *
+ * @class AlarmManager
+ * @constructor
+ * @param {Number} [historyLimit=20] The maximum number of transitions
+ *          (raised, acknowledged and cleared) recorded for each alarm.
+ * @param {Number} [clearedLimit=100] The maximum number of alarms that are
+ *          kept after they have been cleared without being acknowledged.
+ */
+function AlarmManager(historyLimit, clearedLimit) {
+    if (typeof historyLimit !== 'undefined' &&
+        (typeof historyLimit !== 'number' || !isFinite(historyLimit) || historyLimit <= 0)) {
+        throw new Error('Invalid history limit specified (arg #1)');
+    }
+    if (typeof clearedLimit !== 'undefined' &&
+        (typeof clearedLimit !== 'number' || !isFinite(clearedLimit) || clearedLimit <= 0)) {
+        throw new Error('Invalid cleared alarm limit specified (arg #2)');
+    }
+    this._historyLimit = historyLimit || DEFAULT_HISTORY_LIMIT;
+    this._clearedLimit = clearedLimit || DEFAULT_CLEARED_LIMIT;
+    this._alarms = {};
+}
+
+/**
+ * Returns the id of an alarm, or null if a record is not a valid alarm
+ * record.
+ *
+ * @class AlarmManager
+ * @method _getAlarmId
+ * @private
+ */
+AlarmManager.prototype._getAlarmId = function(sourceId, record) {
+    if (!record || typeof record !== 'object' || record.type !== ALARM_TYPE ||
+        (record.state !== RAISED_STATE && record.state !== CLEARED_STATE)) {
+        return null;
+    }
+    var name = record.name || record.rule;
+    if (typeof name !== 'string' || name.length <= 0) {
+        return null;
+    }
+    var tokens = [ sourceId, name ];
+    if (typeof record.key !== 'undefined') {
+        tokens.push(String(record.key));
+    }
+    return tokens.join('::');
+};
+
+/**
+ * Adds a transition to the history of an alarm, discarding the oldest
+ * transitions if the history limit has been exceeded.
+ *
+ * @class AlarmManager
+ * @method _addTransition
+ * @private
+ */
+AlarmManager.prototype._addTransition = function(alarm, transition) {
+    alarm.history.push(transition);
+    if (alarm.history.length > this._historyLimit) {
+        alarm.history.splice(0, alarm.history.length - this._historyLimit);
+    }
+};
+
+/**
+ * Removes the alarms that were cleared the longest time ago, until the
+ * number of cleared alarms that have not been acknowledged is within the
+ * cleared alarm limit.
+ *
+ * @class AlarmManager
+ * @method _applyClearedLimit
+ * @private
+ */
+AlarmManager.prototype._applyClearedLimit = function() {
+    var cleared = Object.keys(this._alarms).map(function(id) {
+        return this._alarms[id];
+    }.bind(this)).filter(function(alarm) {
+        return alarm.state === CLEARED_STATE;
+    });
+    if (cleared.length <= this._clearedLimit) {
+        return;
+    }
+    cleared.sort(function(first, second) {
+        return first.clearedAt - second.clearedAt;
+    }).slice(0, cleared.length - this._clearedLimit).forEach(function(alarm) {
+        delete this._alarms[alarm.id];
+    }.bind(this));
+};
+
+/**
+ * Updates the state of an alarm based on a single record.
+ *
+ * @class AlarmManager
+ * @method _processRecord
+ * @private
+ */
+AlarmManager.prototype._processRecord = function(sourceId, record, now) {
+    var id = this._getAlarmId(sourceId, record);
+    if (id === null) {
+        return record;
+    }
+    var timestamp = (typeof record.timestamp === 'number') ? record.timestamp : now;
+    var severity = record.severity || DEFAULT_SEVERITY;
+    var alarm = this._alarms[id];
+
+    if (record.state === RAISED_STATE) {
+        if (alarm && alarm.state === RAISED_STATE && alarm.severity === severity) {
+            alarm.duplicates++;
+            return null;
+        }
+        if (!alarm) {
+            alarm = {
+                id: id,
+                name: record.name || record.rule,
+                source: sourceId,
+                history: []
+            };
+            if (typeof record.key !== 'undefined') {
+                alarm.key = record.key;
+            }
+            this._alarms[id] = alarm;
+        }
+        if (alarm.state !== RAISED_STATE) {
+            alarm.raisedAt = timestamp;
+            alarm.clearedAt = null;
+            alarm.acknowledged = false;
+            alarm.acknowledgedAt = null;
+            alarm.acknowledgedBy = null;
+            alarm.duplicates = 0;
+        }
+        alarm.state = RAISED_STATE;
+        alarm.severity = severity;
+        if (typeof record.message !== 'undefined') {
+            alarm.message = record.message;
+        } else {
+            delete alarm.message;
+        }
+        this._addTransition(alarm, { state: RAISED_STATE, severity: severity, timestamp: timestamp });
+    } else {
+        if (!alarm || alarm.state === CLEARED_STATE) {
+            return null;
+        }
+        alarm.state = CLEARED_STATE;
+        alarm.clearedAt = timestamp;
+        this._addTransition(alarm, { state: CLEARED_STATE, timestamp: timestamp });
+        if (alarm.acknowledged) {
+            delete this._alarms[id];
+        } else {
+            this._applyClearedLimit();
+        }
+    }
+
+    var result = _clone(record);
+    result.id = id;
+    return result;
+};
+
+/**
+ * Filters a data payload emitted by a device connector, suppressing
+ * duplicate alarm records. Payloads that are arrays are filtered record by
+ * record. Records that are not alarm records are never suppressed. Alarm
+ * records that are passed on are copied, and the id of the alarm is added
+ * to the copy.
+ *
+ * @class AlarmManager
+ * @method filter
+ * @param {String} sourceId The id of the device connector that emitted the
+ *          payload.
+ * @param {Object|Array} data The data payload to filter.
+ * @param {Number} [now=Date.now()] The current time, in milliseconds since
+ *          the epoch, used for alarm records that do not define a
+ *          timestamp.
+ * @return {Object|Array} The payload that should be reported, or null if the
+ *          entire payload should be suppressed.
+ */
+AlarmManager.prototype.filter = function(sourceId, data, now) {
+    now = (typeof now === 'number') ? now : Date.now();
+    if (data instanceof Array) {
+        var records = [];
+        data.forEach(function(record) {
+            var result = this._processRecord(sourceId, record, now);
+            if (result !== null) {
+                records.push(result);
+            }
+        }.bind(this));
+        return (records.length > 0 || data.length <= 0) ? records : null;
+    }
+    return this._processRecord(sourceId, data, now);
+};
+
+/**
+ * Acknowledges an alarm. Alarms that have already been cleared are removed
+ * from the list of alarms once they have been acknowledged.
+ *
+ * @class AlarmManager
+ * @method acknowledge
+ * @param {String} id The id of the alarm.
+ * @param {String} [user] An optional identifier for the operator that
+ *          acknowledged the alarm.
+ * @param {Number} [now=Date.now()] The current time, in milliseconds since
+ *          the epoch.
+ * @return {Object} A copy of the acknowledged alarm.
+ * @throws {Error} An error if the alarm is not defined.
+ */
+AlarmManager.prototype.acknowledge = function(id, user, now) {
+    if (typeof id !== 'string' || !this._alarms.hasOwnProperty(id)) {
+        throw new Error('Alarm is not defined: ' + id);
+    }
+    var alarm = this._alarms[id];
+    now = (typeof now === 'number') ? now : Date.now();
+    if (!alarm.acknowledged) {
+        alarm.acknowledged = true;
+        alarm.acknowledgedAt = now;
+        alarm.acknowledgedBy = user || null;
+        this._addTransition(alarm, {
+            state: ACKNOWLEDGED_STATE,
+            user: user || null,
+            timestamp: now
+        });
+    }
+    if (alarm.state === CLEARED_STATE) {
+        delete this._alarms[id];
+    }
+    return _clone(alarm);
+};
+
+/**
+ * Returns the alarms that are active, or that have been cleared but have
+ * not yet been acknowledged.
+ *
+ * @class AlarmManager
+ * @method list
+ * @return {Array} Copies of the alarms, ordered by the time at which they
+ *          were raised. Each alarm has an id, name, source, key (if
+ *          applicable), state, severity, message, acknowledged flag,
+ *          raisedAt, clearedAt, acknowledgedAt and acknowledgedBy
+ *          properties, the number of duplicate records that were
+ *          suppressed since it was raised, and its recent history of
+ *          transitions.
+ */
+AlarmManager.prototype.list = function() {
+    return Object.keys(this._alarms).map(function(id) {
+        return _clone(this._alarms[id]);
+    }.bind(this)).sort(function(first, second) {
+        return first.raisedAt - second.raisedAt;
+    });
+};
+
+module.exports = AlarmManager;
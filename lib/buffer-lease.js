@@ -0,0 +1,126 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _leaseCounter = 0;
+
+/**
+ * Represents a batch of records that has been checked out of a connector's
+ * buffer for dispatch. The lease must be committed once the records have been
+ * delivered, or rolled back if delivery fails, in which case the records are
+ * returned to the head of the buffer. Leases that are not released within the
+ * lease timeout are rolled back automatically.
+ *
+ * @class BufferLease
+ * @constructor
+ * @param {Array} records The records included in the lease.
+ * @param {Function} commitHandler A function that is invoked with the lease
+ *          when the lease is committed.
+ * @param {Function} rollbackHandler A function that is invoked with the lease
+ *          when the lease is rolled back.
+ * @param {Number} [timeout] An optional timeout (in milliseconds) after which
+ *          the lease is automatically rolled back.
+ */
+function BufferLease(records, commitHandler, rollbackHandler, timeout) {
+    if (!(records instanceof Array)) {
+        throw new Error('Invalid records specified (arg #1)');
+    }
+    if (typeof commitHandler !== 'function') {
+        throw new Error('Invalid commit handler specified (arg #2)');
+    }
+    if (typeof rollbackHandler !== 'function') {
+        throw new Error('Invalid rollback handler specified (arg #3)');
+    }
+
+    _leaseCounter++;
+    this._id = 'lease-' + _leaseCounter;
+    this._records = records;
+    this._commitHandler = commitHandler;
+    this._rollbackHandler = rollbackHandler;
+    this._isOpen = true;
+    this._isExpired = false;
+    this._timeoutHandle = null;
+
+    if (typeof timeout === 'number' && timeout > 0) {
+        this._timeoutHandle = setTimeout(function() {
+            this._timeoutHandle = null;
+            this._isExpired = true;
+            this.rollback();
+        }.bind(this), timeout);
+    }
+}
+
+/**
+ * @class BufferLease
+ * @method _release
+ * @private
+ */
+BufferLease.prototype._release = function(handler) {
+    if (!this._isOpen) {
+        var reason = (this._isExpired) ? 'expired' : 'been released';
+        throw new Error('The buffer lease has already ' + reason + ': ' + this._id);
+    }
+    this._isOpen = false;
+    if (this._timeoutHandle) {
+        clearTimeout(this._timeoutHandle);
+        this._timeoutHandle = null;
+    }
+    handler(this);
+};
+
+/**
+ * Gets the id of the lease.
+ *
+ * @class BufferLease
+ * @method getId
+ * @return {String} The id of the lease.
+ */
+BufferLease.prototype.getId = function() {
+    return this._id;
+};
+
+/**
+ * Gets the records included in the lease.
+ *
+ * @class BufferLease
+ * @method getRecords
+ * @return {Array} The records included in the lease.
+ */
+BufferLease.prototype.getRecords = function() {
+    return this._records;
+};
+
+/**
+ * Returns a boolean value that indicates whether or not the lease is still
+ * open, meaning that it has not been committed, rolled back or expired.
+ *
+ * @class BufferLease
+ * @method isOpen
+ * @return {Boolean} True if the lease is open, false otherwise.
+ */
+BufferLease.prototype.isOpen = function() {
+    return this._isOpen;
+};
+
+/**
+ * Commits the lease, marking all records in the lease as delivered. An error
+ * will be thrown if the lease is no longer open.
+ *
+ * @class BufferLease
+ * @method commit
+ */
+BufferLease.prototype.commit = function() {
+    this._release(this._commitHandler);
+};
+
+/**
+ * Rolls back the lease, returning all records in the lease to the buffer. An
+ * error will be thrown if the lease is no longer open.
+ *
+ * @class BufferLease
+ * @method rollback
+ */
+BufferLease.prototype.rollback = function() {
+    this._release(this._rollbackHandler);
+};
+
+module.exports = BufferLease;
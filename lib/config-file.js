@@ -0,0 +1,213 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _path = require('path');
+var _clone = require('clone');
+var _yaml = require('js-yaml');
+var _stripJsonComments = require('strip-json-comments');
+
+var JSON_FORMAT = 'json';
+var YAML_FORMAT = 'yaml';
+var YAML_EXTENSIONS = [ '.yaml', '.yml' ];
+var JSON_INDENT = 4;
+var PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+var WHOLE_PLACEHOLDER_PATTERN = /^\$\{[A-Za-z_][A-Za-z0-9_]*(?::-[^}]*)?\}$/;
+var HEADER_PATTERNS = {
+    json: /^(\s*(\/\/[^\n]*|\/\*[\s\S]*?\*\/))*/,
+    yaml: /^(\s*#[^\n]*)*/
+};
+
+/**
+ * Returns the comments (if any) that precede the content of a config file,
+ * so that they can be written back when the file is updated.
+ *
+ * @private
+ */
+function _getHeader(text, format) {
+    var header = text.match(HEADER_PATTERNS[format])[0].replace(/^\s+/, '');
+    return (header.length > 0) ? header + '\n' : '';
+}
+
+/**
+ * Converts the value produced by a placeholder that makes up an entire
+ * string value into a number or a boolean, if it is a valid JSON number or
+ * boolean. Any other value is returned as a string.
+ *
+ * @private
+ */
+function _toScalar(value) {
+    try {
+        var scalar = JSON.parse(value);
+        if (typeof scalar === 'number' || typeof scalar === 'boolean') {
+            return scalar;
+        }
+    } catch (ex) {
+        // Not a number or a boolean.
+    }
+    return value;
+}
+
+/**
+ * Replaces environment variable placeholders in every string value of a
+ * config document, recording the original value of each string that was
+ * changed, so that the placeholders can be restored when the document is
+ * written back.
+ *
+ * @private
+ */
+function _interpolate(value, path, env, templates) {
+    if (typeof value === 'string') {
+        var result = value.replace(PLACEHOLDER_PATTERN, function(match, name, defaultValue) {
+            var envValue = env[name];
+            if (typeof envValue === 'string' && envValue.length > 0) {
+                return envValue;
+            }
+            return defaultValue || '';
+        });
+        if (WHOLE_PLACEHOLDER_PATTERN.test(value)) {
+            result = _toScalar(result);
+        }
+        if (result !== value) {
+            templates.push({ path: path, template: value, value: result });
+        }
+        return result;
+    }
+    if (value && typeof value === 'object') {
+        for (var key in value) {
+            value[key] = _interpolate(value[key], path.concat(key), env, templates);
+        }
+    }
+    return value;
+}
+
+/**
+ * Restores the environment variable placeholders of a config document,
+ * provided that the interpolated values have not been changed since the
+ * document was loaded.
+ *
+ * @private
+ */
+function _restoreTemplates(config, templates) {
+    templates.forEach(function(entry) {
+        var parent = config;
+        var last = entry.path.length - 1;
+        for (var index = 0; index < last; index++) {
+            if (!parent || typeof parent !== 'object') {
+                return;
+            }
+            parent = parent[entry.path[index]];
+        }
+        if (parent && typeof parent === 'object' && parent[entry.path[last]] === entry.value) {
+            parent[entry.path[last]] = entry.template;
+        }
+    });
+}
+
+/**
+ * Utility module that reads and writes controller config files. The format
+ * of a config file is determined by its extension: files with a ".yaml" or
+ * ".yml" extension are YAML documents, and all other files are JSON
+ * documents, which may contain line and block comments.
+ *
+ * String values in the config may reference environment variables using
+ * "${NAME}" or "${NAME:-default}" placeholders. The default value (or an
+ * empty string, if no default has been specified) is used if the variable
+ * is not set, or is empty. If a placeholder makes up the entire value, and
+ * the result is a JSON number or boolean (for example, "5000" or "true"),
+ * the value is replaced with that number or boolean, so that placeholders
+ * can be used for numeric and boolean settings. Placeholders are replaced
+ * with strings in all other cases.
+ *
+ * Config files are written back in their original format, and placeholders
+ * are written back as long as the value that they produced has not changed.
+ * Comments at the top of the file are preserved, but any other comments
+ * are lost.
+ *
+ * @module configFile
+ */
+module.exports = {
+    /**
+     * Returns the format of a config file, based on its extension.
+     *
+     * @module configFile
+     * @method getFormat
+     * @param {String} filePath The path to the config file.
+     * @return {String} Either "yaml" or "json".
+     */
+    getFormat: function(filePath) {
+        if (typeof filePath !== 'string' || filePath.length <= 0) {
+            throw new Error('Invalid config file path specified (arg #1)');
+        }
+        var extension = _path.extname(filePath).toLowerCase();
+        return (YAML_EXTENSIONS.indexOf(extension) >= 0) ? YAML_FORMAT : JSON_FORMAT;
+    },
+
+    /**
+     * Parses the contents of a config file, and replaces environment
+     * variable placeholders in the resulting document.
+     *
+     * @module configFile
+     * @method parse
+     * @param {String|Buffer} text The contents of the config file.
+     * @param {String} filePath The path to the config file, which determines
+     *          the format of the contents.
+     * @param {Object} [env=process.env] The environment variables to use
+     *          when replacing placeholders.
+     * @return {Object} An object with a "config" property that contains the
+     *          parsed document, and a "source" property that describes the
+     *          original file. The source must be passed to stringify() when
+     *          the config is written back.
+     * @throws {Error} An error if the contents cannot be parsed.
+     */
+    parse: function(text, filePath, env) {
+        if (text instanceof Buffer) {
+            text = text.toString();
+        }
+        if (typeof text !== 'string') {
+            throw new Error('Invalid config text specified (arg #1)');
+        }
+        if (typeof filePath !== 'string' || filePath.length <= 0) {
+            throw new Error('Invalid config file path specified (arg #2)');
+        }
+        env = env || process.env;
+
+        var format = module.exports.getFormat(filePath);
+        var config = (format === YAML_FORMAT) ? _yaml.load(text) :
+                                                JSON.parse(_stripJsonComments(text));
+        var templates = [];
+        config = _interpolate(config, [], env, templates);
+
+        return {
+            config: config,
+            source: {
+                format: format,
+                header: _getHeader(text, format),
+                templates: templates
+            }
+        };
+    },
+
+    /**
+     * Serializes a config document so that it can be written back to the
+     * file that it was loaded from.
+     *
+     * @module configFile
+     * @method stringify
+     * @param {Object} config The config document to serialize. This object
+     *          is not modified.
+     * @param {Object} [source] The source returned by parse() when the file
+     *          was loaded. If omitted, the document is serialized as JSON.
+     * @return {String} The contents of the config file.
+     */
+    stringify: function(config, source) {
+        if (!source) {
+            return JSON.stringify(config, null, JSON_INDENT);
+        }
+        config = _clone(config);
+        _restoreTemplates(config, source.templates);
+
+        var text = (source.format === YAML_FORMAT) ? _yaml.dump(config) :
+                                                     JSON.stringify(config, null, JSON_INDENT);
+        return source.header + text;
+    }
+};
@@ -0,0 +1,140 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _clone = require('clone');
+
+var _typeChecks = {
+    string: function(value) {
+        return typeof value === 'string';
+    },
+    number: function(value) {
+        return typeof value === 'number' && !isNaN(value);
+    },
+    integer: function(value) {
+        return typeof value === 'number' && isFinite(value) &&
+            Math.floor(value) === value;
+    },
+    boolean: function(value) {
+        return typeof value === 'boolean';
+    },
+    object: function(value) {
+        return !!value && typeof value === 'object' && !(value instanceof Array);
+    },
+    array: function(value) {
+        return value instanceof Array;
+    }
+};
+
+/**
+ * Checks a single value against its field definition, and returns an error
+ * message if the value is invalid.
+ *
+ * @private
+ */
+function _checkValue(value, field) {
+    var check = _typeChecks[field.type];
+    if (check && !check(value)) {
+        return 'must be of type ' + field.type;
+    }
+
+    var size = value;
+    var qualifier = '';
+    if (typeof value === 'string' || value instanceof Array) {
+        size = value.length;
+        qualifier = 'length ';
+    }
+    if (typeof size === 'number') {
+        if (typeof field.min === 'number' && size < field.min) {
+            return 'must have a ' + qualifier + 'value of at least ' + field.min;
+        }
+        if (typeof field.max === 'number' && size > field.max) {
+            return 'must have a ' + qualifier + 'value of at most ' + field.max;
+        }
+    }
+
+    if (field.enum instanceof Array && field.enum.indexOf(value) < 0) {
+        return 'must be one of [' + field.enum.join(', ') + ']';
+    }
+    return null;
+}
+
+/**
+ * Validates the properties of a config object against a schema, populating
+ * missing properties with defaults and accumulating errors along the way.
+ *
+ * @private
+ */
+function _validateObject(schema, config, prefix, errors) {
+    for (var key in schema) {
+        var field = schema[key] || {};
+        var path = prefix + key;
+        var value = config[key];
+
+        if (typeof value === 'undefined') {
+            if (typeof field.default !== 'undefined') {
+                config[key] = _clone(field.default);
+            } else if (field.required) {
+                errors.push(path + ': is required');
+            }
+            continue;
+        }
+
+        var error = _checkValue(value, field);
+        if (error) {
+            errors.push(path + ': ' + error);
+        } else if (field.type === 'object' && field.properties &&
+            typeof field.properties === 'object') {
+            _validateObject(field.properties, value, path + '.', errors);
+        }
+    }
+}
+
+/**
+ * Utility module that validates connector configuration objects against
+ * declarative schemas. A schema is an object that maps config property names
+ * to field definitions, each of which may specify the following:
+ *
+ *  - type: One of "string", "number", "integer", "boolean", "object" or
+ *          "array".
+ *  - required: Set to true if the property must be present.
+ *  - default: A value to use when the property is omitted.
+ *  - min/max: Inclusive bounds. These apply to the value of numbers, and to
+ *          the length of strings and arrays.
+ *  - enum: An array of allowed values.
+ *  - properties: A nested schema, applicable to properties of type "object".
+ *
+ * Properties that are not described by the schema are left untouched.
+ *
+ * @module configSchema
+ */
+module.exports = {
+    /**
+     * Validates a config object against a schema.
+     *
+     * @module configSchema
+     * @method validate
+     * @param {Object} schema The schema to validate against.
+     * @param {Object} config The config object to validate. This object is not
+     *          modified.
+     * @return {Object} An object with a "config" property that contains a
+     *          copy of the config with defaults applied, and an "errors"
+     *          property that contains an array of error messages. The error
+     *          array will be empty if the config is valid.
+     */
+    validate: function(schema, config) {
+        if (!schema || schema instanceof Array || typeof schema !== 'object') {
+            throw new Error('Invalid schema specified (arg #1)');
+        }
+        if (!config || config instanceof Array || typeof config !== 'object') {
+            throw new Error('Invalid config specified (arg #2)');
+        }
+
+        var result = {
+            config: _clone(config),
+            errors: []
+        };
+        _validateObject(schema, result.config, '', result.errors);
+
+        return result;
+    }
+};
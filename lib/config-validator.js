@@ -0,0 +1,241 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var Connector = require('./connector');
+var DataRouter = require('./data-router');
+var RulesEngine = require('./rules-engine');
+var RestartPolicy = require('./restart-policy');
+var DeadbandFilter = require('./deadband-filter');
+var TransformPipeline = require('./transform-pipeline');
+var WindowAggregator = require('./window-aggregator');
+
+var CONNECTOR_SECTIONS = [ 'cloudConnectors', 'deviceConnectors' ];
+var DEVICE_CONNECTOR_SECTION = 'deviceConnectors';
+
+/**
+ * Returns true if the value is a non null object that is not an array.
+ *
+ * @private
+ */
+function _isObject(value) {
+    return !!value && typeof value === 'object' && !(value instanceof Array);
+}
+
+/**
+ * Invokes a function that validates a part of the config by throwing an
+ * error, and records the error message (if any), qualified by the given
+ * prefix.
+ *
+ * @private
+ */
+function _check(prefix, validate, errors) {
+    try {
+        validate();
+    } catch (ex) {
+        errors.push(prefix + ex.message);
+    }
+}
+
+/**
+ * Validates the connectorTypes section of the config.
+ *
+ * @private
+ */
+function _validateConnectorTypes(types, errors) {
+    for (var key in types) {
+        var modulePath = types[key];
+        if (typeof modulePath !== 'string' || modulePath.length <= 0) {
+            errors.push('connectorTypes.' + key + ': must be a non empty string');
+        }
+    }
+}
+
+/**
+ * Validates a single connector entry from the cloudConnectors or
+ * deviceConnectors sections of the config.
+ *
+ * @private
+ */
+function _validateConnector(section, id, entry, config, connectorTypes, errors) {
+    var path = section + '.' + id;
+    if (!_isObject(entry)) {
+        errors.push(path + ': must be of type object');
+        return;
+    }
+
+    if (typeof entry.type === 'undefined') {
+        errors.push(path + '.type: is required');
+    } else if (typeof entry.type !== 'string' || entry.type.length <= 0) {
+        errors.push(path + '.type: must be a non empty string');
+    } else if (_isObject(config.connectorTypes) &&
+               !config.connectorTypes.hasOwnProperty(entry.type)) {
+        errors.push(path + '.type: unknown connector type "' + entry.type + '"');
+    }
+
+    if (typeof entry.config === 'undefined') {
+        errors.push(path + '.config: is required');
+    } else if (!_isObject(entry.config)) {
+        errors.push(path + '.config: must be of type object');
+    } else if (connectorTypes && connectorTypes.hasOwnProperty(entry.type)) {
+        var error = Connector.validateConfig(connectorTypes[entry.type], entry.config);
+        if (error) {
+            errors.push(path + '.config: ' + error);
+        }
+    }
+
+    if (typeof entry.restartPolicy !== 'undefined') {
+        _check(path + '.restartPolicy: ', function() {
+            return new RestartPolicy(entry.restartPolicy);
+        }, errors);
+    }
+    [ 'startTimeout', 'stopTimeout' ].forEach(function(property) {
+        var timeout = entry[property];
+        if (typeof timeout !== 'undefined' &&
+            (typeof timeout !== 'number' || isNaN(timeout) || timeout < 0)) {
+            errors.push(path + '.' + property + ': must be a non negative number');
+        }
+    });
+
+    if (section !== DEVICE_CONNECTOR_SECTION) {
+        return;
+    }
+    if (typeof entry.deadband !== 'undefined') {
+        _check(path + '.deadband: ', function() {
+            return new DeadbandFilter(entry.deadband);
+        }, errors);
+    }
+    if (typeof entry.transform !== 'undefined') {
+        if (!(entry.transform instanceof Array)) {
+            errors.push(path + '.transform: must be of type array');
+        } else {
+            _check('', function() {
+                return new TransformPipeline(entry.transform, path + '.transform');
+            }, errors);
+        }
+    }
+    if (typeof entry.aggregate !== 'undefined') {
+        _check(path + '.aggregate: ', function() {
+            return new WindowAggregator(entry.aggregate);
+        }, errors);
+    }
+}
+
+/**
+ * Utility module that validates complete controller config documents, so
+ * that configuration problems can be reported before any of the connectors
+ * are started. The same checks can be applied to config files outside of a
+ * running controller (for example, as a part of a CI build).
+ *
+ * Every problem found in the document is reported, and each error message is
+ * prefixed with the path of the offending value, for example:
+ * 'deviceConnectors.temp1.type: unknown connector type "Foo"'.
+ *
+ * @module configValidator
+ */
+module.exports = {
+    /**
+     * Validates a controller config document.
+     *
+     * @module configValidator
+     * @method validate
+     * @param {Object} config The config document to validate. This object is
+     *          not modified.
+     * @param {Object} [connectorTypes] An optional map of connector type names
+     *          to connector classes. When specified, the config of each
+     *          connector entry is also validated by its connector class (see
+     *          Connector.validateConfig()).
+     * @return {Array} An array of error messages, which will be empty if the
+     *          config is valid.
+     */
+    validate: function(config, connectorTypes) {
+        if (!_isObject(config)) {
+            throw new Error('Invalid config specified (arg #1)');
+        }
+        if (typeof connectorTypes !== 'undefined' && !_isObject(connectorTypes)) {
+            throw new Error('Invalid connector types specified (arg #2)');
+        }
+        var errors = [];
+
+        if (typeof config.connectorTypes === 'undefined') {
+            errors.push('connectorTypes: is required');
+        } else if (!_isObject(config.connectorTypes)) {
+            errors.push('connectorTypes: must be of type object');
+        } else {
+            _validateConnectorTypes(config.connectorTypes, errors);
+        }
+
+        CONNECTOR_SECTIONS.forEach(function(section) {
+            var entries = config[section];
+            if (typeof entries === 'undefined') {
+                errors.push(section + ': is required');
+            } else if (!_isObject(entries)) {
+                errors.push(section + ': must be of type object');
+            } else {
+                for (var id in entries) {
+                    _validateConnector(section, id, entries[id], config, connectorTypes, errors);
+                }
+            }
+        });
+
+        if (typeof config.routes !== 'undefined') {
+            if (!(config.routes instanceof Array)) {
+                errors.push('routes: must be of type array');
+            } else {
+                _check('', function() {
+                    return new DataRouter(config.routes);
+                }, errors);
+            }
+        }
+        if (typeof config.rules !== 'undefined') {
+            if (!(config.rules instanceof Array)) {
+                errors.push('rules: must be of type array');
+            } else {
+                _check('', function() {
+                    return new RulesEngine(config.rules);
+                }, errors);
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * Validates a single connector entry, applying the same checks that
+     * validate() applies to each entry of the cloudConnectors and
+     * deviceConnectors sections of a config document. This allows entries
+     * to be validated before they are added to a config that has already
+     * been loaded.
+     *
+     * @module configValidator
+     * @method validateConnector
+     * @param {String} section The section that the entry belongs to, either
+     *          "cloudConnectors" or "deviceConnectors".
+     * @param {String} id The id of the connector entry.
+     * @param {Object} entry The connector entry to validate. This object is
+     *          not modified.
+     * @param {Object} config The config document that the entry will be added
+     *          to. The connector types of the entry are checked against this
+     *          document.
+     * @param {Object} [connectorTypes] An optional map of connector type names
+     *          to connector classes, used to validate the config of the entry.
+     * @return {Array} An array of error messages, which will be empty if the
+     *          entry is valid.
+     */
+    validateConnector: function(section, id, entry, config, connectorTypes) {
+        if (CONNECTOR_SECTIONS.indexOf(section) < 0) {
+            throw new Error('Invalid connector section specified (arg #1)');
+        }
+        if (typeof id !== 'string' || id.length <= 0) {
+            throw new Error('Invalid connector id specified (arg #2)');
+        }
+        if (!_isObject(config)) {
+            throw new Error('Invalid config specified (arg #4)');
+        }
+        if (typeof connectorTypes !== 'undefined' && !_isObject(connectorTypes)) {
+            throw new Error('Invalid connector types specified (arg #5)');
+        }
+        var errors = [];
+        _validateConnector(section, id, entry, config, connectorTypes, errors);
+        return errors;
+    }
+};
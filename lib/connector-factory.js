@@ -30,6 +30,23 @@ module.exports = {
         _loggerProvider = loggerProvider;
     },
 
+    /**
+     * Returns the connector type that has been registered under the specified
+     * name.
+     *
+     * @module connectorFactory
+     * @method getConnectorType
+     * @param {String} name The name of the connector type.
+     * @return {Function} The connector type, or null if no type has been
+     *          registered with the specified name.
+     */
+    getConnectorType: function(name) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid connector type specified (arg #1)');
+        }
+        return _typeMap[name] || null;
+    },
+
     /**
      * Creates a new connector object, initialized with the specified id.
      *
@@ -2,16 +2,30 @@
 'use strict';
 
 var _loggerHelper = require('./logger-helper');
+var RecordJournal = require('./record-journal');
+var BufferLease = require('./buffer-lease');
+var _configSchema = require('./config-schema');
 var _util = require('util');
+var _path = require('path');
 var _clone = require('clone');
 var _q = require('q');
 var EventEmitter = require('events').EventEmitter;
 
 var DEFAULT_REQUEST_ID = 'na';
+var RECONFIGURABLE_PROPERTIES = [ 'bufferLimit', 'overflowPolicy' ];
 
 /**
  * Base class for a connector object.
  *
+ * Connectors that support a persistent buffer (see init()) must confirm the
+ * delivery of every record that they take from the buffer, either by
+ * committing a lease obtained from _checkoutBatch(), or by invoking
+ * _confirmDelivery() with the records that were dispatched. Records that are
+ * removed from the buffer without being confirmed remain in the journal, and
+ * are replayed into the buffer when the connector is next initialized, so a
+ * connector that never confirms delivery will accumulate journal entries
+ * without bound.
+ *
  * @class Connector
  * @constructor
  * @param {String} id A unique id for the connector
@@ -25,13 +39,62 @@ function Connector(id) {
 
     this._id = id;
     this._state = Connector.STATE_INACTIVE;
+    this._stateError = null;
+    this._stateTimestamp = Date.now();
+    this._resumeState = null;
+    this._config = {};
     this._buffer = [];
+    this._bufferBytes = 0;
+    this._droppedCount = 0;
+    this._journal = null;
+    this._journalEntries = [];
+    this._activeLease = null;
+    this._metrics = {
+        dataEvents: 0,
+        logEvents: 0,
+        recordsAdded: 0,
+        suppressedDataEvents: 0,
+        errors: 0,
+        lastDataEvent: null,
+        lastLogEvent: null,
+        lastRecordAdded: null,
+        lastError: null
+    };
     this._logger = null;
     _loggerHelper.ensureLogger(this);
 }
 
 _util.inherits(Connector, EventEmitter);
 
+/**
+ * Emits an event, tracking metrics for the standard events emitted by the
+ * connector. Data events are suppressed while the connector is paused.
+ *
+ * @class Connector
+ * @method emit
+ * @param {String} event The name of the event to emit.
+ * @param {...*} args Arguments to pass to event listeners.
+ * @return {Boolean} True if the event had listeners, false otherwise.
+ */
+Connector.prototype.emit = function(event) {
+    var now = Date.now();
+    if (event === Connector.DATA_EVENT && this._state === Connector.STATE_PAUSED) {
+        this._metrics.suppressedDataEvents++;
+        this._logger.debug('Connector paused. Suppressing data event');
+        return false;
+    }
+    if (event === Connector.DATA_EVENT) {
+        this._metrics.dataEvents++;
+        this._metrics.lastDataEvent = now;
+    } else if (event === Connector.LOG_EVENT) {
+        this._metrics.logEvents++;
+        this._metrics.lastLogEvent = now;
+    } else if (event === 'error') {
+        this._recordError();
+    }
+    return Connector.super_.prototype.emit.apply(this, arguments);
+};
+
 /**
  * @class Connector
  * @method _start
@@ -58,6 +121,522 @@ Connector.prototype._stop = function(requestId) {
     return def.promise;
 };
 
+/**
+ * Applies a new configuration to a running connector without stopping it.
+ * Child classes may override this method to support hot reconfiguration. The
+ * returned promise must be resolved with true if the new configuration has
+ * been applied, or with false if the connector cannot apply it in place, in
+ * which case the connector will be restarted with the new configuration.
+ *
+ * The default implementation declines all reconfiguration requests.
+ *
+ * @class Connector
+ * @method _reconfigure
+ * @protected
+ * @param {Object} newConfig The new (validated) configuration.
+ * @param {Object} oldConfig The configuration currently in use.
+ * @param {String} requestId A request id that can be used for logging.
+ */
+Connector.prototype._reconfigure = function(newConfig, oldConfig, requestId) {
+    var def = _q.defer();
+    def.resolve(false);
+    return def.promise;
+};
+
+/**
+ * Suspends data acquisition without releasing the connector's resources.
+ * Child classes may override this method to suspend timers or subscriptions.
+ * Data events emitted while the connector is paused are discarded
+ * regardless.
+ *
+ * @class Connector
+ * @method _pause
+ * @protected
+ */
+Connector.prototype._pause = function(requestId) {
+    var def = _q.defer();
+    def.resolve();
+    return def.promise;
+};
+
+/**
+ * Resumes data acquisition that was suspended by _pause().
+ *
+ * @class Connector
+ * @method _resume
+ * @protected
+ */
+Connector.prototype._resume = function(requestId) {
+    var def = _q.defer();
+    def.resolve();
+    return def.promise;
+};
+
+/**
+ * Checks whether or not the connector is working as expected. Child classes
+ * may override this method to perform connector specific checks (for example,
+ * verifying that a device has been read recently). The returned promise must
+ * be resolved if the connector is healthy, optionally with an object that
+ * provides additional details, and rejected if it is not.
+ *
+ * The default implementation considers active connectors to be healthy, and
+ * degraded connectors to be unhealthy.
+ *
+ * @class Connector
+ * @method _healthCheck
+ * @protected
+ */
+Connector.prototype._healthCheck = function(requestId) {
+    var def = _q.defer();
+    if (this._state === Connector.STATE_ACTIVE) {
+        def.resolve();
+    } else {
+        def.reject(this._stateError || 'Connector is not healthy: [' + this._state + ']');
+    }
+    return def.promise;
+};
+
+/**
+ * Returns the approximate size (in bytes) of a single buffered record. Child
+ * classes may override this method if they have a cheaper or more accurate
+ * way of sizing records.
+ *
+ * @class Connector
+ * @method _getRecordSize
+ * @protected
+ * @param {Object} record The record to size.
+ * @return {Number} The approximate size of the record in bytes.
+ */
+Connector.prototype._getRecordSize = function(record) {
+    try {
+        return JSON.stringify(record).length;
+    } catch (ex) {
+        return 0;
+    }
+};
+
+/**
+ * @class Connector
+ * @method _validateBufferConfig
+ * @private
+ */
+Connector.prototype._validateBufferConfig = function(config) {
+    var limit = config.bufferLimit;
+    var policy = config.overflowPolicy;
+    var persistence = config.persistentBuffer;
+
+    if (typeof limit !== 'undefined') {
+        if (!limit || limit instanceof Array || typeof limit !== 'object') {
+            return 'Connector configuration does not define a valid bufferLimit property';
+        }
+        var isInvalid = function(value) {
+            return typeof value !== 'undefined' &&
+                (typeof value !== 'number' || value <= 0);
+        };
+        if (isInvalid(limit.count) || isInvalid(limit.bytes)) {
+            return 'Connector configuration does not define a valid bufferLimit property';
+        }
+    }
+    if (typeof policy !== 'undefined' &&
+        policy !== Connector.OVERFLOW_DROP_OLDEST &&
+        policy !== Connector.OVERFLOW_DROP_NEWEST &&
+        policy !== Connector.OVERFLOW_REJECT) {
+        return 'Connector configuration does not define a valid overflowPolicy property';
+    }
+    if (typeof persistence !== 'undefined' &&
+        (!persistence || typeof persistence !== 'object' ||
+            typeof persistence.path !== 'string' || persistence.path.length <= 0)) {
+        return 'Connector configuration does not define a valid persistentBuffer property';
+    }
+    return null;
+};
+
+/**
+ * @class Connector
+ * @method _validateConfig
+ * @private
+ */
+Connector.prototype._validateConfig = function(config) {
+    var schema = Connector.getConfigSchema(this.constructor);
+    var result = {
+        config: config,
+        error: null
+    };
+    if (schema) {
+        var validation = _configSchema.validate(schema, config);
+        if (validation.errors.length > 0) {
+            result.error = 'Invalid connector configuration: ' + validation.errors.join('; ');
+            return result;
+        }
+        result.config = validation.config;
+    }
+    result.error = this._validateBufferConfig(result.config);
+    return result;
+};
+
+/**
+ * @class Connector
+ * @method _updateBufferBytes
+ * @private
+ */
+Connector.prototype._updateBufferBytes = function() {
+    this._bufferBytes = 0;
+    if (this._getBufferLimit().bytes > 0) {
+        this._bufferBytes = this._buffer.reduce(function(total, record) {
+            return total + this._getRecordSize(record);
+        }.bind(this), 0);
+    }
+};
+
+/**
+ * Returns the names of the top level config properties that differ between
+ * two config objects. Properties that are managed by the base connector, and
+ * can be updated without involving the inheriting connector, are excluded.
+ *
+ * @class Connector
+ * @method _getConfigChanges
+ * @protected
+ * @param {Object} newConfig The new config object.
+ * @param {Object} oldConfig The old config object.
+ * @return {Array} The names of the properties that have changed.
+ */
+Connector.prototype._getConfigChanges = function(newConfig, oldConfig) {
+    var keys = Object.keys(newConfig).concat(Object.keys(oldConfig));
+    return keys.filter(function(key, index) {
+        return keys.indexOf(key) === index &&
+            RECONFIGURABLE_PROPERTIES.indexOf(key) < 0 &&
+            JSON.stringify(newConfig[key]) !== JSON.stringify(oldConfig[key]);
+    });
+};
+
+/**
+ * @class Connector
+ * @method _openJournal
+ * @private
+ */
+Connector.prototype._openJournal = function(requestId) {
+    var persistence = this._config.persistentBuffer;
+    if (!persistence) {
+        this._journal = null;
+        this._journalEntries = [];
+        return;
+    }
+
+    var path = _path.join(persistence.path, this._id);
+    if (!this._journal || this._journal.getPath() !== path) {
+        this._journal = new RecordJournal(path, this._logger);
+        this._journal.open();
+    }
+
+    var knownKeys = {};
+    this._journalEntries.forEach(function(entry) {
+        knownKeys[entry.key] = true;
+    });
+    var entries = this._journal.readAll().filter(function(entry) {
+        return !knownKeys[entry.key];
+    });
+    var records = entries.map(function(entry) {
+        return entry.record;
+    });
+
+    this._journalEntries = entries.concat(this._journalEntries);
+    this._buffer = records.concat(this._buffer);
+    this._logger.info('Replayed [%s] record(s) from buffer journal: [%s]. RequestId: [%s]',
+        records.length, path, requestId);
+    if (records.length > 0) {
+        this._updateBufferBytes();
+        this._applyBufferLimit(requestId);
+    }
+};
+
+/**
+ * @class Connector
+ * @method _journalRecord
+ * @private
+ */
+Connector.prototype._journalRecord = function(record, requestId) {
+    if (!this._journal) {
+        return;
+    }
+    try {
+        var key = this._journal.append(record);
+        this._journalEntries.push({
+            key: key,
+            record: record
+        });
+    } catch (ex) {
+        this._logger.error('Error writing record to buffer journal. RequestId: [%s]', requestId, ex);
+    }
+};
+
+/**
+ * @class Connector
+ * @method _removeJournalRecords
+ * @private
+ */
+Connector.prototype._removeJournalRecords = function(records) {
+    if (this._journalEntries.length <= 0) {
+        return;
+    }
+    records.forEach(function(record) {
+        for (var index = 0; index < this._journalEntries.length; index++) {
+            var entry = this._journalEntries[index];
+            if (entry.record === record) {
+                this._journalEntries.splice(index, 1);
+                try {
+                    this._journal.remove(entry.key);
+                } catch (ex) {
+                    this._logger.error('Error removing record from buffer journal: [%s]', entry.key, ex);
+                }
+                break;
+            }
+        }
+    }.bind(this));
+};
+
+/**
+ * Confirms that the specified records have been delivered to their
+ * destination. Child classes must invoke this method once records taken from
+ * the buffer have been successfully dispatched, so that persisted copies of
+ * the records can be discarded. This method has no effect if the connector
+ * does not use a persistent buffer.
+ *
+ * @class Connector
+ * @method _confirmDelivery
+ * @protected
+ * @param {Array} records The records that have been delivered.
+ */
+Connector.prototype._confirmDelivery = function(records) {
+    this._removeJournalRecords(records);
+};
+
+/**
+ * @class Connector
+ * @method _commitLease
+ * @private
+ */
+Connector.prototype._commitLease = function(lease) {
+    this._activeLease = null;
+    this._logger.debug('Buffer lease committed: [%s]', lease.getId());
+    this._confirmDelivery(lease.getRecords());
+};
+
+/**
+ * @class Connector
+ * @method _rollbackLease
+ * @private
+ */
+Connector.prototype._rollbackLease = function(lease) {
+    var records = lease.getRecords();
+    this._activeLease = null;
+    this._logger.debug('Buffer lease rolled back: [%s]', lease.getId());
+    this._buffer = records.concat(this._buffer);
+    if (this._getBufferLimit().bytes > 0) {
+        records.forEach(function(record) {
+            this._bufferBytes += this._getRecordSize(record);
+        }.bind(this));
+    }
+};
+
+/**
+ * Checks out a batch of records from the head of the buffer for dispatch.
+ * The records are removed from the buffer, and handed out in the form of a
+ * lease, which must be committed once the records have been delivered, or
+ * rolled back if delivery fails. Rolled back records are returned to the head
+ * of the buffer in their original order.
+ *
+ * Only one lease may be active at any given time. At least one record is
+ * always included in the batch, even if that record exceeds the byte limit.
+ *
+ * @class Connector
+ * @method _checkoutBatch
+ * @protected
+ * @param {Object} [options] Options that limit the size of the batch.
+ * @param {Number} [options.count] The maximum number of records in the batch.
+ * @param {Number} [options.bytes] The maximum approximate size of the batch.
+ * @param {Number} [options.leaseTimeout] The time (in milliseconds) after
+ *          which the lease will automatically be rolled back.
+ * @return {Object} A BufferLease object, or null if the buffer is empty.
+ */
+Connector.prototype._checkoutBatch = function(options) {
+    options = options || {};
+    if (this._activeLease) {
+        throw new Error('A buffer lease is already active: ' + this._activeLease.getId());
+    }
+    if (this._buffer.length <= 0) {
+        return null;
+    }
+
+    var maxCount = options.count || this._buffer.length;
+    var maxBytes = options.bytes || 0;
+    var trackBytes = this._getBufferLimit().bytes > 0;
+    var batchBytes = 0;
+    var count = 0;
+
+    while (count < this._buffer.length && count < maxCount) {
+        var size = (maxBytes > 0 || trackBytes) ? this._getRecordSize(this._buffer[count]) : 0;
+        if (maxBytes > 0 && count > 0 && batchBytes + size > maxBytes) {
+            break;
+        }
+        batchBytes += size;
+        count++;
+    }
+
+    var records = this._buffer.splice(0, count);
+    if (trackBytes) {
+        this._bufferBytes = (this._buffer.length > 0) ? this._bufferBytes - batchBytes : 0;
+    }
+
+    this._activeLease = new BufferLease(records,
+        this._commitLease.bind(this),
+        this._rollbackLease.bind(this),
+        options.leaseTimeout);
+    this._logger.debug('Buffer lease checked out: [%s]. Records: [%s]',
+        this._activeLease.getId(), records.length);
+
+    return this._activeLease;
+};
+
+/**
+ * @class Connector
+ * @method _getBufferLimit
+ * @private
+ */
+Connector.prototype._getBufferLimit = function() {
+    var limit = this._config.bufferLimit || {};
+    return {
+        count: limit.count || 0,
+        bytes: limit.bytes || 0
+    };
+};
+
+/**
+ * @class Connector
+ * @method _isBufferFull
+ * @private
+ */
+Connector.prototype._isBufferFull = function(limit, size) {
+    return (limit.count > 0 && this._buffer.length + 1 > limit.count) ||
+        (limit.bytes > 0 && this._bufferBytes + size > limit.bytes);
+};
+
+/**
+ * Discards records from a buffer that exceeds the buffer limit, based on the
+ * overflow policy of the connector. This is used for records that are added
+ * to the buffer in bulk instead of through addData(), such as records that
+ * are replayed from the journal. The oldest records are discarded if the
+ * policy is "drop-oldest", and the newest records are discarded otherwise.
+ *
+ * @class Connector
+ * @method _applyBufferLimit
+ * @private
+ */
+Connector.prototype._applyBufferLimit = function(requestId) {
+    var limit = this._getBufferLimit();
+    var policy = this._config.overflowPolicy || Connector.OVERFLOW_DROP_OLDEST;
+    var dropped = [];
+    while ((limit.count > 0 && this._buffer.length > limit.count) ||
+           (limit.bytes > 0 && this._bufferBytes > limit.bytes)) {
+        var record = (policy === Connector.OVERFLOW_DROP_OLDEST) ?
+                        this._buffer.shift() : this._buffer.pop();
+        if (limit.bytes > 0) {
+            this._bufferBytes -= this._getRecordSize(record);
+        }
+        dropped.push(record);
+    }
+    if (dropped.length > 0) {
+        this._dropRecords(dropped, policy, requestId);
+    }
+};
+
+/**
+ * @class Connector
+ * @method _dropRecords
+ * @private
+ */
+Connector.prototype._dropRecords = function(records, policy, requestId) {
+    this._droppedCount += records.length;
+    this._removeJournalRecords(records);
+    this._logger.warn('Buffer limit exceeded. Dropped [%s] record(s). Policy: [%s]. RequestId: [%s]',
+        records.length, policy, requestId);
+    this.emit(Connector.DROP_EVENT, {
+        id: this._id,
+        policy: policy,
+        count: records.length,
+        records: records,
+        requestId: requestId
+    });
+};
+
+/**
+ * Returns the config schema that applies to a connector type. Connector types
+ * declare a schema by defining a static "configSchema" property, and schemas
+ * declared by parent types (linked via util.inherits) are merged in, with the
+ * child type's field definitions taking precedence.
+ *
+ * @class Connector
+ * @method getConfigSchema
+ * @static
+ * @param {Function} Type The connector type to inspect.
+ * @return {Object} The merged config schema, or null if neither the type nor
+ *          any of its parent types declare a schema.
+ */
+Connector.getConfigSchema = function(Type) {
+    var schema = null;
+    var hierarchy = [];
+    while (typeof Type === 'function') {
+        hierarchy.unshift(Type);
+        Type = Type.super_;
+    }
+    hierarchy.forEach(function(CurrentType) {
+        var typeSchema = CurrentType.configSchema;
+        if (typeSchema && typeof typeSchema === 'object' &&
+            Object.prototype.hasOwnProperty.call(CurrentType, 'configSchema')) {
+            schema = schema || {};
+            for (var key in typeSchema) {
+                schema[key] = typeSchema[key];
+            }
+        }
+    });
+    return schema;
+};
+
+/**
+ * Validates a connector config against all of the rules that a connector type
+ * applies when it is initialized, without creating a connector. This includes
+ * the config schema of the type (see getConfigSchema()), the options handled
+ * by the base connector, and any additional checks implemented by the type.
+ * Types that do not inherit from Connector are only validated against their
+ * config schema, if they declare one.
+ *
+ * @class Connector
+ * @method validateConfig
+ * @static
+ * @param {Function} Type The connector type to validate against.
+ * @param {Object} config The connector config to validate. This object is not
+ *          modified.
+ * @return {String} A description of the problems with the config, or null
+ *          if the config is valid.
+ */
+Connector.validateConfig = function(Type, config) {
+    if (typeof Type !== 'function') {
+        throw new Error('Invalid connector type specified (arg #1)');
+    }
+    if (!config || config instanceof Array || typeof config !== 'object') {
+        throw new Error('Invalid connector configuration specified (arg #2)');
+    }
+    if (typeof Type.prototype._validateConfig === 'function') {
+        var context = Object.create(Type.prototype);
+        return context._validateConfig(_clone(config)).error;
+    }
+    var schema = Connector.getConfigSchema(Type);
+    if (!schema) {
+        return null;
+    }
+    var errors = _configSchema.validate(schema, config).errors;
+    return (errors.length > 0) ? 'Invalid connector configuration: ' + errors.join('; ') : null;
+};
+
 /**
  * Name of the event emitted by the connector when new data is available to it.
  *
@@ -76,6 +655,59 @@ Connector.DATA_EVENT = 'data';
  */
 Connector.LOG_EVENT = 'log';
 
+/**
+ * Name of the event emitted by the connector when records are dropped from
+ * its buffer because the configured buffer limit has been exceeded.
+ *
+ * @class Connector
+ * @event drop
+ * @readonly
+ */
+Connector.DROP_EVENT = 'drop';
+
+/**
+ * Buffer overflow policy that discards the oldest records in the buffer to
+ * make room for new records. This is the default policy.
+ *
+ * @class Connector
+ * @property OVERFLOW_DROP_OLDEST
+ * @static
+ * @readonly
+ */
+Connector.OVERFLOW_DROP_OLDEST = 'drop-oldest';
+
+/**
+ * Buffer overflow policy that discards incoming records while the buffer is
+ * full.
+ *
+ * @class Connector
+ * @property OVERFLOW_DROP_NEWEST
+ * @static
+ * @readonly
+ */
+Connector.OVERFLOW_DROP_NEWEST = 'drop-newest';
+
+/**
+ * Buffer overflow policy that discards incoming records while the buffer is
+ * full, and throws an error back to the caller of addData().
+ *
+ * @class Connector
+ * @property OVERFLOW_REJECT
+ * @static
+ * @readonly
+ */
+Connector.OVERFLOW_REJECT = 'reject';
+
+/**
+ * Name of the event emitted by the connector when it transitions from one
+ * lifecycle state to another.
+ *
+ * @class Connector
+ * @event state
+ * @readonly
+ */
+Connector.STATE_EVENT = 'state';
+
 /**
  * Connector state that indicates that the connector is not active.
  *
@@ -87,6 +719,17 @@ Connector.LOG_EVENT = 'log';
  */
 Connector.STATE_INACTIVE = 'INACTIVE';
 
+/**
+ * Connector state that indicates that the connector is being started.
+ *
+ * @class Connector
+ * @protected
+ * @property STATE_STARTING
+ * @static
+ * @readonly
+ */
+Connector.STATE_STARTING = 'STARTING';
+
 /**
  * Connector state that indicates that the connector is active.
  *
@@ -98,16 +741,167 @@ Connector.STATE_INACTIVE = 'INACTIVE';
  */
 Connector.STATE_ACTIVE = 'ACTIVE';
 
+/**
+ * Connector state that indicates that the connector is running, but is not
+ * fully functional.
+ *
+ * @class Connector
+ * @protected
+ * @property STATE_DEGRADED
+ * @static
+ * @readonly
+ */
+Connector.STATE_DEGRADED = 'DEGRADED';
+
+/**
+ * Connector state that indicates that the connector is being stopped.
+ *
+ * @class Connector
+ * @protected
+ * @property STATE_STOPPING
+ * @static
+ * @readonly
+ */
+Connector.STATE_STOPPING = 'STOPPING';
+
+/**
+ * Connector state that indicates that the connector could not be started or
+ * stopped, or that it has encountered an unrecoverable error.
+ *
+ * @class Connector
+ * @protected
+ * @property STATE_FAILED
+ * @static
+ * @readonly
+ */
+Connector.STATE_FAILED = 'FAILED';
+
+/**
+ * Connector state that indicates that the connector is running, but has been
+ * paused, and will not emit data until it is resumed.
+ *
+ * @class Connector
+ * @protected
+ * @property STATE_PAUSED
+ * @static
+ * @readonly
+ */
+Connector.STATE_PAUSED = 'PAUSED';
+
+/**
+ * @class Connector
+ * @method _changeState
+ * @private
+ */
+Connector.prototype._changeState = function(state, error) {
+    var previousState = this._state;
+    if (state === previousState && error === this._stateError) {
+        return;
+    }
+    this._state = state;
+    this._stateError = error || null;
+    this._stateTimestamp = Date.now();
+
+    if (state !== previousState) {
+        this._logger.debug('Connector state changed: [%s] -> [%s]', previousState, state);
+        this.emit(Connector.STATE_EVENT, {
+            id: this._id,
+            state: state,
+            previousState: previousState,
+            error: this._stateError,
+            timestamp: this._stateTimestamp
+        });
+    }
+};
+
+/**
+ * @class Connector
+ * @method _recordError
+ * @private
+ */
+Connector.prototype._recordError = function() {
+    this._metrics.errors++;
+    this._metrics.lastError = Date.now();
+};
+
+/**
+ * Allows child classes to report changes in the health of a running
+ * connector. A running connector may move between the "ACTIVE" and
+ * "DEGRADED" states, and may be moved to the "FAILED" state at any time.
+ * All other states are managed by the init(), stop(), pause() and resume()
+ * methods. Changes between "ACTIVE" and "DEGRADED" that are reported while
+ * the connector is paused take effect when the connector is resumed.
+ *
+ * @class Connector
+ * @method _setState
+ * @protected
+ * @param {String} state The new state of the connector.
+ * @param {Object} [error] An optional error that describes the reason for
+ *          the state change.
+ */
+Connector.prototype._setState = function(state, error) {
+    if (state !== Connector.STATE_ACTIVE &&
+        state !== Connector.STATE_DEGRADED &&
+        state !== Connector.STATE_FAILED) {
+        throw new Error('Invalid connector state specified (arg #1)');
+    }
+    if (state !== Connector.STATE_FAILED && !this.isActive()) {
+        throw new Error('Connector state cannot be changed when the connector is not running: ' + this._state);
+    }
+    if (state !== Connector.STATE_FAILED && this._state === Connector.STATE_PAUSED) {
+        this._resumeState = {
+            state: state,
+            error: error
+        };
+        return;
+    }
+    this._changeState(state, error);
+};
+
+/**
+ * Marks the connector as failed. This method is intended for use by the
+ * controller, when a connector faults in a way that the connector itself
+ * cannot report, such as an unhandled "error" event.
+ *
+ * @class Connector
+ * @method markFailed
+ * @param {Object} [error] An optional error that describes the failure.
+ */
+Connector.prototype.markFailed = function(error) {
+    this._resumeState = null;
+    this._changeState(Connector.STATE_FAILED, error);
+};
+
 /**
  * Returns a boolean value that indicates whether or not the connector is
- * currently active
+ * currently active. Paused connectors are considered to be active.
  *
  * @class Connector
  * @method isActive
  * @return {Boolean} True if the connector is active, false otherwise.
  */
 Connector.prototype.isActive = function() {
-    return this._state === Connector.STATE_ACTIVE;
+    return this._state === Connector.STATE_ACTIVE ||
+        this._state === Connector.STATE_DEGRADED ||
+        this._state === Connector.STATE_PAUSED;
+};
+
+/**
+ * Returns the current lifecycle state of the connector, along with the last
+ * error reported by the connector (if any), and the time at which the
+ * connector transitioned into the current state.
+ *
+ * @class Connector
+ * @method getState
+ * @return {Object} An object with "state", "error" and "timestamp"
+ *          properties.
+ */
+Connector.prototype.getState = function() {
+    return {
+        state: this._state,
+        error: this._stateError,
+        timestamp: this._stateTimestamp
+    };
 };
 
 /**
@@ -121,6 +915,95 @@ Connector.prototype.getId = function() {
     return this._id;
 };
 
+/**
+ * Checks the health of the connector. Inactive connectors are always
+ * reported as unhealthy, and paused connectors are always reported as
+ * healthy. For running connectors, the result is determined by the
+ * _healthCheck() method of the connector.
+ *
+ * @class Connector
+ * @method checkHealth
+ * @param {String} [requestId] An optional request id that can be used for logging.
+ * @return {Object} A promise that is always resolved with a health report
+ *          that has "healthy", "error", "details" and "timestamp" properties.
+ */
+Connector.prototype.checkHealth = function(requestId) {
+    requestId = requestId || DEFAULT_REQUEST_ID;
+    var createReport = function(healthy, error, details) {
+        return {
+            healthy: healthy,
+            error: error || null,
+            details: details || null,
+            timestamp: Date.now()
+        };
+    };
+
+    if (!this.isActive()) {
+        return _q.resolve(createReport(false,
+            'Connector is not active: [' + this._state + ']'));
+    }
+    if (this._state === Connector.STATE_PAUSED) {
+        return _q.resolve(createReport(true, null, {
+            paused: true
+        }));
+    }
+
+    var promise = null;
+    try {
+        promise = _q(this._healthCheck(requestId));
+    } catch (ex) {
+        promise = _q.reject(ex);
+    }
+    return promise.then(function(details) {
+        return createReport(true, null, details);
+    }, function(err) {
+        this._logger.warn('Connector health check failed: [%s]. RequestId: [%s]', err, requestId);
+        return createReport(false, err);
+    }.bind(this));
+};
+
+/**
+ * Gets the total number of records that have been dropped from the
+ * connector's buffer because the buffer limit was exceeded.
+ *
+ * @class Connector
+ * @method getDroppedCount
+ * @return {Number} The number of dropped records.
+ */
+Connector.prototype.getDroppedCount = function() {
+    return this._droppedCount;
+};
+
+/**
+ * Returns runtime metrics for the connector. Metrics include counters for
+ * events emitted and records received, gauges for the current state of the
+ * buffer, and timestamps of the most recent activity.
+ *
+ * @class Connector
+ * @method getMetrics
+ * @return {Object} An object that contains the current metrics of the
+ *          connector.
+ */
+Connector.prototype.getMetrics = function() {
+    var metrics = _clone(this._metrics);
+    var lastActivity = null;
+    [ metrics.lastDataEvent, metrics.lastLogEvent,
+        metrics.lastRecordAdded, metrics.lastError
+    ].forEach(function(timestamp) {
+        if (timestamp !== null && (lastActivity === null || timestamp > lastActivity)) {
+            lastActivity = timestamp;
+        }
+    });
+
+    metrics.state = this._state;
+    metrics.droppedRecords = this._droppedCount;
+    metrics.bufferLength = this._buffer.length;
+    metrics.leasedRecords = (this._activeLease) ? this._activeLease.getRecords().length : 0;
+    metrics.lastActivity = lastActivity;
+
+    return metrics;
+};
+
 /**
  * Attaches a logger object to the connector.
  *
@@ -143,6 +1026,27 @@ Connector.prototype.setLogger = function(logger) {
  * initialize or update the connector's configuration, and then kick off (or
  * restart) any data sync operations that the connector implements.
  *
+ * The following optional configuration properties are handled by the base
+ * connector:
+ *  - bufferLimit: An object with "count" and/or "bytes" properties that
+ *    limits the number of records, or their approximate size, held in the
+ *    buffer.
+ *  - overflowPolicy: One of "drop-oldest" (default), "drop-newest" or
+ *    "reject", that determines how records are handled once the buffer limit
+ *    has been reached.
+ *  - persistentBuffer: An object with a "path" property that identifies a
+ *    local directory. When specified, buffered records are journaled to disk
+ *    and replayed into the buffer when the connector is next initialized.
+ *    Journaled records are only discarded once their delivery has been
+ *    confirmed (see _confirmDelivery()), or once they are dropped because
+ *    the buffer limit has been reached. Replayed records are subject to the
+ *    buffer limit and overflow policy.
+ *
+ * If the connector type declares a config schema (see getConfigSchema()), the
+ * configuration is validated against it before the connector is started, and
+ * defaults from the schema are applied. The promise is rejected with a
+ * description of every invalid property if validation fails.
+ *
  * @class Connector
  * @method init
  * @param {Object} config Configuration information for the connector.
@@ -155,14 +1059,35 @@ Connector.prototype.init = function(config, requestId) {
     if (!config || config instanceof Array || typeof config !== 'object') {
         throw new Error('Invalid connector configuration specified (arg #1)');
     }
-    this._config = _clone(config);
-    var promise = this._start(requestId).then(function(data) {
+    var validation = this._validateConfig(_clone(config));
+    this._config = validation.config;
+
+    var promise = null;
+    var configError = validation.error;
+    if (!configError) {
+        try {
+            this._openJournal(requestId);
+        } catch (ex) {
+            configError = 'Error opening buffer journal: ' + ex;
+        }
+    }
+    this._resumeState = null;
+    this._changeState(Connector.STATE_STARTING);
+    if (configError) {
+        promise = _q.reject(configError);
+    } else {
+        this._updateBufferBytes();
+        promise = this._start(requestId);
+    }
+
+    promise = promise.then(function(data) {
         this._logger.info('Connector started successfully. RequestId: [%s]', requestId);
-        this._state = Connector.STATE_ACTIVE;
+        this._changeState(Connector.STATE_ACTIVE);
         return data;
     }.bind(this), function(err) {
         this._logger.error('Error starting connector. RequestId: [%s]', requestId, err);
-        this._state = Connector.STATE_INACTIVE;
+        this._recordError();
+        this._changeState(Connector.STATE_FAILED, err);
         throw err;
     }.bind(this));
 
@@ -185,7 +1110,10 @@ Connector.prototype.addLogData = function(data) {
 
 /**
  * Adds data to the connector's buffer, essentially queueing it for dispatch
- * on the next data sync cycle.
+ * on the next data sync cycle. If a buffer limit has been configured, and
+ * adding the record would exceed that limit, the overflow policy of the
+ * connector is applied, and a "drop" event is emitted for every record that
+ * is discarded.
  *
  * @class Connector
  * @method addData
@@ -197,8 +1125,177 @@ Connector.prototype.addData = function(data, requestId) {
     if (!data || data instanceof Array || typeof data !== 'object') {
         throw new Error('Invalid data object specified (arg #1)');
     }
+    this._metrics.recordsAdded++;
+    this._metrics.lastRecordAdded = Date.now();
+
+    var limit = this._getBufferLimit();
+    var size = (limit.bytes > 0) ? this._getRecordSize(data) : 0;
+
+    if (this._isBufferFull(limit, size)) {
+        var policy = this._config.overflowPolicy || Connector.OVERFLOW_DROP_OLDEST;
+        if (policy === Connector.OVERFLOW_REJECT) {
+            this._dropRecords([data], policy, requestId);
+            throw new Error('Connector buffer limit exceeded. Record rejected');
+        } else if (policy === Connector.OVERFLOW_DROP_NEWEST) {
+            this._dropRecords([data], policy, requestId);
+            return;
+        }
+
+        var dropped = [];
+        while (this._buffer.length > 0 && this._isBufferFull(limit, size)) {
+            var record = this._buffer.shift();
+            if (limit.bytes > 0) {
+                this._bufferBytes -= this._getRecordSize(record);
+            }
+            dropped.push(record);
+        }
+        if (this._buffer.length === 0) {
+            this._bufferBytes = 0;
+        }
+        if (this._isBufferFull(limit, size)) {
+            // The record is larger than the buffer itself.
+            dropped.push(data);
+            this._dropRecords(dropped, policy, requestId);
+            return;
+        }
+        this._dropRecords(dropped, policy, requestId);
+    }
+
     this._logger.debug('Pushing data into buffer. RequestId: [%s]', requestId);
     this._buffer.push(data);
+    this._bufferBytes += size;
+    this._journalRecord(data, requestId);
+};
+
+/**
+ * Applies a new configuration to a running connector, without stopping and
+ * restarting it. The configuration is validated in the same way as it is by
+ * init(). Changes to the "bufferLimit" and "overflowPolicy" properties are
+ * applied by the base connector, and all other changes are delegated to the
+ * _reconfigure() method of the inheriting class. Changes to the
+ * "persistentBuffer" property can never be applied in place.
+ *
+ * @class Connector
+ * @method reconfigure
+ * @param {Object} config The new configuration for the connector.
+ * @param {String} [requestId] An optional request id that can be used for logging.
+ * @return {Object} A promise that is resolved with true if the configuration
+ *          was applied, or false if the connector declined it and must be
+ *          restarted for the configuration to take effect. The promise is
+ *          rejected if the configuration is invalid, if the connector is not
+ *          running, or if the connector failed to apply the configuration.
+ */
+Connector.prototype.reconfigure = function(config, requestId) {
+    requestId = requestId || DEFAULT_REQUEST_ID;
+    if (!config || config instanceof Array || typeof config !== 'object') {
+        throw new Error('Invalid connector configuration specified (arg #1)');
+    }
+    if (!this.isActive()) {
+        return _q.reject('Connector cannot be reconfigured when it is not running: ' + this._state);
+    }
+
+    var validation = this._validateConfig(_clone(config));
+    if (validation.error) {
+        this._logger.warn('Rejecting connector configuration: [%s]. RequestId: [%s]', validation.error, requestId);
+        return _q.reject(validation.error);
+    }
+
+    var newConfig = validation.config;
+    var oldConfig = this._config;
+    var promise = null;
+    if (JSON.stringify(newConfig.persistentBuffer) !== JSON.stringify(oldConfig.persistentBuffer)) {
+        this._logger.info('Persistent buffer changes require a restart. RequestId: [%s]', requestId);
+        promise = _q.resolve(false);
+    } else if (this._getConfigChanges(newConfig, oldConfig).length <= 0) {
+        promise = _q.resolve(true);
+    } else {
+        promise = this._reconfigure(newConfig, oldConfig, requestId);
+    }
+
+    return promise.then(function(applied) {
+        if (!applied) {
+            this._logger.info('Connector declined reconfiguration. RequestId: [%s]', requestId);
+            return false;
+        }
+        this._config = newConfig;
+        this._updateBufferBytes();
+        this._logger.info('Connector reconfigured successfully. RequestId: [%s]', requestId);
+        return true;
+    }.bind(this), function(err) {
+        this._logger.error('Error reconfiguring connector. RequestId: [%s]', requestId, err);
+        this._recordError();
+        throw err;
+    }.bind(this));
+};
+
+/**
+ * Pauses a running connector. A paused connector retains its connections and
+ * its buffer, and continues to accept data via addData(), but does not emit
+ * any data events until it is resumed. Pausing a connector that is already
+ * paused has no effect.
+ *
+ * @class Connector
+ * @method pause
+ * @param {String} [requestId] An optional request id that can be used for logging.
+ * @return {Object} A promise that will be rejected or resolved based on the
+ *          outcome of the pause operation.
+ */
+Connector.prototype.pause = function(requestId) {
+    requestId = requestId || DEFAULT_REQUEST_ID;
+    if (this._state === Connector.STATE_PAUSED) {
+        return _q.resolve();
+    }
+    if (!this.isActive()) {
+        return _q.reject('Connector cannot be paused when it is not running: ' + this._state);
+    }
+
+    var resumeState = {
+        state: this._state,
+        error: this._stateError
+    };
+    return this._pause(requestId).then(function(data) {
+        this._resumeState = resumeState;
+        this._changeState(Connector.STATE_PAUSED);
+        this._logger.info('Connector paused successfully. RequestId: [%s]', requestId);
+        return data;
+    }.bind(this), function(err) {
+        this._recordError();
+        this._logger.warn('Error pausing connector: [%s]. RequestId: [%s]', err, requestId);
+        throw err;
+    }.bind(this));
+};
+
+/**
+ * Resumes a paused connector, restoring the state that the connector was in
+ * before it was paused. Resuming a running connector that is not paused has
+ * no effect.
+ *
+ * @class Connector
+ * @method resume
+ * @param {String} [requestId] An optional request id that can be used for logging.
+ * @return {Object} A promise that will be rejected or resolved based on the
+ *          outcome of the resume operation.
+ */
+Connector.prototype.resume = function(requestId) {
+    requestId = requestId || DEFAULT_REQUEST_ID;
+    if (this._state !== Connector.STATE_PAUSED) {
+        if (this.isActive()) {
+            return _q.resolve();
+        }
+        return _q.reject('Connector cannot be resumed when it is not running: ' + this._state);
+    }
+
+    return this._resume(requestId).then(function(data) {
+        var resumeState = this._resumeState;
+        this._resumeState = null;
+        this._changeState(resumeState.state, resumeState.error);
+        this._logger.info('Connector resumed successfully. RequestId: [%s]', requestId);
+        return data;
+    }.bind(this), function(err) {
+        this._recordError();
+        this._logger.warn('Error resuming connector: [%s]. RequestId: [%s]', err, requestId);
+        throw err;
+    }.bind(this));
 };
 
 /**
@@ -211,12 +1308,15 @@ Connector.prototype.addData = function(data, requestId) {
  */
 Connector.prototype.stop = function(requestId) {
     requestId = requestId || DEFAULT_REQUEST_ID;
+    this._resumeState = null;
+    this._changeState(Connector.STATE_STOPPING);
     var promise = this._stop(requestId).then(function(data) {
-        this._state = Connector.STATE_INACTIVE;
+        this._changeState(Connector.STATE_INACTIVE);
         this._logger.info('Connector stopped successfully. RequestId: [%s]', requestId);
         return data;
     }.bind(this), function(err) {
-        this._state = Connector.STATE_INACTIVE;
+        this._recordError();
+        this._changeState(Connector.STATE_FAILED, err);
         this._logger.warn('Error stopping connector: [%s]. RequestId: [%s]', err, requestId);
         throw err;
     }.bind(this));
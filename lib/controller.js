@@ -11,7 +11,17 @@ var EventEmitter = require('events').EventEmitter;
 var _loggerHelper = require('./logger-helper');
 var Connector = require('./connector');
 var CncRequest = require('./cnc-request');
+var RestartPolicy = require('./restart-policy');
+var TimeoutError = require('./timeout-error');
+var DeadbandFilter = require('./deadband-filter');
+var DataRouter = require('./data-router');
+var RulesEngine = require('./rules-engine');
+var AlarmManager = require('./alarm-manager');
+var TransformPipeline = require('./transform-pipeline');
+var WindowAggregator = require('./window-aggregator');
 var _connectorFactory = require('./connector-factory');
+var _configValidator = require('./config-validator');
+var _configFile = require('./config-file');
 
 var UPDATE_CONFIG_ACTION = 'update_config';
 var DELETE_CONFIG_ACTION = 'delete_config';
@@ -24,8 +34,17 @@ var RESTART_CONNECTOR_ACTION = 'restart_connector';
 var STOP_ALL_CONNECTORS_ACTION = 'stop_all_connectors';
 var START_ALL_CONNECTORS_ACTION = 'start_all_connectors';
 var RESTART_ALL_CONNECTORS_ACTION = 'restart_all_connectors';
+var PAUSE_CONNECTOR_ACTION = 'pause_connector';
+var RESUME_CONNECTOR_ACTION = 'resume_connector';
+var PAUSE_ALL_CONNECTORS_ACTION = 'pause_all_connectors';
+var RESUME_ALL_CONNECTORS_ACTION = 'resume_all_connectors';
 var LIST_CONNECTORS_ACTION = 'list_connectors';
 var GET_CONNECTOR_CONFIG_ACTION = 'get_connector_config';
+var GET_HEALTH_ACTION = 'get_health';
+var GET_METRICS_ACTION = 'get_metrics';
+var POLL_NOW_ACTION = 'poll_now';
+var ACK_ALARM_ACTION = 'ack_alarm';
+var LIST_ALARMS_ACTION = 'list_alarms';
 
 var MAINTENANCE_ACTION = 'maintenance_action';
 
@@ -33,6 +52,12 @@ var CLOUD_CONNECTOR_CATEGORY = 'cloud';
 var DEVICE_CONNECTOR_CATEGORY = 'device';
 
 var DEFAULT_REQUEST_ID = 'na';
+var DEFAULT_HEALTH_CHECK_THRESHOLD = 3;
+var DEFAULT_HEALTH_CHECK_TIMEOUT = 10000;
+var DEFAULT_START_TIMEOUT = 0;
+var DEFAULT_STOP_TIMEOUT = 0;
+var DEFAULT_ALARM_HISTORY_LIMIT = 20;
+var DEFAULT_ALARM_CLEARED_LIMIT = 100;
 
 /**
  * Represents a controller that manages a collection of connectors, and the
@@ -41,7 +66,33 @@ var DEFAULT_REQUEST_ID = 'na';
  * @class Controller
  * @constructor
  * @param {Object} [controllerConfig] An optional configuration object that
- *          influences the behavior of the controller.
+ *          influences the behavior of the controller. The following
+ *          properties are supported:
+ *          - moduleBasePath: Base path for relative connector module paths.
+ *          - healthCheckInterval: Interval (in milliseconds) at which the
+ *            health of all connectors is probed. Probing is disabled if this
+ *            value is not specified.
+ *          - healthCheckThreshold: The number of consecutive failed health
+ *            checks after which a connector is reported as unhealthy
+ *            (default 3).
+ *          - healthCheckTimeout: The time (in milliseconds) after which a
+ *            pending health check is considered to have failed
+ *            (default 10000).
+ *          - startTimeout: The time (in milliseconds) after which a pending
+ *            connector init is considered to have failed. Connectors may
+ *            override this value by defining a "startTimeout" property in
+ *            their config entry. Init is not timed out if this value is not
+ *            specified, or is 0.
+ *          - stopTimeout: The time (in milliseconds) after which a pending
+ *            connector stop is considered to have failed. Connectors may
+ *            override this value by defining a "stopTimeout" property in
+ *            their config entry. Stop is not timed out if this value is not
+ *            specified, or is 0.
+ *          - alarmHistoryLimit: The maximum number of transitions recorded
+ *            for each alarm tracked by the controller (default 20).
+ *          - alarmClearedLimit: The maximum number of cleared alarms that
+ *            are kept until they are acknowledged. The alarms that were
+ *            cleared earliest are discarded first (default 100).
  * @param {Object} [loggerProvider] A provider for logger methods, used to
  *          instantiate logger entities and attach them to connectors. The
  *          provider must expose a 'getLogger(id)' method that must return
@@ -55,10 +106,17 @@ function Controller(controllerConfig, loggerProvider) {
 
     this._initPromise = null;
     this._fileWritePromise = null;
+    this._healthProbeHandle = null;
     this._shutdownFlag = false;
     this._state = Controller.STATE_INACTIVE;
     this._configFilePath = null;
+    this._configSource = null;
     this._config = {};
+    this._connectorTypes = {};
+    this._router = null;
+    this._rulesEngine = null;
+    this._alarmManager = new AlarmManager(this._controllerConfig.alarmHistoryLimit,
+                                          this._controllerConfig.alarmClearedLimit);
     this._connectors = { };
     this._connectors[CLOUD_CONNECTOR_CATEGORY] = {};
     this._connectors[DEVICE_CONNECTOR_CATEGORY] = {};
@@ -121,7 +179,31 @@ Controller.prototype._passthroughFail = function(err) {
  */
 Controller.prototype._initControllerConfig = function(controllerConfig) {
     var config = _clone(controllerConfig) || {};
+    var isPositiveNumber = function(value) {
+        return typeof value === 'number' && value > 0;
+    };
     config.moduleBasePath = config.moduleBasePath || '';
+    if (!isPositiveNumber(config.healthCheckInterval)) {
+        config.healthCheckInterval = 0;
+    }
+    if (!isPositiveNumber(config.healthCheckThreshold)) {
+        config.healthCheckThreshold = DEFAULT_HEALTH_CHECK_THRESHOLD;
+    }
+    if (!isPositiveNumber(config.healthCheckTimeout)) {
+        config.healthCheckTimeout = DEFAULT_HEALTH_CHECK_TIMEOUT;
+    }
+    if (typeof config.startTimeout !== 'number' || config.startTimeout < 0) {
+        config.startTimeout = DEFAULT_START_TIMEOUT;
+    }
+    if (typeof config.stopTimeout !== 'number' || config.stopTimeout < 0) {
+        config.stopTimeout = DEFAULT_STOP_TIMEOUT;
+    }
+    if (!isPositiveNumber(config.alarmHistoryLimit)) {
+        config.alarmHistoryLimit = DEFAULT_ALARM_HISTORY_LIMIT;
+    }
+    if (!isPositiveNumber(config.alarmClearedLimit)) {
+        config.alarmClearedLimit = DEFAULT_ALARM_CLEARED_LIMIT;
+    }
 
     return config;
 };
@@ -137,16 +219,22 @@ Controller.prototype._hasConfigSection = function(config, section) {
 };
 
 /**
+ * Loads the modules of the connector types defined in the connectorTypes
+ * section of a config document, and returns a map of type names to
+ * connector classes. Types that do not define a module path are skipped.
+ *
  * @class Controller
- * @method _initConnectorTypes
+ * @method _loadConnectorTypes
  * @private
  */
-Controller.prototype._initConnectorTypes = function(request) {
+Controller.prototype._loadConnectorTypes = function(types, request) {
     this._logger.debug('Loading connector modules. RequestId: [%s]', request.id);
-    var types = this._config.connectorTypes;
     var typeMap = {};
     for (var key in types) {
         var modulePath = types[key];
+        if (typeof modulePath !== 'string' || modulePath.length <= 0) {
+            continue;
+        }
 
         if (modulePath.indexOf('./') === 0) {
             modulePath = _path.resolve(this._controllerConfig.moduleBasePath, modulePath);
@@ -155,8 +243,19 @@ Controller.prototype._initConnectorTypes = function(request) {
         var module = require(modulePath);
         typeMap[key] = module;
     }
+    return typeMap;
+};
+
+/**
+ * @class Controller
+ * @method _initConnectorTypes
+ * @private
+ */
+Controller.prototype._initConnectorTypes = function(request, typeMap) {
+    typeMap = typeMap || this._loadConnectorTypes(this._config.connectorTypes, request);
     this._logger.debug('Initializing connector factory. RequestId: [%s]', request.id);
     _connectorFactory.init(typeMap, this._loggerProvider);
+    this._connectorTypes = typeMap;
 };
 
 
@@ -252,6 +351,27 @@ Controller.prototype._stopConnectorGroup = function(category, request) {
     return promises;
 };
 
+/**
+ * Pauses or resumes all running connectors in a group.
+ *
+ * @class Controller
+ * @method _pauseConnectorGroup
+ * @private
+ */
+Controller.prototype._pauseConnectorGroup = function(category, request, resume) {
+    var promises = [];
+    var group = this._getConnectorInfo(category);
+    for (var id in group) {
+        if (!group[id].connector) {
+            continue;
+        }
+        var connectorInfo = this._pauseConnector(category, id, request, resume);
+        promises.push(connectorInfo.promise);
+    }
+
+    return promises;
+};
+
 /**
  * Note that this method assumes that a valid connector and its configuration
  * have been defined with the specified category/id.
@@ -276,10 +396,19 @@ Controller.prototype._initConnector = function(category, id, request) {
             connector: null,
             promise: null,
             actionPending: true,
-            result: null
+            result: null,
+            health: null,
+            deadband: null,
+            transform: null,
+            aggregator: null,
+            restart: {
+                attempts: 0,
+                timer: null
+            }
         };
         group[id] = connectorInfo;
     }
+    this._cancelRestart(connectorInfo);
 
     if (!connectorInfo.promise) {
         var def = _q.defer();
@@ -288,6 +417,9 @@ Controller.prototype._initConnector = function(category, id, request) {
     } else {
         this._logger.info('Waiting for previous init/stop to complete: [%s::%s]. RequestId: [%s]', category, id, request.id);
     }
+    var initStarted = false;
+    var transform = null;
+    var aggregator = null;
     connectorInfo.promise = connectorInfo.promise
     .then(this._passthroughSuccess, this._passthroughFail.bind(this))
     .then(function() {
@@ -307,20 +439,42 @@ Controller.prototype._initConnector = function(category, id, request) {
             throw new Error(message);
         }
 
+        transform = this._createTransformPipeline(config);
+        aggregator = this._createWindowAggregator(config);
+        initStarted = true;
         connectorInfo.connector = _connectorFactory.createConnector(config.type, id);
+        connectorInfo.connector.on('error',
+            this._connectorErrorHandler.bind(this, category, id, connectorInfo.connector));
         connectorInfo.actionPending = true;
-        return connectorInfo.connector.init(config.config, request.id);
+        var timeout = this._getLifecycleTimeout(config, 'startTimeout');
+        return this._applyLifecycleTimeout(category, id, 'init',
+                    connectorInfo.connector, connectorInfo.connector.init(config.config, request.id),
+                    timeout, request);
     }.bind(this)).then(function(data) {
 
         connectorInfo.actionPending = false;
         connectorInfo.result = data;
+        connectorInfo.health = this._createHealthInfo();
+        connectorInfo.restart.attempts = 0;
         this._logger.debug('Attaching event handlers: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        var connector = connectorInfo.connector;
         if (category === DEVICE_CONNECTOR_CATEGORY) {
-            connectorInfo.connector.on(Connector.DATA_EVENT, this._deviceDataHandler.bind(this));
+            this._setDeadbandFilter(id, connectorInfo, this._getDeadbandFilter(category, id));
+            connectorInfo.transform = transform;
+            this._setWindowAggregator(id, connectorInfo, aggregator);
+            connector.on(Connector.DATA_EVENT,
+                this._guardHandler(category, id, connector, this._processDeviceData.bind(this, id)));
         } else {
-            connectorInfo.connector.on(Connector.DATA_EVENT, this._cloudDataHandler.bind(this));
+            connector.on(Connector.DATA_EVENT,
+                this._guardHandler(category, id, connector, this._cloudDataHandler));
+        }
+        connector.on(Connector.LOG_EVENT,
+            this._guardHandler(category, id, connector, this._logDataHandler));
+        if (typeof connectorInfo.connector.getState === 'function') {
+            // Only connectors that track their lifecycle emit state events.
+            connectorInfo.connector.on(Connector.STATE_EVENT,
+                this._connectorStateHandler.bind(this, category, id, connectorInfo.connector));
         }
-        connectorInfo.connector.on(Connector.LOG_EVENT, this._logDataHandler.bind(this));
         this._logger.info('Connector initialization complete: [%s::%s]. RequestId: [%s]', category, id, request.id);
         request.logInfo('Connector initialization complete: [%s::%s]', category, id);
     }.bind(this), function(err) {
@@ -328,95 +482,944 @@ Controller.prototype._initConnector = function(category, id, request) {
         connectorInfo.result = err;
         this._logger.error('Error initializing connector: [%s::%s]. RequestId: [%s]', category, id, request.id, err);
         request.logError('Error initializing connector: [%s::%s]', category, id);
+        if(initStarted) {
+            this._scheduleRestart(category, id, true);
+        }
         throw err;
     }.bind(this));
     return connectorInfo;
 };
 
-
+
+/**
+ * Note that this method assumes that a valid connector has been defined with
+ * the specified category/id.
+ *
+ * ** NO additional validation checks will be performed here **
+ *
+ * @class Controller
+ * @method _stopConnector
+ * @private
+ */
+Controller.prototype._stopConnector = function(category, id, request) {
+    var group = this._getConnectorInfo(category);
+    var connectorInfo = group[id];
+    this._cancelRestart(connectorInfo);
+    connectorInfo.promise = connectorInfo.promise
+    .then(this._passthroughSuccess, this._passthroughFail.bind(this))
+    .then(function() {
+        this._logger.info('Stopping connector: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.logInfo('Stopping connector: [%s::%s]', category, id);
+        connectorInfo.actionPending = true;
+
+        var promise = null;
+        if(connectorInfo.connector) {
+            var config = this._getConnectorConfig(category)[id];
+            var timeout = this._getLifecycleTimeout(config, 'stopTimeout');
+            promise = this._applyLifecycleTimeout(category, id, 'stop',
+                        connectorInfo.connector, connectorInfo.connector.stop(request.id),
+                        timeout, request);
+            promise = promise.fin(function() {
+                this._logger.info('Connector stopped: [%s::%s]. RequestId: [%s]', category, id, request.id);
+                request.logInfo('Connector stopped:: [%s::%s]', category, id);
+
+                connectorInfo.actionPending = false;
+                connectorInfo.connector.removeAllListeners(Connector.DATA_EVENT);
+                this._setDeadbandFilter(id, connectorInfo, null);
+                this._setWindowAggregator(id, connectorInfo, null);
+                this._logger.info('Destroying connector: [%s::%s]. RequestId: [%s]', category, id, request.id);
+                request.logInfo('Destroying connector:: [%s::%s]', category, id);
+                connectorInfo.connector = null;
+            }.bind(this));
+            return promise;
+        } else {
+            request.logWarn('Aborting stop. Connector not running [%s::%s]', category, id);
+            var message = _util.format('Aborting stop. Connector not active [%s::%s]. RequestId: [%s]', category, id, request.id);
+            this._logger.warn(message);
+            throw new Error(message);
+        }
+    }.bind(this));
+
+    return connectorInfo;
+};
+
+/**
+ * Returns the restart policy defined for a connector. Invalid policies are
+ * logged and treated as if no policy had been defined.
+ *
+ * @class Controller
+ * @method _getRestartPolicy
+ * @private
+ */
+Controller.prototype._getRestartPolicy = function(category, id) {
+    var config = this._getConnectorConfig(category)[id];
+    if(!config) {
+        return null;
+    }
+    try {
+        return new RestartPolicy(config.restartPolicy);
+    } catch(ex) {
+        this._logger.error('Invalid restart policy: [%s::%s]', category, id, ex);
+        return null;
+    }
+};
+
+/**
+ * Returns a deadband filter for the data emitted by a connector, if one has
+ * been defined in the config entry of the connector. Invalid deadband
+ * configs are logged and treated as if no filter had been defined.
+ *
+ * @class Controller
+ * @method _getDeadbandFilter
+ * @private
+ */
+Controller.prototype._getDeadbandFilter = function(category, id) {
+    var config = this._getConnectorConfig(category)[id];
+    if(!config || typeof config.deadband === 'undefined') {
+        return null;
+    }
+    try {
+        return new DeadbandFilter(config.deadband);
+    } catch(ex) {
+        this._logger.error('Invalid deadband config: [%s::%s]', category, id, ex);
+        return null;
+    }
+};
+
+/**
+ * Creates a transform pipeline for the data emitted by a connector, if one
+ * has been defined in the config entry of the connector.
+ *
+ * @class Controller
+ * @method _createTransformPipeline
+ * @private
+ */
+Controller.prototype._createTransformPipeline = function(config) {
+    if(!config || typeof config.transform === 'undefined') {
+        return null;
+    }
+    if(!(config.transform instanceof Array)) {
+        throw new Error('Invalid transform configuration: transform: must be of type array');
+    }
+    try {
+        return new TransformPipeline(config.transform, 'transform');
+    } catch(ex) {
+        throw new Error('Invalid transform configuration: ' + ex.message);
+    }
+};
+
+/**
+ * Creates a window aggregator for the data emitted by a connector, if one
+ * has been defined in the config entry of the connector.
+ *
+ * @class Controller
+ * @method _createWindowAggregator
+ * @private
+ */
+Controller.prototype._createWindowAggregator = function(config) {
+    if(!config || typeof config.aggregate === 'undefined') {
+        return null;
+    }
+    try {
+        return new WindowAggregator(config.aggregate);
+    } catch(ex) {
+        throw new Error('Invalid aggregate configuration: ' + ex.message);
+    }
+};
+
+/**
+ * Replaces the deadband filter of a device connector, stopping the heartbeats
+ * of the previous filter (if any), and starting the heartbeats of the new
+ * one.
+ *
+ * @class Controller
+ * @method _setDeadbandFilter
+ * @private
+ */
+Controller.prototype._setDeadbandFilter = function(id, connectorInfo, deadband) {
+    this._stopHeartbeats(connectorInfo);
+    connectorInfo.deadband = deadband;
+    this._startHeartbeats(id, connectorInfo);
+};
+
+/**
+ * Starts the heartbeats of the deadband filter of a device connector, if it
+ * has one. Heartbeat records bypass the deadband filter and the rules engine,
+ * but are otherwise processed as if they had been emitted by the device
+ * connector.
+ *
+ * @class Controller
+ * @method _startHeartbeats
+ * @private
+ */
+Controller.prototype._startHeartbeats = function(id, connectorInfo) {
+    if(!connectorInfo.deadband) {
+        return;
+    }
+    connectorInfo.deadband.start(function(record) {
+        this._logger.debug('Delivering deadband heartbeat: [%s::%s]', DEVICE_CONNECTOR_CATEGORY, id);
+        this._deliverDeviceData(id, record, true);
+    }.bind(this));
+};
+
+/**
+ * Stops the heartbeats of the deadband filter of a device connector, if it
+ * has one, so that no data is reported for connectors that are not running.
+ *
+ * @class Controller
+ * @method _stopHeartbeats
+ * @private
+ */
+Controller.prototype._stopHeartbeats = function(connectorInfo) {
+    if(connectorInfo.deadband) {
+        connectorInfo.deadband.stop();
+    }
+};
+
+/**
+ * Replaces the window aggregator of a device connector, stopping the
+ * previous aggregator (if any), and starting the new one. The aggregate
+ * records produced by the aggregator are delivered as if they had been
+ * emitted by the device connector.
+ *
+ * @class Controller
+ * @method _setWindowAggregator
+ * @private
+ */
+Controller.prototype._setWindowAggregator = function(id, connectorInfo, aggregator) {
+    if(connectorInfo.aggregator) {
+        connectorInfo.aggregator.stop();
+    }
+    connectorInfo.aggregator = aggregator;
+    if(aggregator) {
+        aggregator.start(function(records) {
+            this._logger.debug('Delivering aggregate data: [%s::%s]', DEVICE_CONNECTOR_CATEGORY, id);
+            this._deviceDataHandler(records, id);
+        }.bind(this));
+    }
+};
+
+/**
+ * Schedules a restart of a connector that has stopped running, if permitted
+ * by the restart policy of the connector.
+ *
+ * @class Controller
+ * @method _scheduleRestart
+ * @private
+ */
+Controller.prototype._scheduleRestart = function(category, id, failed) {
+    var connectorInfo = this._getConnectorInfo(category)[id];
+    var policy = this._getRestartPolicy(category, id);
+    if(!connectorInfo || !policy || this._shutdownFlag ||
+       connectorInfo.restart.timer ||
+       policy.getPolicy() === RestartPolicy.NEVER) {
+        return;
+    }
+
+    var restart = connectorInfo.restart;
+    var request = new CncRequest({
+        requestId: DEFAULT_REQUEST_ID,
+        action: 'auto_restart',
+        category: category,
+        id: id
+    }, this._logDataHandler.bind(this));
+
+    if(!policy.shouldRestart(restart.attempts, failed)) {
+        if(failed) {
+            this._logger.error('Restart attempts exhausted: [%s::%s]. Attempts: [%s]', category, id, restart.attempts);
+            request.logError('Restart attempts exhausted: [%s::%s]. Attempts: [%s]', category, id, restart.attempts);
+        }
+        return;
+    }
+
+    var delay = policy.getDelay(restart.attempts);
+    restart.attempts++;
+    var maxAttempts = policy.getMaxAttempts() || 'unlimited';
+    this._logger.warn('Scheduling connector restart: [%s::%s]. Attempt: [%s of %s]. Delay: [%s ms]', category, id, restart.attempts, maxAttempts, delay);
+    request.logWarn('Scheduling connector restart: [%s::%s]. Attempt: [%s of %s]. Delay: [%s ms]', category, id, restart.attempts, maxAttempts, delay);
+
+    restart.timer = setTimeout(function() {
+        restart.timer = null;
+        if(this._shutdownFlag) {
+            return;
+        }
+        this._logger.info('Restarting connector: [%s::%s]. Attempt: [%s]', category, id, restart.attempts);
+        request.logInfo('Restarting connector: [%s::%s]. Attempt: [%s]', category, id, restart.attempts);
+        if(connectorInfo.connector) {
+            this._stopConnector(category, id, request);
+        }
+        this._initConnector(category, id, request);
+    }.bind(this), delay);
+};
+
+/**
+ * @class Controller
+ * @method _cancelRestart
+ * @private
+ */
+Controller.prototype._cancelRestart = function(connectorInfo) {
+    if(connectorInfo && connectorInfo.restart.timer) {
+        clearTimeout(connectorInfo.restart.timer);
+        connectorInfo.restart.timer = null;
+    }
+};
+
+/**
+ * Handles state changes reported by a connector, restarting connectors that
+ * stop running without having been asked to.
+ *
+ * @class Controller
+ * @method _connectorStateHandler
+ * @private
+ */
+Controller.prototype._connectorStateHandler = function(category, id, connector, event) {
+    var connectorInfo = this._getConnectorInfo(category)[id];
+    if(!connectorInfo || connectorInfo.connector !== connector ||
+       connectorInfo.actionPending) {
+        return;
+    }
+    if(event.state === Connector.STATE_FAILED) {
+        this._logger.error('Connector failed: [%s::%s]', category, id, event.error);
+        this._stopHeartbeats(connectorInfo);
+        this._scheduleRestart(category, id, true);
+    } else if(event.state === Connector.STATE_INACTIVE) {
+        this._logger.warn('Connector stopped unexpectedly: [%s::%s]', category, id);
+        this._stopHeartbeats(connectorInfo);
+        this._scheduleRestart(category, id, false);
+    }
+};
+
+/**
+ * Wraps a connector event handler so that exceptions thrown by the handler
+ * are treated as faults of the connector that emitted the event, instead of
+ * propagating back into the connector.
+ *
+ * @class Controller
+ * @method _guardHandler
+ * @private
+ */
+Controller.prototype._guardHandler = function(category, id, connector, handler) {
+    return function() {
+        try {
+            return handler.apply(this, arguments);
+        } catch(ex) {
+            this._handleConnectorFault(category, id, connector, ex);
+        }
+    }.bind(this);
+};
+
+/**
+ * @class Controller
+ * @method _connectorErrorHandler
+ * @private
+ */
+Controller.prototype._connectorErrorHandler = function(category, id, connector, err) {
+    this._handleConnectorFault(category, id, connector, err);
+};
+
+/**
+ * Handles a fault reported by, or on behalf of, a connector. The fault is
+ * reported to the cloud, the connector is marked as failed, and the restart
+ * policy of the connector is applied. Faults from connectors that have since
+ * been replaced are only logged.
+ *
+ * @class Controller
+ * @method _handleConnectorFault
+ * @private
+ */
+Controller.prototype._handleConnectorFault = function(category, id, connector, err) {
+    var message = this._formatError(err) || 'Unknown error';
+    var details = (err && err.stack) || message;
+    var request = new CncRequest({
+        requestId: DEFAULT_REQUEST_ID,
+        action: 'connector_fault',
+        category: category,
+        id: id
+    }, this._logDataHandler.bind(this));
+
+    this._logger.error('Connector fault: [%s::%s]', category, id, err);
+    try {
+        request.logError('Connector fault: [%s::%s]. Error: [%s]', category, id, details);
+    } catch(ex) {
+        this._logger.error('Error reporting connector fault: [%s::%s]', category, id, ex);
+    }
+
+    var connectorInfo = this._getConnectorInfo(category)[id];
+    if(!connectorInfo || connectorInfo.connector !== connector) {
+        this._logger.warn('Ignoring fault from inactive connector instance: [%s::%s]', category, id);
+        return;
+    }
+    this._stopHeartbeats(connectorInfo);
+    if(typeof connector.markFailed === 'function') {
+        // Restarts are scheduled by the state handler, if the connector
+        // tracks its lifecycle.
+        connector.markFailed(message);
+        if(typeof connector.getState === 'function') {
+            return;
+        }
+    }
+    if(!connectorInfo.actionPending) {
+        this._scheduleRestart(category, id, true);
+    }
+};
+
+/**
+ * Pauses or resumes a connector, depending on the value of the resume flag.
+ *
+ * @class Controller
+ * @method _pauseConnector
+ * @private
+ */
+Controller.prototype._pauseConnector = function(category, id, request, resume) {
+    var action = resume ? 'resume' : 'pause';
+    var group = this._getConnectorInfo(category);
+    var connectorInfo = group[id];
+    connectorInfo.promise = connectorInfo.promise
+    .then(this._passthroughSuccess, this._passthroughFail.bind(this))
+    .then(function() {
+        var message = '';
+        var connector = connectorInfo.connector;
+        if(!connector) {
+            request.logWarn('Aborting %s. Connector not running [%s::%s]', action, category, id);
+            message = _util.format('Aborting %s. Connector not active [%s::%s]. RequestId: [%s]', action, category, id, request.id);
+            this._logger.warn(message);
+            throw new Error(message);
+        } else if(typeof connector.pause !== 'function' ||
+                  typeof connector.resume !== 'function') {
+            request.logWarn('Aborting %s. Connector does not support pause/resume [%s::%s]', action, category, id);
+            message = _util.format('Aborting %s. Connector does not support pause/resume [%s::%s]. RequestId: [%s]', action, category, id, request.id);
+            this._logger.warn(message);
+            throw new Error(message);
+        }
+
+        this._logger.info('Connector %s requested: [%s::%s]. RequestId: [%s]', action, category, id, request.id);
+        request.logInfo('Connector %s requested: [%s::%s]', action, category, id);
+        var promise = resume ? connector.resume(request.id) : connector.pause(request.id);
+        return promise.then(function() {
+            // Heartbeats do not pass through the connector, and must be
+            // suspended along with it.
+            if(resume) {
+                this._startHeartbeats(id, connectorInfo);
+            } else {
+                this._stopHeartbeats(connectorInfo);
+            }
+            this._logger.info('Connector %s completed: [%s::%s]. RequestId: [%s]', action, category, id, request.id);
+            request.logInfo('Connector %s completed: [%s::%s]', action, category, id);
+        }.bind(this));
+    }.bind(this));
+
+    return connectorInfo;
+};
+
+/**
+ * Applies the current config of a connector to the running connector
+ * instance, restarting the connector if it declines to apply the config in
+ * place.
+ *
+ * @class Controller
+ * @method _reconfigureConnector
+ * @private
+ */
+Controller.prototype._reconfigureConnector = function(category, id, request) {
+    var group = this._getConnectorInfo(category);
+    var connectorInfo = group[id];
+    var configSection = this._getConnectorConfig(category);
+
+    var promise = connectorInfo.promise
+    .then(this._passthroughSuccess, this._passthroughFail.bind(this))
+    .then(function() {
+        if(!connectorInfo.connector) {
+            this._logger.info('Connector not running. Config will be applied on next start: [%s::%s]. RequestId: [%s]', category, id, request.id);
+            return true;
+        }
+        this._logger.info('Reconfiguring connector: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.logInfo('Reconfiguring connector: [%s::%s]', category, id);
+        return connectorInfo.connector.reconfigure(configSection[id].config, request.id);
+    }.bind(this));
+    connectorInfo.promise = promise;
+
+    return promise.then(function(applied) {
+        if(applied) {
+            if(category === DEVICE_CONNECTOR_CATEGORY) {
+                this._setDeadbandFilter(id, connectorInfo, this._getDeadbandFilter(category, id));
+                connectorInfo.transform = this._createTransformPipeline(configSection[id]);
+                this._setWindowAggregator(id, connectorInfo,
+                            this._createWindowAggregator(configSection[id]));
+            }
+            this._logger.info('Connector reconfigured: [%s::%s]. RequestId: [%s]', category, id, request.id);
+            request.logInfo('Connector reconfigured: [%s::%s]', category, id);
+            return;
+        }
+        this._logger.info('Connector declined reconfiguration. Restarting: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.logInfo('Connector declined reconfiguration. Restarting: [%s::%s]', category, id);
+        this._stopConnector(category, id, request);
+        return this._initConnector(category, id, request).promise;
+    }.bind(this));
+};
+
+/**
+ * Returns the timeout for a connector lifecycle operation, using the value
+ * from the connector's config entry if one has been defined, and the
+ * controller default otherwise.
+ *
+ * @class Controller
+ * @method _getLifecycleTimeout
+ * @private
+ */
+Controller.prototype._getLifecycleTimeout = function(config, property) {
+    var timeout = config && config[property];
+    if(typeof timeout === 'number' && timeout >= 0) {
+        return timeout;
+    }
+    return this._controllerConfig[property];
+};
+
+/**
+ * Applies a timeout to a pending connector init or stop operation. If the
+ * operation times out, the promise is rejected with a TimeoutError, and the
+ * connector is marked as failed. A connector that finishes starting after its
+ * init has timed out is stopped, because it has been abandoned.
+ *
+ * @class Controller
+ * @method _applyLifecycleTimeout
+ * @private
+ */
+Controller.prototype._applyLifecycleTimeout = function(category, id, action,
+                                                       connector, promise,
+                                                       timeout, request) {
+    if(typeof timeout !== 'number' || timeout <= 0) {
+        return promise;
+    }
+    var message = _util.format('Connector %s timed out after [%s ms]: [%s::%s]', action, timeout, category, id);
+    var timedOut = false;
+
+    if(action === 'init') {
+        promise.then(function() {
+            if(timedOut) {
+                this._logger.warn('Stopping connector that started after init timed out: [%s::%s]', category, id);
+                connector.stop(request.id).fail(function(err) {
+                    this._logger.warn('Error stopping abandoned connector: [%s::%s]', category, id, err);
+                }.bind(this));
+            }
+        }.bind(this), function() {
+            // Init failures are handled by the caller.
+        });
+    }
+
+    return _q(promise).timeout(timeout, new TimeoutError(message, timeout))
+        .fail(function(err) {
+            if(err instanceof TimeoutError) {
+                timedOut = true;
+                this._logger.error(message + '. RequestId: [%s]', request.id);
+                request.logError(message);
+                if(typeof connector.markFailed === 'function') {
+                    connector.markFailed(err.message);
+                }
+            }
+            throw err;
+        }.bind(this));
+};
+
+/**
+ * @class Controller
+ * @method _formatError
+ * @private
+ */
+Controller.prototype._formatError = function(err) {
+    if (err === null || typeof err === 'undefined') {
+        return null;
+    }
+    return (err instanceof Error) ? err.message : err.toString();
+};
+
+/**
+ * Returns the lifecycle state of a connector. Connectors that do not report
+ * their own state are assumed to be active or inactive based on the result
+ * of isActive().
+ *
+ * @class Controller
+ * @method _getConnectorState
+ * @private
+ */
+Controller.prototype._getConnectorState = function(connectorInfo) {
+    var connector = connectorInfo.connector;
+    if (typeof connector.getState === 'function') {
+        return connector.getState();
+    }
+    var isActive = (typeof connector.isActive === 'function') && connector.isActive();
+    return {
+        state: isActive ? Connector.STATE_ACTIVE : Connector.STATE_INACTIVE,
+        error: null,
+        timestamp: null
+    };
+};
+
+/**
+ * @class Controller
+ * @method _generateConnectorInfo
+ * @private
+ */
+Controller.prototype._generateConnectorInfo = function(connectorGroup, configSection) {
+    var map = {};
+    for (var key in connectorGroup) {
+        var config = configSection[key];
+        config = config || { };
+        var connectorInfo = connectorGroup[key];
+        if(connectorInfo.connector) {
+            map[key] = {
+                connector: connectorInfo.connector,
+                actionPending: connectorInfo.actionPending,
+                state: this._getConnectorState(connectorInfo),
+                result: connectorInfo.result || null,
+                type: config.type,
+                config: config.config
+            };
+        }
+    }
+    return map;
+};
+
+/**
+ * @class Controller
+ * @method _createHealthInfo
+ * @private
+ */
+Controller.prototype._createHealthInfo = function() {
+    return {
+        healthy: null,
+        consecutiveFailures: 0,
+        lastCheck: null,
+        error: null,
+        details: null,
+        pending: null
+    };
+};
+
+/**
+ * Checks the health of a single connector, and updates the health record
+ * maintained for it. Connectors that do not implement health checks, or that
+ * are in the middle of an init/stop action are not checked.
+ *
+ * @class Controller
+ * @method _checkConnectorHealth
+ * @private
+ */
+Controller.prototype._checkConnectorHealth = function(category, id, request) {
+    var connectorInfo = this._getConnectorInfo(category)[id];
+    var connector = connectorInfo.connector;
+    var threshold = this._controllerConfig.healthCheckThreshold;
+    var health = connectorInfo.health;
+
+    if (!health || !connector || connectorInfo.actionPending ||
+        typeof connector.checkHealth !== 'function') {
+        return _q.resolve(health);
+    }
+    if (health.pending) {
+        return health.pending;
+    }
+
+    var timeoutMessage = _util.format('Health check timed out: [%s::%s]', category, id);
+    health.pending = _q(connector.checkHealth(request.id))
+        .timeout(this._controllerConfig.healthCheckTimeout, timeoutMessage)
+        .fail(function(err) {
+            return {
+                healthy: false,
+                error: err,
+                details: null
+            };
+        }).then(function(report) {
+            health.pending = null;
+            health.lastCheck = Date.now();
+            health.details = report.details || null;
+            if (report.healthy) {
+                if (health.healthy === false) {
+                    this._logger.info('Connector health restored: [%s::%s]. RequestId: [%s]', category, id, request.id);
+                    request.logInfo('Connector health restored: [%s::%s]', category, id);
+                }
+                health.healthy = true;
+                health.consecutiveFailures = 0;
+                health.error = null;
+            } else {
+                health.consecutiveFailures++;
+                health.error = this._formatError(report.error);
+                if (health.consecutiveFailures === threshold) {
+                    this._logger.warn('Connector is unhealthy: [%s::%s]. Error: [%s]. RequestId: [%s]', category, id, health.error, request.id);
+                    request.logWarn('Connector is unhealthy: [%s::%s]. Error: [%s]', category, id, health.error);
+                }
+                health.healthy = (health.consecutiveFailures < threshold && health.healthy !== false);
+            }
+            return health;
+        }.bind(this));
+
+    return health.pending;
+};
+
+/**
+ * @class Controller
+ * @method _probeConnectorHealth
+ * @private
+ */
+Controller.prototype._probeConnectorHealth = function() {
+    var request = new CncRequest({
+        requestId: DEFAULT_REQUEST_ID,
+        action: 'health_probe'
+    }, this._logDataHandler.bind(this));
+
+    [ CLOUD_CONNECTOR_CATEGORY, DEVICE_CONNECTOR_CATEGORY ].forEach(function(category) {
+        for (var id in this._getConnectorInfo(category)) {
+            this._checkConnectorHealth(category, id, request);
+        }
+    }.bind(this));
+};
+
+/**
+ * @class Controller
+ * @method _startHealthProbe
+ * @private
+ */
+Controller.prototype._startHealthProbe = function() {
+    var interval = this._controllerConfig.healthCheckInterval;
+    this._stopHealthProbe();
+    if (interval > 0) {
+        this._logger.info('Starting connector health probe. Interval: [%s]', interval);
+        this._healthProbeHandle = setInterval(this._probeConnectorHealth.bind(this), interval);
+    }
+};
+
+/**
+ * @class Controller
+ * @method _stopHealthProbe
+ * @private
+ */
+Controller.prototype._stopHealthProbe = function() {
+    if (this._healthProbeHandle) {
+        this._logger.info('Stopping connector health probe');
+        clearInterval(this._healthProbeHandle);
+        this._healthProbeHandle = null;
+    }
+};
+
+/**
+ * Prepares data emitted by a device connector for delivery to the cloud
+ * connectors. Data that is suppressed by the deadband filter of the device
+ * connector is dropped, and the remaining data is delivered.
+ *
+ * @class Controller
+ * @method _processDeviceData
+ * @private
+ */
+Controller.prototype._processDeviceData = function(id, data) {
+    var connectorInfo = this._getConnectorInfo(DEVICE_CONNECTOR_CATEGORY)[id];
+    if(connectorInfo && connectorInfo.deadband) {
+        data = connectorInfo.deadband.filter(data);
+        if(data === null) {
+            this._logger.debug('Data suppressed by deadband: [%s::%s]', DEVICE_CONNECTOR_CATEGORY, id);
+            return;
+        }
+    }
+    this._deliverDeviceData(id, data);
+};
+
+/**
+ * Passes data from a device connector through the transform pipeline of the
+ * device connector. The transformed data is evaluated by the rules engine,
+ * if rules have been defined, unless it is a heartbeat that repeats data
+ * that has already been evaluated. If the device connector aggregates its
+ * data, records are then added to the current window instead of being
+ * delivered immediately.
+ *
+ * @class Controller
+ * @method _deliverDeviceData
+ * @private
+ */
+Controller.prototype._deliverDeviceData = function(id, data, isHeartbeat) {
+    var connectorInfo = this._getConnectorInfo(DEVICE_CONNECTOR_CATEGORY)[id];
+    if(connectorInfo && connectorInfo.transform) {
+        var errors = [];
+        data = connectorInfo.transform.transform(data, errors);
+        this._reportTransformErrors(id, errors);
+        if(data === null) {
+            return;
+        }
+    }
+    if(this._rulesEngine && !isHeartbeat) {
+        this._rulesEngine.evaluate(id, data);
+    }
+    if(connectorInfo && connectorInfo.aggregator) {
+        // Aggregated records are delivered when their windows end.
+        data = connectorInfo.aggregator.add(data);
+        if(data === null) {
+            return;
+        }
+    }
+    this._deviceDataHandler(data, id);
+};
+
 /**
- * Note that this method assumes that a valid connector has been defined with
- * the specified category/id.
- *
- * ** NO additional validation checks will be performed here **
+ * Reports errors that occurred while transforming data emitted by a device
+ * connector. The records that could not be transformed are dropped, but the
+ * connector itself is not considered to be at fault.
  *
  * @class Controller
- * @method _stopConnector
+ * @method _reportTransformErrors
  * @private
  */
-Controller.prototype._stopConnector = function(category, id, request) {
-    var group = this._getConnectorInfo(category);
-    var connectorInfo = group[id];
-    connectorInfo.promise = connectorInfo.promise
-    .then(this._passthroughSuccess, this._passthroughFail.bind(this))
-    .then(function() {
-        this._logger.info('Stopping connector: [%s::%s]. RequestId: [%s]', category, id, request.id);
-        request.logInfo('Stopping connector: [%s::%s]', category, id);
-        connectorInfo.actionPending = true;
-
-        var promise = null;
-        if(connectorInfo.connector) {
-            var promise = connectorInfo.connector.stop(request.id).fin(function() {
-                this._logger.info('Connector stopped: [%s::%s]. RequestId: [%s]', category, id, request.id);
-                request.logInfo('Connector stopped:: [%s::%s]', category, id);
-
-                connectorInfo.actionPending = false;
-                connectorInfo.connector.removeAllListeners(Connector.DATA_EVENT);
-                this._logger.info('Destroying connector: [%s::%s]. RequestId: [%s]', category, id, request.id);
-                request.logInfo('Destroying connector:: [%s::%s]', category, id);
-                connectorInfo.connector = null;
-            }.bind(this));
-            return promise;
-        } else {
-            request.logWarn('Aborting stop. Connector not running [%s::%s]', category, id);
-            var message = _util.format('Aborting stop. Connector not active [%s::%s]. RequestId: [%s]', category, id, request.id);
-            this._logger.warn(message);
-            throw new Error(message);
-        }
+Controller.prototype._reportTransformErrors = function(id, errors) {
+    if(errors.length <= 0) {
+        return;
+    }
+    var request = new CncRequest({
+        requestId: DEFAULT_REQUEST_ID,
+        action: 'transform_data',
+        category: DEVICE_CONNECTOR_CATEGORY,
+        id: id
+    }, this._logDataHandler.bind(this));
+    errors.forEach(function(error) {
+        this._logger.warn('Error transforming data: [%s::%s]. Error: [%s]', DEVICE_CONNECTOR_CATEGORY, id, error);
+        request.logWarn('Error transforming data: [%s::%s]. Error: [%s]', DEVICE_CONNECTOR_CATEGORY, id, error);
     }.bind(this));
+};
 
-    return connectorInfo;
+/**
+ * Replaces the rules engine of the controller, stopping the previous engine
+ * (if any), and starting the new one.
+ *
+ * @class Controller
+ * @method _setRulesEngine
+ * @private
+ */
+Controller.prototype._setRulesEngine = function(rulesEngine) {
+    if(this._rulesEngine) {
+        this._rulesEngine.stop();
+    }
+    this._rulesEngine = rulesEngine;
+    if(rulesEngine) {
+        rulesEngine.start(this._ruleEventHandler.bind(this));
+    }
 };
 
 /**
+ * Executes the actions of a rule that has been raised or cleared. Alarm
+ * actions produce an alarm record that is delivered to the cloud connectors
+ * as if it had been emitted by the device connector that triggered the
+ * rule, so that alarms can be routed like any other data. Send actions add
+ * data to a device connector.
+ *
  * @class Controller
- * @method _generateConnectorInfo
+ * @method _ruleEventHandler
  * @private
  */
-Controller.prototype._generateConnectorInfo = function(connectorGroup, configSection) {
-    var map = {};
-    for (var key in connectorGroup) {
-        var config = configSection[key];
-        config = config || { };
-        var connectorInfo = connectorGroup[key];
-        if(connectorInfo.connector) {
-            map[key] = {
-                connector: connectorInfo.connector,
-                actionPending: connectorInfo.actionPending,
-                result: connectorInfo.result || null,
-                type: config.type,
-                config: config.config
+Controller.prototype._ruleEventHandler = function(event) {
+    this._logger.info('Rule %s: [%s]. Source: [%s::%s]', event.state, event.rule, DEVICE_CONNECTOR_CATEGORY, event.source);
+    event.actions.forEach(function(action) {
+        if(action.type === 'alarm') {
+            var alarm = {
+                type: 'alarm',
+                rule: event.rule,
+                state: event.state,
+                severity: action.severity || 'warning',
+                source: event.source,
+                timestamp: event.timestamp,
+                record: event.record
             };
+            if(typeof action.message !== 'undefined') {
+                alarm.message = action.message;
+            }
+            if(event.hasOwnProperty('key')) {
+                alarm.key = event.key;
+            }
+            this._deviceDataHandler(alarm, event.source);
+        } else if((action.on || RulesEngine.RAISED) === event.state) {
+            this._execRuleSendAction(event.rule, action.to, action.data);
         }
+    }.bind(this));
+};
+
+/**
+ * Adds data to a device connector on behalf of a rule. Errors are logged
+ * to the cloud, but do not affect the connector or the rule.
+ *
+ * @class Controller
+ * @method _execRuleSendAction
+ * @private
+ */
+Controller.prototype._execRuleSendAction = function(ruleId, id, data) {
+    var request = new CncRequest({
+        requestId: DEFAULT_REQUEST_ID,
+        action: 'rule_action',
+        category: DEVICE_CONNECTOR_CATEGORY,
+        id: id
+    }, this._logDataHandler.bind(this));
+    var connectorInfo = this._getConnectorInfo(DEVICE_CONNECTOR_CATEGORY)[id];
+    if(!connectorInfo || !connectorInfo.connector) {
+        this._logger.warn('Cannot execute rule action. Connector not initialized: [%s::%s]. Rule: [%s]', DEVICE_CONNECTOR_CATEGORY, id, ruleId);
+        request.logWarn('Cannot execute rule action. Connector not initialized: [%s::%s]. Rule: [%s]', DEVICE_CONNECTOR_CATEGORY, id, ruleId);
+        return;
+    }
+    try {
+        connectorInfo.connector.addData(_clone(data));
+    } catch(ex) {
+        this._logger.warn('Error executing rule action: [%s::%s]. Rule: [%s]', DEVICE_CONNECTOR_CATEGORY, id, ruleId, ex);
+        request.logWarn('Error executing rule action: [%s::%s]. Rule: [%s]. Error: [%s]', DEVICE_CONNECTOR_CATEGORY, id, ruleId, this._formatError(ex));
     }
-    return map;
 };
 
 /**
+ * Delivers data emitted by a device connector to the cloud connectors. Data
+ * is delivered to all cloud connectors, unless the config defines routes,
+ * in which case each cloud connector only receives the records that are
+ * routed to it. Alarm records are only delivered when the state of the
+ * alarm changes. Payloads that are arrays (for example, the records of
+ * completed aggregation windows) are added to the cloud connectors record by
+ * record.
+ *
  * @class Controller
  * @method _deviceDataHandler
  * @private
  */
-Controller.prototype._deviceDataHandler = function(data) {
+Controller.prototype._deviceDataHandler = function(data, sourceId) {
+    data = this._alarmManager.filter(sourceId, data);
+    if(data === null) {
+        this._logger.debug('Duplicate alarm suppressed: [%s::%s]', DEVICE_CONNECTOR_CATEGORY, sourceId);
+        return;
+    }
     var group = this._getConnectorInfo(CLOUD_CONNECTOR_CATEGORY);
+    var deliveries = null;
+    if(this._router) {
+        var errors = [];
+        deliveries = this._router.route(sourceId, data, Object.keys(group), errors);
+        this._reportTransformErrors(sourceId, errors);
+    }
     for (var id in group) {
         var connectorInfo = group[id];
-        if(connectorInfo && connectorInfo.connector) {
-            connectorInfo.connector.addData(data);
+        var payload = deliveries ? deliveries[id] : data;
+        if(connectorInfo && connectorInfo.connector &&
+           typeof payload !== 'undefined') {
+            this._addCloudData(id, connectorInfo.connector, payload);
         }
     }
 };
 
+/**
+ * Adds a data payload to a cloud connector, one record at a time.
+ *
+ * @class Controller
+ * @method _addCloudData
+ * @private
+ */
+Controller.prototype._addCloudData = function(id, connector, payload) {
+    var records = (payload instanceof Array) ? payload : [ payload ];
+    records.forEach(function(record) {
+        try {
+            connector.addData(record);
+        } catch (ex) {
+            // A connector with a full buffer may reject data. This should
+            // not prevent delivery to the other connectors.
+            this._logger.warn('Error adding data to cloud connector: [%s]', id, ex);
+        }
+    }.bind(this));
+};
+
 /**
  * @class Controller
  * @method _logDataHandler
@@ -510,6 +1513,24 @@ Controller.prototype._processCloudCommand = function(request) {
             return this._execListConnectorsCommand(cmd.category, request);
         case GET_CONNECTOR_CONFIG_ACTION:
             return this._execGetConnectorConfigAction(cmd.category, cmd.id, request);
+        case GET_HEALTH_ACTION:
+            return this._execGetHealthCommand(cmd.category, cmd.id, request);
+        case GET_METRICS_ACTION:
+            return this._execGetMetricsCommand(cmd.category, cmd.id, request);
+        case POLL_NOW_ACTION:
+            return this._execPollNowCommand(cmd.category, cmd.id, cmd.group, request);
+        case ACK_ALARM_ACTION:
+            return this._execAckAlarmCommand(cmd.id, cmd.user, request);
+        case LIST_ALARMS_ACTION:
+            return this._execListAlarmsCommand(request);
+        case PAUSE_CONNECTOR_ACTION:
+            return this._execPauseCommand(cmd.category, cmd.id, request, false);
+        case RESUME_CONNECTOR_ACTION:
+            return this._execPauseCommand(cmd.category, cmd.id, request, true);
+        case PAUSE_ALL_CONNECTORS_ACTION:
+        case RESUME_ALL_CONNECTORS_ACTION:
+            return this._execPauseAllCommand(cmd.category, request,
+                                        cmd.action === RESUME_ALL_CONNECTORS_ACTION);
         case STOP_ALL_CONNECTORS_ACTION:
             if(!cmd.category) {
                 this._stopConnectorGroup(CLOUD_CONNECTOR_CATEGORY, request);
@@ -592,6 +1613,51 @@ Controller.prototype._execStopCommand = function(category, id, request) {
     return false;
 };
 
+/**
+ * @class Controller
+ * @method _execPauseCommand
+ * @private
+ */
+Controller.prototype._execPauseCommand = function(category, id, request, resume) {
+    var action = resume ? 'resume' : 'pause';
+    if(!this._isValidConnectorCategory(category)) {
+        this._logger.error('Invalid connector category specified: [%s]. RequestId: [%s]', category, request.id);
+        request.completeError('Invalid connector category specified: [%s::%s]', category, id);
+        return false;
+    }
+    var group = this._getConnectorInfo(category);
+    var connectorInfo = group[id];
+    if(!connectorInfo) {
+        this._logger.warn('Cannot %s connector. Connector not initialized: [%s::%s]. RequestId: [%s]', action, category, id, request.id);
+        request.completeError('Cannot %s connector. Connector not initialized: [%s::%s]', action, category, id);
+        return false;
+    }
+    this._pauseConnector(category, id, request, resume)
+        .promise.then(request.getSuccessHandler(), request.getErrorHandler());
+    return false;
+};
+
+/**
+ * @class Controller
+ * @method _execPauseAllCommand
+ * @private
+ */
+Controller.prototype._execPauseAllCommand = function(category, request, resume) {
+    var promises = [];
+    if(!category) {
+        promises = this._pauseConnectorGroup(CLOUD_CONNECTOR_CATEGORY, request, resume)
+            .concat(this._pauseConnectorGroup(DEVICE_CONNECTOR_CATEGORY, request, resume));
+    } else if(this._isValidConnectorCategory(category)) {
+        promises = this._pauseConnectorGroup(category, request, resume);
+    } else {
+        this._logger.error('Invalid connector category specified: [%s]. RequestId: [%s]', category, request.id);
+        request.completeError('Invalid connector category specified: [%s]', category);
+        return false;
+    }
+    _q.all(promises).then(request.getSuccessHandler(), request.getErrorHandler());
+    return false;
+};
+
 /**
  * @class Controller
  * @method _execStartCommand
@@ -610,6 +1676,10 @@ Controller.prototype._execStartCommand = function(category, id, request) {
         request.completeError('Cannot start connector. No config defined: [%s::%s]', category, id);
         return false;
     };
+    var connectorInfo = this._getConnectorInfo(category)[id];
+    if(connectorInfo) {
+        connectorInfo.restart.attempts = 0;
+    }
     this._initConnector(category, id, request)
         .promise.then(request.getSuccessHandler(), request.getErrorHandler());
     return false;
@@ -638,12 +1708,13 @@ Controller.prototype._execListConnectorsCommand = function(category, request) {
         var config = this._getConnectorConfig(category);
         var connectorMap = this._generateConnectorInfo(group, config);
         for(var id in connectorMap) {
-            var connectorInfo = connectorMap[id];
-            var state = (connectorInfo.actionPending)? 'waiting':'ready';
+            var state = connectorMap[id].state;
             response.push({
                 id: id,
                 category: category,
-                state: state
+                state: state.state,
+                error: this._formatError(state.error),
+                timestamp: state.timestamp
             });
         }
     }.bind(this));
@@ -651,6 +1722,183 @@ Controller.prototype._execListConnectorsCommand = function(category, request) {
     return false;
 };
 
+/**
+ * @class Controller
+ * @method _execGetHealthCommand
+ * @private
+ */
+Controller.prototype._execGetHealthCommand = function(category, id, request) {
+    var categories;
+    if(typeof category === 'undefined') {
+        categories = [ CLOUD_CONNECTOR_CATEGORY, DEVICE_CONNECTOR_CATEGORY ];
+    } else if(!this._isValidConnectorCategory(category)) {
+        this._logger.error('Invalid connector category specified: [%s]. RequestId: [%s]', category, request.id);
+        request.completeError('Invalid connector category specified: [%s]', category);
+        return false;
+    } else {
+        categories = [ category ];
+    }
+
+    var targets = [];
+    categories.forEach(function(category) {
+        var group = this._getConnectorInfo(category);
+        for(var connectorId in group) {
+            if(group[connectorId].connector &&
+               (typeof id === 'undefined' || id === connectorId)) {
+                targets.push({ category: category, id: connectorId });
+            }
+        }
+    }.bind(this));
+
+    if(typeof id !== 'undefined' && targets.length <= 0) {
+        this._logger.warn('Cannot get connector health. Connector not initialized: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.completeError('Cannot get connector health. Connector not initialized: [%s::%s]', category, id);
+        return false;
+    }
+
+    var promises = targets.map(function(target) {
+        return this._checkConnectorHealth(target.category, target.id, request);
+    }.bind(this));
+
+    _q.all(promises).then(function() {
+        var response = targets.map(function(target) {
+            var connectorInfo = this._getConnectorInfo(target.category)[target.id];
+            var health = connectorInfo.health || this._createHealthInfo();
+            var state = (connectorInfo.connector) ?
+                            this._getConnectorState(connectorInfo).state : null;
+            return {
+                id: target.id,
+                category: target.category,
+                state: state,
+                healthy: health.healthy,
+                consecutiveFailures: health.consecutiveFailures,
+                lastCheck: health.lastCheck,
+                error: health.error,
+                details: health.details
+            };
+        }.bind(this));
+        request.completeOk(response);
+    }.bind(this));
+
+    return false;
+};
+
+/**
+ * @class Controller
+ * @method _execGetMetricsCommand
+ * @private
+ */
+Controller.prototype._execGetMetricsCommand = function(category, id, request) {
+    if(typeof category !== 'undefined' && !this._isValidConnectorCategory(category)) {
+        this._logger.error('Invalid connector category specified: [%s]. RequestId: [%s]', category, request.id);
+        request.completeError('Invalid connector category specified: [%s]', category);
+        return false;
+    }
+    var metrics = this.getMetrics();
+    var response = metrics;
+    if(typeof category !== 'undefined') {
+        response = {};
+        response[category] = metrics[category];
+        if(typeof id !== 'undefined') {
+            if(!metrics[category].hasOwnProperty(id)) {
+                this._logger.warn('Cannot get connector metrics. Connector not initialized: [%s::%s]. RequestId: [%s]', category, id, request.id);
+                request.completeError('Cannot get connector metrics. Connector not initialized: [%s::%s]', category, id);
+                return false;
+            }
+            response[category] = {};
+            response[category][id] = metrics[category][id];
+        }
+    }
+    request.completeOk(response);
+    return false;
+};
+
+/**
+ * Polls a connector out of band, and completes the request with the data
+ * produced by the poll. The poll is not queued behind other actions on the
+ * connector, but the connector will not start the poll while another poll
+ * of the same group is running.
+ *
+ * @class Controller
+ * @method _execPollNowCommand
+ * @private
+ */
+Controller.prototype._execPollNowCommand = function(category, id, pollGroup, request) {
+    if(!this._isValidConnectorCategory(category)) {
+        this._logger.error('Invalid connector category specified: [%s]. RequestId: [%s]', category, request.id);
+        request.completeError('Invalid connector category specified: [%s::%s]', category, id);
+        return false;
+    }
+    var group = this._getConnectorInfo(category);
+    var connectorInfo = group[id];
+    if(!connectorInfo) {
+        this._logger.warn('Cannot poll connector. Connector not initialized: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.completeError('Cannot poll connector. Connector not initialized: [%s::%s]', category, id);
+        return false;
+    }
+    var connector = connectorInfo.connector;
+    if(!connector) {
+        this._logger.warn('Cannot poll connector. Connector not active: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.completeError('Cannot poll connector. Connector not active: [%s::%s]', category, id);
+        return false;
+    }
+    if(typeof connector.pollNow !== 'function') {
+        this._logger.warn('Cannot poll connector. Connector does not support on demand polling: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.completeError('Cannot poll connector. Connector does not support on demand polling: [%s::%s]', category, id);
+        return false;
+    }
+
+    this._logger.info('Connector poll requested: [%s::%s]. RequestId: [%s]', category, id, request.id);
+    request.logInfo('Connector poll requested: [%s::%s]', category, id);
+    _q.fcall(connector.pollNow.bind(connector, pollGroup, request.id)).then(function(result) {
+        this._logger.info('Connector poll completed: [%s::%s]. RequestId: [%s]', category, id, request.id);
+        request.completeOk(result);
+    }.bind(this), function(err) {
+        this._logger.error('Error polling connector: [%s::%s]. RequestId: [%s]', category, id, request.id, err);
+        request.completeError('Error polling connector: [%s::%s]. Error: [%s]', category, id, this._formatError(err));
+    }.bind(this)).done();
+    return false;
+};
+
+/**
+ * Acknowledges an alarm tracked by the controller, and completes the request
+ * with the acknowledged alarm.
+ *
+ * @class Controller
+ * @method _execAckAlarmCommand
+ * @private
+ */
+Controller.prototype._execAckAlarmCommand = function(id, user, request) {
+    if(typeof id !== 'string' || id.length <= 0) {
+        this._logger.error('Invalid alarm id specified: [%s]. RequestId: [%s]', id, request.id);
+        request.completeError('Invalid alarm id specified: [%s]', id);
+        return false;
+    }
+    var alarm = null;
+    try {
+        alarm = this._alarmManager.acknowledge(id, user);
+    } catch(ex) {
+        this._logger.warn('Cannot acknowledge alarm. Alarm not defined: [%s]. RequestId: [%s]', id, request.id);
+        request.completeError('Cannot acknowledge alarm. Alarm not defined: [%s]', id);
+        return false;
+    }
+    this._logger.info('Alarm acknowledged: [%s]. RequestId: [%s]', id, request.id);
+    request.completeOk(alarm);
+    return false;
+};
+
+/**
+ * Completes the request with the list of alarms tracked by the controller.
+ *
+ * @class Controller
+ * @method _execListAlarmsCommand
+ * @private
+ */
+Controller.prototype._execListAlarmsCommand = function(request) {
+    request.completeOk(this._alarmManager.list());
+    return false;
+};
+
 /**
  * @class Controller
  * @method _execGetConnectorConfigAction
@@ -708,6 +1956,24 @@ Controller.prototype._execSendDataCommand = function(category, id, data, request
     return false;
 };
 
+/**
+ * Validates a connector config entry using the checks that are applied to
+ * the config file when the controller is initialized (see configValidator),
+ * so that the updated config can always be loaded again. Returns an error
+ * message if the entry is invalid.
+ *
+ * @class Controller
+ * @method _validateConnectorConfig
+ * @private
+ */
+Controller.prototype._validateConnectorConfig = function(category, id, config) {
+    var section = (category === CLOUD_CONNECTOR_CATEGORY) ? 'cloudConnectors' :
+                                                            'deviceConnectors';
+    var errors = _configValidator.validateConnector(section, id, config,
+                                                    this._config, this._connectorTypes);
+    return (errors.length > 0) ? 'Invalid configuration: ' + errors.join('; ') : null;
+};
+
 /**
  * @class Controller
  * @method _execUpdateConfigCommand
@@ -726,9 +1992,26 @@ Controller.prototype._execUpdateConfigCommand = function(category, id, config, r
         request.completeError('Cannot update connector config. Invalid config specified: [%s::%s]', category, id, config);
         return false;
     }
+    var configError = this._validateConnectorConfig(category, id, config);
+    if(configError) {
+        this._logger.warn('Cannot update connector config. %s: [%s::%s]. RequestId: [%s]', configError, category, id, request.id);
+
+        request.completeError('Cannot update connector config. %s: [%s::%s]', configError, category, id);
+        return false;
+    }
     var configSection = this._getConnectorConfig(category);
+    var oldConfig = configSection[id];
     configSection[id] = config;
-    request.completeOk();
+
+    var connectorInfo = this._getConnectorInfo(category)[id];
+    var connector = connectorInfo && connectorInfo.connector;
+    if(connector && typeof connector.reconfigure === 'function' &&
+       oldConfig && oldConfig.type === config.type) {
+        this._reconfigureConnector(category, id, request)
+            .then(request.getSuccessHandler(), request.getErrorHandler());
+    } else {
+        request.completeOk();
+    }
     return true;
 };
 
@@ -777,6 +2060,9 @@ Controller.prototype._execUpdateConnectorTypeCommand = function(type, modulePath
 };
 
 /**
+ * Writes the current configuration back to the config file, in the format
+ * that the file was originally loaded in.
+ *
  * @class Controller
  * @method _writeFile
  * @private
@@ -784,7 +2070,8 @@ Controller.prototype._execUpdateConnectorTypeCommand = function(type, modulePath
 Controller.prototype._writeFile = function(request) {
     var def = _q.defer();
     this._logger.debug('Writing configuration to file: [%s]', this._configFilePath);
-    _fs.writeFile(this._configFilePath, JSON.stringify(this._config, null, 4), function(err) {
+    var contents = _configFile.stringify(this._config, this._configSource);
+    _fs.writeFile(this._configFilePath, contents, function(err) {
         if (err) {
             this._logger.error('Error writing to configuration file: [%s]', this._configFilePath);
             request.logError('Error writing to configuration file: [%s]', this._configFilePath, err);
@@ -837,6 +2124,12 @@ Controller.prototype.isActive = function() {
  * Initializes the controller by loading configuration and starting up
  * connectors based on configuration.
  *
+ * See configFile for the config file formats, and configValidator for the
+ * checks applied before any connectors are started. Options of connector
+ * entries are described by RestartPolicy, DeadbandFilter, TransformPipeline
+ * and WindowAggregator, and the "routes" and "rules" sections by DataRouter
+ * and RulesEngine. See AlarmManager for the handling of alarm records.
+ *
  * @class Controller
  * @method init
  * @param {String} configFilePath The path to a config file from which core
@@ -869,24 +2162,24 @@ Controller.prototype.init = function(configFilePath, requestId) {
             this._logger.info('Config file read successfully: [%s]', configFilePath);
             try {
                 var message = '';
-                data = JSON.parse(data);
-                if (!this._hasConfigSection(data, 'connectorTypes')) {
-                    message = 'Config does not define the connectorTypes section';
-                    this._logger.error(message);
-                    return def.reject(message);
-                }
-                if (!this._hasConfigSection(data, 'cloudConnectors')) {
-                    message = 'Config does not define the cloudConnectors section';
-                    this._logger.error(message);
-                    return def.reject(message);
-                }
-                if (!this._hasConfigSection(data, 'deviceConnectors')) {
-                    message = 'Config does not define the deviceConnectors section';
+                var configFile = _configFile.parse(data, configFilePath);
+                this._configSource = configFile.source;
+                data = configFile.config;
+                var typeMap = this._hasConfigSection(data, 'connectorTypes') ?
+                                this._loadConnectorTypes(data.connectorTypes, request) : {};
+                var errors = _configValidator.validate(data, typeMap);
+                if (errors.length > 0) {
+                    message = 'Invalid configuration: ' + errors.join('; ');
                     this._logger.error(message);
                     return def.reject(message);
                 }
+                this._router = (typeof data.routes !== 'undefined') ?
+                                new DataRouter(data.routes) : null;
+                this._setRulesEngine((typeof data.rules !== 'undefined') ?
+                                new RulesEngine(data.rules) : null);
                 this._config = _clone(data);
-                this._initConnectorTypes(request);
+                this._initConnectorTypes(request, typeMap);
+                this._startHealthProbe();
 
                 var promises = [];
 
@@ -932,6 +2225,8 @@ Controller.prototype.stop = function(requestId) {
     var promises = [];
 
     this._shutdownFlag = true;
+    this._stopHealthProbe();
+    this._setRulesEngine(null);
     promises = promises.concat(this._stopConnectorGroup(CLOUD_CONNECTOR_CATEGORY, request));
     promises = promises.concat(this._stopConnectorGroup(DEVICE_CONNECTOR_CATEGORY, request));
 
@@ -973,4 +2268,31 @@ Controller.prototype.getDeviceConnectors = function() {
         this._config.deviceConnectors);
 };
 
+/**
+ * Returns runtime metrics for all initialized connectors, grouped by
+ * connector category. Connectors that do not track metrics are reported
+ * with null metrics.
+ *
+ * @class Controller
+ * @method getMetrics
+ * @return {Object} An object with "cloud" and "device" properties, each of
+ *              which maps connector ids to connector metrics.
+ */
+Controller.prototype.getMetrics = function() {
+    var metrics = {};
+    [ CLOUD_CONNECTOR_CATEGORY, DEVICE_CONNECTOR_CATEGORY ].forEach(function(category) {
+        var group = this._getConnectorInfo(category);
+        metrics[category] = {};
+        for (var id in group) {
+            var connector = group[id].connector;
+            if (connector) {
+                metrics[category][id] = (typeof connector.getMetrics === 'function') ?
+                    connector.getMetrics() : null;
+            }
+        }
+    }.bind(this));
+
+    return metrics;
+};
+
 module.exports = Controller;
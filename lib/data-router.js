@@ -0,0 +1,174 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _matchHelper = require('./match-helper');
+var TransformPipeline = require('./transform-pipeline');
+
+var ALL_CONNECTORS = '*';
+
+/**
+ * Routes data records emitted by device connectors to cloud connectors, based
+ * on a list of routing rules. Each rule selects the device connectors that it
+ * applies to, the cloud connectors that should receive the data, and an
+ * optional set of conditions that records must match. A record is delivered
+ * to every cloud connector selected by any of the rules that it matches, and
+ * is dropped if it does not match any rule.
+ *
+ * Rules may also transform the records that they deliver. If a record
+ * matches multiple rules that select the same cloud connector, the record is
+ * delivered to that connector once, using the first of those rules.
+ *
+ * @class DataRouter
+ * @constructor
+ * @param {Array} routes An array of routing rules, each of which is an
+ *          object with the following properties:
+ *          - from: The id of a device connector, an array of device
+ *            connector ids, or "*" for all device connectors. Defaults to
+ *            "*".
+ *          - to: The id of a cloud connector, an array of cloud connector
+ *            ids, or "*" for all cloud connectors.
+ *          - match: An optional map of field paths to conditions, all of
+ *            which must be met by a record for the rule to apply. A
+ *            condition is either a value that the field must be equal to,
+ *            or an object with one or more of the following operators: eq,
+ *            ne, gt, gte, lt, lte, in (an array of allowed values) and
+ *            exists (true or false).
+ *          - transform: An optional array of transform steps to apply to
+ *            the records delivered by the rule. See TransformPipeline for
+ *            the supported steps.
+ */
+function DataRouter(routes) {
+    if (!(routes instanceof Array)) {
+        throw new Error('Invalid routes specified (arg #1)');
+    }
+    this._routes = routes.map(function(route, index) {
+        var path = 'routes[' + index + ']';
+        if (!route || route instanceof Array || typeof route !== 'object') {
+            throw new Error(path + ': must be of type object');
+        }
+        if (typeof route.to === 'undefined') {
+            throw new Error(path + '.to: is required');
+        }
+        var parseIds = function(property, defaultValue) {
+            var ids = route[property];
+            try {
+                return _matchHelper.parseConnectorIds((typeof ids === 'undefined') ? defaultValue : ids);
+            } catch (ex) {
+                throw new Error(path + '.' + property + ': ' + ex.message);
+            }
+        };
+        var transform = null;
+        if (typeof route.transform !== 'undefined') {
+            if (!(route.transform instanceof Array)) {
+                throw new Error(path + '.transform: must be of type array');
+            }
+            transform = new TransformPipeline(route.transform, path + '.transform');
+        }
+        return {
+            from: parseIds('from', ALL_CONNECTORS),
+            to: parseIds('to'),
+            conditions: _matchHelper.parseConditions(route.match, path + '.match'),
+            transform: transform
+        };
+    });
+}
+
+/**
+ * Returns a map of the ids of the cloud connectors that should receive a
+ * single record, to the first route that delivers the record to each of
+ * them.
+ *
+ * @class DataRouter
+ * @method _selectRoutes
+ * @private
+ */
+DataRouter.prototype._selectRoutes = function(sourceId, record, targetIds) {
+    var selected = {};
+    this._routes.forEach(function(route) {
+        if ((route.from && route.from.indexOf(sourceId) < 0) ||
+            !_matchHelper.isMatch(route.conditions, record)) {
+            return;
+        }
+        (route.to || targetIds).forEach(function(id) {
+            if (!selected.hasOwnProperty(id)) {
+                selected[id] = route;
+            }
+        });
+    }.bind(this));
+    return selected;
+};
+
+/**
+ * Returns the ids of the cloud connectors that should receive a single
+ * record.
+ *
+ * @class DataRouter
+ * @method getTargets
+ * @param {String} sourceId The id of the device connector that emitted the
+ *          record.
+ * @param {Object} record The data record.
+ * @param {Array} targetIds The ids of all of the available cloud
+ *          connectors.
+ * @return {Array} The ids of the cloud connectors that should receive the
+ *          record, in the order in which they appear in targetIds.
+ */
+DataRouter.prototype.getTargets = function(sourceId, record, targetIds) {
+    var selected = this._selectRoutes(sourceId, record, targetIds);
+    return targetIds.filter(function(id) {
+        return selected.hasOwnProperty(id);
+    });
+};
+
+/**
+ * Routes a data payload emitted by a device connector. Payloads that are
+ * arrays are routed record by record, and each cloud connector receives an
+ * array of the records routed to it. Records that cannot be transformed by
+ * a route are not delivered by that route, and the errors are added to an
+ * (optional) error array.
+ *
+ * @class DataRouter
+ * @method route
+ * @param {String} sourceId The id of the device connector that emitted the
+ *          payload.
+ * @param {Object|Array} data The data payload.
+ * @param {Array} targetIds The ids of all of the available cloud
+ *          connectors.
+ * @param {Array} [errors] An array to which the messages of any transform
+ *          errors are added.
+ * @return {Object} A map of cloud connector ids to the payloads that they
+ *          should receive. Connectors that should not receive any data are
+ *          omitted.
+ */
+DataRouter.prototype.route = function(sourceId, data, targetIds, errors) {
+    errors = errors || [];
+    var deliveries = {};
+    var isArray = data instanceof Array;
+    [].concat(data).forEach(function(record) {
+        var selected = this._selectRoutes(sourceId, record, targetIds);
+        var transformed = {};
+        targetIds.forEach(function(id) {
+            var route = selected[id];
+            if (!route) {
+                return;
+            }
+            var routeIndex = this._routes.indexOf(route);
+            if (!transformed.hasOwnProperty(routeIndex)) {
+                transformed[routeIndex] = route.transform ?
+                    route.transform.transform(record, errors) : record;
+            }
+            var result = transformed[routeIndex];
+            if (result === null) {
+                return;
+            }
+            if (isArray) {
+                deliveries[id] = deliveries[id] || [];
+                deliveries[id].push(result);
+            } else {
+                deliveries[id] = result;
+            }
+        }.bind(this));
+    }.bind(this));
+    return deliveries;
+};
+
+module.exports = DataRouter;
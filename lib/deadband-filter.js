@@ -0,0 +1,276 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _clone = require('clone');
+var _fieldPath = require('./field-path');
+
+/**
+ * Checks if a value is a finite number.
+ *
+ * @private
+ */
+function _isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Implements report by exception for device data. A record is only passed
+ * on if at least one of the configured fields has moved outside its deadband
+ * since the last record that was passed on, or if the heartbeat interval has
+ * elapsed since then. Each field is compared against the value that was
+ * last passed on, and not the value that was last seen, so that slow drifts
+ * are still reported once they exceed the deadband.
+ *
+ * Records are tracked independently for every distinct value of the key
+ * field, if one has been configured. Records that do not contain any of the
+ * configured fields are always passed on.
+ *
+ * Once the filter has been started, the last record that was passed on for
+ * each key is also republished every time the heartbeat interval elapses
+ * without a new record being passed on, so that heartbeats are sent even if
+ * the device stops producing data. If a maximum age has been configured,
+ * heartbeats for a key stop once no record has been seen for that key for
+ * longer than the maximum age, so that devices that have stopped reporting
+ * are not hidden by their heartbeats. They resume with the next record.
+ *
+ * @class DeadbandFilter
+ * @constructor
+ * @param {Object} config The filter configuration, an object with the
+ *          following properties:
+ *          - fields: A map of field paths to deadbands. Field paths may be
+ *            dot separated paths to nested fields, for example
+ *            "data.temperature". Each deadband is an object with an
+ *            "absolute" threshold, a "percent" threshold (relative to the
+ *            last reported value), or both, in which case a change that
+ *            exceeds either threshold is reported. Non numeric fields are
+ *            reported whenever their value changes.
+ *          - key: An optional path to a field that identifies the source of
+ *            a record, for connectors that emit data for multiple devices.
+ *          - heartbeatInterval: An optional interval (in milliseconds) after
+ *            which the last reported record is reported again, even if none
+ *            of the fields have changed. Defaults to 0, which disables
+ *            heartbeats.
+ *          - heartbeatMaxAge: An optional age (in milliseconds) after which
+ *            heartbeats for a key stop, if no records have been seen for
+ *            that key. Defaults to 0, which sends heartbeats indefinitely.
+ */
+function DeadbandFilter(config) {
+    if (!config || config instanceof Array || typeof config !== 'object') {
+        throw new Error('Invalid deadband config specified (arg #1)');
+    }
+    var fields = config.fields;
+    if (!fields || fields instanceof Array || typeof fields !== 'object' ||
+        Object.keys(fields).length <= 0) {
+        throw new Error('Deadband config does not define a valid fields property');
+    }
+    this._fields = {};
+    Object.keys(fields).forEach(function(path) {
+        var deadband = fields[path];
+        var isValid = function(value) {
+            return typeof value === 'undefined' || (_isNumber(value) && value >= 0);
+        };
+        if (!deadband || deadband instanceof Array || typeof deadband !== 'object' ||
+            !isValid(deadband.absolute) || !isValid(deadband.percent)) {
+            throw new Error('Deadband config does not define a valid deadband for field: ' + path);
+        }
+        this._fields[path] = {
+            absolute: deadband.absolute,
+            percent: deadband.percent
+        };
+    }.bind(this));
+
+    if (typeof config.key !== 'undefined' &&
+        (typeof config.key !== 'string' || config.key.length <= 0)) {
+        throw new Error('Deadband config does not define a valid key property');
+    }
+    this._key = config.key || null;
+
+    var heartbeatInterval = config.heartbeatInterval;
+    if (typeof heartbeatInterval !== 'undefined' &&
+        (!_isNumber(heartbeatInterval) || heartbeatInterval < 0)) {
+        throw new Error('Deadband config does not define a valid heartbeatInterval property');
+    }
+    this._heartbeatInterval = heartbeatInterval || 0;
+
+    var heartbeatMaxAge = config.heartbeatMaxAge;
+    if (typeof heartbeatMaxAge !== 'undefined' &&
+        (!_isNumber(heartbeatMaxAge) || heartbeatMaxAge < 0)) {
+        throw new Error('Deadband config does not define a valid heartbeatMaxAge property');
+    }
+    this._heartbeatMaxAge = heartbeatMaxAge || 0;
+
+    this._lastReported = {};
+    this._handler = null;
+    this._timers = {};
+}
+
+/**
+ * Checks if a single field has moved outside of its deadband.
+ *
+ * @class DeadbandFilter
+ * @method _hasChanged
+ * @private
+ */
+DeadbandFilter.prototype._hasChanged = function(deadband, previous, current) {
+    if (!_isNumber(previous) || !_isNumber(current)) {
+        return previous !== current;
+    }
+    var delta = Math.abs(current - previous);
+    var hasThreshold = false;
+    if (typeof deadband.absolute === 'number') {
+        hasThreshold = true;
+        if (delta > deadband.absolute) {
+            return true;
+        }
+    }
+    if (typeof deadband.percent === 'number') {
+        hasThreshold = true;
+        if (previous === 0) {
+            return delta > 0;
+        }
+        if (delta * 100 / Math.abs(previous) > deadband.percent) {
+            return true;
+        }
+    }
+    return !hasThreshold && delta > 0;
+};
+
+/**
+ * Schedules the heartbeat for a key, replacing any heartbeat that has
+ * already been scheduled for it. Heartbeats are only scheduled while the
+ * filter is started, and are not scheduled once the last record seen for the
+ * key is older than the maximum heartbeat age.
+ *
+ * @class DeadbandFilter
+ * @method _scheduleHeartbeat
+ * @private
+ */
+DeadbandFilter.prototype._scheduleHeartbeat = function(key) {
+    if (!this._handler || this._heartbeatInterval <= 0) {
+        return;
+    }
+    clearTimeout(this._timers[key]);
+    this._timers[key] = setTimeout(function() {
+        delete this._timers[key];
+        var last = this._lastReported[key];
+        var now = Date.now();
+        if (this._heartbeatMaxAge > 0 && now - last.seen >= this._heartbeatMaxAge) {
+            return;
+        }
+        last.time = now;
+        this._scheduleHeartbeat(key);
+        this._handler(_clone(last.record));
+    }.bind(this), this._heartbeatInterval);
+};
+
+/**
+ * Determines whether or not a record should be reported, and updates the
+ * last reported values if it should.
+ *
+ * @class DeadbandFilter
+ * @method accept
+ * @param {Object} record The record to check.
+ * @param {Number} [now=Date.now()] The current time, in milliseconds since
+ *          the epoch.
+ * @return {Boolean} True if the record should be reported, false if it
+ *          should be suppressed.
+ */
+DeadbandFilter.prototype.accept = function(record, now) {
+    if (!record || typeof record !== 'object') {
+        return true;
+    }
+    now = (typeof now === 'number') ? now : Date.now();
+
+    var values = {};
+    var hasFields = false;
+    for (var path in this._fields) {
+        values[path] = _fieldPath.getValue(record, path);
+        hasFields = hasFields || typeof values[path] !== 'undefined';
+    }
+    if (!hasFields) {
+        return true;
+    }
+
+    var key = this._key ? String(_fieldPath.getValue(record, this._key)) : '';
+    var last = this._lastReported[key];
+    var report = !last ||
+        (this._heartbeatInterval > 0 && now - last.time >= this._heartbeatInterval);
+    for (path in this._fields) {
+        if (report) {
+            break;
+        }
+        report = this._hasChanged(this._fields[path], last.values[path], values[path]);
+    }
+
+    if (report) {
+        this._lastReported[key] = {
+            time: now,
+            seen: now,
+            values: values,
+            record: (this._heartbeatInterval > 0) ? _clone(record) : null
+        };
+        this._scheduleHeartbeat(key);
+    } else {
+        last.seen = now;
+    }
+    return report;
+};
+
+/**
+ * Filters a data payload emitted by a device connector. Payloads that are
+ * arrays are filtered record by record.
+ *
+ * @class DeadbandFilter
+ * @method filter
+ * @param {Object|Array} data The data payload to filter.
+ * @param {Number} [now=Date.now()] The current time, in milliseconds since
+ *          the epoch.
+ * @return {Object|Array} The payload that should be reported, or null if the
+ *          entire payload should be suppressed.
+ */
+DeadbandFilter.prototype.filter = function(data, now) {
+    if (data instanceof Array) {
+        var records = data.filter(function(record) {
+            return this.accept(record, now);
+        }.bind(this));
+        return (records.length > 0) ? records : null;
+    }
+    return this.accept(data, now) ? data : null;
+};
+
+/**
+ * Starts republishing the last reported record for each key whenever the
+ * heartbeat interval elapses without a new record being reported. This
+ * method has no effect on the filter if heartbeats have not been enabled.
+ *
+ * @class DeadbandFilter
+ * @method start
+ * @param {Function} handler A function that is invoked with a copy of the
+ *          last reported record every time a heartbeat is due.
+ */
+DeadbandFilter.prototype.start = function(handler) {
+    if (typeof handler !== 'function') {
+        throw new Error('Invalid handler specified (arg #1)');
+    }
+    this.stop();
+    this._handler = handler;
+    for (var key in this._lastReported) {
+        this._scheduleHeartbeat(key);
+    }
+};
+
+/**
+ * Stops the heartbeats started by the start() method.
+ *
+ * @class DeadbandFilter
+ * @method stop
+ */
+DeadbandFilter.prototype.stop = function() {
+    for (var key in this._timers) {
+        clearTimeout(this._timers[key]);
+    }
+    this._timers = {};
+    this._handler = null;
+};
+
+module.exports = DeadbandFilter;
@@ -0,0 +1,76 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+/**
+ * Utility module that resolves dot separated field paths, such as
+ * "data.temperature", within data records.
+ *
+ * @module fieldPath
+ */
+module.exports = {
+    /**
+     * Returns the value at a field path within a record.
+     *
+     * @module fieldPath
+     * @method getValue
+     * @param {Object} record The record to read the value from.
+     * @param {String} path The dot separated path to the field.
+     * @return {*} The value of the field, or undefined if the record does
+     *          not contain the field.
+     */
+    getValue: function(record, path) {
+        var tokens = path.split('.');
+        var value = record;
+        for (var index = 0; index < tokens.length; index++) {
+            if (!value || typeof value !== 'object') {
+                return undefined;
+            }
+            value = value[tokens[index]];
+        }
+        return value;
+    },
+
+    /**
+     * Sets the value at a field path within a record, creating any missing
+     * intermediate objects along the way.
+     *
+     * @module fieldPath
+     * @method setValue
+     * @param {Object} record The record to update.
+     * @param {String} path The dot separated path to the field.
+     * @param {*} value The value to set.
+     */
+    setValue: function(record, path, value) {
+        var tokens = path.split('.');
+        var parent = record;
+        for (var index = 0; index < tokens.length - 1; index++) {
+            var child = parent[tokens[index]];
+            if (!child || typeof child !== 'object') {
+                child = {};
+                parent[tokens[index]] = child;
+            }
+            parent = child;
+        }
+        parent[tokens[tokens.length - 1]] = value;
+    },
+
+    /**
+     * Removes the field at a field path from a record.
+     *
+     * @module fieldPath
+     * @method deleteValue
+     * @param {Object} record The record to update.
+     * @param {String} path The dot separated path to the field.
+     * @return {Boolean} True if the field existed, false otherwise.
+     */
+    deleteValue: function(record, path) {
+        var index = path.lastIndexOf('.');
+        var parent = (index < 0) ? record : this.getValue(record, path.substring(0, index));
+        var key = path.substring(index + 1);
+        if (!parent || typeof parent !== 'object' || !parent.hasOwnProperty(key)) {
+            return false;
+        }
+        delete parent[key];
+        return true;
+    }
+};
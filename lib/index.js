@@ -59,5 +59,39 @@ module.exports = {
      * @readonly
      * @final
      */
-    CncRequest: require('./cnc-request')
+    CncRequest: require('./cnc-request'),
+
+    /**
+     * Returns the type definition for the error that is raised when a
+     * connector does not start or stop in time.
+     *
+     * @module iotClientLibrary
+     * @property TimeoutError
+     * @readonly
+     * @final
+     */
+    TimeoutError: require('./timeout-error'),
+
+    /**
+     * Returns a reference to the config validator object, which can be used
+     * to validate controller config files without starting a controller.
+     *
+     * @module iotClientLibrary
+     * @property configValidator
+     * @readonly
+     * @final
+     */
+    configValidator: require('./config-validator'),
+
+    /**
+     * Returns a reference to the config file object, which can be used to
+     * read and write controller config files in any of the supported
+     * formats.
+     *
+     * @module iotClientLibrary
+     * @property configFile
+     * @readonly
+     * @final
+     */
+    configFile: require('./config-file')
 };
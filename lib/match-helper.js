@@ -0,0 +1,141 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _fieldPath = require('./field-path');
+
+var ALL_CONNECTORS = '*';
+
+var _operators = {
+    eq: function(value, operand) {
+        return value === operand;
+    },
+    ne: function(value, operand) {
+        return value !== operand;
+    },
+    gt: function(value, operand) {
+        return typeof value === typeof operand && value > operand;
+    },
+    gte: function(value, operand) {
+        return typeof value === typeof operand && value >= operand;
+    },
+    lt: function(value, operand) {
+        return typeof value === typeof operand && value < operand;
+    },
+    lte: function(value, operand) {
+        return typeof value === typeof operand && value <= operand;
+    },
+    in: function(value, operand) {
+        return operand.indexOf(value) >= 0;
+    },
+    exists: function(value, operand) {
+        return (typeof value !== 'undefined') === operand;
+    }
+};
+
+/**
+ * Utility module that parses and evaluates the connector selectors and
+ * record match conditions used by routes and rules.
+ *
+ * @module matchHelper
+ */
+module.exports = {
+    /**
+     * Parses a list of connector ids, which may either be a single id, an
+     * array of ids, or "*" to select all connectors.
+     *
+     * @module matchHelper
+     * @method parseConnectorIds
+     * @param {String|Array} ids The connector ids to parse.
+     * @return {Array} An array of connector ids, or null if all connectors
+     *          have been selected.
+     * @throws {Error} An error if the list of ids is invalid.
+     */
+    parseConnectorIds: function(ids) {
+        if (ids === ALL_CONNECTORS) {
+            return null;
+        }
+        if (typeof ids === 'string' && ids.length > 0) {
+            return [ ids ];
+        }
+        if (!(ids instanceof Array) || ids.length <= 0) {
+            throw new Error('must be "*", a connector id or an array of connector ids');
+        }
+        ids.forEach(function(id) {
+            if (typeof id !== 'string' || id.length <= 0) {
+                throw new Error('must be "*", a connector id or an array of connector ids');
+            }
+        });
+        return ids.slice();
+    },
+
+    /**
+     * Parses a map of field paths to match conditions into a list of field
+     * conditions. A condition is either a value that the field must be equal
+     * to, or an object with one or more of the following operators: eq, ne,
+     * gt, gte, lt, lte, in (an array of allowed values) and exists (true or
+     * false).
+     *
+     * @module matchHelper
+     * @method parseConditions
+     * @param {Object} [match] The map of field paths to conditions.
+     * @param {String} path The path of the map within the config, used to
+     *          identify invalid conditions in error messages.
+     * @return {Array} The list of parsed conditions. The list is empty if
+     *          the map is undefined.
+     * @throws {Error} An error if any of the conditions are invalid.
+     */
+    parseConditions: function(match, path) {
+        var conditions = [];
+        if (typeof match === 'undefined') {
+            return conditions;
+        }
+        if (!match || match instanceof Array || typeof match !== 'object') {
+            throw new Error(path + ': must be of type object');
+        }
+        Object.keys(match).forEach(function(field) {
+            var condition = match[field];
+            var fieldPath = path + '.' + field;
+            if (!condition || condition instanceof Array || typeof condition !== 'object') {
+                conditions.push({ field: field, operator: 'eq', operand: condition });
+                return;
+            }
+            Object.keys(condition).forEach(function(operator) {
+                var operand = condition[operator];
+                if (!_operators.hasOwnProperty(operator)) {
+                    throw new Error(fieldPath + ': unsupported operator "' + operator + '"');
+                }
+                if (operator === 'in' && !(operand instanceof Array)) {
+                    throw new Error(fieldPath + '.in: must be of type array');
+                }
+                if (operator === 'exists' && typeof operand !== 'boolean') {
+                    throw new Error(fieldPath + '.exists: must be of type boolean');
+                }
+                conditions.push({ field: field, operator: operator, operand: operand });
+            });
+        });
+        return conditions;
+    },
+
+    /**
+     * Checks if a record meets all of the conditions in a list of parsed
+     * conditions.
+     *
+     * @module matchHelper
+     * @method isMatch
+     * @param {Array} conditions The list of conditions returned by
+     *          parseConditions().
+     * @param {Object} record The record to check.
+     * @return {Boolean} True if the record meets all of the conditions,
+     *          false otherwise.
+     */
+    isMatch: function(conditions, record) {
+        for (var index = 0; index < conditions.length; index++) {
+            var condition = conditions[index];
+            var value = _fieldPath.getValue(record, condition.field);
+            if (!_operators[condition.operator](value, condition.operand)) {
+                return false;
+            }
+        }
+        return true;
+    }
+};
@@ -0,0 +1,343 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var MINUTE = 60 * 1000;
+var HOUR = 60 * MINUTE;
+var DAY = 24 * HOUR;
+
+// Upper limit on the number of days that will be searched for a matching
+// cron time. Expressions that do not match within this window (for example,
+// "0 0 30 2 *") are treated as never firing.
+var MAX_SEARCH_DAYS = 366 * 5;
+
+var CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * Parses a single cron field, and returns a lookup table of the values that
+ * the field matches, or null if the field is invalid.
+ *
+ * @private
+ */
+function _parseCronField(text, field) {
+    var values = [];
+    var parts = text.split(',');
+
+    for (var index = 0; index < parts.length; index++) {
+        var match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(parts[index]);
+        if (!match) {
+            return null;
+        }
+        var start = field.min;
+        var end = field.max;
+        var step = (typeof match[4] === 'undefined') ? 1 : parseInt(match[4], 10);
+        if (match[1] !== '*') {
+            start = parseInt(match[2], 10);
+            end = (typeof match[3] === 'undefined') ?
+                ((typeof match[4] === 'undefined') ? start : field.max) :
+                parseInt(match[3], 10);
+        }
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            return null;
+        }
+        for (var value = start; value <= end; value += step) {
+            values[value] = true;
+        }
+    }
+    if (field.name === 'dayOfWeek' && values[7]) {
+        values[0] = true;
+    }
+    return values;
+}
+
+/**
+ * Parses a five field cron expression.
+ *
+ * @private
+ */
+function _parseCron(expression) {
+    var fields = expression.trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        return null;
+    }
+
+    var cron = {};
+    for (var index = 0; index < CRON_FIELDS.length; index++) {
+        var field = CRON_FIELDS[index];
+        var values = _parseCronField(fields[index], field);
+        if (!values) {
+            return null;
+        }
+        cron[field.name] = values;
+    }
+    // Follows standard cron semantics - if both the day of month and the day
+    // of week are restricted, a day that matches either field matches.
+    cron.restrictDayOfMonth = fields[2] !== '*';
+    cron.restrictDayOfWeek = fields[4] !== '*';
+
+    return cron;
+}
+
+/**
+ * Describes the times at which a polling connector should poll, either as a
+ * cron expression, or as a fixed interval that is aligned to the wall clock.
+ * All times are evaluated in the configured timezone, or in the local
+ * timezone of the process if no timezone has been specified.
+ *
+ * Because every poll time is calculated from the wall clock instead of from
+ * the previous poll, schedules do not drift over long uptimes.
+ *
+ * @class PollSchedule
+ * @constructor
+ * @param {Object|String} config The schedule configuration. This may either
+ *          be a cron expression, or an object with the following properties:
+ *          - cron: A five field cron expression (minute, hour, day of month,
+ *            month, day of week). Fields may contain values, ranges, steps
+ *            and lists, for example "0,30 8-17/2 * * 1-5".
+ *          - interval: The interval (in milliseconds) between polls. Polls
+ *            are aligned to multiples of the interval from local midnight,
+ *            so an interval of 900000 polls at the top of every 15 minutes.
+ *            Exactly one of cron or interval must be specified.
+ *          - offset: An optional offset (in milliseconds) to apply to aligned
+ *            intervals. For example, an interval of 3600000 with an offset of
+ *            300000 polls at five minutes past every hour.
+ *          - timezone: An optional IANA timezone name, such as
+ *            "America/New_York".
+ */
+function PollSchedule(config) {
+    if (typeof config === 'string') {
+        config = {
+            cron: config
+        };
+    }
+    if (!config || config instanceof Array || typeof config !== 'object') {
+        throw new Error('Invalid schedule specified (arg #1)');
+    }
+
+    var hasCron = typeof config.cron !== 'undefined';
+    var hasInterval = typeof config.interval !== 'undefined';
+    if (hasCron === hasInterval) {
+        throw new Error('Schedule must define exactly one of the cron or interval properties');
+    }
+
+    this._cron = null;
+    this._interval = 0;
+    this._offset = 0;
+    this._timezone = null;
+    this._formatter = null;
+
+    if (hasCron) {
+        this._cron = (typeof config.cron === 'string') ? _parseCron(config.cron) : null;
+        if (!this._cron) {
+            throw new Error('Schedule does not define a valid cron property');
+        }
+    } else {
+        if (typeof config.interval !== 'number' || isNaN(config.interval) ||
+            config.interval <= 0) {
+            throw new Error('Schedule does not define a valid interval property');
+        }
+        this._interval = config.interval;
+        if (typeof config.offset !== 'undefined') {
+            if (typeof config.offset !== 'number' || isNaN(config.offset) ||
+                config.offset < 0) {
+                throw new Error('Schedule does not define a valid offset property');
+            }
+            this._offset = config.offset % config.interval;
+        }
+    }
+
+    if (typeof config.timezone !== 'undefined') {
+        if (typeof config.timezone !== 'string' || config.timezone.length <= 0) {
+            throw new Error('Schedule does not define a valid timezone property');
+        }
+        try {
+            this._formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: config.timezone,
+                hour12: false,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        } catch (ex) {
+            throw new Error('Schedule does not define a valid timezone property');
+        }
+        this._timezone = config.timezone;
+    }
+}
+
+/**
+ * Returns the offset (in milliseconds) of the schedule timezone from UTC at
+ * the specified time.
+ *
+ * @class PollSchedule
+ * @method _getTimezoneOffset
+ * @private
+ */
+PollSchedule.prototype._getTimezoneOffset = function(time) {
+    if (!this._formatter) {
+        return -(new Date(time).getTimezoneOffset()) * MINUTE;
+    }
+    var fields = {};
+    this._formatter.formatToParts(new Date(time)).forEach(function(part) {
+        fields[part.type] = parseInt(part.value, 10);
+    });
+    var wallTime = Date.UTC(fields.year, fields.month - 1, fields.day,
+                            fields.hour % 24, fields.minute, fields.second);
+    return wallTime - (time - (time % 1000 + 1000) % 1000);
+};
+
+/**
+ * Converts a UTC time into wall clock time in the schedule timezone. Wall
+ * clock times are represented as milliseconds since the epoch, as if the
+ * wall clock were in UTC.
+ *
+ * @class PollSchedule
+ * @method _toWallTime
+ * @private
+ */
+PollSchedule.prototype._toWallTime = function(time) {
+    return time + this._getTimezoneOffset(time);
+};
+
+/**
+ * Converts a wall clock time in the schedule timezone into UTC. Wall clock
+ * times that occur twice resolve to the first occurrence. Wall clock times
+ * that do not exist in the timezone (for example, when clocks are moved
+ * forward for daylight saving time) resolve to the first instant after the
+ * gap, which is when cron runs jobs that fall into the gap.
+ *
+ * @class PollSchedule
+ * @method _fromWallTime
+ * @private
+ */
+PollSchedule.prototype._fromWallTime = function(wallTime) {
+    var before = this._getTimezoneOffset(wallTime - DAY);
+    var after = this._getTimezoneOffset(wallTime + DAY);
+    var result = null;
+    [ before, after ].forEach(function(offset) {
+        var time = wallTime - offset;
+        if (this._toWallTime(time) === wallTime && (result === null || time < result)) {
+            result = time;
+        }
+    }.bind(this));
+    if (result !== null) {
+        return result;
+    }
+
+    // Search (to the second) for the instant at which the clocks moved
+    // forward, which lies between the two candidate times.
+    var low = (wallTime - after) / 1000;
+    var high = (wallTime - before) / 1000;
+    while (high - low > 1) {
+        var middle = Math.floor((low + high) / 2);
+        if (this._getTimezoneOffset(middle * 1000) === before) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return high * 1000;
+};
+
+/**
+ * Calculates the next time that matches the cron expression.
+ *
+ * @class PollSchedule
+ * @method _getNextCronTime
+ * @private
+ */
+PollSchedule.prototype._getNextCronTime = function(fromTime) {
+    var cron = this._cron;
+    var wallTime = this._toWallTime(fromTime);
+    wallTime = wallTime - (wallTime % MINUTE + MINUTE) % MINUTE + MINUTE;
+    var limit = wallTime + MAX_SEARCH_DAYS * DAY;
+
+    while (wallTime < limit) {
+        var date = new Date(wallTime);
+        var dayStart = wallTime - (wallTime % DAY + DAY) % DAY;
+
+        if (!cron.month[date.getUTCMonth() + 1]) {
+            wallTime = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+            continue;
+        }
+
+        var domMatch = !!cron.dayOfMonth[date.getUTCDate()];
+        var dowMatch = !!cron.dayOfWeek[date.getUTCDay()];
+        var dayMatch = (cron.restrictDayOfMonth && cron.restrictDayOfWeek) ?
+            (domMatch || dowMatch) : (domMatch && dowMatch);
+        if (!dayMatch) {
+            wallTime = dayStart + DAY;
+            continue;
+        }
+
+        if (!cron.hour[date.getUTCHours()]) {
+            wallTime = wallTime - (wallTime % HOUR + HOUR) % HOUR + HOUR;
+            continue;
+        }
+
+        if (!cron.minute[date.getUTCMinutes()]) {
+            wallTime += MINUTE;
+            continue;
+        }
+
+        var time = this._fromWallTime(wallTime);
+        if (time > fromTime) {
+            return time;
+        }
+        wallTime += MINUTE;
+    }
+    return null;
+};
+
+/**
+ * Calculates the next time that is aligned to the interval.
+ *
+ * @class PollSchedule
+ * @method _getNextIntervalTime
+ * @private
+ */
+PollSchedule.prototype._getNextIntervalTime = function(fromTime) {
+    var wallTime = this._toWallTime(fromTime);
+    var dayStart = wallTime - (wallTime % DAY + DAY) % DAY;
+    var elapsed = wallTime - dayStart - this._offset;
+    var next = dayStart + this._offset +
+        (Math.floor(elapsed / this._interval) + 1) * this._interval;
+
+    var time = this._fromWallTime(next);
+    if (time <= fromTime) {
+        // The aligned time is repeated by a daylight saving transition. Fall
+        // back to the elapsed interval.
+        time = fromTime + (next - wallTime);
+    }
+    return time;
+};
+
+/**
+ * Calculates the next time at which a poll should occur.
+ *
+ * @class PollSchedule
+ * @method getNextTime
+ * @param {Number} [fromTime=Date.now()] The time (in milliseconds since the
+ *          epoch) after which the next poll should occur.
+ * @return {Number} The time of the next poll, in milliseconds since the epoch,
+ *          or null if the schedule will never fire again.
+ */
+PollSchedule.prototype.getNextTime = function(fromTime) {
+    if (typeof fromTime !== 'number') {
+        fromTime = Date.now();
+    }
+    if (this._cron) {
+        return this._getNextCronTime(fromTime);
+    }
+    return this._getNextIntervalTime(fromTime);
+};
+
+module.exports = PollSchedule;
@@ -5,9 +5,34 @@ var _util = require('util');
 var _clone = require('clone');
 var _q = require('q');
 var Connector = require('./connector');
+var TimeoutError = require('./timeout-error');
+var PollSchedule = require('./poll-schedule');
+var _configSchema = require('./config-schema');
+
+var DEFAULT_REQUEST_ID = 'na';
+var POLLING_PROPERTIES = [ 'pollFrequency', 'schedule', 'pollTimeout',
+                            'overrunPolicy', 'adaptivePolling', 'pollGroups' ];
+
+// Node.js timers fire immediately if the delay exceeds a signed 32 bit
+// integer, so longer delays are broken up into multiple timers.
+var MAX_TIMER_DELAY = 2147483647;
 
 /**
- * Base class for a connector, with built in polling functionality.
+ * Base class for a connector, with built in polling functionality. The
+ * _process() method is invoked once per poll, and may return a promise for
+ * asynchronous work. Polls never overlap - a poll that is due while the
+ * previous poll is still running is either skipped, or queued to run as soon
+ * as the previous poll completes, depending on the overrunPolicy property of
+ * the connector config.
+ *
+ * Connectors may also define multiple named poll groups, each with its own
+ * schedule and its own set of tags. Every group is polled independently by
+ * invoking _process() with a description of the group, but all groups share
+ * the connector, and therefore any connection that the connector owns.
+ *
+ * A poll that fails or times out is not treated as a fault of the connector.
+ * It is logged, counted in the connector metrics, and reported as a
+ * "pollError" event, and polling continues on schedule.
  *
  * @class PollingConnector
  * @constructor
@@ -15,11 +40,239 @@ var Connector = require('./connector');
  */
 function PollingConnector(id) {
     PollingConnector.super_.call(this, id);
-    this._pollingHandle = null;
+    this._pollGroups = {};
+
+    this._metrics.currentPollFrequency = null;
+    this._metrics.pollGroups = {};
+    this._metrics.polls = 0;
+    this._metrics.skippedPolls = 0;
+    this._metrics.latePolls = 0;
+    this._metrics.timedOutPolls = 0;
+    this._metrics.failedPolls = 0;
 }
 
 _util.inherits(PollingConnector, Connector);
 
+/**
+ * Name of the poll group that is used when the connector config does not
+ * define any poll groups.
+ *
+ * @class PollingConnector
+ * @property DEFAULT_GROUP
+ * @static
+ * @readonly
+ */
+PollingConnector.DEFAULT_GROUP = 'default';
+
+/**
+ * Name of the event emitted by the connector when a poll fails or times out.
+ * The event is emitted with the error, and the name of the poll group.
+ *
+ * @class PollingConnector
+ * @event pollError
+ * @readonly
+ */
+PollingConnector.POLL_ERROR_EVENT = 'pollError';
+
+/**
+ * Config schema for the polling connector. Polling connectors must define
+ * exactly one of a positive pollFrequency (in milliseconds), a schedule, or
+ * a set of poll groups. A schedule may be a cron expression, or an object
+ * that describes a cron or aligned interval schedule (see PollSchedule).
+ * Connectors with a schedule poll at fixed wall clock times, instead of at
+ * fixed intervals from when the connector was started. Polling connectors
+ * may optionally define:
+ *  - pollTimeout: The time (in milliseconds) after which a pending poll is
+ *    abandoned and reported as an error. The next poll does not start until
+ *    the abandoned poll has completed. A value of 0 (the default) disables
+ *    the timeout.
+ *  - overrunPolicy: Either "skip" (the default), which drops polls that are
+ *    due while a previous poll is still running, or "queue", which runs one
+ *    such poll as soon as the previous poll completes.
+ *  - adaptivePolling: Adjusts the rate of polling based on the outcome of
+ *    each poll. This is only applicable when a pollFrequency has been
+ *    defined, and supports the following properties:
+ *      - minPollFrequency: The shortest interval (in milliseconds) between
+ *        polls (required).
+ *      - maxPollFrequency: The longest interval (in milliseconds) between
+ *        polls (required).
+ *      - backoffMultiplier: The factor by which the interval grows after
+ *        each failed poll (default 2).
+ *      - speedupFactor: The factor by which the interval shrinks when a poll
+ *        returns a reading that differs from the previous reading by more
+ *        than the changeThreshold (default 0.5).
+ *      - changeThreshold: The amount by which numeric readings must differ
+ *        to be considered a change (default 0).
+ *    The interval returns to the pollFrequency once polls succeed again, or
+ *    once readings stop changing.
+ *  - pollGroups: A map of named poll groups. Each group must define exactly
+ *    one of a pollFrequency or a schedule, and may define pollTimeout,
+ *    overrunPolicy and adaptivePolling properties, as well as an array of
+ *    tags to poll. Groups inherit the pollTimeout and overrunPolicy of the
+ *    connector if they do not define their own.
+ *
+ * @class PollingConnector
+ * @property configSchema
+ * @static
+ * @readonly
+ */
+PollingConnector.configSchema = {
+    pollFrequency: {
+        type: 'number',
+        min: 1
+    },
+    schedule: {},
+    pollTimeout: {
+        type: 'number',
+        min: 0
+    },
+    overrunPolicy: {
+        type: 'string',
+        enum: [ 'skip', 'queue' ]
+    },
+    adaptivePolling: {
+        type: 'object',
+        properties: {
+            minPollFrequency: {
+                type: 'number',
+                required: true,
+                min: 1
+            },
+            maxPollFrequency: {
+                type: 'number',
+                required: true,
+                min: 1
+            },
+            backoffMultiplier: {
+                type: 'number',
+                default: 2,
+                min: 1
+            },
+            speedupFactor: {
+                type: 'number',
+                default: 0.5,
+                min: 0,
+                max: 1
+            },
+            changeThreshold: {
+                type: 'number',
+                default: 0,
+                min: 0
+            }
+        }
+    },
+    pollGroups: {
+        type: 'object'
+    }
+};
+
+/**
+ * Schema for the config of an individual poll group.
+ *
+ * @private
+ */
+var POLL_GROUP_SCHEMA = {
+    pollFrequency: PollingConnector.configSchema.pollFrequency,
+    schedule: PollingConnector.configSchema.schedule,
+    pollTimeout: PollingConnector.configSchema.pollTimeout,
+    overrunPolicy: PollingConnector.configSchema.overrunPolicy,
+    adaptivePolling: PollingConnector.configSchema.adaptivePolling,
+    tags: {
+        type: 'array'
+    }
+};
+
+/**
+ * Checks that a connector or poll group config defines exactly one of the
+ * pollFrequency and schedule properties, and that the schedule and adaptive
+ * polling config are valid. Returns an error message if the config is
+ * invalid.
+ *
+ * @private
+ */
+function _checkPollingConfig(config, prefix) {
+    var hasFrequency = typeof config.pollFrequency !== 'undefined';
+    var hasSchedule = typeof config.schedule !== 'undefined';
+    var adaptive = config.adaptivePolling;
+
+    if (hasFrequency && hasSchedule) {
+        return prefix + 'pollFrequency: cannot be combined with a schedule';
+    } else if (!hasFrequency && !hasSchedule) {
+        return prefix + 'pollFrequency: is required when no schedule is defined';
+    }
+    if (adaptive) {
+        if (hasSchedule) {
+            return prefix + 'adaptivePolling: cannot be combined with a schedule';
+        } else if (adaptive.minPollFrequency > adaptive.maxPollFrequency) {
+            return prefix + 'adaptivePolling.maxPollFrequency: must not be less than minPollFrequency';
+        }
+    }
+    if (hasSchedule) {
+        try {
+            // Constructing the schedule validates it.
+            new PollSchedule(config.schedule); // jshint ignore:line
+        } catch (ex) {
+            return prefix + 'schedule: ' + ex.message;
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Extends config validation to ensure that the connector defines a valid
+ * polling configuration, either directly or through poll groups.
+ *
+ * @class PollingConnector
+ * @method _validateConfig
+ * @private
+ */
+PollingConnector.prototype._validateConfig = function(config) {
+    var result = PollingConnector.super_.prototype._validateConfig.call(this, config);
+    if (result.error) {
+        return result;
+    }
+
+    var groups = result.config.pollGroups;
+    var error = null;
+    if (typeof groups === 'undefined') {
+        error = _checkPollingConfig(result.config, '');
+    } else if (Object.keys(groups).length === 0) {
+        error = 'pollGroups: must define at least one poll group';
+    } else {
+        [ 'pollFrequency', 'schedule', 'adaptivePolling' ].forEach(function(property) {
+            if (!error && typeof result.config[property] !== 'undefined') {
+                error = property + ': cannot be combined with pollGroups';
+            }
+        });
+        Object.keys(groups).forEach(function(name) {
+            var prefix = 'pollGroups.' + name + '.';
+            var group = groups[name];
+            if (error) {
+                return;
+            }
+            if (!group || group instanceof Array || typeof group !== 'object') {
+                error = 'pollGroups.' + name + ': must be of type object';
+                return;
+            }
+            var validation = _configSchema.validate(POLL_GROUP_SCHEMA, group);
+            if (validation.errors.length > 0) {
+                error = validation.errors.map(function(message) {
+                    return prefix + message;
+                }).join('; ');
+                return;
+            }
+            groups[name] = validation.config;
+            error = _checkPollingConfig(validation.config, prefix);
+        });
+    }
+
+    if (error) {
+        result.error = 'Invalid connector configuration: ' + error;
+    }
+    return result;
+};
+
 /**
  * @class PollingConnector
  * @method _start
@@ -27,19 +280,332 @@ _util.inherits(PollingConnector, Connector);
  */
 PollingConnector.prototype._start = function() {
     var def = _q.defer();
-    if (typeof this._config.pollFrequency !== 'number' ||
-        this._config.pollFrequency <= 0) {
-        def.reject('Connector configuration does not define a valid pollFrequency property');
+    this._startPolling(this._config);
+    def.resolve();
+    return def.promise;
+};
+
+/**
+ * Returns the config that applies to a poll group. Settings that the group
+ * does not define are inherited from the connector config.
+ *
+ * @class PollingConnector
+ * @method _getGroupConfig
+ * @private
+ */
+PollingConnector.prototype._getGroupConfig = function(group, config) {
+    config = config || this._config;
+    if (group.name === PollingConnector.DEFAULT_GROUP && !config.pollGroups) {
+        return config;
+    }
+    var groupConfig = _clone(config.pollGroups[group.name]);
+    [ 'pollTimeout', 'overrunPolicy' ].forEach(function(property) {
+        if (typeof groupConfig[property] === 'undefined') {
+            groupConfig[property] = config[property];
+        }
+    });
+    return groupConfig;
+};
+
+/**
+ * Returns the state for the named poll group, creating it if necessary. Group
+ * state is retained when polling is restarted, so that a poll that is still
+ * running when the connector is reconfigured continues to block overlapping
+ * polls.
+ *
+ * @class PollingConnector
+ * @method _getPollGroup
+ * @private
+ */
+PollingConnector.prototype._getPollGroup = function(name) {
+    var group = this._pollGroups[name];
+    if (!group) {
+        group = {
+            name: name,
+            standalone: true,
+            handle: null,
+            schedule: null,
+            nextPollTime: null,
+            inProgress: false,
+            queued: false,
+            onDemand: [],
+            lastReading: undefined,
+            metrics: {
+                currentPollFrequency: null,
+                polls: 0,
+                skippedPolls: 0,
+                latePolls: 0,
+                timedOutPolls: 0,
+                failedPolls: 0
+            }
+        };
+        this._pollGroups[name] = group;
+    }
+    return group;
+};
+
+/**
+ * @class PollingConnector
+ * @method _startPolling
+ * @private
+ */
+PollingConnector.prototype._startPolling = function(config) {
+    if (this._isPolling()) {
+        this._stopPolling();
+        this._logger.info('Stopped exisitng polling');
+    }
+
+    var names = config.pollGroups ? Object.keys(config.pollGroups) :
+                                    [ PollingConnector.DEFAULT_GROUP ];
+    var groups = {};
+    this._metrics.pollGroups = {};
+    names.forEach(function(name) {
+        var group = this._getPollGroup(name);
+        var groupConfig = this._getGroupConfig(group, config);
+        groups[name] = group;
+        group.standalone = !config.pollGroups;
+        if (!group.standalone) {
+            this._metrics.pollGroups[name] = group.metrics;
+        }
+
+        if (typeof groupConfig.schedule !== 'undefined') {
+            group.schedule = new PollSchedule(groupConfig.schedule);
+            group.nextPollTime = null;
+            this._scheduleNextPoll(group);
+            this._logger.info('Polling initialized. Group: [%s]. Schedule: [%j]',
+                              name, groupConfig.schedule);
+        } else {
+            var frequency = groupConfig.pollFrequency;
+            var adaptive = groupConfig.adaptivePolling;
+            if (adaptive) {
+                frequency = Math.min(Math.max(frequency, adaptive.minPollFrequency),
+                                     adaptive.maxPollFrequency);
+            }
+            group.lastReading = undefined;
+            this._setPollFrequency(group, frequency);
+            this._logger.info('Polling initialized. Group: [%s]. Frequency: [%s]',
+                              name, frequency);
+        }
+    }.bind(this));
+
+    // Groups that are no longer configured are discarded. Any poll that is
+    // still running for such a group will complete without side effects.
+    this._pollGroups = groups;
+};
+
+/**
+ * Determines whether or not any poll group is currently being polled.
+ *
+ * @class PollingConnector
+ * @method _isPolling
+ * @private
+ */
+PollingConnector.prototype._isPolling = function() {
+    for (var name in this._pollGroups) {
+        if (this._pollGroups[name].handle) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Starts (or restarts) interval based polling of a group at the specified
+ * frequency.
+ *
+ * @class PollingConnector
+ * @method _setPollFrequency
+ * @private
+ */
+PollingConnector.prototype._setPollFrequency = function(group, frequency) {
+    if (group.handle) {
+        clearInterval(group.handle);
+    }
+    group.metrics.currentPollFrequency = frequency;
+    if (group.standalone) {
+        this._metrics.currentPollFrequency = frequency;
+    }
+    group.handle = setInterval(this._poll.bind(this, group), frequency);
+};
+
+/**
+ * Adjusts the polling frequency of a group after a poll has completed, if
+ * adaptive polling has been enabled. Failed polls back off exponentially, up
+ * to the maximum frequency. Readings that have changed since the previous
+ * poll speed polling up, down to the minimum frequency. Otherwise, the
+ * frequency moves back towards the configured pollFrequency.
+ *
+ * @class PollingConnector
+ * @method _adaptPollFrequency
+ * @private
+ */
+PollingConnector.prototype._adaptPollFrequency = function(group, succeeded, reading) {
+    if (!group.handle || group.schedule) {
+        return;
+    }
+    var groupConfig = this._getGroupConfig(group);
+    var adaptive = groupConfig.adaptivePolling;
+    if (!adaptive) {
+        return;
+    }
+    var baseFrequency = Math.min(Math.max(groupConfig.pollFrequency,
+                                          adaptive.minPollFrequency),
+                                 adaptive.maxPollFrequency);
+    var current = group.metrics.currentPollFrequency;
+    var next = current;
+
+    if (!succeeded) {
+        next = Math.min(current * adaptive.backoffMultiplier, adaptive.maxPollFrequency);
     } else {
-        if (this._pollingHandle) {
-            clearInterval(this._pollingHandle);
-            this._logger.info('Stopped exisitng polling');
+        var changed = typeof group.lastReading !== 'undefined' &&
+            this._hasReadingChanged(group.lastReading, reading, adaptive.changeThreshold);
+        group.lastReading = reading;
+
+        if (changed) {
+            next = Math.max(current * adaptive.speedupFactor, adaptive.minPollFrequency);
+        } else if (current > baseFrequency) {
+            next = baseFrequency;
+        } else if (current < baseFrequency) {
+            next = (adaptive.speedupFactor > 0) ?
+                Math.min(current / adaptive.speedupFactor, baseFrequency) : baseFrequency;
+        }
+    }
+
+    next = Math.round(next);
+    if (next !== current) {
+        this._logger.info('Adjusting poll frequency. Group: [%s]. From: [%s] to: [%s]',
+                          group.name, current, next);
+        this._setPollFrequency(group, next);
+    }
+};
+
+/**
+ * Determines whether or not a reading has changed since the previous poll.
+ * Numbers are considered to have changed if they differ by more than the
+ * threshold. Objects and arrays are compared property by property, and any
+ * other values are compared by identity. Inheriting connectors may override
+ * this method to compare readings in a different way.
+ *
+ * @class PollingConnector
+ * @method _hasReadingChanged
+ * @protected
+ * @param {*} previous The reading returned by the previous poll.
+ * @param {*} current The reading returned by the current poll.
+ * @param {Number} threshold The change threshold from the adaptive polling
+ *          config.
+ * @return {Boolean} True if the reading has changed, false otherwise.
+ */
+PollingConnector.prototype._hasReadingChanged = function(previous, current, threshold) {
+    if (typeof previous === 'number' && typeof current === 'number') {
+        return Math.abs(current - previous) > threshold;
+    }
+    if (previous && current && typeof previous === 'object' &&
+        typeof current === 'object') {
+        var keys = Object.keys(previous);
+        if (keys.length !== Object.keys(current).length) {
+            return true;
+        }
+        for (var index = 0; index < keys.length; index++) {
+            var key = keys[index];
+            if (!current.hasOwnProperty(key) ||
+                this._hasReadingChanged(previous[key], current[key], threshold)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    return previous !== current;
+};
+
+/**
+ * Starts a timer for the next scheduled poll of a group. The delay is
+ * recalculated from the current time for every poll, so that timer
+ * inaccuracies do not accumulate into drift.
+ *
+ * @class PollingConnector
+ * @method _scheduleNextPoll
+ * @private
+ */
+PollingConnector.prototype._scheduleNextPoll = function(group) {
+    var now = Date.now();
+    if (group.nextPollTime === null || group.nextPollTime <= now) {
+        group.nextPollTime = group.schedule.getNextTime(
+            Math.max(now, group.nextPollTime || 0));
+    }
+    if (group.nextPollTime === null) {
+        group.handle = null;
+        this._logger.warn('Poll schedule will never fire again. Polling stopped. Group: [%s]',
+                          group.name);
+        return;
+    }
+
+    var delay = Math.min(group.nextPollTime - now, MAX_TIMER_DELAY);
+    group.handle = setTimeout(function() {
+        if (Date.now() < group.nextPollTime) {
+            // The timer fired early, or the delay was too long for a single
+            // timer.
+            this._scheduleNextPoll(group);
+            return;
         }
-        this._pollingHandle = setInterval(this._process.bind(this),
-            this._config.pollFrequency);
-        this._logger.info('Polling initialized. Frequency: [%s]', this._config.pollFrequency);
-        def.resolve();
+        this._scheduleNextPoll(group);
+        this._poll(group);
+    }.bind(this), delay);
+};
+
+/**
+ * Applies changes to the polling properties in place, rescheduling polling
+ * if the pollFrequency, schedule, adaptive polling or poll group config has
+ * changed. Changes to any other properties are declined.
+ *
+ * @class PollingConnector
+ * @method _reconfigure
+ * @protected
+ */
+PollingConnector.prototype._reconfigure = function(newConfig, oldConfig, requestId) {
+    var changes = this._getConfigChanges(newConfig, oldConfig);
+    var supported = changes.filter(function(property) {
+        return POLLING_PROPERTIES.indexOf(property) >= 0;
+    });
+    if (supported.length === 0 || supported.length !== changes.length) {
+        return PollingConnector.super_.prototype._reconfigure.call(this,
+            newConfig, oldConfig, requestId);
+    }
+    var def = _q.defer();
+    var restart = changes.some(function(property) {
+        return property !== 'pollTimeout' && property !== 'overrunPolicy';
+    });
+    if (restart && this._state !== Connector.STATE_PAUSED) {
+        this._startPolling(newConfig);
     }
+    def.resolve(true);
+    return def.promise;
+};
+
+/**
+ * Suspends polling while the connector is paused.
+ *
+ * @class PollingConnector
+ * @method _pause
+ * @protected
+ */
+PollingConnector.prototype._pause = function() {
+    var def = _q.defer();
+    this._stopPolling();
+    def.resolve();
+    return def.promise;
+};
+
+/**
+ * Restarts polling when the connector is resumed.
+ *
+ * @class PollingConnector
+ * @method _resume
+ * @protected
+ */
+PollingConnector.prototype._resume = function() {
+    var def = _q.defer();
+    this._startPolling(this._config);
+    def.resolve();
     return def.promise;
 };
 
@@ -50,19 +616,225 @@ PollingConnector.prototype._start = function() {
  */
 PollingConnector.prototype._stop = function() {
     var def = _q.defer();
-    if (this._pollingHandle) {
-        this._logger.info('Polling stopped');
-        clearInterval(this._pollingHandle);
-    }
+    this._stopPolling();
     def.resolve();
     return def.promise;
 };
 
 /**
+ * @class PollingConnector
+ * @method _stopPolling
+ * @private
+ */
+PollingConnector.prototype._stopPolling = function() {
+    if (this._isPolling()) {
+        this._logger.info('Polling stopped');
+    }
+    for (var name in this._pollGroups) {
+        var group = this._pollGroups[name];
+        if (group.handle) {
+            if (group.schedule) {
+                clearTimeout(group.handle);
+            } else {
+                clearInterval(group.handle);
+            }
+            group.handle = null;
+        }
+        group.schedule = null;
+        group.nextPollTime = null;
+        group.queued = false;
+        group.metrics.currentPollFrequency = null;
+        group.onDemand.splice(0).forEach(function(def) {
+            def.reject('Polling stopped before the on demand poll could run');
+        });
+    }
+    this._metrics.currentPollFrequency = null;
+};
+
+/**
+ * Handles a polling timer tick for a group. If the previous poll of the
+ * group is still running, the tick is either skipped or queued based on the
+ * overrun policy.
+ *
+ * @class PollingConnector
+ * @method _poll
+ * @private
+ */
+PollingConnector.prototype._poll = function(group) {
+    if (!group.inProgress) {
+        this._runPoll(group);
+        return;
+    }
+    if (this._getGroupConfig(group).overrunPolicy === 'queue' && !group.queued) {
+        this._logger.debug('Previous poll still running. Queueing poll. Group: [%s]', group.name);
+        group.queued = true;
+    } else {
+        this._logger.warn('Previous poll still running. Skipping poll. Group: [%s]', group.name);
+        group.metrics.skippedPolls++;
+        this._metrics.skippedPolls++;
+    }
+};
+
+/**
+ * Invokes the _process() method for a group, reporting any exceptions that
+ * it throws or rejections of the promise that it returns as "pollError"
+ * events instead of letting them escape the polling timer. A poll that does not
+ * complete within the configured pollTimeout is abandoned, and reported as a
+ * TimeoutError. Note that abandoning a poll does not cancel any work that
+ * _process() may still be doing, so the group is not polled again until that
+ * work has completed.
+ *
+ * @class PollingConnector
+ * @method _runPoll
+ * @private
+ */
+PollingConnector.prototype._runPoll = function(group) {
+    var groupConfig = this._getGroupConfig(group);
+    group.inProgress = true;
+    group.metrics.polls++;
+    this._metrics.polls++;
+
+    // On demand requests are fulfilled with the data emitted by the poll, so
+    // data events are captured while the poll runs.
+    var waiters = group.onDemand.splice(0);
+    var data = [];
+    var captureData = function(payload) {
+        data.push(payload);
+    };
+    if (waiters.length > 0) {
+        this.on(Connector.DATA_EVENT, captureData);
+    }
+
+    var process = _q.fcall(this._process.bind(this, {
+        name: group.name,
+        tags: groupConfig.tags || [],
+        config: groupConfig
+    }));
+    var promise = process;
+    var pollTimeout = groupConfig.pollTimeout;
+    if (typeof pollTimeout === 'number' && pollTimeout > 0) {
+        var message = _util.format('Poll timed out after [%s ms]', pollTimeout);
+        promise = process.timeout(pollTimeout, new TimeoutError(message, pollTimeout));
+    }
+
+    promise.then(function(reading) {
+        this.removeListener(Connector.DATA_EVENT, captureData);
+        waiters.forEach(function(def) {
+            def.resolve({
+                group: group.name,
+                reading: (typeof reading === 'undefined') ? null : reading,
+                data: data
+            });
+        });
+        this._adaptPollFrequency(group, true, reading);
+    }.bind(this), function(err) {
+        this.removeListener(Connector.DATA_EVENT, captureData);
+        waiters.forEach(function(def) {
+            def.reject(err);
+        });
+        group.metrics.failedPolls++;
+        this._metrics.failedPolls++;
+        if (err instanceof TimeoutError) {
+            group.metrics.timedOutPolls++;
+            this._metrics.timedOutPolls++;
+        }
+        this._recordError();
+        this._adaptPollFrequency(group, false);
+        this._logger.error('Error processing poll. Group: [%s]', group.name, err);
+        this.emit(PollingConnector.POLL_ERROR_EVENT, err, group.name);
+    }.bind(this)).fin(function() {
+        // The outcome of a poll that timed out has already been reported.
+        return process.then(null, function() {});
+    }).fin(function() {
+        group.inProgress = false;
+        var queued = group.queued && !!group.handle;
+        if (queued || group.onDemand.length > 0) {
+            this._logger.debug('Running queued poll. Group: [%s]', group.name);
+            group.queued = false;
+            if (queued) {
+                group.metrics.latePolls++;
+                this._metrics.latePolls++;
+            }
+            this._runPoll(group);
+        }
+    }.bind(this)).done();
+};
+
+/**
+ * Polls one or all poll groups immediately, outside of their regular
+ * schedules. On demand polls follow the same rules as scheduled polls - if a
+ * poll of a group is already running, the on demand poll runs as soon as it
+ * completes.
+ *
+ * @class PollingConnector
+ * @method pollNow
+ * @param {String} [group] The name of the group to poll. All groups are
+ *          polled if this argument is omitted.
+ * @param {String} [requestId] An optional request id that can be used for logging.
+ * @return {Object} A promise that will be resolved with the outcome of the
+ *          poll, or rejected if the poll fails. The outcome is an object with
+ *          the following properties, or an array of these objects if all
+ *          groups are polled:
+ *          - group: The name of the group that was polled.
+ *          - reading: The value that the process() method resolved with, or
+ *            null.
+ *          - data: An array of the data payloads that the connector emitted
+ *            while the poll was running. Note that this may include data
+ *            emitted by polls of other groups that were running at the same
+ *            time.
+ */
+PollingConnector.prototype.pollNow = function(group, requestId) {
+    if (typeof group !== 'undefined' && group !== null &&
+        (typeof group !== 'string' || group.length <= 0)) {
+        throw new Error('Invalid poll group specified (arg #1)');
+    }
+    requestId = requestId || DEFAULT_REQUEST_ID;
+    if (this._state !== Connector.STATE_ACTIVE &&
+        this._state !== Connector.STATE_DEGRADED) {
+        return _q.reject('Connector cannot be polled when it is not running: ' + this._state);
+    }
+    if (group && !this._pollGroups.hasOwnProperty(group)) {
+        return _q.reject('Poll group is not defined: ' + group);
+    }
+
+    var names = group ? [ group ] : Object.keys(this._pollGroups);
+    this._logger.info('On demand poll requested. Groups: [%s]. RequestId: [%s]',
+                      names.join(', '), requestId);
+    var promises = names.map(function(name) {
+        var pollGroup = this._pollGroups[name];
+        var def = _q.defer();
+        pollGroup.onDemand.push(def);
+        if (!pollGroup.inProgress) {
+            this._runPoll(pollGroup);
+        }
+        return def.promise;
+    }.bind(this));
+
+    return _q.all(promises).then(function(results) {
+        this._logger.info('On demand poll completed. RequestId: [%s]', requestId);
+        return group ? results[0] : results;
+    }.bind(this));
+};
+
+/**
+ * Performs the work for a single poll of a group. Implementations may return
+ * a promise if the work is asynchronous, in which case the next poll of the
+ * group will not start until the promise has been settled. Polls of
+ * different groups may run concurrently.
+ *
  * @class PollingConnector
  * @method _process
  * @protected
+ * @param {Object} group A description of the group that is being polled,
+ *          with the following properties:
+ *          - name: The name of the group. This is the value of DEFAULT_GROUP
+ *            if the connector config does not define poll groups.
+ *          - tags: The tags defined for the group, or an empty array.
+ *          - config: The config that applies to the group.
+ * @return {Object} An optional promise that is settled when the poll is
+ *          complete. When adaptive polling is enabled, the value that the
+ *          promise resolves with is treated as the reading for the poll.
  */
-PollingConnector.prototype._process = function() {};
+PollingConnector.prototype._process = function(group) {};
 
 module.exports = PollingConnector;
@@ -0,0 +1,172 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _fs = require('fs');
+var _path = require('path');
+var _loggerHelper = require('./logger-helper');
+
+var RECORD_EXTENSION = '.json';
+var TEMP_EXTENSION = '.tmp';
+
+var _sequence = 0;
+
+/**
+ * Creates a directory, along with any missing parent directories. Existing
+ * directories are left untouched.
+ *
+ * @private
+ */
+function _createDirectory(path) {
+    try {
+        _fs.mkdirSync(path);
+    } catch (ex) {
+        if (ex.code === 'ENOENT') {
+            _createDirectory(_path.dirname(path));
+            _fs.mkdirSync(path);
+        } else if (ex.code !== 'EEXIST' || !_fs.statSync(path).isDirectory()) {
+            throw ex;
+        }
+    }
+}
+
+/**
+ * A simple file based journal that persists records to a local directory,
+ * one file per record. Records are written to a temporary file and then
+ * renamed, so that a power failure during a write does not leave a partial
+ * record behind.
+ *
+ * All file system operations are synchronous, so that the journal always
+ * reflects the in memory state of the buffer that it backs.
+ *
+ * @class RecordJournal
+ * @constructor
+ * @param {String} path The path to the directory that holds the journal.
+ * @param {Object} [logger] An optional logger object.
+ */
+function RecordJournal(path, logger) {
+    if (typeof path !== 'string' || path.length <= 0) {
+        throw new Error('Invalid journal path specified (arg #1)');
+    }
+    this._path = path;
+    this._logger = logger;
+    _loggerHelper.ensureLogger(this);
+}
+
+/**
+ * @class RecordJournal
+ * @method _generateKey
+ * @private
+ */
+RecordJournal.prototype._generateKey = function() {
+    _sequence = (_sequence + 1) % 1000000;
+    var timestamp = ('000000000000000' + Date.now()).slice(-15);
+    var sequence = ('000000' + _sequence).slice(-6);
+    return timestamp + '-' + sequence;
+};
+
+/**
+ * @class RecordJournal
+ * @method _getFilePath
+ * @private
+ */
+RecordJournal.prototype._getFilePath = function(key, extension) {
+    return _path.join(this._path, key + (extension || RECORD_EXTENSION));
+};
+
+/**
+ * Gets the path to the directory that holds the journal.
+ *
+ * @class RecordJournal
+ * @method getPath
+ * @return {String} The path to the journal directory.
+ */
+RecordJournal.prototype.getPath = function() {
+    return this._path;
+};
+
+/**
+ * Ensures that the journal directory exists, and cleans up any temporary
+ * files left behind by incomplete writes.
+ *
+ * @class RecordJournal
+ * @method open
+ */
+RecordJournal.prototype.open = function() {
+    _createDirectory(this._path);
+    _fs.readdirSync(this._path).forEach(function(fileName) {
+        if (_path.extname(fileName) === TEMP_EXTENSION) {
+            this._logger.warn('Removing incomplete journal entry: [%s]', fileName);
+            _fs.unlinkSync(_path.join(this._path, fileName));
+        }
+    }.bind(this));
+};
+
+/**
+ * Writes a record to the journal.
+ *
+ * @class RecordJournal
+ * @method append
+ * @param {Object} record The record to write.
+ * @return {String} A key that uniquely identifies the record in the journal.
+ */
+RecordJournal.prototype.append = function(record) {
+    var key = this._generateKey();
+    var tempPath = this._getFilePath(key, TEMP_EXTENSION);
+
+    _fs.writeFileSync(tempPath, JSON.stringify(record));
+    _fs.renameSync(tempPath, this._getFilePath(key));
+
+    return key;
+};
+
+/**
+ * Removes a record from the journal. Removing a record that does not exist
+ * has no effect.
+ *
+ * @class RecordJournal
+ * @method remove
+ * @param {String} key The key of the record to remove.
+ */
+RecordJournal.prototype.remove = function(key) {
+    try {
+        _fs.unlinkSync(this._getFilePath(key));
+    } catch (ex) {
+        if (ex.code !== 'ENOENT') {
+            throw ex;
+        }
+    }
+};
+
+/**
+ * Reads all records in the journal, in the order in which they were written.
+ * Entries that cannot be parsed are discarded.
+ *
+ * @class RecordJournal
+ * @method readAll
+ * @return {Array} An array of objects, each with a "key" and a "record"
+ *          property.
+ */
+RecordJournal.prototype.readAll = function() {
+    var entries = [];
+    var fileNames = _fs.readdirSync(this._path).filter(function(fileName) {
+        return _path.extname(fileName) === RECORD_EXTENSION;
+    }).sort();
+
+    fileNames.forEach(function(fileName) {
+        var key = _path.basename(fileName, RECORD_EXTENSION);
+        try {
+            var record = JSON.parse(_fs.readFileSync(this._getFilePath(key)));
+            entries.push({
+                key: key,
+                record: record
+            });
+        } catch (ex) {
+            this._logger.error('Discarding unreadable journal entry: [%s]', fileName, ex);
+            this.remove(key);
+        }
+    }.bind(this));
+
+    return entries;
+};
+
+module.exports = RecordJournal;
@@ -0,0 +1,170 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var DEFAULT_INITIAL_DELAY = 1000;
+var DEFAULT_MAX_DELAY = 60000;
+var DEFAULT_MULTIPLIER = 2;
+var DEFAULT_JITTER = 0.1;
+
+/**
+ * Describes when, and how quickly, a connector that has stopped running
+ * should be restarted. Restart delays grow exponentially with each
+ * consecutive attempt, up to a maximum delay, and are randomized by a jitter
+ * factor so that connectors that fail together do not restart in lock step.
+ *
+ * @class RestartPolicy
+ * @constructor
+ * @param {Object|String} [config] The policy configuration. This may either
+ *          be the name of a policy ("never", "on-failure" or "always"), or an
+ *          object with the following optional properties:
+ *          - policy: The name of the policy. Defaults to "never".
+ *          - maxAttempts: The maximum number of consecutive restart
+ *            attempts. Defaults to 0, which does not limit attempts.
+ *          - initialDelay: The delay (in milliseconds) before the first
+ *            restart attempt. Defaults to 1000.
+ *          - maxDelay: The maximum delay (in milliseconds) between restart
+ *            attempts. Defaults to 60000.
+ *          - multiplier: The factor by which the delay grows after each
+ *            attempt. Defaults to 2.
+ *          - jitter: The fraction (between 0 and 1) by which each delay is
+ *            randomly increased or decreased. Defaults to 0.1.
+ */
+function RestartPolicy(config) {
+    if (typeof config === 'string') {
+        config = {
+            policy: config
+        };
+    } else if (typeof config === 'undefined' || config === null) {
+        config = {};
+    }
+    if (config instanceof Array || typeof config !== 'object') {
+        throw new Error('Invalid restart policy specified (arg #1)');
+    }
+
+    var getNumber = function(property, defaultValue, isValid) {
+        var value = config[property];
+        if (typeof value === 'undefined') {
+            return defaultValue;
+        }
+        if (typeof value !== 'number' || isNaN(value) || !isValid(value)) {
+            throw new Error('Restart policy does not define a valid ' + property + ' property');
+        }
+        return value;
+    };
+
+    this._policy = config.policy || RestartPolicy.NEVER;
+    if (this._policy !== RestartPolicy.NEVER &&
+        this._policy !== RestartPolicy.ON_FAILURE &&
+        this._policy !== RestartPolicy.ALWAYS) {
+        throw new Error('Restart policy does not define a valid policy property');
+    }
+    this._maxAttempts = getNumber('maxAttempts', 0, function(value) {
+        return value >= 0 && Math.floor(value) === value;
+    });
+    this._initialDelay = getNumber('initialDelay', DEFAULT_INITIAL_DELAY, function(value) {
+        return value >= 0;
+    });
+    this._maxDelay = getNumber('maxDelay', Math.max(DEFAULT_MAX_DELAY, this._initialDelay),
+        function(value) {
+            return value >= this._initialDelay;
+        }.bind(this));
+    this._multiplier = getNumber('multiplier', DEFAULT_MULTIPLIER, function(value) {
+        return value >= 1;
+    });
+    this._jitter = getNumber('jitter', DEFAULT_JITTER, function(value) {
+        return value >= 0 && value <= 1;
+    });
+}
+
+/**
+ * Policy that never restarts connectors.
+ *
+ * @class RestartPolicy
+ * @property NEVER
+ * @static
+ * @readonly
+ */
+RestartPolicy.NEVER = 'never';
+
+/**
+ * Policy that restarts connectors that fail to start, or that fail while
+ * running.
+ *
+ * @class RestartPolicy
+ * @property ON_FAILURE
+ * @static
+ * @readonly
+ */
+RestartPolicy.ON_FAILURE = 'on-failure';
+
+/**
+ * Policy that restarts connectors whenever they stop running without being
+ * asked to, whether or not they failed.
+ *
+ * @class RestartPolicy
+ * @property ALWAYS
+ * @static
+ * @readonly
+ */
+RestartPolicy.ALWAYS = 'always';
+
+/**
+ * Gets the name of the policy.
+ *
+ * @class RestartPolicy
+ * @method getPolicy
+ * @return {String} The name of the policy.
+ */
+RestartPolicy.prototype.getPolicy = function() {
+    return this._policy;
+};
+
+/**
+ * Gets the maximum number of consecutive restart attempts.
+ *
+ * @class RestartPolicy
+ * @method getMaxAttempts
+ * @return {Number} The maximum number of attempts, or 0 if attempts are not
+ *          limited.
+ */
+RestartPolicy.prototype.getMaxAttempts = function() {
+    return this._maxAttempts;
+};
+
+/**
+ * Determines whether or not a connector should be restarted.
+ *
+ * @class RestartPolicy
+ * @method shouldRestart
+ * @param {Number} attempts The number of consecutive restart attempts that
+ *          have already been made.
+ * @param {Boolean} failed Set to true if the connector stopped running
+ *          because of a failure.
+ * @return {Boolean} True if the connector should be restarted, false
+ *          otherwise.
+ */
+RestartPolicy.prototype.shouldRestart = function(attempts, failed) {
+    if (this._policy === RestartPolicy.NEVER ||
+        (this._policy === RestartPolicy.ON_FAILURE && !failed)) {
+        return false;
+    }
+    return this._maxAttempts <= 0 || attempts < this._maxAttempts;
+};
+
+/**
+ * Calculates the delay before a restart attempt.
+ *
+ * @class RestartPolicy
+ * @method getDelay
+ * @param {Number} attempts The number of consecutive restart attempts that
+ *          have already been made.
+ * @return {Number} The delay in milliseconds.
+ */
+RestartPolicy.prototype.getDelay = function(attempts) {
+    var delay = this._initialDelay * Math.pow(this._multiplier, attempts);
+    delay = Math.min(delay, this._maxDelay);
+    delay = delay * (1 + this._jitter * (2 * Math.random() - 1));
+    return Math.round(delay);
+};
+
+module.exports = RestartPolicy;
@@ -0,0 +1,367 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _clone = require('clone');
+var _fieldPath = require('./field-path');
+var _matchHelper = require('./match-helper');
+
+var ALL_CONNECTORS = '*';
+var ALARM_ACTION = 'alarm';
+var SEND_ACTION = 'send';
+var RAISED_STATE = 'raised';
+var CLEARED_STATE = 'cleared';
+
+/**
+ * Checks if a value is a non empty string.
+ *
+ * @private
+ */
+function _isString(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Checks if a value is an object that is not an array.
+ *
+ * @private
+ */
+function _isObject(value) {
+    return !!value && typeof value === 'object' && !(value instanceof Array);
+}
+
+/**
+ * Validates the list of actions of a rule.
+ *
+ * @private
+ */
+function _parseActions(actions, path) {
+    if (!(actions instanceof Array) || actions.length <= 0) {
+        throw new Error(path + ': must be a non empty array');
+    }
+    return actions.map(function(action, index) {
+        var actionPath = path + '[' + index + ']';
+        if (!_isObject(action)) {
+            throw new Error(actionPath + ': must be of type object');
+        }
+        if (action.type === ALARM_ACTION) {
+            if (typeof action.severity !== 'undefined' && !_isString(action.severity)) {
+                throw new Error(actionPath + '.severity: must be a non empty string');
+            }
+            if (typeof action.message !== 'undefined' && typeof action.message !== 'string') {
+                throw new Error(actionPath + '.message: must be of type string');
+            }
+        } else if (action.type === SEND_ACTION) {
+            if (!_isString(action.to)) {
+                throw new Error(actionPath + '.to: must be a non empty string');
+            }
+            if (!_isObject(action.data)) {
+                throw new Error(actionPath + '.data: must be of type object');
+            }
+            if (typeof action.on !== 'undefined' &&
+                action.on !== RAISED_STATE && action.on !== CLEARED_STATE) {
+                throw new Error(actionPath + '.on: must be one of [' +
+                                RAISED_STATE + ', ' + CLEARED_STATE + ']');
+            }
+        } else {
+            throw new Error(actionPath + '.type: must be one of [' +
+                            ALARM_ACTION + ', ' + SEND_ACTION + ']');
+        }
+        return _clone(action);
+    });
+}
+
+/**
+ * Evaluates rules over the data emitted by device connectors, so that the
+ * gateway can raise alarms and act locally, even when it cannot reach the
+ * cloud. A rule raises when its "when" conditions have been met for at least
+ * the duration of the rule, and clears when its "clearWhen" conditions are
+ * met. Using clear conditions that differ from the raise conditions adds
+ * hysteresis, so that a value hovering around a threshold does not raise and
+ * clear the rule repeatedly. Rules without clear conditions clear as soon as
+ * their raise conditions are no longer met.
+ *
+ * Rules are evaluated independently for every device connector, and for
+ * every distinct value of the key field of the rule, if one has been
+ * configured. Records that do not define any of the fields referenced by the
+ * raise conditions of a rule are ignored by that rule.
+ *
+ * The engine does not execute the actions of a rule itself. Instead, every
+ * time a rule raises or clears, an event is passed to the handler specified
+ * when the engine is started.
+ *
+ * @class RulesEngine
+ * @constructor
+ * @param {Array} rules An array of rules, each of which is an object with
+ *          the following properties:
+ *          - id: A unique id for the rule.
+ *          - from: The id of a device connector, an array of device
+ *            connector ids, or "*" for all device connectors. Defaults to
+ *            "*".
+ *          - key: An optional path to a field that identifies the source of
+ *            a record, for connectors that emit data for multiple devices.
+ *          - when: A map of field paths to the conditions that raise the
+ *            rule. See DataRouter for the supported conditions.
+ *          - clearWhen: An optional map of field paths to the conditions
+ *            that clear the rule.
+ *          - duration: The time (in milliseconds) for which the raise
+ *            conditions must be met before the rule raises. Defaults to 0.
+ *          - actions: A non empty array of actions, each of which is either
+ *            an alarm action ({ type: "alarm", severity, message }), or an
+ *            action that sends data to a device connector ({ type: "send",
+ *            to, data, on }). Send actions are executed when the rule
+ *            raises, unless "on" is set to "cleared".
+ */
+function RulesEngine(rules) {
+    if (!(rules instanceof Array)) {
+        throw new Error('Invalid rules specified (arg #1)');
+    }
+    var ids = [];
+    this._rules = rules.map(function(rule, index) {
+        var path = 'rules[' + index + ']';
+        if (!_isObject(rule)) {
+            throw new Error(path + ': must be of type object');
+        }
+        if (!_isString(rule.id)) {
+            throw new Error(path + '.id: must be a non empty string');
+        }
+        if (ids.indexOf(rule.id) >= 0) {
+            throw new Error(path + '.id: duplicate rule id "' + rule.id + '"');
+        }
+        ids.push(rule.id);
+
+        var from = null;
+        try {
+            from = _matchHelper.parseConnectorIds((typeof rule.from === 'undefined') ?
+                                                   ALL_CONNECTORS : rule.from);
+        } catch (ex) {
+            throw new Error(path + '.from: ' + ex.message);
+        }
+        if (typeof rule.key !== 'undefined' && !_isString(rule.key)) {
+            throw new Error(path + '.key: must be a non empty string');
+        }
+        if (typeof rule.when === 'undefined') {
+            throw new Error(path + '.when: is required');
+        }
+        var when = _matchHelper.parseConditions(rule.when, path + '.when');
+        if (when.length <= 0) {
+            throw new Error(path + '.when: must define at least one condition');
+        }
+        var clearWhen = null;
+        if (typeof rule.clearWhen !== 'undefined') {
+            clearWhen = _matchHelper.parseConditions(rule.clearWhen, path + '.clearWhen');
+        }
+        var duration = rule.duration;
+        if (typeof duration !== 'undefined' &&
+            (typeof duration !== 'number' || !isFinite(duration) || duration < 0)) {
+            throw new Error(path + '.duration: must be a non negative number');
+        }
+
+        return {
+            id: rule.id,
+            from: from,
+            key: rule.key || null,
+            when: when,
+            clearWhen: clearWhen,
+            duration: duration || 0,
+            actions: _parseActions(rule.actions, path + '.actions')
+        };
+    });
+
+    this._states = {};
+    this._handler = null;
+}
+
+/**
+ * Passes an event to the handler for a rule that has raised or cleared.
+ *
+ * @class RulesEngine
+ * @method _notify
+ * @private
+ */
+RulesEngine.prototype._notify = function(rule, state, transition, now) {
+    var event = {
+        rule: rule.id,
+        state: transition,
+        source: state.source,
+        timestamp: now,
+        record: state.record,
+        actions: rule.actions
+    };
+    if (rule.key) {
+        event.key = state.key;
+    }
+    this._handler(event);
+};
+
+/**
+ * Raises a rule whose raise conditions have been met for long enough.
+ *
+ * @class RulesEngine
+ * @method _raise
+ * @private
+ */
+RulesEngine.prototype._raise = function(rule, state, now) {
+    if (state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+    }
+    state.pendingSince = null;
+    state.active = true;
+    this._notify(rule, state, RulesEngine.RAISED, now);
+};
+
+/**
+ * Evaluates a single rule against a single record.
+ *
+ * @class RulesEngine
+ * @method _evaluateRule
+ * @private
+ */
+RulesEngine.prototype._evaluateRule = function(rule, sourceId, record, now) {
+    if (rule.from && rule.from.indexOf(sourceId) < 0) {
+        return;
+    }
+    var hasFields = rule.when.some(function(condition) {
+        return typeof _fieldPath.getValue(record, condition.field) !== 'undefined';
+    });
+    if (!hasFields) {
+        return;
+    }
+
+    var key = rule.key ? _fieldPath.getValue(record, rule.key) : undefined;
+    var stateId = [ rule.id, sourceId, String(key) ].join('::');
+    var state = this._states[stateId];
+    if (!state) {
+        state = {
+            source: sourceId,
+            key: key,
+            active: false,
+            pendingSince: null,
+            timer: null,
+            record: null
+        };
+        this._states[stateId] = state;
+    }
+
+    var isRaised = _matchHelper.isMatch(rule.when, record);
+    if (state.active) {
+        var isCleared = rule.clearWhen ? _matchHelper.isMatch(rule.clearWhen, record) : !isRaised;
+        if (isCleared) {
+            state.active = false;
+            state.record = record;
+            delete this._states[stateId];
+            this._notify(rule, state, RulesEngine.CLEARED, now);
+        }
+        return;
+    }
+
+    if (!isRaised) {
+        if (state.timer) {
+            clearTimeout(state.timer);
+        }
+        delete this._states[stateId];
+        return;
+    }
+    state.record = record;
+    if (state.pendingSince === null) {
+        state.pendingSince = now;
+        if (rule.duration > 0) {
+            state.timer = setTimeout(function() {
+                state.timer = null;
+                this._raise(rule, state, Date.now());
+            }.bind(this), rule.duration);
+        }
+    }
+    if (now - state.pendingSince >= rule.duration) {
+        this._raise(rule, state, now);
+    }
+};
+
+/**
+ * Evaluates all of the rules against a data payload emitted by a device
+ * connector. Payloads that are arrays are evaluated record by record.
+ * Payloads are ignored if the engine has not been started.
+ *
+ * @class RulesEngine
+ * @method evaluate
+ * @param {String} sourceId The id of the device connector that emitted the
+ *          payload.
+ * @param {Object|Array} data The data payload.
+ * @param {Number} [now=Date.now()] The current time, in milliseconds since
+ *          the epoch.
+ */
+RulesEngine.prototype.evaluate = function(sourceId, data, now) {
+    if (!this._handler) {
+        return;
+    }
+    now = (typeof now === 'number') ? now : Date.now();
+    [].concat(data).forEach(function(record) {
+        if (!_isObject(record)) {
+            return;
+        }
+        this._rules.forEach(function(rule) {
+            this._evaluateRule(rule, sourceId, record, now);
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Starts the engine.
+ *
+ * @class RulesEngine
+ * @method start
+ * @param {Function} handler A function that is invoked with an event object
+ *          every time a rule raises or clears. The event has the following
+ *          properties: rule (the rule id), state ("raised" or "cleared"),
+ *          source (the device connector id), key (the value of the key
+ *          field, if the rule defines one), timestamp, record (the record
+ *          that caused the transition) and actions (the actions of the
+ *          rule).
+ */
+RulesEngine.prototype.start = function(handler) {
+    if (typeof handler !== 'function') {
+        throw new Error('Invalid handler specified (arg #1)');
+    }
+    this.stop();
+    this._handler = handler;
+};
+
+/**
+ * Stops the engine, and resets the state of all rules. Rules that have been
+ * raised are not cleared.
+ *
+ * @class RulesEngine
+ * @method stop
+ */
+RulesEngine.prototype.stop = function() {
+    Object.keys(this._states).forEach(function(stateId) {
+        var state = this._states[stateId];
+        if (state.timer) {
+            clearTimeout(state.timer);
+        }
+    }.bind(this));
+    this._states = {};
+    this._handler = null;
+};
+
+/**
+ * The state of an event for a rule that has been raised.
+ *
+ * @class RulesEngine
+ * @property RAISED
+ * @static
+ * @readonly
+ */
+RulesEngine.RAISED = RAISED_STATE;
+
+/**
+ * The state of an event for a rule that has been cleared.
+ *
+ * @class RulesEngine
+ * @property CLEARED
+ * @static
+ * @readonly
+ */
+RulesEngine.CLEARED = CLEARED_STATE;
+
+module.exports = RulesEngine;
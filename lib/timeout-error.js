@@ -0,0 +1,27 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _util = require('util');
+
+/**
+ * Error raised when an asynchronous operation does not complete within the
+ * time allotted to it.
+ *
+ * @class TimeoutError
+ * @constructor
+ * @param {String} message A message that describes the error.
+ * @param {Number} timeout The timeout (in milliseconds) that was exceeded.
+ */
+function TimeoutError(message, timeout) {
+    TimeoutError.super_.call(this, message);
+    if (typeof Error.captureStackTrace === 'function') {
+        Error.captureStackTrace(this, TimeoutError);
+    }
+    this.name = 'TimeoutError';
+    this.message = message;
+    this.timeout = timeout;
+}
+
+_util.inherits(TimeoutError, Error);
+
+module.exports = TimeoutError;
@@ -0,0 +1,331 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _clone = require('clone');
+var _fieldPath = require('./field-path');
+
+// Units supported by the convert step. Each unit is converted to the base
+// unit of its dimension using: base = (value * factor) + offset.
+var UNITS = {
+    // Temperature (base: K)
+    C: { dimension: 'temperature', factor: 1, offset: 273.15 },
+    F: { dimension: 'temperature', factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 },
+    K: { dimension: 'temperature', factor: 1, offset: 0 },
+
+    // Pressure (base: Pa)
+    Pa: { dimension: 'pressure', factor: 1, offset: 0 },
+    kPa: { dimension: 'pressure', factor: 1000, offset: 0 },
+    MPa: { dimension: 'pressure', factor: 1000000, offset: 0 },
+    mbar: { dimension: 'pressure', factor: 100, offset: 0 },
+    bar: { dimension: 'pressure', factor: 100000, offset: 0 },
+    psi: { dimension: 'pressure', factor: 6894.757293168, offset: 0 },
+    atm: { dimension: 'pressure', factor: 101325, offset: 0 },
+
+    // Length (base: m)
+    mm: { dimension: 'length', factor: 0.001, offset: 0 },
+    cm: { dimension: 'length', factor: 0.01, offset: 0 },
+    m: { dimension: 'length', factor: 1, offset: 0 },
+    km: { dimension: 'length', factor: 1000, offset: 0 },
+    in: { dimension: 'length', factor: 0.0254, offset: 0 },
+    ft: { dimension: 'length', factor: 0.3048, offset: 0 },
+    yd: { dimension: 'length', factor: 0.9144, offset: 0 },
+    mi: { dimension: 'length', factor: 1609.344, offset: 0 },
+
+    // Volume (base: L)
+    mL: { dimension: 'volume', factor: 0.001, offset: 0 },
+    L: { dimension: 'volume', factor: 1, offset: 0 },
+    m3: { dimension: 'volume', factor: 1000, offset: 0 },
+    gal: { dimension: 'volume', factor: 3.785411784, offset: 0 },
+    ft3: { dimension: 'volume', factor: 28.316846592, offset: 0 },
+
+    // Mass (base: kg)
+    g: { dimension: 'mass', factor: 0.001, offset: 0 },
+    kg: { dimension: 'mass', factor: 1, offset: 0 },
+    t: { dimension: 'mass', factor: 1000, offset: 0 },
+    oz: { dimension: 'mass', factor: 0.028349523125, offset: 0 },
+    lb: { dimension: 'mass', factor: 0.45359237, offset: 0 },
+
+    // Speed (base: m/s)
+    'm/s': { dimension: 'speed', factor: 1, offset: 0 },
+    'km/h': { dimension: 'speed', factor: 1 / 3.6, offset: 0 },
+    mph: { dimension: 'speed', factor: 0.44704, offset: 0 },
+    kn: { dimension: 'speed', factor: 1852 / 3600, offset: 0 },
+
+    // Time (base: s)
+    ms: { dimension: 'time', factor: 0.001, offset: 0 },
+    s: { dimension: 'time', factor: 1, offset: 0 },
+    min: { dimension: 'time', factor: 60, offset: 0 },
+    h: { dimension: 'time', factor: 3600, offset: 0 }
+};
+
+/**
+ * Checks if a value is a finite number.
+ *
+ * @private
+ */
+function _isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Rounds a value to a number of decimal places, if one has been specified.
+ *
+ * @private
+ */
+function _round(value, decimals) {
+    if (typeof decimals !== 'number') {
+        return value;
+    }
+    var multiplier = Math.pow(10, decimals);
+    return Math.round(value * multiplier) / multiplier;
+}
+
+/**
+ * Checks if a value is a valid field path.
+ *
+ * @private
+ */
+function _isPath(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Checks if a value is a valid number of decimal places.
+ *
+ * @private
+ */
+function _isDecimals(value) {
+    return _isNumber(value) && value >= 0 && Math.floor(value) === value;
+}
+
+/**
+ * Replaces the numeric value of the field referenced by a step with the
+ * result of an update function. Records that do not contain the field are
+ * left untouched.
+ *
+ * @private
+ */
+function _updateNumber(step, record, update) {
+    var value = _fieldPath.getValue(record, step.field);
+    if (typeof value === 'undefined') {
+        return;
+    }
+    if (!_isNumber(value)) {
+        throw new Error('field "' + step.field + '" is not a number');
+    }
+    _fieldPath.setValue(record, step.field, _round(update(value), step.decimals));
+}
+
+/**
+ * Validation and execution logic for each of the supported transform steps.
+ * Each validate method throws an error if the step is invalid, and each
+ * apply method transforms a record in place, throwing an error if the step
+ * cannot be applied.
+ *
+ * @private
+ */
+var _steps = {
+    rename: {
+        validate: function(step, check) {
+            check('from', _isPath);
+            check('to', _isPath);
+        },
+        apply: function(step, record) {
+            var value = _fieldPath.getValue(record, step.from);
+            if (typeof value !== 'undefined') {
+                _fieldPath.deleteValue(record, step.from);
+                _fieldPath.setValue(record, step.to, value);
+            }
+        }
+    },
+    scale: {
+        validate: function(step, check) {
+            check('field', _isPath);
+            check('factor', _isNumber, true);
+            check('offset', _isNumber, true);
+            check('decimals', _isDecimals, true);
+        },
+        apply: function(step, record) {
+            _updateNumber(step, record, function(value) {
+                var factor = (typeof step.factor === 'number') ? step.factor : 1;
+                var offset = (typeof step.offset === 'number') ? step.offset : 0;
+                return value * factor + offset;
+            });
+        }
+    },
+    convert: {
+        validate: function(step, check) {
+            var isUnit = function(unit) {
+                return typeof unit === 'string' && UNITS.hasOwnProperty(unit);
+            };
+            check('field', _isPath);
+            check('from', isUnit);
+            check('to', isUnit);
+            check('decimals', _isDecimals, true);
+            if (UNITS[step.from].dimension !== UNITS[step.to].dimension) {
+                throw new Error('to: cannot convert from ' + step.from + ' to ' + step.to);
+            }
+        },
+        apply: function(step, record) {
+            var from = UNITS[step.from];
+            var to = UNITS[step.to];
+            _updateNumber(step, record, function(value) {
+                return ((value * from.factor + from.offset) - to.offset) / to.factor;
+            });
+        }
+    },
+    drop: {
+        validate: function(step, check) {
+            check('fields', function(fields) {
+                return _isPath(fields) || (fields instanceof Array &&
+                    fields.length > 0 && fields.every(_isPath));
+            });
+        },
+        apply: function(step, record) {
+            [].concat(step.fields).forEach(function(field) {
+                _fieldPath.deleteValue(record, field);
+            });
+        }
+    },
+    tag: {
+        validate: function(step, check) {
+            check('tags', function(tags) {
+                return !!tags && typeof tags === 'object' && !(tags instanceof Array) &&
+                    Object.keys(tags).length > 0;
+            });
+        },
+        apply: function(step, record) {
+            Object.keys(step.tags).forEach(function(field) {
+                _fieldPath.setValue(record, field, _clone(step.tags[field]));
+            });
+        }
+    }
+};
+
+/**
+ * A declarative sequence of steps that reshape data records. Steps are
+ * applied in order to a copy of each record, so the original record is never
+ * modified. Steps that reference a field that a record does not contain are
+ * skipped for that record.
+ *
+ * Each step is an object with an "op" property, and additional properties
+ * that depend on the op:
+ *  - rename: Moves the value of the "from" field to the "to" field.
+ *  - scale: Replaces the numeric value of a "field" with
+ *    (value * factor) + offset. The "factor" defaults to 1, and the "offset"
+ *    defaults to 0.
+ *  - convert: Converts the numeric value of a "field" from one unit to
+ *    another, for example from "C" to "F", or from "psi" to "kPa". See the
+ *    UNITS table for the supported units.
+ *  - drop: Removes one or more "fields" from the record.
+ *  - tag: Sets each field in a map of "tags" to a static value.
+ *
+ * The scale and convert steps accept an optional number of "decimals" to
+ * round results to. Field names may be dot separated paths to nested fields.
+ *
+ * @class TransformPipeline
+ * @constructor
+ * @param {Array} steps The list of steps in the pipeline.
+ * @param {String} [path] The path to the steps in the config document, used
+ *          to qualify validation errors. For example, if the path is
+ *          "transform", an invalid factor of the first step is reported as
+ *          'transform[0].factor: is invalid for a scale step'.
+ */
+function TransformPipeline(steps, path) {
+    if (!(steps instanceof Array)) {
+        throw new Error('Invalid transform steps specified (arg #1)');
+    }
+    if (typeof path !== 'undefined' && typeof path !== 'string') {
+        throw new Error('Invalid config path specified (arg #2)');
+    }
+    path = path || '';
+    this._steps = steps.map(function(step, index) {
+        var prefix = path + '[' + index + ']';
+        if (!step || step instanceof Array || typeof step !== 'object') {
+            throw new Error(prefix + ': must be of type object');
+        }
+        if (typeof step.op !== 'string' || !_steps.hasOwnProperty(step.op)) {
+            throw new Error(prefix + '.op: must be one of [' + Object.keys(_steps).join(', ') + ']');
+        }
+        var check = function(property, isValid, optional) {
+            var value = step[property];
+            if (optional && typeof value === 'undefined') {
+                return;
+            }
+            if (!isValid(value)) {
+                throw new Error(property + ': is invalid for a ' + step.op + ' step');
+            }
+        };
+        try {
+            _steps[step.op].validate(step, check);
+        } catch (ex) {
+            throw new Error(prefix + '.' + ex.message);
+        }
+        return _clone(step);
+    });
+}
+
+/**
+ * Applies the pipeline to a single record.
+ *
+ * @class TransformPipeline
+ * @method apply
+ * @param {Object} record The record to transform.
+ * @return {Object} A transformed copy of the record. Records that are not
+ *          objects are returned as is.
+ * @throws {Error} An error that identifies the failed step, if a step
+ *          cannot be applied to the record.
+ */
+TransformPipeline.prototype.apply = function(record) {
+    if (!record || typeof record !== 'object' || record instanceof Array) {
+        return record;
+    }
+    var result = _clone(record);
+    this._steps.forEach(function(step, index) {
+        try {
+            _steps[step.op].apply(step, result);
+        } catch (ex) {
+            throw new Error('Transform step [' + index + '] (' + step.op + ') failed: ' + ex.message);
+        }
+    });
+    return result;
+};
+
+/**
+ * Applies the pipeline to a data payload. Payloads that are arrays are
+ * transformed record by record. Records that cannot be transformed are
+ * dropped, and the errors are added to an (optional) error array.
+ *
+ * @class TransformPipeline
+ * @method transform
+ * @param {Object|Array} data The data payload to transform.
+ * @param {Array} [errors] An array to which the messages of any errors are
+ *          added.
+ * @return {Object|Array} The transformed payload, or null if none of the
+ *          records could be transformed.
+ */
+TransformPipeline.prototype.transform = function(data, errors) {
+    errors = errors || [];
+    var transformRecord = function(record) {
+        try {
+            return this.apply(record);
+        } catch (ex) {
+            errors.push(ex.message);
+            return null;
+        }
+    }.bind(this);
+
+    if (!(data instanceof Array)) {
+        return transformRecord(data);
+    }
+    var records = [];
+    data.forEach(function(record) {
+        var result = transformRecord(record);
+        if (result !== null) {
+            records.push(result);
+        }
+    });
+    return (records.length > 0 || data.length <= 0) ? records : null;
+};
+
+module.exports = TransformPipeline;
@@ -0,0 +1,401 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _fieldPath = require('./field-path');
+
+var TUMBLING_WINDOW = 'tumbling';
+var SLIDING_WINDOW = 'sliding';
+var STATS = [ 'min', 'max', 'mean', 'last', 'count' ];
+
+/**
+ * Checks if a value is a finite number.
+ *
+ * @private
+ */
+function _isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Checks if a value is a positive integer.
+ *
+ * @private
+ */
+function _isInterval(value) {
+    return _isNumber(value) && value > 0 && Math.floor(value) === value;
+}
+
+/**
+ * Checks if a value is a valid field path.
+ *
+ * @private
+ */
+function _isPath(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Summarizes the numeric fields of the data emitted by a device connector
+ * over fixed time windows. One aggregate record is produced per window for
+ * every distinct value of the key field (if one has been configured) that
+ * was seen during the window. Each aggregate record contains the start and
+ * end times of the window (in milliseconds since the epoch) as
+ * "windowStart" and "windowEnd", the value of the key field, and an object
+ * with the requested statistics at the path of every aggregated field.
+ *
+ * Tumbling windows are back to back and do not overlap. Sliding windows
+ * start every "advance" milliseconds, and overlap each other when the
+ * advance is smaller than the window size. Windows are aligned to the epoch,
+ * so a tumbling window with a size of 60000 always covers one calendar
+ * minute. Records are assigned to windows based on the time at which they
+ * are added to the aggregator.
+ *
+ * @class WindowAggregator
+ * @constructor
+ * @param {Object} config The aggregator configuration, an object with the
+ *          following properties:
+ *          - type: The type of window, either "tumbling" or "sliding".
+ *            Defaults to "tumbling".
+ *          - size: The size of each window, in milliseconds.
+ *          - advance: The interval (in milliseconds) at which sliding
+ *            windows start. The window size must be a multiple of this
+ *            interval. Not applicable to tumbling windows.
+ *          - fields: A field path, or an array of field paths, of the
+ *            numeric fields to aggregate. Field paths may be dot separated
+ *            paths to nested fields, for example "data.temperature".
+ *          - key: An optional path to a field that identifies the source of
+ *            a record, for connectors that emit data for multiple devices.
+ *          - stats: An optional array of the statistics to compute for each
+ *            field. Supported statistics are "min", "max", "mean", "last"
+ *            and "count". Defaults to all of them.
+ */
+function WindowAggregator(config) {
+    if (!config || config instanceof Array || typeof config !== 'object') {
+        throw new Error('Invalid aggregate config specified (arg #1)');
+    }
+    var type = config.type;
+    if (typeof type === 'undefined') {
+        type = TUMBLING_WINDOW;
+    }
+    if (type !== TUMBLING_WINDOW && type !== SLIDING_WINDOW) {
+        throw new Error('Aggregate config does not define a valid type property');
+    }
+    if (!_isInterval(config.size)) {
+        throw new Error('Aggregate config does not define a valid size property');
+    }
+    this._size = config.size;
+    this._advance = config.size;
+    if (type === SLIDING_WINDOW) {
+        if (!_isInterval(config.advance) || config.advance > config.size ||
+            config.size % config.advance !== 0) {
+            throw new Error('Aggregate config does not define a valid advance property');
+        }
+        this._advance = config.advance;
+    }
+
+    var fields = config.fields;
+    if (_isPath(fields)) {
+        fields = [ fields ];
+    }
+    if (!(fields instanceof Array) || fields.length <= 0 || !fields.every(_isPath)) {
+        throw new Error('Aggregate config does not define a valid fields property');
+    }
+    this._fields = fields.slice();
+
+    if (typeof config.key !== 'undefined' && !_isPath(config.key)) {
+        throw new Error('Aggregate config does not define a valid key property');
+    }
+    this._key = config.key || null;
+
+    var stats = config.stats;
+    if (typeof stats !== 'undefined' &&
+        (!(stats instanceof Array) || stats.length <= 0 || !stats.every(function(stat) {
+            return STATS.indexOf(stat) >= 0;
+        }))) {
+        throw new Error('Aggregate config does not define a valid stats property');
+    }
+    this._stats = stats ? stats.slice() : STATS.slice();
+
+    // Each window is made up of one or more consecutive panes, each of which
+    // holds partial aggregates for one advance interval.
+    this._panes = {};
+    this._lastWindowEnd = null;
+    this._timer = null;
+}
+
+/**
+ * Adds the numeric fields of a single record to the pane for the current
+ * time.
+ *
+ * @class WindowAggregator
+ * @method _addRecord
+ * @private
+ */
+WindowAggregator.prototype._addRecord = function(record, now) {
+    if (!record || typeof record !== 'object' || record instanceof Array) {
+        return false;
+    }
+    var values = {};
+    var hasFields = false;
+    this._fields.forEach(function(path) {
+        var value = _fieldPath.getValue(record, path);
+        if (_isNumber(value)) {
+            values[path] = value;
+            hasFields = true;
+        }
+    });
+    if (!hasFields) {
+        return false;
+    }
+
+    var paneIndex = Math.floor(now / this._advance);
+    var pane = this._panes[paneIndex];
+    if (!pane) {
+        pane = {};
+        this._panes[paneIndex] = pane;
+    }
+    var keyValue = this._key ? _fieldPath.getValue(record, this._key) : undefined;
+    var keyName = String(keyValue);
+    var entry = pane[keyName];
+    if (!entry) {
+        entry = {
+            key: keyValue,
+            fields: {}
+        };
+        pane[keyName] = entry;
+    }
+    for (var path in values) {
+        var value = values[path];
+        var partial = entry.fields[path];
+        if (!partial) {
+            entry.fields[path] = {
+                min: value,
+                max: value,
+                sum: value,
+                count: 1,
+                last: value
+            };
+        } else {
+            partial.min = Math.min(partial.min, value);
+            partial.max = Math.max(partial.max, value);
+            partial.sum += value;
+            partial.count++;
+            partial.last = value;
+        }
+    }
+    return true;
+};
+
+/**
+ * Returns the indexes of the panes that currently hold data, in ascending
+ * order.
+ *
+ * @class WindowAggregator
+ * @method _getPaneIndexes
+ * @private
+ */
+WindowAggregator.prototype._getPaneIndexes = function() {
+    return Object.keys(this._panes).map(Number).sort(function(first, second) {
+        return first - second;
+    });
+};
+
+/**
+ * Combines the panes that make up a single window into one aggregate
+ * record per key.
+ *
+ * @class WindowAggregator
+ * @method _aggregateWindow
+ * @private
+ */
+WindowAggregator.prototype._aggregateWindow = function(windowEnd, paneIndexes) {
+    var lastPane = windowEnd / this._advance;
+    var firstPane = lastPane - this._size / this._advance;
+    var entries = {};
+    var keyNames = [];
+    paneIndexes.forEach(function(paneIndex) {
+        if (paneIndex < firstPane || paneIndex >= lastPane) {
+            return;
+        }
+        var pane = this._panes[paneIndex];
+        Object.keys(pane).forEach(function(keyName) {
+            var entry = entries[keyName];
+            if (!entry) {
+                entry = {
+                    key: pane[keyName].key,
+                    fields: {}
+                };
+                entries[keyName] = entry;
+                keyNames.push(keyName);
+            }
+            var partials = pane[keyName].fields;
+            Object.keys(partials).forEach(function(path) {
+                var partial = partials[path];
+                var total = entry.fields[path];
+                if (!total) {
+                    entry.fields[path] = {
+                        min: partial.min,
+                        max: partial.max,
+                        sum: partial.sum,
+                        count: partial.count,
+                        last: partial.last
+                    };
+                } else {
+                    total.min = Math.min(total.min, partial.min);
+                    total.max = Math.max(total.max, partial.max);
+                    total.sum += partial.sum;
+                    total.count += partial.count;
+                    total.last = partial.last;
+                }
+            });
+        });
+    }.bind(this));
+
+    return keyNames.map(function(keyName) {
+        var entry = entries[keyName];
+        var record = {
+            windowStart: windowEnd - this._size,
+            windowEnd: windowEnd
+        };
+        if (this._key) {
+            _fieldPath.setValue(record, this._key, entry.key);
+        }
+        this._fields.forEach(function(path) {
+            var total = entry.fields[path];
+            if (!total) {
+                return;
+            }
+            var summary = {};
+            this._stats.forEach(function(stat) {
+                summary[stat] = (stat === 'mean') ? total.sum / total.count : total[stat];
+            });
+            _fieldPath.setValue(record, path, summary);
+        }.bind(this));
+        return record;
+    }.bind(this));
+};
+
+/**
+ * Adds a data payload emitted by a device connector to the current window.
+ * Payloads that are arrays are added record by record. Records that do not
+ * contain a numeric value for any of the aggregated fields cannot be
+ * aggregated, and are returned to the caller instead.
+ *
+ * @class WindowAggregator
+ * @method add
+ * @param {Object|Array} data The data payload to add.
+ * @param {Number} [now=Date.now()] The current time, in milliseconds since
+ *          the epoch.
+ * @return {Object|Array} The part of the payload that could not be
+ *          aggregated, or null if the entire payload was aggregated.
+ */
+WindowAggregator.prototype.add = function(data, now) {
+    now = (typeof now === 'number') ? now : Date.now();
+    if (data instanceof Array) {
+        var records = data.filter(function(record) {
+            return !this._addRecord(record, now);
+        }.bind(this));
+        return (records.length > 0) ? records : null;
+    }
+    return this._addRecord(data, now) ? null : data;
+};
+
+/**
+ * Completes all of the windows that have ended, and returns their
+ * aggregate records. Windows that did not receive any data do not produce
+ * any records.
+ *
+ * @class WindowAggregator
+ * @method flush
+ * @param {Number} [now=Date.now()] The current time, in milliseconds since
+ *          the epoch.
+ * @return {Array} The aggregate records of the completed windows, ordered by
+ *          the end times of the windows.
+ */
+WindowAggregator.prototype.flush = function(now) {
+    now = (typeof now === 'number') ? now : Date.now();
+    var currentPane = Math.floor(now / this._advance);
+    var panesPerWindow = this._size / this._advance;
+    var paneIndexes = this._getPaneIndexes();
+
+    // Every pane contributes to the windows that end within one window size
+    // of the start of the pane.
+    var windowEnds = [];
+    paneIndexes.forEach(function(paneIndex) {
+        for (var offset = 1; offset <= panesPerWindow; offset++) {
+            var windowEnd = (paneIndex + offset) * this._advance;
+            if (paneIndex + offset > currentPane ||
+                (this._lastWindowEnd !== null && windowEnd <= this._lastWindowEnd)) {
+                continue;
+            }
+            if (windowEnds.indexOf(windowEnd) < 0) {
+                windowEnds.push(windowEnd);
+            }
+        }
+    }.bind(this));
+    windowEnds.sort(function(first, second) {
+        return first - second;
+    });
+
+    var records = [];
+    windowEnds.forEach(function(windowEnd) {
+        records = records.concat(this._aggregateWindow(windowEnd, paneIndexes));
+    }.bind(this));
+
+    paneIndexes.forEach(function(paneIndex) {
+        if (paneIndex + panesPerWindow <= currentPane) {
+            delete this._panes[paneIndex];
+        }
+    }.bind(this));
+    this._lastWindowEnd = currentPane * this._advance;
+
+    return records;
+};
+
+/**
+ * Starts a timer that completes windows as they end, and passes their
+ * aggregate records to a handler.
+ *
+ * @class WindowAggregator
+ * @method start
+ * @param {Function} handler A function that is invoked with an array of
+ *          aggregate records every time one or more windows have been
+ *          completed.
+ */
+WindowAggregator.prototype.start = function(handler) {
+    if (typeof handler !== 'function') {
+        throw new Error('Invalid handler specified (arg #1)');
+    }
+    this.stop();
+    var schedule = function() {
+        var now = Date.now();
+        var delay = (Math.floor(now / this._advance) + 1) * this._advance - now;
+        this._timer = setTimeout(function() {
+            this._timer = null;
+            var records = this.flush();
+            schedule();
+            if (records.length > 0) {
+                handler(records);
+            }
+        }.bind(this), delay);
+    }.bind(this);
+    schedule();
+};
+
+/**
+ * Stops the timer started by the start() method. Windows that have not yet
+ * ended are discarded, because their aggregates would be incomplete.
+ *
+ * @class WindowAggregator
+ * @method stop
+ */
+WindowAggregator.prototype.stop = function() {
+    if (this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+    this._panes = {};
+    this._lastWindowEnd = null;
+};
+
+module.exports = WindowAggregator;
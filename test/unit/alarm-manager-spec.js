@@ -0,0 +1,257 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var AlarmManager = require('../../lib/alarm-manager');
+
+describe('AlarmManager', function() {
+    var SOURCE_ID = 'tank1';
+
+    function _alarm(state, props) {
+        var alarm = { type: 'alarm', name: 'overflow', state: state };
+        for (var prop in props) {
+            alarm[prop] = props[prop];
+        }
+        return alarm;
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked with an invalid history limit', function() {
+            var error = 'Invalid history limit specified (arg #1)';
+
+            function invokeMethod(historyLimit) {
+                return function() {
+                    return new AlarmManager(historyLimit);
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(0)).to.throw(error);
+            expect(invokeMethod(-1)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod(Infinity)).to.throw(error);
+        });
+
+        it('should throw an error if invoked with an invalid cleared alarm limit', function() {
+            var error = 'Invalid cleared alarm limit specified (arg #2)';
+
+            function invokeMethod(clearedLimit) {
+                return function() {
+                    return new AlarmManager(undefined, clearedLimit);
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(0)).to.throw(error);
+            expect(invokeMethod(-1)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod(Infinity)).to.throw(error);
+        });
+
+        it('should return an object with the expected methods when invoked with valid arguments', function() {
+            var manager = new AlarmManager();
+
+            expect(manager).to.be.an('object');
+            expect(manager).to.have.property('filter').and.to.be.a('function');
+            expect(manager).to.have.property('acknowledge').and.to.be.a('function');
+            expect(manager).to.have.property('list').and.to.be.a('function');
+            expect(manager.list()).to.deep.equal([]);
+        });
+    });
+
+    describe('filter()', function() {
+        it('should pass on records that are not valid alarm records', function() {
+            var manager = new AlarmManager();
+            var records = [
+                { level: 10 },
+                { type: 'alarm', name: 'overflow' },
+                { type: 'alarm', name: 'overflow', state: 'active' },
+                { type: 'alarm', state: 'raised' },
+                'abc'
+            ];
+
+            records.forEach(function(record) {
+                expect(manager.filter(SOURCE_ID, record, 0)).to.equal(record);
+                expect(manager.filter(SOURCE_ID, record, 0)).to.equal(record);
+            });
+            expect(manager.list()).to.deep.equal([]);
+        });
+
+        it('should pass on a copy of the first raised record, with the id of the alarm', function() {
+            var manager = new AlarmManager();
+            var record = _alarm('raised', { key: 'a', severity: 'critical' });
+            var result = manager.filter(SOURCE_ID, record, 1000);
+
+            expect(result).to.not.equal(record);
+            expect(result).to.deep.equal(_alarm('raised', {
+                key: 'a',
+                severity: 'critical',
+                id: 'tank1::overflow::a'
+            }));
+            expect(record).to.not.have.property('id');
+        });
+
+        it('should identify alarms raised by rules using the rule id', function() {
+            var manager = new AlarmManager();
+            var record = { type: 'alarm', rule: 'tank_high', state: 'raised' };
+
+            expect(manager.filter(SOURCE_ID, record, 0)).to.have.property('id', 'tank1::tank_high');
+        });
+
+        it('should suppress duplicate raised and cleared records', function() {
+            var manager = new AlarmManager();
+
+            expect(manager.filter(SOURCE_ID, _alarm('cleared'), 0)).to.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('raised'), 0)).to.not.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('raised'), 0)).to.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('raised', { severity: 'warning' }), 0)).to.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('cleared'), 0)).to.not.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('cleared'), 0)).to.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('raised'), 0)).to.not.be.null;
+        });
+
+        it('should pass on raised records that change the severity of an active alarm', function() {
+            var manager = new AlarmManager();
+
+            expect(manager.filter(SOURCE_ID, _alarm('raised'), 0)).to.not.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('raised', { severity: 'critical' }), 0)).to.not.be.null;
+            expect(manager.filter(SOURCE_ID, _alarm('raised', { severity: 'critical' }), 0)).to.be.null;
+            expect(manager.list()[0]).to.have.property('severity', 'critical');
+        });
+
+        it('should track alarms with different sources and keys independently', function() {
+            var manager = new AlarmManager();
+
+            expect(manager.filter('tank1', _alarm('raised', { key: 'a' }), 0)).to.not.be.null;
+            expect(manager.filter('tank1', _alarm('raised', { key: 'b' }), 0)).to.not.be.null;
+            expect(manager.filter('tank2', _alarm('raised', { key: 'a' }), 0)).to.not.be.null;
+            expect(manager.filter('tank1', _alarm('raised', { key: 'a' }), 0)).to.be.null;
+            expect(manager.list().map(function(alarm) {
+                return alarm.id;
+            })).to.deep.equal([ 'tank1::overflow::a', 'tank1::overflow::b', 'tank2::overflow::a' ]);
+        });
+
+        it('should filter array payloads record by record', function() {
+            var manager = new AlarmManager();
+            var reading = { level: 95 };
+
+            expect(manager.filter(SOURCE_ID, [ reading, _alarm('raised'), _alarm('raised') ], 0)).to.deep.equal([
+                reading,
+                _alarm('raised', { id: 'tank1::overflow' })
+            ]);
+            expect(manager.filter(SOURCE_ID, [ _alarm('raised') ], 0)).to.be.null;
+            expect(manager.filter(SOURCE_ID, [], 0)).to.deep.equal([]);
+        });
+    });
+
+    describe('acknowledge()', function() {
+        it('should throw an error if the alarm is not defined', function() {
+            var manager = new AlarmManager();
+
+            expect(function() {
+                manager.acknowledge('tank1::overflow');
+            }).to.throw('Alarm is not defined: tank1::overflow');
+            expect(function() {
+                manager.acknowledge('hasOwnProperty');
+            }).to.throw('Alarm is not defined: hasOwnProperty');
+        });
+
+        it('should acknowledge an active alarm, without removing it', function() {
+            var manager = new AlarmManager();
+            manager.filter(SOURCE_ID, _alarm('raised'), 1000);
+
+            var alarm = manager.acknowledge('tank1::overflow', 'operator1', 2000);
+            expect(alarm).to.have.property('acknowledged', true);
+            expect(alarm).to.have.property('acknowledgedAt', 2000);
+            expect(alarm).to.have.property('acknowledgedBy', 'operator1');
+            expect(manager.list()).to.deep.equal([ alarm ]);
+
+            manager.filter(SOURCE_ID, _alarm('cleared'), 3000);
+            expect(manager.list()).to.deep.equal([]);
+        });
+
+        it('should remove alarms that have been cleared', function() {
+            var manager = new AlarmManager();
+            manager.filter(SOURCE_ID, _alarm('raised'), 1000);
+            manager.filter(SOURCE_ID, _alarm('cleared'), 2000);
+            expect(manager.list()).to.have.length(1);
+
+            var alarm = manager.acknowledge('tank1::overflow', undefined, 3000);
+            expect(alarm).to.have.property('state', 'cleared');
+            expect(alarm).to.have.property('acknowledgedBy', null);
+            expect(manager.list()).to.deep.equal([]);
+        });
+    });
+
+    describe('list()', function() {
+        it('should return copies of the alarms, with their transitions', function() {
+            var manager = new AlarmManager();
+            manager.filter(SOURCE_ID, _alarm('raised', { message: 'Tank overflow', timestamp: 1000 }), 0);
+            manager.filter(SOURCE_ID, _alarm('raised', { timestamp: 1500 }), 0);
+            manager.acknowledge('tank1::overflow', 'operator1', 2000);
+            manager.filter(SOURCE_ID, _alarm('raised', { severity: 'critical' }), 2500);
+
+            var alarms = manager.list();
+            expect(alarms).to.deep.equal([ {
+                id: 'tank1::overflow',
+                name: 'overflow',
+                source: SOURCE_ID,
+                state: 'raised',
+                severity: 'critical',
+                raisedAt: 1000,
+                clearedAt: null,
+                acknowledged: true,
+                acknowledgedAt: 2000,
+                acknowledgedBy: 'operator1',
+                duplicates: 1,
+                history: [
+                    { state: 'raised', severity: 'warning', timestamp: 1000 },
+                    { state: 'acknowledged', user: 'operator1', timestamp: 2000 },
+                    { state: 'raised', severity: 'critical', timestamp: 2500 }
+                ]
+            } ]);
+
+            alarms[0].state = 'cleared';
+            expect(manager.list()[0]).to.have.property('state', 'raised');
+        });
+
+        it('should only keep the most recent transitions of each alarm', function() {
+            var manager = new AlarmManager(2);
+            manager.filter(SOURCE_ID, _alarm('raised'), 1000);
+            manager.filter(SOURCE_ID, _alarm('cleared'), 2000);
+            manager.filter(SOURCE_ID, _alarm('raised'), 3000);
+
+            expect(manager.list()[0].history).to.deep.equal([
+                { state: 'cleared', timestamp: 2000 },
+                { state: 'raised', severity: 'warning', timestamp: 3000 }
+            ]);
+        });
+
+        it('should discard the earliest cleared alarms that exceed the cleared alarm limit', function() {
+            var manager = new AlarmManager(undefined, 2);
+            manager.filter(SOURCE_ID, _alarm('raised', { key: 'a' }), 1000);
+            manager.filter(SOURCE_ID, _alarm('raised', { key: 'b' }), 1100);
+            manager.filter(SOURCE_ID, _alarm('raised', { key: 'c' }), 1200);
+            manager.filter(SOURCE_ID, _alarm('raised', { key: 'd' }), 1300);
+            manager.filter(SOURCE_ID, _alarm('cleared', { key: 'b' }), 2000);
+            manager.filter(SOURCE_ID, _alarm('cleared', { key: 'a' }), 2100);
+            manager.filter(SOURCE_ID, _alarm('cleared', { key: 'c' }), 2200);
+
+            expect(manager.list().map(function(alarm) {
+                return alarm.key + ':' + alarm.state;
+            })).to.deep.equal([ 'a:cleared', 'c:cleared', 'd:raised' ]);
+        });
+
+        it('should order alarms by the time at which they were raised', function() {
+            var manager = new AlarmManager();
+            manager.filter(SOURCE_ID, _alarm('raised', { key: 'a' }), 2000);
+            manager.filter(SOURCE_ID, _alarm('raised', { key: 'b' }), 1000);
+
+            expect(manager.list().map(function(alarm) {
+                return alarm.key;
+            })).to.deep.equal([ 'b', 'a' ]);
+        });
+    });
+});
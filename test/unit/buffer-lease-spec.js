@@ -0,0 +1,141 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _sinon = require('sinon');
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _assertionHelper = require('wysknd-test').assertionHelper;
+var BufferLease = require('../../lib/buffer-lease');
+
+describe('BufferLease', function() {
+
+    function _createLease(records, timeout) {
+        return new BufferLease(records || [ { foo: 'bar' } ],
+            _sinon.spy(), _sinon.spy(), timeout);
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid records array', function() {
+            var error = 'Invalid records specified (arg #1)';
+
+            function invokeMethod(records) {
+                return function() {
+                    return new BufferLease(records, function() {}, function() {});
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+            expect(invokeMethod(function() {})).to.throw(error);
+        });
+
+        it('should throw an error if invoked without a valid commit handler', function() {
+            var error = 'Invalid commit handler specified (arg #2)';
+
+            function invokeMethod(handler) {
+                return function() {
+                    return new BufferLease([], handler, function() {});
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should throw an error if invoked without a valid rollback handler', function() {
+            var error = 'Invalid rollback handler specified (arg #3)';
+
+            function invokeMethod(handler) {
+                return function() {
+                    return new BufferLease([], function() {}, handler);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should return an open lease with a unique id and the specified records', function() {
+            var records = [ { foo: 1 }, { foo: 2 } ];
+            var lease = _createLease(records);
+            var otherLease = _createLease();
+
+            expect(lease.isOpen()).to.be.true;
+            expect(lease.getId()).to.be.a('string').and.to.not.equal(otherLease.getId());
+            expect(lease.getRecords()).to.equal(records);
+        });
+    });
+
+    describe('commit()', function() {
+        it('should invoke the commit handler with the lease, and close the lease', function() {
+            var lease = _createLease();
+
+            lease.commit();
+            expect(lease._commitHandler).to.have.been.calledOnce;
+            expect(lease._commitHandler).to.have.been.calledWith(lease);
+            expect(lease._rollbackHandler).to.not.have.been.called;
+            expect(lease.isOpen()).to.be.false;
+        });
+
+        it('should throw an error if the lease has already been released', function() {
+            var error = 'The buffer lease has already been released';
+            var lease = _createLease();
+
+            lease.commit();
+            expect(lease.commit.bind(lease)).to.throw(error);
+            expect(lease.rollback.bind(lease)).to.throw(error);
+        });
+    });
+
+    describe('rollback()', function() {
+        it('should invoke the rollback handler with the lease, and close the lease', function() {
+            var lease = _createLease();
+
+            lease.rollback();
+            expect(lease._rollbackHandler).to.have.been.calledOnce;
+            expect(lease._rollbackHandler).to.have.been.calledWith(lease);
+            expect(lease._commitHandler).to.not.have.been.called;
+            expect(lease.isOpen()).to.be.false;
+        });
+    });
+
+    describe('[timeout]', function() {
+        it('should roll back the lease automatically once the lease timeout expires', function(done) {
+            var lease = _createLease(null, 20);
+
+            expect(_assertionHelper.wait(30)()).to.be.fulfilled
+                .then(function() {
+                    expect(lease._rollbackHandler).to.have.been.calledOnce;
+                    expect(lease.isOpen()).to.be.false;
+                    expect(lease.commit.bind(lease)).to.throw('The buffer lease has already expired');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not roll back the lease if it is committed before the timeout expires', function(done) {
+            var lease = _createLease(null, 20);
+            lease.commit();
+
+            expect(_assertionHelper.wait(30)()).to.be.fulfilled
+                .then(function() {
+                    expect(lease._rollbackHandler).to.not.have.been.called;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+});
@@ -0,0 +1,252 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var _yaml = require('js-yaml');
+var _configFile = require('../../lib/config-file');
+
+describe('configFile', function() {
+
+    describe('getFormat()', function() {
+        it('should throw an error if invoked without a valid file path', function() {
+            var error = 'Invalid config file path specified (arg #1)';
+
+            function invokeMethod(filePath) {
+                return function() {
+                    return _configFile.getFormat(filePath);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+        });
+
+        it('should return the format of the file based on its extension', function() {
+            expect(_configFile.getFormat('/etc/iot/controller.yaml')).to.equal('yaml');
+            expect(_configFile.getFormat('/etc/iot/controller.YML')).to.equal('yaml');
+            expect(_configFile.getFormat('/etc/iot/controller.json')).to.equal('json');
+            expect(_configFile.getFormat('/etc/iot/controller.cfg')).to.equal('json');
+            expect(_configFile.getFormat('/etc/iot/controller')).to.equal('json');
+        });
+    });
+
+    describe('parse()', function() {
+        it('should throw an error if invoked without valid config text', function() {
+            var error = 'Invalid config text specified (arg #1)';
+
+            function invokeMethod(text) {
+                return function() {
+                    return _configFile.parse(text, 'controller.cfg');
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should throw an error if invoked without a valid file path', function() {
+            var error = 'Invalid config file path specified (arg #2)';
+
+            function invokeMethod(filePath) {
+                return function() {
+                    return _configFile.parse('{}', filePath);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+        });
+
+        it('should parse JSON documents that contain comments', function() {
+            var text = [
+                '// Gateway config',
+                '{',
+                '    /* Polling interval */',
+                '    "interval": 1000, // ms',
+                '    "url": "http://localhost//data"',
+                '}'
+            ].join('\n');
+
+            expect(_configFile.parse(text, 'controller.cfg', {}).config).to.deep.equal({
+                interval: 1000,
+                url: 'http://localhost//data'
+            });
+            expect(_configFile.parse(new Buffer(text), 'controller.json', {}).config).to.have.property('interval', 1000);
+        });
+
+        it('should parse YAML documents, if the file has a YAML extension', function() {
+            var text = [
+                '# Gateway config',
+                'interval: 1000',
+                'tags:',
+                '  - a',
+                '  - b'
+            ].join('\n');
+
+            expect(_configFile.parse(text, 'controller.yml', {}).config).to.deep.equal({
+                interval: 1000,
+                tags: [ 'a', 'b' ]
+            });
+        });
+
+        it('should throw an error if the document cannot be parsed', function() {
+            expect(function() {
+                return _configFile.parse('{ "a": 1, }', 'controller.cfg', {});
+            }).to.throw();
+            expect(function() {
+                return _configFile.parse('a: [ 1, 2', 'controller.yaml', {});
+            }).to.throw();
+        });
+
+        it('should replace environment variable placeholders in string values', function() {
+            var text = JSON.stringify({
+                url: 'http://${HOST}:${PORT:-8080}/data',
+                user: '${USER:-admin}',
+                password: '${PASSWORD}',
+                nested: [ { path: '${HOME}/data' } ],
+                literal: '$HOME ${1ABC}',
+                interval: 1000
+            });
+            var env = {
+                HOST: 'example.com',
+                USER: '',
+                HOME: '/home/iot'
+            };
+
+            expect(_configFile.parse(text, 'controller.cfg', env).config).to.deep.equal({
+                url: 'http://example.com:8080/data',
+                user: 'admin',
+                password: '',
+                nested: [ { path: '/home/iot/data' } ],
+                literal: '$HOME ${1ABC}',
+                interval: 1000
+            });
+        });
+
+        it('should convert placeholders that make up an entire value to numbers or booleans, if possible', function() {
+            var text = [
+                'pollFrequency: ${POLL_MS:-5000}',
+                'pollTimeout: ${POLL_TIMEOUT}',
+                'enabled: ${ENABLED:-false}',
+                'scale: ${SCALE:-1.5}',
+                'port: "${PORT:-8080}"',
+                'label: ${LABEL:-123abc}',
+                'zone: ${ZONE:-007}',
+                'url: http://host:${PORT:-8080}'
+            ].join('\n');
+            var env = {
+                POLL_TIMEOUT: '250',
+                ENABLED: 'true'
+            };
+
+            expect(_configFile.parse(text, 'controller.yaml', env).config).to.deep.equal({
+                pollFrequency: 5000,
+                pollTimeout: 250,
+                enabled: true,
+                scale: 1.5,
+                port: 8080,
+                label: '123abc',
+                zone: '007',
+                url: 'http://host:8080'
+            });
+        });
+
+        it('should use process.env if environment variables are not specified', function() {
+            process.env.IOT_CLIENT_TEST_VALUE = 'abc';
+            var result = _configFile.parse('{ "value": "${IOT_CLIENT_TEST_VALUE}" }', 'controller.cfg');
+            delete process.env.IOT_CLIENT_TEST_VALUE;
+
+            expect(result.config).to.deep.equal({ value: 'abc' });
+        });
+    });
+
+    describe('stringify()', function() {
+        it('should serialize the config as JSON if the source is not specified', function() {
+            var config = { a: 1, b: [ 'x' ] };
+
+            expect(_configFile.stringify(config)).to.equal(JSON.stringify(config, null, 4));
+        });
+
+        it('should write JSON documents back as JSON, preserving comments at the top of the file', function() {
+            var text = [
+                '// Gateway config',
+                '/* Do not edit */',
+                '{ "interval": 1000 // ms',
+                '}'
+            ].join('\n');
+            var result = _configFile.parse(text, 'controller.cfg', {});
+            result.config.interval = 2000;
+
+            expect(_configFile.stringify(result.config, result.source)).to.equal([
+                '// Gateway config',
+                '/* Do not edit */',
+                JSON.stringify({ interval: 2000 }, null, 4)
+            ].join('\n'));
+        });
+
+        it('should write YAML documents back as YAML, preserving comments at the top of the file', function() {
+            var text = [
+                '',
+                '# Gateway config',
+                '  # Site 3',
+                'interval: 1000 # ms'
+            ].join('\n');
+            var result = _configFile.parse(text, 'controller.yaml', {});
+            result.config.tags = [ 'a' ];
+            var output = _configFile.stringify(result.config, result.source);
+
+            expect(output.indexOf('# Gateway config\n  # Site 3\n')).to.equal(0);
+            expect(output).to.not.contain('# ms');
+            expect(_yaml.load(output)).to.deep.equal({ interval: 1000, tags: [ 'a' ] });
+        });
+
+        it('should restore environment variable placeholders whose values have not changed', function() {
+            var text = JSON.stringify({
+                url: 'http://${HOST}/data',
+                connectors: {
+                    temp1: { user: '${USER:-admin}', password: '${PASSWORD}' }
+                }
+            });
+            var result = _configFile.parse(text, 'controller.cfg', { HOST: 'example.com' });
+            var config = result.config;
+            config.connectors.temp1.password = 'secret';
+
+            expect(JSON.parse(_configFile.stringify(config, result.source))).to.deep.equal({
+                url: 'http://${HOST}/data',
+                connectors: {
+                    temp1: { user: '${USER:-admin}', password: 'secret' }
+                }
+            });
+            expect(config.url).to.equal('http://example.com/data');
+
+            delete config.connectors.temp1;
+            expect(JSON.parse(_configFile.stringify(config, result.source))).to.deep.equal({
+                url: 'http://${HOST}/data',
+                connectors: {}
+            });
+        });
+
+        it('should restore placeholders that were converted to numbers or booleans', function() {
+            var text = JSON.stringify({
+                pollFrequency: '${POLL_MS:-5000}',
+                pollTimeout: '${POLL_TIMEOUT:-250}',
+                enabled: '${ENABLED:-true}'
+            });
+            var result = _configFile.parse(text, 'controller.cfg', {});
+            result.config.pollTimeout = 500;
+
+            expect(JSON.parse(_configFile.stringify(result.config, result.source))).to.deep.equal({
+                pollFrequency: '${POLL_MS:-5000}',
+                pollTimeout: 500,
+                enabled: '${ENABLED:-true}'
+            });
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var _configSchema = require('../../lib/config-schema');
+
+describe('configSchema', function() {
+
+    describe('validate()', function() {
+        it('should throw an error if invoked without a valid schema', function() {
+            var error = 'Invalid schema specified (arg #1)';
+
+            function invokeMethod(schema) {
+                return function() {
+                    return _configSchema.validate(schema, {});
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should throw an error if invoked without a valid config', function() {
+            var error = 'Invalid config specified (arg #2)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return _configSchema.validate({}, config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should report missing required properties', function() {
+            var result = _configSchema.validate({
+                host: { type: 'string', required: true },
+                port: { type: 'integer' }
+            }, {});
+
+            expect(result.errors).to.deep.equal([ 'host: is required' ]);
+        });
+
+        it('should report properties that do not match the declared type', function() {
+            var schema = {
+                str: { type: 'string' },
+                num: { type: 'number' },
+                int: { type: 'integer' },
+                bool: { type: 'boolean' },
+                obj: { type: 'object' },
+                arr: { type: 'array' }
+            };
+            var result = _configSchema.validate(schema, {
+                str: 123,
+                num: 'abc',
+                int: 1.5,
+                bool: 'true',
+                obj: [],
+                arr: {}
+            });
+
+            expect(result.errors).to.deep.equal([
+                'str: must be of type string',
+                'num: must be of type number',
+                'int: must be of type integer',
+                'bool: must be of type boolean',
+                'obj: must be of type object',
+                'arr: must be of type array'
+            ]);
+
+            result = _configSchema.validate(schema, {
+                str: 'abc',
+                num: 1.5,
+                int: 2,
+                bool: false,
+                obj: {},
+                arr: []
+            });
+            expect(result.errors).to.be.empty;
+        });
+
+        it('should apply min and max bounds to numbers, and to the length of strings and arrays', function() {
+            var schema = {
+                num: { type: 'number', min: 1, max: 10 },
+                str: { type: 'string', min: 2 },
+                arr: { type: 'array', max: 1 }
+            };
+            var result = _configSchema.validate(schema, {
+                num: 0,
+                str: 'a',
+                arr: [ 1, 2 ]
+            });
+
+            expect(result.errors).to.deep.equal([
+                'num: must have a value of at least 1',
+                'str: must have a length value of at least 2',
+                'arr: must have a length value of at most 1'
+            ]);
+
+            result = _configSchema.validate(schema, { num: 11 });
+            expect(result.errors).to.deep.equal([ 'num: must have a value of at most 10' ]);
+
+            result = _configSchema.validate(schema, { num: 10, str: 'ab', arr: [ 1 ] });
+            expect(result.errors).to.be.empty;
+        });
+
+        it('should report values that are not in the list of allowed values', function() {
+            var schema = {
+                mode: { type: 'string', enum: [ 'fast', 'slow' ] }
+            };
+
+            expect(_configSchema.validate(schema, { mode: 'medium' }).errors)
+                .to.deep.equal([ 'mode: must be one of [fast, slow]' ]);
+            expect(_configSchema.validate(schema, { mode: 'slow' }).errors)
+                .to.be.empty;
+        });
+
+        it('should validate nested object properties, and report errors using the full property path', function() {
+            var schema = {
+                auth: {
+                    type: 'object',
+                    properties: {
+                        username: { type: 'string', required: true },
+                        retries: { type: 'integer', default: 3 }
+                    }
+                }
+            };
+            var result = _configSchema.validate(schema, { auth: {} });
+
+            expect(result.errors).to.deep.equal([ 'auth.username: is required' ]);
+
+            result = _configSchema.validate(schema, { auth: { username: 'joe' } });
+            expect(result.errors).to.be.empty;
+            expect(result.config.auth).to.deep.equal({ username: 'joe', retries: 3 });
+        });
+
+        it('should return a copy of the config with defaults applied, without modifying the input', function() {
+            var schema = {
+                host: { type: 'string', default: 'localhost' },
+                tags: { type: 'array', default: [ 'a' ] },
+                port: { type: 'integer', default: 80 }
+            };
+            var config = { port: 8080, extra: 'value' };
+            var result = _configSchema.validate(schema, config);
+
+            expect(result.errors).to.be.empty;
+            expect(result.config).to.deep.equal({
+                host: 'localhost',
+                tags: [ 'a' ],
+                port: 8080,
+                extra: 'value'
+            });
+            expect(result.config.tags).to.not.equal(schema.tags.default);
+            expect(config).to.deep.equal({ port: 8080, extra: 'value' });
+        });
+    });
+});
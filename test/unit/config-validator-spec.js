@@ -0,0 +1,302 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var _clone = require('clone');
+var _configValidator = require('../../lib/config-validator');
+
+describe('configValidator', function() {
+
+    function _createConfig(props) {
+        var config = {
+            connectorTypes: {
+                Temp: './temp-connector',
+                Http: './http-connector'
+            },
+            cloudConnectors: {
+                http1: { type: 'Http', config: { url: 'http://localhost' } }
+            },
+            deviceConnectors: {
+                temp1: { type: 'Temp', config: { pollFrequency: 1000 } }
+            }
+        };
+        for (var prop in props) {
+            config[prop] = props[prop];
+        }
+        return config;
+    }
+
+    function _createEntry(props) {
+        var entry = { type: 'Temp', config: {} };
+        for (var prop in props) {
+            entry[prop] = props[prop];
+        }
+        return entry;
+    }
+
+    describe('validate()', function() {
+        it('should throw an error if invoked without a valid config', function() {
+            var error = 'Invalid config specified (arg #1)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return _configValidator.validate(config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should throw an error if invoked with invalid connector types', function() {
+            var error = 'Invalid connector types specified (arg #2)';
+
+            function invokeMethod(connectorTypes) {
+                return function() {
+                    return _configValidator.validate(_createConfig(), connectorTypes);
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should return an empty array if the config is valid, without modifying it', function() {
+            var config = _createConfig({
+                routes: [ { from: 'temp1', to: 'http1' } ],
+                rules: [ { id: 'high', when: { level: { gt: 90 } }, actions: [ { type: 'alarm' } ] } ]
+            });
+            config.deviceConnectors.temp1.restartPolicy = 'always';
+            config.deviceConnectors.temp1.startTimeout = 0;
+            config.deviceConnectors.temp1.deadband = { fields: { level: { absolute: 1 } } };
+            config.deviceConnectors.temp1.transform = [ { op: 'rename', from: 'level', to: 'tankLevel' } ];
+            config.deviceConnectors.temp1.aggregate = { size: 1000, fields: 'level' };
+            var original = _clone(config);
+
+            expect(_configValidator.validate(config)).to.deep.equal([]);
+            expect(config).to.deep.equal(original);
+        });
+
+        it('should report missing or invalid config sections', function() {
+            expect(_configValidator.validate({})).to.deep.equal([
+                'connectorTypes: is required',
+                'cloudConnectors: is required',
+                'deviceConnectors: is required'
+            ]);
+            expect(_configValidator.validate({
+                connectorTypes: [],
+                cloudConnectors: 'abc',
+                deviceConnectors: null,
+                routes: {},
+                rules: 'abc'
+            })).to.deep.equal([
+                'connectorTypes: must be of type object',
+                'cloudConnectors: must be of type object',
+                'deviceConnectors: must be of type object',
+                'routes: must be of type array',
+                'rules: must be of type array'
+            ]);
+        });
+
+        it('should report connector types that do not define a module path', function() {
+            var config = _createConfig();
+            config.connectorTypes.Empty = '';
+            config.connectorTypes.Number = 123;
+
+            expect(_configValidator.validate(config)).to.deep.equal([
+                'connectorTypes.Empty: must be a non empty string',
+                'connectorTypes.Number: must be a non empty string'
+            ]);
+        });
+
+        it('should report every invalid connector entry, with the path of the offending value', function() {
+            var config = _createConfig();
+            config.cloudConnectors.http2 = 'abc';
+            config.deviceConnectors = {
+                temp1: _createEntry({ type: 'Foo' }),
+                temp2: _createEntry({ type: undefined, config: undefined }),
+                temp3: _createEntry({ type: 123, config: [] }),
+                temp4: _createEntry({ restartPolicy: 'sometimes' }),
+                temp5: _createEntry({ startTimeout: -1, stopTimeout: '10s' })
+            };
+
+            expect(_configValidator.validate(config)).to.deep.equal([
+                'cloudConnectors.http2: must be of type object',
+                'deviceConnectors.temp1.type: unknown connector type "Foo"',
+                'deviceConnectors.temp2.type: is required',
+                'deviceConnectors.temp2.config: is required',
+                'deviceConnectors.temp3.type: must be a non empty string',
+                'deviceConnectors.temp3.config: must be of type object',
+                'deviceConnectors.temp4.restartPolicy: Restart policy does not define a valid policy property',
+                'deviceConnectors.temp5.startTimeout: must be a non negative number',
+                'deviceConnectors.temp5.stopTimeout: must be a non negative number'
+            ]);
+        });
+
+        it('should report invalid data processing options of device connectors', function() {
+            var config = _createConfig();
+            config.deviceConnectors = {
+                temp1: _createEntry({ deadband: { fields: 'level' } }),
+                temp2: _createEntry({ transform: {} }),
+                temp3: _createEntry({ transform: [ { op: 'scale', field: 'level', factor: 'ten' } ] }),
+                temp4: _createEntry({ aggregate: { size: 0, fields: 'level' } })
+            };
+
+            expect(_configValidator.validate(config)).to.deep.equal([
+                'deviceConnectors.temp1.deadband: Deadband config does not define a valid fields property',
+                'deviceConnectors.temp2.transform: must be of type array',
+                'deviceConnectors.temp3.transform[0].factor: is invalid for a scale step',
+                'deviceConnectors.temp4.aggregate: Aggregate config does not define a valid size property'
+            ]);
+        });
+
+        it('should ignore data processing options of cloud connectors', function() {
+            var config = _createConfig();
+            config.cloudConnectors.http1.transform = {};
+
+            expect(_configValidator.validate(config)).to.deep.equal([]);
+        });
+
+        it('should report invalid routes and rules', function() {
+            var config = _createConfig({
+                routes: [ { from: 'temp1' } ],
+                rules: [ { id: 'high', actions: [ { type: 'alarm' } ] } ]
+            });
+
+            expect(_configValidator.validate(config)).to.deep.equal([
+                'routes[0].to: is required',
+                'rules[0].when: is required'
+            ]);
+        });
+
+        it('should validate connector configs with their connector types, if specified', function() {
+            function Temp() {}
+            Temp.configSchema = {
+                pollFrequency: { type: 'integer', required: true, min: 100 }
+            };
+            function Http() {}
+            var config = _createConfig();
+            config.deviceConnectors.temp2 = _createEntry({ config: { pollFrequency: 10 } });
+
+            expect(_configValidator.validate(config, { Temp: Temp, Http: Http })).to.deep.equal([
+                'deviceConnectors.temp2.config: Invalid connector configuration: ' +
+                    'pollFrequency: must have a value of at least 100'
+            ]);
+        });
+
+        it('should apply the full validation of connector types that inherit from Connector', function() {
+            var Connector = require('../../lib/connector');
+            var PollingConnector = require('../../lib/polling-connector');
+            var config = _createConfig();
+            config.connectorTypes.Poll = './poll-connector';
+            config.connectorTypes.Base = './base-connector';
+            config.deviceConnectors.temp1 = _createEntry({
+                type: 'Poll',
+                config: { pollFrequency: 1000, schedule: '*/5 * * * *' }
+            });
+            config.cloudConnectors.http1 = _createEntry({
+                type: 'Base',
+                config: { bufferLimit: 'abc' }
+            });
+
+            expect(_configValidator.validate(config, { Poll: PollingConnector, Base: Connector })).to.deep.equal([
+                'cloudConnectors.http1.config: Connector configuration does not define a valid bufferLimit property',
+                'deviceConnectors.temp1.config: Invalid connector configuration: ' +
+                    'pollFrequency: cannot be combined with a schedule'
+            ]);
+        });
+    });
+
+    describe('validateConnector()', function() {
+        it('should throw an error if invoked without a valid connector section', function() {
+            var error = 'Invalid connector section specified (arg #1)';
+
+            function invokeMethod(section) {
+                return function() {
+                    return _configValidator.validateConnector(section, 'temp1', _createEntry(), _createConfig());
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('routes')).to.throw(error);
+        });
+
+        it('should throw an error if invoked without a valid connector id', function() {
+            var error = 'Invalid connector id specified (arg #2)';
+
+            function invokeMethod(id) {
+                return function() {
+                    return _configValidator.validateConnector('deviceConnectors', id, _createEntry(), _createConfig());
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+        });
+
+        it('should throw an error if invoked without a valid config', function() {
+            var error = 'Invalid config specified (arg #4)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return _configValidator.validateConnector('deviceConnectors', 'temp1', _createEntry(), config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should throw an error if invoked with invalid connector types', function() {
+            var error = 'Invalid connector types specified (arg #5)';
+
+            function invokeMethod(connectorTypes) {
+                return function() {
+                    return _configValidator.validateConnector('deviceConnectors', 'temp1',
+                                                              _createEntry(), _createConfig(), connectorTypes);
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+        });
+
+        it('should return an empty array if the entry is valid', function() {
+            var entry = _createEntry({ restartPolicy: 'always', deadband: { fields: { level: { absolute: 1 } } } });
+
+            expect(_configValidator.validateConnector('deviceConnectors', 'temp2', entry, _createConfig())).to.deep.equal([]);
+        });
+
+        it('should report every problem with the entry, using the same checks as validate()', function() {
+            function Temp() {}
+            Temp.configSchema = {
+                pollFrequency: { type: 'integer', required: true }
+            };
+            var entry = _createEntry({
+                config: {},
+                restartPolicy: 'sometimes',
+                transform: [ { op: 'round' } ]
+            });
+
+            expect(_configValidator.validateConnector('deviceConnectors', 'temp2', entry,
+                                                      _createConfig(), { Temp: Temp })).to.deep.equal([
+                'deviceConnectors.temp2.config: Invalid connector configuration: pollFrequency: is required',
+                'deviceConnectors.temp2.restartPolicy: Restart policy does not define a valid policy property',
+                'deviceConnectors.temp2.transform[0].op: must be one of [rename, scale, convert, drop, tag]'
+            ]);
+            expect(_configValidator.validateConnector('cloudConnectors', 'http2', _createEntry({ type: 'Foo' }),
+                                                      _createConfig())).to.deep.equal([
+                'cloudConnectors.http2.type: unknown connector type "Foo"'
+            ]);
+        });
+    });
+});
@@ -31,6 +31,7 @@ describe('connectorFactory', function() {
             expect(connectorFactory).to.be.an('object');
             expect(connectorFactory).to.have.property('init').and.to.be.a('function');
             expect(connectorFactory).to.have.property('createConnector').and.to.be.a('function');
+            expect(connectorFactory).to.have.property('getConnectorType').and.to.be.a('function');
         });
     });
 
@@ -65,6 +66,40 @@ describe('connectorFactory', function() {
         });
     });
 
+    describe('getConnectorType()', function() {
+        it('should throw an error if invoked without a valid connector type', function() {
+            var error = 'Invalid connector type specified (arg #1)';
+
+            function invokeMethod(name) {
+                return function() {
+                    return connectorFactory.getConnectorType(name);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should return the connector type registered under the specified name', function() {
+            var config = _createConnectorConfig();
+
+            connectorFactory.init(config);
+            for(var name in config) {
+                expect(connectorFactory.getConnectorType(name)).to.equal(config[name]);
+            }
+        });
+
+        it('should return null if the connector type has not been defined', function() {
+            connectorFactory.init(_createConnectorConfig());
+            expect(connectorFactory.getConnectorType('foo')).to.be.null;
+        });
+    });
+
     describe('createConnector()', function() {
 
         it('should throw an error if invoked without a valid connector type', function() {
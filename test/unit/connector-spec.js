@@ -9,6 +9,9 @@ var expect = _chai.expect;
 
 var _q = require('q');
 var _util = require('util');
+var _fs = require('fs');
+var _path = require('path');
+var _shortId = require('shortid');
 var _assertionHelper = require('wysknd-test').assertionHelper;
 var Connector = require('../../lib/connector');
 var EventEmitter = require('events').EventEmitter;
@@ -38,6 +41,127 @@ describe('Connector', function() {
         it('should expose static members for each of the standard events supported', function() {
             expect(Connector).to.have.property('DATA_EVENT').and.to.be.a('string').and.to.not.be.empty;
             expect(Connector).to.have.property('LOG_EVENT').and.to.be.a('string').and.to.not.be.empty;
+            expect(Connector).to.have.property('DROP_EVENT').and.to.be.a('string').and.to.not.be.empty;
+            expect(Connector).to.have.property('STATE_EVENT').and.to.be.a('string').and.to.not.be.empty;
+        });
+
+        it('should expose a static method to get the config schema of a connector type', function() {
+            expect(Connector).to.have.property('getConfigSchema').and.to.be.a('function');
+        });
+
+        it('should expose a static method to validate config against a connector type', function() {
+            expect(Connector).to.have.property('validateConfig').and.to.be.a('function');
+        });
+    });
+
+    describe('getConfigSchema()', function() {
+        it('should return null if the connector type does not declare a config schema', function() {
+            expect(Connector.getConfigSchema(Connector)).to.be.null;
+            expect(Connector.getConfigSchema(_defineChildConnector({}))).to.be.null;
+            expect(Connector.getConfigSchema()).to.be.null;
+            expect(Connector.getConfigSchema(null)).to.be.null;
+        });
+
+        it('should merge schemas declared along the inheritance chain, giving precedence to child types', function() {
+            var ParentConnector = _defineChildConnector({});
+            ParentConnector.configSchema = {
+                host: { type: 'string', required: true },
+                port: { type: 'integer', default: 80 }
+            };
+            function ChildConnector(id) {
+                ChildConnector.super_.call(this, id);
+            }
+            _util.inherits(ChildConnector, ParentConnector);
+            ChildConnector.configSchema = {
+                port: { type: 'integer', default: 8080 }
+            };
+
+            expect(Connector.getConfigSchema(ChildConnector)).to.deep.equal({
+                host: { type: 'string', required: true },
+                port: { type: 'integer', default: 8080 }
+            });
+            expect(Connector.getConfigSchema(ParentConnector)).to.deep.equal(ParentConnector.configSchema);
+        });
+    });
+
+    describe('validateConfig()', function() {
+        it('should throw an error if invoked without a valid connector type', function() {
+            var error = 'Invalid connector type specified (arg #1)';
+
+            function invokeMethod(Type) {
+                return function() {
+                    return Connector.validateConfig(Type, {});
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should throw an error if invoked without a valid config', function() {
+            var error = 'Invalid connector configuration specified (arg #2)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return Connector.validateConfig(Connector, config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should return null if the config is valid', function() {
+            var ChildConnector = _defineChildConnector({});
+            ChildConnector.configSchema = {
+                host: { type: 'string', required: true }
+            };
+
+            expect(Connector.validateConfig(Connector, {})).to.be.null;
+            expect(Connector.validateConfig(ChildConnector, {
+                host: 'localhost',
+                bufferLimit: { count: 10 }
+            })).to.be.null;
+        });
+
+        it('should apply the config schema and the buffer checks of the connector type', function() {
+            var ChildConnector = _defineChildConnector({});
+            ChildConnector.configSchema = {
+                host: { type: 'string', required: true }
+            };
+
+            expect(Connector.validateConfig(ChildConnector, {}))
+                .to.equal('Invalid connector configuration: host: is required');
+            expect(Connector.validateConfig(ChildConnector, { host: 'localhost', bufferLimit: 'abc' }))
+                .to.equal('Connector configuration does not define a valid bufferLimit property');
+            expect(Connector.validateConfig(Connector, { overflowPolicy: 'drop-all' }))
+                .to.equal('Connector configuration does not define a valid overflowPolicy property');
+        });
+
+        it('should only apply the config schema of types that do not inherit from Connector', function() {
+            function OtherConnector() {}
+            expect(Connector.validateConfig(OtherConnector, { bufferLimit: 'abc' })).to.be.null;
+
+            OtherConnector.configSchema = {
+                host: { type: 'string', required: true }
+            };
+            expect(Connector.validateConfig(OtherConnector, {}))
+                .to.equal('Invalid connector configuration: host: is required');
+        });
+
+        it('should not modify the config', function() {
+            var ChildConnector = _defineChildConnector({});
+            ChildConnector.configSchema = {
+                port: { type: 'integer', default: 80 }
+            };
+            var config = {};
+
+            expect(Connector.validateConfig(ChildConnector, config)).to.be.null;
+            expect(config).to.deep.equal({});
         });
     });
 
@@ -74,6 +198,13 @@ describe('Connector', function() {
             expect(con).to.have.property('addLogData').and.to.be.a('function');
             expect(con).to.have.property('stop').and.to.be.a('function');
             expect(con).to.have.property('setLogger').and.to.be.a('function');
+            expect(con).to.have.property('getDroppedCount').and.to.be.a('function');
+            expect(con).to.have.property('getState').and.to.be.a('function');
+            expect(con).to.have.property('checkHealth').and.to.be.a('function');
+            expect(con).to.have.property('getMetrics').and.to.be.a('function');
+            expect(con).to.have.property('pause').and.to.be.a('function');
+            expect(con).to.have.property('resume').and.to.be.a('function');
+            expect(con).to.have.property('markFailed').and.to.be.a('function');
 
             expect(con).to.have.property('_logger').and.to.be.an('object');
             expect(con._logger).to.have.property('silly').and.to.be.a('function');
@@ -241,6 +372,50 @@ describe('Connector', function() {
             expect(ret).to.be.rejectedWith(error).and.notify(done);
         });
 
+        it('should reject the promise without starting the connector if the config does not match the config schema', function(done) {
+            var start = _sinon.stub().returns(_q.resolve());
+            var ChildConnectorClass = _defineChildConnector({ _start: start });
+            ChildConnectorClass.configSchema = {
+                host: { type: 'string', required: true },
+                port: { type: 'integer', min: 1 }
+            };
+
+            var con = new ChildConnectorClass('foo');
+            var ret = con.init({ port: 0 });
+
+            expect(ret).to.be.rejectedWith('Invalid connector configuration: host: is required; port: must have a value of at least 1')
+                .then(function() {
+                    expect(start).to.not.have.been.called;
+                    expect(con.getState().state).to.equal(Connector.STATE_FAILED);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should apply defaults from the config schema before starting the connector', function(done) {
+            var config = null;
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    config = this._config;
+                    return _q.resolve();
+                }
+            });
+            ChildConnectorClass.configSchema = {
+                host: { type: 'string', default: 'localhost' },
+                port: { type: 'integer', default: 80 }
+            };
+
+            var con = new ChildConnectorClass('foo');
+            var ret = con.init({ port: 8080 });
+
+            expect(ret).to.be.fulfilled
+                .then(function() {
+                    expect(config).to.deep.equal({ host: 'localhost', port: 8080 });
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
         it('should set the connector to active state if initialization succeeds', function(done) {
             var ChildConnectorClass = _defineChildConnector({
                 _start: function() {
@@ -305,6 +480,327 @@ describe('Connector', function() {
         });
     });
 
+    describe('getState()', function() {
+        function _defineTestConnector(startAction, stopAction) {
+            return _defineChildConnector({
+                _start: function() {
+                    return (startAction === 'resolve') ? _q.resolve() : _q.reject('start failed');
+                },
+                _stop: function() {
+                    return (stopAction === 'resolve') ? _q.resolve() : _q.reject('stop failed');
+                }
+            });
+        }
+
+        it('should report the connector as inactive when initialized', function() {
+            var con = _createConnector();
+            var state = con.getState();
+
+            expect(state.state).to.equal(Connector.STATE_INACTIVE);
+            expect(state.error).to.be.null;
+            expect(state.timestamp).to.be.a('number');
+        });
+
+        it('should transition through the starting state to the active state when init succeeds', function(done) {
+            var ChildConnectorClass = _defineTestConnector('resolve', 'resolve');
+            var con = new ChildConnectorClass('foo');
+            var stateHandler = _sinon.spy();
+            con.on(Connector.STATE_EVENT, stateHandler);
+
+            var ret = con.init({});
+            expect(con.getState().state).to.equal(Connector.STATE_STARTING);
+
+            expect(ret).to.be.fulfilled
+                .then(function() {
+                    expect(con.getState().state).to.equal(Connector.STATE_ACTIVE);
+                    expect(stateHandler).to.have.been.calledTwice;
+                    expect(stateHandler.args[0][0].state).to.equal(Connector.STATE_STARTING);
+                    expect(stateHandler.args[0][0].previousState).to.equal(Connector.STATE_INACTIVE);
+                    expect(stateHandler.args[1][0].state).to.equal(Connector.STATE_ACTIVE);
+                    expect(stateHandler.args[1][0].id).to.equal('foo');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should transition to the failed state, and record the error, when init fails', function(done) {
+            var ChildConnectorClass = _defineTestConnector('reject', 'resolve');
+            var con = new ChildConnectorClass('foo');
+
+            expect(con.init({})).to.be.rejected
+                .then(function() {
+                    var state = con.getState();
+                    expect(state.state).to.equal(Connector.STATE_FAILED);
+                    expect(state.error).to.equal('start failed');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should transition through the stopping state to the inactive state when stop succeeds', function(done) {
+            var ChildConnectorClass = _defineTestConnector('resolve', 'resolve');
+            var con = new ChildConnectorClass('foo');
+
+            expect(con.init({})).to.be.fulfilled
+                .then(function() {
+                    var ret = con.stop();
+                    expect(con.getState().state).to.equal(Connector.STATE_STOPPING);
+                    return ret;
+                })
+                .then(function() {
+                    expect(con.getState().state).to.equal(Connector.STATE_INACTIVE);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should transition to the failed state when stop fails', function(done) {
+            var ChildConnectorClass = _defineTestConnector('resolve', 'reject');
+            var con = new ChildConnectorClass('foo');
+
+            expect(con.init({})).to.be.fulfilled
+                .then(con.stop.bind(con))
+                .then(function() {
+                    throw new Error('Stop was expected to fail');
+                }, function() {
+                    var state = con.getState();
+                    expect(state.state).to.equal(Connector.STATE_FAILED);
+                    expect(state.error).to.equal('stop failed');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('_setState()', function() {
+        function _createActiveConnector() {
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    return _q.resolve();
+                }
+            });
+            var con = new ChildConnectorClass('foo');
+            return con.init({}).then(function() {
+                return con;
+            });
+        }
+
+        it('should throw an error if invoked with a state that cannot be set by a child class', function() {
+            var error = 'Invalid connector state specified (arg #1)';
+            var con = _createConnector();
+
+            function invokeMethod(state) {
+                return function() {
+                    con._setState(state);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod('bad-state')).to.throw(error);
+            expect(invokeMethod(Connector.STATE_INACTIVE)).to.throw(error);
+            expect(invokeMethod(Connector.STATE_STARTING)).to.throw(error);
+            expect(invokeMethod(Connector.STATE_STOPPING)).to.throw(error);
+        });
+
+        it('should throw an error if the connector is not running, and the state is not failed', function() {
+            var error = 'Connector state cannot be changed when the connector is not running';
+            var con = _createConnector();
+
+            expect(function() {
+                con._setState(Connector.STATE_DEGRADED);
+            }).to.throw(error);
+        });
+
+        it('should allow a running connector to move between the active and degraded states', function(done) {
+            expect(_createActiveConnector()).to.be.fulfilled
+                .then(function(con) {
+                    var stateHandler = _sinon.spy();
+                    con.on(Connector.STATE_EVENT, stateHandler);
+
+                    con._setState(Connector.STATE_DEGRADED, 'lost connection');
+                    expect(con.isActive()).to.be.true;
+                    expect(con.getState().state).to.equal(Connector.STATE_DEGRADED);
+                    expect(con.getState().error).to.equal('lost connection');
+
+                    con._setState(Connector.STATE_ACTIVE);
+                    expect(con.getState().state).to.equal(Connector.STATE_ACTIVE);
+                    expect(con.getState().error).to.be.null;
+                    expect(stateHandler).to.have.been.calledTwice;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should allow a connector to be moved to the failed state at any time', function() {
+            var con = _createConnector();
+
+            con._setState(Connector.STATE_FAILED, 'something went wrong');
+            expect(con.isActive()).to.be.false;
+            expect(con.getState().state).to.equal(Connector.STATE_FAILED);
+        });
+    });
+
+    describe('checkHealth()', function() {
+        function _createActiveConnector(healthCheck) {
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    return _q.resolve();
+                },
+                _healthCheck: healthCheck || Connector.prototype._healthCheck
+            });
+            var con = new ChildConnectorClass('foo');
+            return con.init({}).then(function() {
+                return con;
+            });
+        }
+
+        it('should report an inactive connector as unhealthy', function(done) {
+            var con = _createConnector();
+
+            expect(con.checkHealth()).to.be.fulfilled
+                .then(function(report) {
+                    expect(report.healthy).to.be.false;
+                    expect(report.error).to.contain('Connector is not active');
+                    expect(report.timestamp).to.be.a('number');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should report an active connector as healthy by default', function(done) {
+            expect(_createActiveConnector()).to.be.fulfilled
+                .then(function(con) {
+                    return con.checkHealth();
+                })
+                .then(function(report) {
+                    expect(report.healthy).to.be.true;
+                    expect(report.error).to.be.null;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should report a degraded connector as unhealthy by default', function(done) {
+            expect(_createActiveConnector()).to.be.fulfilled
+                .then(function(con) {
+                    con._setState(Connector.STATE_DEGRADED, 'lost connection');
+                    return con.checkHealth();
+                })
+                .then(function(report) {
+                    expect(report.healthy).to.be.false;
+                    expect(report.error).to.equal('lost connection');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should delegate the health check to an inheriting class', function(done) {
+            var details = { lastRead: 1234 };
+            var healthCheck = _sinon.stub().returns(_q.resolve(details));
+
+            expect(_createActiveConnector(healthCheck)).to.be.fulfilled
+                .then(function(con) {
+                    return con.checkHealth('req_1');
+                })
+                .then(function(report) {
+                    expect(healthCheck).to.have.been.calledWith('req_1');
+                    expect(report.healthy).to.be.true;
+                    expect(report.details).to.deep.equal(details);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should report the connector as unhealthy if the health check fails or throws', function(done) {
+            var rejectCheck = _sinon.stub().returns(_q.reject('no reads'));
+            var throwCheck = _sinon.stub().throws(new Error('bad check'));
+
+            expect(_createActiveConnector(rejectCheck)).to.be.fulfilled
+                .then(function(con) {
+                    return con.checkHealth();
+                })
+                .then(function(report) {
+                    expect(report.healthy).to.be.false;
+                    expect(report.error).to.equal('no reads');
+                })
+                .then(function() {
+                    return _createActiveConnector(throwCheck);
+                })
+                .then(function(con) {
+                    return con.checkHealth();
+                })
+                .then(function(report) {
+                    expect(report.healthy).to.be.false;
+                    expect(report.error.message).to.equal('bad check');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('getMetrics()', function() {
+        it('should return zeroed metrics for a new connector', function() {
+            var con = _createConnector();
+            var metrics = con.getMetrics();
+
+            expect(metrics.dataEvents).to.equal(0);
+            expect(metrics.logEvents).to.equal(0);
+            expect(metrics.recordsAdded).to.equal(0);
+            expect(metrics.droppedRecords).to.equal(0);
+            expect(metrics.errors).to.equal(0);
+            expect(metrics.bufferLength).to.equal(0);
+            expect(metrics.leasedRecords).to.equal(0);
+            expect(metrics.state).to.equal(Connector.STATE_INACTIVE);
+            expect(metrics.lastActivity).to.be.null;
+        });
+
+        it('should count data, log and error events emitted by the connector', function() {
+            var con = _createConnector();
+            con.on('error', function() {});
+
+            con.emit(Connector.DATA_EVENT, { foo: 'bar' });
+            con.emit(Connector.DATA_EVENT, { foo: 'bar' });
+            con.emit(Connector.LOG_EVENT, { message: 'hello' });
+            con.emit('error', new Error('something went wrong'));
+
+            var metrics = con.getMetrics();
+            expect(metrics.dataEvents).to.equal(2);
+            expect(metrics.logEvents).to.equal(1);
+            expect(metrics.errors).to.equal(1);
+            expect(metrics.lastDataEvent).to.be.a('number');
+            expect(metrics.lastLogEvent).to.be.a('number');
+            expect(metrics.lastError).to.be.a('number');
+            expect(metrics.lastActivity).to.be.a('number');
+        });
+
+        it('should track records added, dropped, buffered and leased', function() {
+            var con = _createConnector();
+            con.init({ bufferLimit: { count: 3 } });
+            for(var index=0; index<5; index++) {
+                con.addData({ foo: index });
+            }
+            con._checkoutBatch({ count: 1 });
+
+            var metrics = con.getMetrics();
+            expect(metrics.recordsAdded).to.equal(5);
+            expect(metrics.droppedRecords).to.equal(2);
+            expect(metrics.bufferLength).to.equal(2);
+            expect(metrics.leasedRecords).to.equal(1);
+            expect(metrics.lastRecordAdded).to.be.a('number');
+        });
+
+        it('should count failures to start the connector as errors', function(done) {
+            var con = _createConnector();
+
+            expect(con.init({})).to.be.rejected
+                .then(function() {
+                    expect(con.getMetrics().errors).to.equal(1);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
     describe('addData()', function() {
         it('should throw an error if invoked without a valid data object', function() {
             var error = 'Invalid data object specified (arg #1)';
@@ -341,6 +837,802 @@ describe('Connector', function() {
             }
             expect(con._buffer).to.deep.equal(expectedBuffer);
         });
+
+        it('should reject the init promise if the connector config defines an invalid buffer limit', function(done) {
+            var error = 'Connector configuration does not define a valid bufferLimit property';
+            var checkReject = function(bufferLimit) {
+                return function() {
+                    var con = _createConnector();
+                    return expect(con.init({
+                        bufferLimit: bufferLimit
+                    })).to.be.rejectedWith(error);
+                };
+            };
+
+            expect(checkReject(null)()).to.be.fulfilled
+                .then(checkReject(10))
+                .then(checkReject([]))
+                .then(checkReject({ count: 0 }))
+                .then(checkReject({ count: 'abc' }))
+                .then(checkReject({ bytes: -1 }))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject the init promise if the connector config defines an invalid overflow policy', function(done) {
+            var error = 'Connector configuration does not define a valid overflowPolicy property';
+            var con = _createConnector();
+
+            expect(con.init({
+                bufferLimit: { count: 10 },
+                overflowPolicy: 'bad-policy'
+            })).to.be.rejectedWith(error).and.notify(done);
+        });
+
+        it('should drop the oldest records when the buffer count limit is exceeded', function() {
+            var con = _createConnector();
+            var dropHandler = _sinon.spy();
+            con.on(Connector.DROP_EVENT, dropHandler);
+            con.init({ bufferLimit: { count: 3 } });
+
+            for(var index=0; index<5; index++) {
+                con.addData({ foo: index });
+            }
+
+            expect(con._buffer).to.deep.equal([ { foo: 2 }, { foo: 3 }, { foo: 4 } ]);
+            expect(con.getDroppedCount()).to.equal(2);
+            expect(dropHandler).to.have.been.calledTwice;
+
+            var payload = dropHandler.args[0][0];
+            expect(payload.id).to.equal('connector_id');
+            expect(payload.policy).to.equal(Connector.OVERFLOW_DROP_OLDEST);
+            expect(payload.count).to.equal(1);
+            expect(payload.records).to.deep.equal([ { foo: 0 } ]);
+        });
+
+        it('should drop the newest records when the buffer is full and the policy is drop-newest', function() {
+            var con = _createConnector();
+            var dropHandler = _sinon.spy();
+            con.on(Connector.DROP_EVENT, dropHandler);
+            con.init({
+                bufferLimit: { count: 3 },
+                overflowPolicy: Connector.OVERFLOW_DROP_NEWEST
+            });
+
+            for(var index=0; index<5; index++) {
+                con.addData({ foo: index });
+            }
+
+            expect(con._buffer).to.deep.equal([ { foo: 0 }, { foo: 1 }, { foo: 2 } ]);
+            expect(con.getDroppedCount()).to.equal(2);
+            expect(dropHandler).to.have.been.calledTwice;
+            expect(dropHandler.args[1][0].records).to.deep.equal([ { foo: 4 } ]);
+        });
+
+        it('should throw an error when the buffer is full and the policy is reject', function() {
+            var error = 'Connector buffer limit exceeded. Record rejected';
+            var con = _createConnector();
+            var dropHandler = _sinon.spy();
+            con.on(Connector.DROP_EVENT, dropHandler);
+            con.init({
+                bufferLimit: { count: 2 },
+                overflowPolicy: Connector.OVERFLOW_REJECT
+            });
+
+            con.addData({ foo: 0 });
+            con.addData({ foo: 1 });
+            expect(function() {
+                con.addData({ foo: 2 });
+            }).to.throw(error);
+
+            expect(con._buffer).to.deep.equal([ { foo: 0 }, { foo: 1 } ]);
+            expect(con.getDroppedCount()).to.equal(1);
+            expect(dropHandler).to.have.been.calledOnce;
+        });
+
+        it('should enforce the approximate byte limit on the buffer', function() {
+            var con = _createConnector();
+            var record = { foo: 'bar' };
+            var size = JSON.stringify(record).length;
+            con.init({ bufferLimit: { bytes: size * 2 } });
+
+            con.addData({ foo: 'ba1' });
+            con.addData({ foo: 'ba2' });
+            con.addData({ foo: 'ba3' });
+
+            expect(con._buffer).to.deep.equal([ { foo: 'ba2' }, { foo: 'ba3' } ]);
+            expect(con.getDroppedCount()).to.equal(1);
+        });
+
+        it('should drop a record that is larger than the byte limit of the buffer', function() {
+            var con = _createConnector();
+            con.init({ bufferLimit: { bytes: 5 } });
+
+            con.addData({ foo: 'a very large record' });
+
+            expect(con._buffer).to.be.empty;
+            expect(con.getDroppedCount()).to.equal(1);
+        });
+    });
+
+    describe('_checkoutBatch()', function() {
+        function _createFilledConnector(count, config) {
+            var con = _createConnector();
+            con.init(config || {});
+            for(var index=0; index<count; index++) {
+                con.addData({ foo: index });
+            }
+            return con;
+        }
+
+        it('should return null if the buffer is empty', function() {
+            var con = _createConnector();
+
+            expect(con._checkoutBatch()).to.be.null;
+        });
+
+        it('should check out all records in the buffer if no limits are specified', function() {
+            var con = _createFilledConnector(5);
+            var lease = con._checkoutBatch();
+
+            expect(lease.getRecords()).to.have.length(5);
+            expect(con._buffer).to.be.empty;
+        });
+
+        it('should limit the batch to the specified number of records', function() {
+            var con = _createFilledConnector(5);
+            var lease = con._checkoutBatch({ count: 2 });
+
+            expect(lease.getRecords()).to.deep.equal([ { foo: 0 }, { foo: 1 } ]);
+            expect(con._buffer).to.deep.equal([ { foo: 2 }, { foo: 3 }, { foo: 4 } ]);
+        });
+
+        it('should limit the batch to the specified approximate size', function() {
+            var con = _createFilledConnector(5);
+            var size = JSON.stringify({ foo: 0 }).length;
+            var lease = con._checkoutBatch({ bytes: size * 3 });
+
+            expect(lease.getRecords()).to.have.length(3);
+        });
+
+        it('should include at least one record in the batch, even if it exceeds the size limit', function() {
+            var con = _createFilledConnector(5);
+            var lease = con._checkoutBatch({ bytes: 1 });
+
+            expect(lease.getRecords()).to.deep.equal([ { foo: 0 } ]);
+        });
+
+        it('should throw an error if a lease is already active', function() {
+            var error = 'A buffer lease is already active';
+            var con = _createFilledConnector(5);
+            con._checkoutBatch({ count: 1 });
+
+            expect(function() {
+                con._checkoutBatch({ count: 1 });
+            }).to.throw(error);
+        });
+
+        it('should allow a new lease to be checked out once the previous lease has been released', function() {
+            var con = _createFilledConnector(5);
+            con._checkoutBatch({ count: 1 }).commit();
+
+            var lease = con._checkoutBatch({ count: 1 });
+            expect(lease.getRecords()).to.deep.equal([ { foo: 1 } ]);
+        });
+
+        it('should return records to the head of the buffer in order when the lease is rolled back', function() {
+            var con = _createFilledConnector(3);
+            var lease = con._checkoutBatch({ count: 2 });
+            con.addData({ foo: 3 });
+
+            lease.rollback();
+            expect(con._buffer).to.deep.equal([ { foo: 0 }, { foo: 1 }, { foo: 2 }, { foo: 3 } ]);
+        });
+
+        it('should confirm delivery of the records when the lease is committed', function() {
+            var con = _createFilledConnector(3);
+            var confirmSpy = _sinon.spy(con, '_confirmDelivery');
+            var lease = con._checkoutBatch({ count: 2 });
+
+            lease.commit();
+            expect(confirmSpy).to.have.been.calledOnce;
+            expect(confirmSpy.args[0][0]).to.deep.equal([ { foo: 0 }, { foo: 1 } ]);
+            expect(con._buffer).to.deep.equal([ { foo: 2 } ]);
+        });
+
+        it('should keep the byte count of the buffer accurate across checkout and rollback', function() {
+            var size = JSON.stringify({ foo: 0 }).length;
+            var con = _createFilledConnector(3, { bufferLimit: { bytes: size * 3 } });
+            var lease = con._checkoutBatch({ count: 2 });
+
+            expect(con._bufferBytes).to.equal(size);
+            lease.rollback();
+            expect(con._bufferBytes).to.equal(size * 3);
+        });
+
+        it('should roll back the lease automatically once the lease timeout expires', function(done) {
+            var con = _createFilledConnector(3);
+            con._checkoutBatch({ count: 2, leaseTimeout: 20 });
+
+            expect(_assertionHelper.wait(30)()).to.be.fulfilled
+                .then(function() {
+                    expect(con._buffer).to.have.length(3);
+                    expect(con._activeLease).to.be.null;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[persistent buffer]', function() {
+        var TEMP_DIR = './.tmp';
+        var _bufferPath = null;
+
+        function _removeFolder(path) {
+            if (!_fs.existsSync(path)) {
+                return;
+            }
+            _fs.readdirSync(path).forEach(function(fileName) {
+                var filePath = _path.join(path, fileName);
+                if (_fs.statSync(filePath).isDirectory()) {
+                    _removeFolder(filePath);
+                } else {
+                    _fs.unlinkSync(filePath);
+                }
+            });
+            _fs.rmdirSync(path);
+        }
+
+        function _createStartedConnector(id) {
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    return _q.resolve();
+                }
+            });
+            var con = new ChildConnectorClass(id || 'foo');
+            return con.init({
+                persistentBuffer: { path: _bufferPath }
+            }).then(function() {
+                return con;
+            });
+        }
+
+        function _getJournalFiles(id) {
+            return _fs.readdirSync(_path.join(_bufferPath, id || 'foo'));
+        }
+
+        beforeEach(function() {
+            _bufferPath = _path.join(TEMP_DIR, 'buffer-' + _shortId.generate());
+        });
+
+        afterEach(function() {
+            _removeFolder(TEMP_DIR);
+        });
+
+        it('should reject the init promise if the persistent buffer config is invalid', function(done) {
+            var error = 'Connector configuration does not define a valid persistentBuffer property';
+            var checkReject = function(persistentBuffer) {
+                return function() {
+                    var con = _createConnector();
+                    return expect(con.init({
+                        persistentBuffer: persistentBuffer
+                    })).to.be.rejectedWith(error);
+                };
+            };
+
+            expect(checkReject(null)()).to.be.fulfilled
+                .then(checkReject('abc'))
+                .then(checkReject({}))
+                .then(checkReject({ path: '' }))
+                .then(checkReject({ path: 123 }))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should journal records to disk when they are added to the buffer', function(done) {
+            _createStartedConnector().then(function(con) {
+                con.addData({ foo: 1 });
+                con.addData({ foo: 2 });
+
+                expect(con._buffer).to.deep.equal([ { foo: 1 }, { foo: 2 } ]);
+                expect(_getJournalFiles()).to.have.length(2);
+            }).then(_assertionHelper.getNotifySuccessHandler(done),
+                    _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should replay journaled records into the buffer when a new connector is initialized', function(done) {
+            _createStartedConnector().then(function(con) {
+                con.addData({ foo: 1 });
+                con.addData({ foo: 2 });
+                return con.stop().fail(function() {});
+            }).then(function() {
+                return _createStartedConnector();
+            }).then(function(con) {
+                expect(con._buffer).to.deep.equal([ { foo: 1 }, { foo: 2 } ]);
+            }).then(_assertionHelper.getNotifySuccessHandler(done),
+                    _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not replay records more than once if the same connector is initialized again', function(done) {
+            var connector = null;
+            _createStartedConnector().then(function(con) {
+                connector = con;
+                con.addData({ foo: 1 });
+                return con.init({
+                    persistentBuffer: { path: _bufferPath }
+                });
+            }).then(function() {
+                expect(connector._buffer).to.deep.equal([ { foo: 1 } ]);
+            }).then(_assertionHelper.getNotifySuccessHandler(done),
+                    _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should remove journaled records only once delivery has been confirmed', function(done) {
+            _createStartedConnector().then(function(con) {
+                con.addData({ foo: 1 });
+                con.addData({ foo: 2 });
+
+                var records = con._buffer.splice(0, 1);
+                expect(_getJournalFiles()).to.have.length(2);
+
+                con._confirmDelivery(records);
+                expect(_getJournalFiles()).to.have.length(1);
+            }).then(_createStartedConnector)
+            .then(function(con) {
+                expect(con._buffer).to.deep.equal([ { foo: 2 } ]);
+            }).then(_assertionHelper.getNotifySuccessHandler(done),
+                    _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should keep and replay records that are taken from the buffer without confirming delivery', function(done) {
+            _createStartedConnector().then(function(con) {
+                con.addData({ foo: 1 });
+                con.addData({ foo: 2 });
+
+                con._buffer.splice(0);
+                con.addData({ foo: 3 });
+                expect(_getJournalFiles()).to.have.length(3);
+            }).then(_createStartedConnector)
+            .then(function(con) {
+                expect(con._buffer).to.deep.equal([ { foo: 1 }, { foo: 2 }, { foo: 3 } ]);
+            }).then(_assertionHelper.getNotifySuccessHandler(done),
+                    _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should remove journaled records that are dropped from the buffer', function(done) {
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    return _q.resolve();
+                }
+            });
+            var con = new ChildConnectorClass('foo');
+
+            con.init({
+                bufferLimit: { count: 2 },
+                persistentBuffer: { path: _bufferPath }
+            }).then(function() {
+                con.addData({ foo: 1 });
+                con.addData({ foo: 2 });
+                con.addData({ foo: 3 });
+
+                expect(_getJournalFiles()).to.have.length(2);
+            }).then(_assertionHelper.getNotifySuccessHandler(done),
+                    _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should apply the buffer limit and overflow policy to records replayed from the journal', function(done) {
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    return _q.resolve();
+                }
+            });
+            var dropHandler = _sinon.spy();
+
+            function _initConnector(config) {
+                var con = new ChildConnectorClass('foo');
+                con.on('drop', dropHandler);
+                config.persistentBuffer = { path: _bufferPath };
+                return con.init(config).then(function() {
+                    return con;
+                });
+            }
+
+            _createStartedConnector().then(function(con) {
+                [ 1, 2, 3, 4, 5 ].forEach(function(value) {
+                    con.addData({ foo: value });
+                });
+            }).then(function() {
+                return _initConnector({ bufferLimit: { count: 4 }, overflowPolicy: 'drop-newest' });
+            }).then(function(con) {
+                expect(con._buffer).to.deep.equal([ { foo: 1 }, { foo: 2 }, { foo: 3 }, { foo: 4 } ]);
+                expect(_getJournalFiles()).to.have.length(4);
+                expect(dropHandler).to.have.been.calledOnce;
+                expect(dropHandler.args[0][0].records).to.deep.equal([ { foo: 5 } ]);
+                expect(dropHandler.args[0][0].policy).to.equal('drop-newest');
+
+                return _initConnector({ bufferLimit: { count: 2 } });
+            }).then(function(con) {
+                expect(con._buffer).to.deep.equal([ { foo: 3 }, { foo: 4 } ]);
+                expect(_getJournalFiles()).to.have.length(2);
+                expect(con.getMetrics().droppedRecords).to.equal(2);
+            }).then(_assertionHelper.getNotifySuccessHandler(done),
+                    _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('reconfigure()', function() {
+        function _createActiveConnector(reconfigure) {
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    return _q.resolve();
+                },
+                _reconfigure: reconfigure || _sinon.stub().returns(_q.resolve(true))
+            });
+            ChildConnectorClass.configSchema = {
+                host: { type: 'string', required: true },
+                port: { type: 'integer', default: 80 }
+            };
+            return new ChildConnectorClass('foo');
+        }
+
+        it('should throw an error if invoked without a valid configuration object', function() {
+            var error = 'Invalid connector configuration specified (arg #1)';
+            var con = _createActiveConnector();
+
+            function invokeMethod(config) {
+                return function() {
+                    con.reconfigure(config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should reject the promise if the connector is not running', function(done) {
+            var con = _createActiveConnector();
+
+            expect(con.reconfigure({ host: 'localhost' }))
+                .to.be.rejectedWith('Connector cannot be reconfigured when it is not running: INACTIVE')
+                .and.notify(done);
+        });
+
+        it('should reject the promise, and keep the current config, if the new config is invalid', function(done) {
+            var con = _createActiveConnector();
+
+            expect(con.init({ host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    return expect(con.reconfigure({ port: 'abc' }))
+                        .to.be.rejectedWith('Invalid connector configuration: host: is required; port: must be of type integer');
+                })
+                .then(function() {
+                    expect(con._reconfigure).to.not.have.been.called;
+                    expect(con._config).to.deep.equal({ host: 'localhost', port: 80 });
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should apply changes to buffer settings without invoking _reconfigure()', function(done) {
+            var con = _createActiveConnector();
+            var newConfig = { host: 'localhost', bufferLimit: { count: 1 } };
+
+            expect(con.init({ host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure(newConfig);
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.true;
+                    expect(con._reconfigure).to.not.have.been.called;
+                    expect(con._config.bufferLimit).to.deep.equal({ count: 1 });
+
+                    con.addData({ foo: 1 });
+                    con.addData({ foo: 2 });
+                    expect(con._buffer).to.deep.equal([ { foo: 2 } ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should delegate other changes to _reconfigure(), and apply the new config if it is accepted', function(done) {
+            var con = _createActiveConnector();
+            con.on('error', function() {});
+
+            expect(con.init({ host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    con.addData({ foo: 'bar' });
+                    return con.reconfigure({ host: 'remotehost' }, 'req_1');
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.true;
+                    expect(con._reconfigure).to.have.been.calledOnce;
+                    expect(con._reconfigure).to.have.been.calledWith(
+                        { host: 'remotehost', port: 80 },
+                        { host: 'localhost', port: 80 },
+                        'req_1');
+                    expect(con._config).to.deep.equal({ host: 'remotehost', port: 80 });
+                    expect(con._buffer).to.deep.equal([ { foo: 'bar' } ]);
+                    expect(con.getState().state).to.equal(Connector.STATE_ACTIVE);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should resolve with false, and keep the current config, if _reconfigure() declines the change', function(done) {
+            var con = _createActiveConnector(_sinon.stub().returns(_q.resolve(false)));
+
+            expect(con.init({ host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({ host: 'remotehost' });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.false;
+                    expect(con._config).to.deep.equal({ host: 'localhost', port: 80 });
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should decline changes to the persistent buffer without invoking _reconfigure()', function(done) {
+            var con = _createActiveConnector();
+
+            expect(con.init({ host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({ host: 'localhost', persistentBuffer: { path: './.tmp' } });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.false;
+                    expect(con._reconfigure).to.not.have.been.called;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should decline reconfiguration by default', function(done) {
+            var con = _createActiveConnector(Connector.prototype._reconfigure);
+
+            expect(con.init({ host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({ host: 'remotehost' });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.false;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject the promise and record an error if _reconfigure() fails', function(done) {
+            var error = 'Could not apply config';
+            var con = _createActiveConnector(_sinon.stub().returns(_q.reject(error)));
+
+            expect(con.init({ host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    return expect(con.reconfigure({ host: 'remotehost' })).to.be.rejectedWith(error);
+                })
+                .then(function() {
+                    expect(con.getMetrics().errors).to.equal(1);
+                    expect(con._config).to.deep.equal({ host: 'localhost', port: 80 });
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('markFailed()', function() {
+        it('should move the connector to the failed state, and emit a state event', function(done) {
+            var ChildConnectorClass = _defineChildConnector({
+                _start: function() {
+                    return _q.resolve();
+                }
+            });
+            var con = new ChildConnectorClass('foo');
+            var stateHandler = _sinon.spy();
+
+            expect(con.init({})).to.be.fulfilled
+                .then(function() {
+                    con.on(Connector.STATE_EVENT, stateHandler);
+                    con.markFailed('something went wrong');
+
+                    expect(con.getState().state).to.equal(Connector.STATE_FAILED);
+                    expect(con.getState().error).to.equal('something went wrong');
+                    expect(con.isActive()).to.be.false;
+                    expect(stateHandler).to.have.been.calledOnce;
+                    expect(stateHandler.args[0][0].state).to.equal(Connector.STATE_FAILED);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('pause()', function() {
+        function _createActiveConnector(methods) {
+            methods = methods || {};
+            methods._start = function() {
+                return _q.resolve();
+            };
+            var ChildConnectorClass = _defineChildConnector(methods);
+            return new ChildConnectorClass('foo');
+        }
+
+        it('should reject the promise if the connector is not running', function(done) {
+            var con = _createActiveConnector();
+
+            expect(con.pause()).to.be.rejectedWith('Connector cannot be paused when it is not running: INACTIVE')
+                .and.notify(done);
+        });
+
+        it('should invoke _pause() and move the connector to the paused state', function(done) {
+            var pause = _sinon.stub().returns(_q.resolve());
+            var con = _createActiveConnector({ _pause: pause });
+            var stateHandler = _sinon.spy();
+
+            expect(con.init({})).to.be.fulfilled
+                .then(function() {
+                    con.on(Connector.STATE_EVENT, stateHandler);
+                    return con.pause('req_1');
+                })
+                .then(function() {
+                    expect(pause).to.have.been.calledOnce;
+                    expect(pause).to.have.been.calledWith('req_1');
+                    expect(con.getState().state).to.equal(Connector.STATE_PAUSED);
+                    expect(con.isActive()).to.be.true;
+                    expect(stateHandler).to.have.been.calledOnce;
+                    expect(stateHandler.args[0][0].previousState).to.equal(Connector.STATE_ACTIVE);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should have no effect if the connector is already paused', function(done) {
+            var pause = _sinon.stub().returns(_q.resolve());
+            var con = _createActiveConnector({ _pause: pause });
+
+            expect(con.init({})).to.be.fulfilled
+                .then(con.pause.bind(con))
+                .then(con.pause.bind(con))
+                .then(function() {
+                    expect(pause).to.have.been.calledOnce;
+                    expect(con.getState().state).to.equal(Connector.STATE_PAUSED);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject the promise, and leave the state unchanged, if _pause() fails', function(done) {
+            var error = 'Could not pause';
+            var con = _createActiveConnector({
+                _pause: _sinon.stub().returns(_q.reject(error))
+            });
+
+            expect(con.init({})).to.be.fulfilled
+                .then(function() {
+                    return expect(con.pause()).to.be.rejectedWith(error);
+                })
+                .then(function() {
+                    expect(con.getState().state).to.equal(Connector.STATE_ACTIVE);
+                    expect(con.getMetrics().errors).to.equal(1);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should suppress data events while paused, but continue to buffer data', function(done) {
+            var con = _createActiveConnector();
+            var dataHandler = _sinon.spy();
+            con.on(Connector.DATA_EVENT, dataHandler);
+
+            expect(con.init({})).to.be.fulfilled
+                .then(con.pause.bind(con))
+                .then(function() {
+                    con.emit(Connector.DATA_EVENT, { foo: 'bar' });
+                    con.addData({ foo: 'baz' });
+
+                    var metrics = con.getMetrics();
+                    expect(dataHandler).to.not.have.been.called;
+                    expect(metrics.dataEvents).to.equal(0);
+                    expect(metrics.suppressedDataEvents).to.equal(1);
+                    expect(con._buffer).to.deep.equal([ { foo: 'baz' } ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should report paused connectors as healthy', function(done) {
+            var con = _createActiveConnector({
+                _healthCheck: _sinon.stub().returns(_q.reject('unhealthy'))
+            });
+
+            expect(con.init({})).to.be.fulfilled
+                .then(con.pause.bind(con))
+                .then(con.checkHealth.bind(con))
+                .then(function(report) {
+                    expect(report.healthy).to.be.true;
+                    expect(report.details).to.deep.equal({ paused: true });
+                    expect(con._healthCheck).to.not.have.been.called;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('resume()', function() {
+        function _createActiveConnector(methods) {
+            methods = methods || {};
+            methods._start = function() {
+                return _q.resolve();
+            };
+            var ChildConnectorClass = _defineChildConnector(methods);
+            return new ChildConnectorClass('foo');
+        }
+
+        it('should reject the promise if the connector is not running', function(done) {
+            var con = _createActiveConnector();
+
+            expect(con.resume()).to.be.rejectedWith('Connector cannot be resumed when it is not running: INACTIVE')
+                .and.notify(done);
+        });
+
+        it('should have no effect if the connector is running and not paused', function(done) {
+            var resume = _sinon.stub().returns(_q.resolve());
+            var con = _createActiveConnector({ _resume: resume });
+
+            expect(con.init({})).to.be.fulfilled
+                .then(con.resume.bind(con))
+                .then(function() {
+                    expect(resume).to.not.have.been.called;
+                    expect(con.getState().state).to.equal(Connector.STATE_ACTIVE);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should invoke _resume() and restore the state of the connector prior to being paused', function(done) {
+            var resume = _sinon.stub().returns(_q.resolve());
+            var con = _createActiveConnector({ _resume: resume });
+            var dataHandler = _sinon.spy();
+            con.on(Connector.DATA_EVENT, dataHandler);
+
+            expect(con.init({})).to.be.fulfilled
+                .then(function() {
+                    con._setState(Connector.STATE_DEGRADED, 'slow');
+                    return con.pause();
+                })
+                .then(function() {
+                    return con.resume('req_1');
+                })
+                .then(function() {
+                    expect(resume).to.have.been.calledWith('req_1');
+                    expect(con.getState().state).to.equal(Connector.STATE_DEGRADED);
+                    expect(con.getState().error).to.equal('slow');
+
+                    con.emit(Connector.DATA_EVENT, { foo: 'bar' });
+                    expect(dataHandler).to.have.been.calledOnce;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should apply state changes reported while paused when the connector is resumed', function(done) {
+            var con = _createActiveConnector();
+
+            expect(con.init({})).to.be.fulfilled
+                .then(con.pause.bind(con))
+                .then(function() {
+                    con._setState(Connector.STATE_DEGRADED, 'slow');
+                    expect(con.getState().state).to.equal(Connector.STATE_PAUSED);
+                    return con.resume();
+                })
+                .then(function() {
+                    expect(con.getState().state).to.equal(Connector.STATE_DEGRADED);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
     });
 
     describe('stop()', function() {
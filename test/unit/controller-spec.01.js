@@ -15,6 +15,7 @@ var _fs = require('fs');
 var _q = require('q');
 var _util = require('util');
 var _path = require('path');
+var _yaml = require('js-yaml');
 var _wfs = require('wysknd-test').fs;
 var _assertionHelper = require('wysknd-test').assertionHelper;
 var _ctrlUtil = require('./controller-util');
@@ -43,6 +44,7 @@ describe('Controller (1)', function() {
             expect(ctrl).to.have.property('stop').and.to.be.a('function');
             expect(ctrl).to.have.property('getCloudConnectors').and.to.be.a('function');
             expect(ctrl).to.have.property('getDeviceConnectors').and.to.be.a('function');
+            expect(ctrl).to.have.property('getMetrics').and.to.be.a('function');
         });
 
         it('should create a new logger object using the logger provider, if one was specified', function() {
@@ -124,9 +126,86 @@ describe('Controller (1)', function() {
             expect(ret).to.be.rejected.and.notify(done);
         });
 
+        it('should load configuration from a JSON config file that contains comments', function(done) {
+            var ctrl = new Controller();
+            var configFilePath = _ctrlUtil.initConfig([
+                '// Gateway config',
+                '{',
+                '    /* No connectors yet */',
+                '    "connectorTypes": {},',
+                '    "cloudConnectors": {}, // Cloud',
+                '    "deviceConnectors": {}',
+                '}'
+            ].join('\n'));
+            var ret = ctrl.init(configFilePath);
+
+            expect(ret).to.be.fulfilled.and.notify(done);
+        });
+
+        it('should load configuration from a YAML config file, replacing environment variable placeholders', function(done) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            var cloudId = mockConfig.cloudConnectorIds[0];
+            var deviceId = mockConfig.deviceConnectorIds[0];
+            mockConfig.config.cloudConnectors[cloudId].config.url = 'http://${IOT_CLIENT_TEST_HOST:-localhost}/data';
+            mockConfig.config.deviceConnectors[deviceId].config.port = '${IOT_CLIENT_TEST_PORT:-8080}';
+            var configFilePath = _ctrlUtil.initConfig(_yaml.dump(mockConfig.config), 'controller.yaml');
+            var ctrl = new Controller();
+
+            process.env.IOT_CLIENT_TEST_HOST = 'example.com';
+            var ret = ctrl.init(configFilePath).fin(function() {
+                delete process.env.IOT_CLIENT_TEST_HOST;
+            });
+
+            expect(ret).to.be.fulfilled
+                .then(function() {
+                    expect(ctrl.getCloudConnectors()[cloudId].config.url).to.equal('http://example.com/data');
+                    expect(ctrl.getDeviceConnectors()[deviceId].config.port).to.equal(8080);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should validate numeric connector settings that are defined using environment variable placeholders', function(done) {
+            var ctrl = new Controller();
+            var configFilePath = _ctrlUtil.initConfig({
+                connectorTypes: {
+                    Poll: _path.resolve(__dirname, '../../lib/polling-connector')
+                },
+                cloudConnectors: {},
+                deviceConnectors: {
+                    temp1: {
+                        type: 'Poll',
+                        config: {
+                            pollFrequency: '${IOT_CLIENT_TEST_POLL_MS:-5000}',
+                            pollTimeout: '${IOT_CLIENT_TEST_POLL_TIMEOUT}'
+                        }
+                    }
+                }
+            });
+
+            process.env.IOT_CLIENT_TEST_POLL_TIMEOUT = '250';
+            var ret = ctrl.init(configFilePath).fin(function() {
+                delete process.env.IOT_CLIENT_TEST_POLL_TIMEOUT;
+            });
+
+            expect(ret).to.be.fulfilled
+                .then(function() {
+                    expect(ctrl.getDeviceConnectors().temp1.config).to.deep.equal({
+                        pollFrequency: 5000,
+                        pollTimeout: 250
+                    });
+                })
+                .fin(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
         it('should reject the promise if the configuration does not define the connectorTypes member', function(done) {
             var ctrl = new Controller();
-            var error = 'Config does not define the connectorTypes section';
+            var error = 'Invalid configuration: connectorTypes: is required; ' +
+                        'cloudConnectors: is required; deviceConnectors: is required';
             var configFilePath = _ctrlUtil.initConfig({});
             var ret = ctrl.init(configFilePath);
 
@@ -135,7 +214,8 @@ describe('Controller (1)', function() {
 
         it('should reject the promise if the configuration does not define the cloudConnectors member', function(done) {
             var ctrl = new Controller();
-            var error = 'Config does not define the cloudConnectors section';
+            var error = 'Invalid configuration: cloudConnectors: is required; ' +
+                        'deviceConnectors: is required';
             var configFilePath = _ctrlUtil.initConfig({ connectorTypes: {} });
             var ret = ctrl.init(configFilePath);
 
@@ -144,13 +224,85 @@ describe('Controller (1)', function() {
 
         it('should reject the promise if the configuration does not define the deviceConnectors member', function(done) {
             var ctrl = new Controller();
-            var error = 'Config does not define the deviceConnectors section';
+            var error = 'Invalid configuration: deviceConnectors: is required';
             var configFilePath = _ctrlUtil.initConfig({ connectorTypes: {}, cloudConnectors: {} });
             var ret = ctrl.init(configFilePath);
 
             expect(ret).to.be.rejectedWith(error).and.notify(done);
         });
 
+        it('should reject the promise if the configuration defines invalid routes', function(done) {
+            var ctrl = new Controller();
+            var error = 'Invalid configuration: routes[0].to: is required';
+            var configFilePath = _ctrlUtil.initConfig({
+                connectorTypes: {},
+                cloudConnectors: {},
+                deviceConnectors: {},
+                routes: [ { from: 'temp1' } ]
+            });
+            var ret = ctrl.init(configFilePath);
+
+            expect(ret).to.be.rejectedWith(error).and.notify(done);
+        });
+
+        it('should reject the promise if the configuration defines invalid rules', function(done) {
+            var ctrl = new Controller();
+            var error = 'Invalid configuration: rules[0].when: is required';
+            var configFilePath = _ctrlUtil.initConfig({
+                connectorTypes: {},
+                cloudConnectors: {},
+                deviceConnectors: {},
+                rules: [ { id: 'tank_high', actions: [ { type: 'alarm' } ] } ]
+            });
+            var ret = ctrl.init(configFilePath);
+
+            expect(ret).to.be.rejectedWith(error).and.notify(done);
+        });
+
+        it('should reject the promise with every problem found if the configuration is invalid', function(done) {
+            var ctrl = new Controller();
+            var error = 'Invalid configuration: ' +
+                        'cloudConnectors.http1.type: is required; ' +
+                        'cloudConnectors.http1.config: is required; ' +
+                        'deviceConnectors.temp1.type: unknown connector type "Foo"';
+            var configFilePath = _ctrlUtil.initConfig({
+                connectorTypes: {},
+                cloudConnectors: {
+                    http1: {}
+                },
+                deviceConnectors: {
+                    temp1: { type: 'Foo', config: {} }
+                }
+            });
+            var ret = ctrl.init(configFilePath);
+
+            expect(ret).to.be.rejectedWith(error).and.notify(done);
+        });
+
+        it('should reject the promise if a connector config fails the validation of its connector type', function(done) {
+            var ctrl = new Controller();
+            var error = 'Invalid configuration: ' +
+                        'deviceConnectors.temp1.config: Invalid connector configuration: ' +
+                        'pollFrequency: cannot be combined with a schedule';
+            var configFilePath = _ctrlUtil.initConfig({
+                connectorTypes: {
+                    Poll: _path.resolve(__dirname, '../../lib/polling-connector')
+                },
+                cloudConnectors: {},
+                deviceConnectors: {
+                    temp1: { type: 'Poll', config: { pollFrequency: 1000, schedule: '*/5 * * * *' } }
+                }
+            });
+            var ret = ctrl.init(configFilePath);
+
+            expect(ret).to.be.rejectedWith(error)
+                .then(function() {
+                    expect(ctrl.getDeviceConnectors()).to.deep.equal({});
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
         it('should resolve the promise immediately if no connectors have have been configured', function(done) {
             var ctrl = new Controller();
             var configFilePath = _ctrlUtil.initConfig();
@@ -355,9 +507,9 @@ describe('Controller (1)', function() {
             expect(ctrl.init(configFilePath)).to.be.fulfilled
                 .then(checkCallCount(1))
                 .then(ctrl.init.bind(ctrl, configFilePath))
-                .then(unexpectedSuccess, checkCallCount(2))
+                .then(unexpectedSuccess, checkCallCount(3))
                 .then(ctrl.init.bind(ctrl, configFilePath))
-                .then(unexpectedSuccess, checkCallCount(2))
+                .then(unexpectedSuccess, checkCallCount(3))
                 .then(_assertionHelper.getNotifySuccessHandler(done),
                       _assertionHelper.getNotifyFailureHandler(done));
         });
@@ -643,6 +795,8 @@ describe('Controller (1)', function() {
 
                     expect(connector).to.have.property('connector').and.to.be.an('object');
                     expect(connector).to.have.property('actionPending').and.to.be.a('boolean');
+                    expect(connector).to.have.property('state').and.to.be.an('object');
+                    expect(connector.state).to.have.property('state').and.to.equal('ACTIVE');
                     expect(connector).to.have.property('type').and.to.equal(connectorConfig.type);
                     expect(connector).to.have.property('config').and.to.deep.equal(connectorConfig.config);
                     expect(connector).to.have.property('result');
@@ -733,6 +887,8 @@ describe('Controller (1)', function() {
 
                     expect(connector).to.have.property('connector').and.to.be.an('object');
                     expect(connector).to.have.property('actionPending').and.to.be.a('boolean');
+                    expect(connector).to.have.property('state').and.to.be.an('object');
+                    expect(connector.state).to.have.property('state').and.to.equal('ACTIVE');
                     expect(connector).to.have.property('type').and.to.equal(connectorConfig.type);
                     expect(connector).to.have.property('config').and.to.deep.equal(connectorConfig.config);
                     expect(connector).to.have.property('result');
@@ -793,6 +949,46 @@ describe('Controller (1)', function() {
         });
     });
 
+    describe('getMetrics()', function() {
+        it('should return empty metric groups if no connectors have been initialized', function(done) {
+            var ctrl = new Controller();
+            var configFilePath = _ctrlUtil.initConfig();
+
+            expect(ctrl.init(configFilePath)).to.be.fulfilled
+                .then(function() {
+                    expect(ctrl.getMetrics()).to.deep.equal({
+                        cloud: {},
+                        device: {}
+                    });
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should return the metrics of each initialized connector', function(done) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve');
+            var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+            var ctrl = new Controller();
+            var deviceId = mockConfig.deviceConnectorIds[0];
+            var deviceConnector = mockConfig.getConnectorById('device', deviceId);
+            deviceConnector.getMetrics = function() {
+                return { dataEvents: 10 };
+            };
+
+            expect(ctrl.init(configFilePath)).to.be.fulfilled
+                .then(function() {
+                    var metrics = ctrl.getMetrics();
+                    expect(metrics.cloud).to.have.keys(mockConfig.cloudConnectorIds);
+                    expect(metrics.device).to.have.keys(mockConfig.deviceConnectorIds);
+                    expect(metrics.device[deviceId]).to.deep.equal({ dataEvents: 10 });
+                    // Connectors that do not track metrics.
+                    expect(metrics.cloud[mockConfig.cloudConnectorIds[0]]).to.be.null;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
     describe('[coverage - ensures code coverage for otherwise uncalled code]', function() {
         it('should throw an error when _getConnectorConfig is called with an invalid category', function() {
             var ctrl = new Controller();
@@ -14,6 +14,7 @@ var _fs = require('fs');
 var _q = require('q');
 var _util = require('util');
 var _path = require('path');
+var _yaml = require('js-yaml');
 var _wfs = require('wysknd-test').fs;
 var _assertionHelper = require('wysknd-test').assertionHelper;
 var _ctrlUtil = require('./controller-util');
@@ -196,6 +197,17 @@ describe('Controller (2)', function() {
             };
         }
 
+        function _getCompletionPayload(connector, requestId) {
+            var payload = null;
+            connector.addLogData.args.forEach(function(arg) {
+                var data = arg[0].data;
+                if(arg[0].requestId === requestId && data.type === 'complete') {
+                    payload = data;
+                }
+            });
+            return payload;
+        }
+
         function _verifyConnectorConfig(ctrl, expectedConnectors) {
             return function(data) {
                 expectedConnectors.forEach(function(expConnector) {
@@ -936,6 +948,545 @@ describe('Controller (2)', function() {
             });
         });
 
+        describe('[cloud -> device (get health)]', function() {
+            var GET_HEALTH_ACTION = 'get_health';
+
+            function _attachHealthCheck(connector, reports) {
+                var index = 0;
+                connector.checkHealth = _sinon.spy(function() {
+                    var report = reports[Math.min(index, reports.length - 1)];
+                    index++;
+                    return _q.resolve(report);
+                });
+            }
+
+            it('should fail the request if the command has an invalid connector category', function(done) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var requestId = 'req_1';
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var payload = [{
+                    action: GET_HEALTH_ACTION,
+                    category: 'bad-category',
+                    requestId: requestId
+                }];
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_emitRawData(emitterConnector, payload))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        var completion = _getCompletionPayload(emitterConnector, requestId);
+                        expect(completion.hasErrors).to.be.true;
+                    })
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail the request if the specified connector has not been initialized', function(done) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var requestId = 'req_1';
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var payload = [{
+                    action: GET_HEALTH_ACTION,
+                    category: 'device',
+                    id: 'bad-id',
+                    requestId: requestId
+                }];
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_emitRawData(emitterConnector, payload))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        var completion = _getCompletionPayload(emitterConnector, requestId);
+                        expect(completion.hasErrors).to.be.true;
+                    })
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should check and report the health of each connector', function(done) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var requestId = 'req_1';
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var deviceId = mockConfig.deviceConnectorIds[0];
+                var deviceConnector = mockConfig.getConnectorById('device', deviceId);
+                _attachHealthCheck(deviceConnector, [ { healthy: true, details: { lastRead: 1 } } ]);
+
+                var payload = [{
+                    action: GET_HEALTH_ACTION,
+                    category: 'device',
+                    requestId: requestId
+                }];
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_emitRawData(emitterConnector, payload))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        var response = _getCompletionPayload(emitterConnector, requestId).response;
+                        expect(response).to.have.length(mockConfig.deviceConnectorIds.length);
+                        response.forEach(function(item) {
+                            expect(item.category).to.equal('device');
+                            if(item.id === deviceId) {
+                                expect(item.healthy).to.be.true;
+                                expect(item.consecutiveFailures).to.equal(0);
+                                expect(item.lastCheck).to.be.a('number');
+                                expect(item.details).to.deep.equal({ lastRead: 1 });
+                            } else {
+                                // Connectors that do not implement health checks.
+                                expect(item.healthy).to.be.null;
+                            }
+                        });
+                        expect(deviceConnector.checkHealth).to.have.been.calledOnce;
+                    })
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+        });
+
+        describe('[cloud -> device (get metrics)]', function() {
+            var GET_METRICS_ACTION = 'get_metrics';
+
+            function _runMetricsCommand(command, doTests) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var requestId = 'req_1';
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                command.action = GET_METRICS_ACTION;
+                command.requestId = requestId;
+
+                return expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_emitRawData(emitterConnector, [ command ]))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        doTests(_getCompletionPayload(emitterConnector, requestId), mockConfig);
+                    });
+            }
+
+            it('should fail the request if the command has an invalid connector category', function(done) {
+                _runMetricsCommand({ category: 'bad-category' }, function(completion) {
+                    expect(completion.hasErrors).to.be.true;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail the request if the specified connector has not been initialized', function(done) {
+                _runMetricsCommand({ category: 'device', id: 'bad-id' }, function(completion) {
+                    expect(completion.hasErrors).to.be.true;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should report metrics for all connectors when no category is specified', function(done) {
+                _runMetricsCommand({}, function(completion, mockConfig) {
+                    expect(completion.hasErrors).to.be.false;
+                    expect(completion.response.cloud).to.have.keys(mockConfig.cloudConnectorIds);
+                    expect(completion.response.device).to.have.keys(mockConfig.deviceConnectorIds);
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should report metrics only for the specified category and connector', function(done) {
+                _runMetricsCommand({ category: 'device', id: 'device_temp-instance-0' }, function(completion) {
+                    expect(completion.hasErrors).to.be.false;
+                    expect(completion.response).to.have.keys([ 'device' ]);
+                    expect(completion.response.device).to.have.keys([ 'device_temp-instance-0' ]);
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+        });
+
+        describe('[cloud -> device (pause/resume)]', function() {
+            var DEVICE_ID = 'device_temp-instance-0';
+
+            function _runCommands(commands, doTests, skipMethods) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var connectors = [];
+                mockConfig.cloudConnectorIds.forEach(function(id) {
+                    connectors.push(mockConfig.getConnectorById('cloud', id));
+                });
+                mockConfig.deviceConnectorIds.forEach(function(id) {
+                    connectors.push(mockConfig.getConnectorById('device', id));
+                });
+                if(!skipMethods) {
+                    connectors.forEach(function(connector) {
+                        connector.pause = _sinon.stub().returns(_q.resolve());
+                        connector.resume = _sinon.stub().returns(_q.resolve());
+                    });
+                }
+                commands.forEach(function(command, index) {
+                    command.requestId = 'req_' + index;
+                });
+
+                return expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_emitRawData(emitterConnector, commands))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        doTests(function(requestId) {
+                            return _getCompletionPayload(emitterConnector, requestId);
+                        }, mockConfig);
+                    });
+            }
+
+            it('should fail the request if the command has an invalid connector category', function(done) {
+                _runCommands([
+                    { action: 'pause_connector', category: 'bad-category', id: DEVICE_ID },
+                    { action: 'resume_connector', category: 'bad-category', id: DEVICE_ID },
+                    { action: 'pause_all_connectors', category: 'bad-category' }
+                ], function(getCompletion) {
+                    expect(getCompletion('req_0').hasErrors).to.be.true;
+                    expect(getCompletion('req_1').hasErrors).to.be.true;
+                    expect(getCompletion('req_2').hasErrors).to.be.true;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail the request if the specified connector has not been initialized', function(done) {
+                _runCommands([
+                    { action: 'pause_connector', category: 'device', id: 'bad-id' }
+                ], function(getCompletion) {
+                    expect(getCompletion('req_0').hasErrors).to.be.true;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail the request if the connector does not support pause and resume', function(done) {
+                _runCommands([
+                    { action: 'pause_connector', category: 'device', id: DEVICE_ID }
+                ], function(getCompletion) {
+                    expect(getCompletion('req_0').hasErrors).to.be.true;
+                }, true).then(_assertionHelper.getNotifySuccessHandler(done),
+                              _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should pause and resume the specified connector', function(done) {
+                _runCommands([
+                    { action: 'pause_connector', category: 'device', id: DEVICE_ID },
+                    { action: 'resume_connector', category: 'device', id: DEVICE_ID }
+                ], function(getCompletion, mockConfig) {
+                    var connector = mockConfig.getConnectorById('device', DEVICE_ID);
+                    expect(connector.pause).to.have.been.calledOnce;
+                    expect(connector.pause).to.have.been.calledWith('req_0');
+                    expect(connector.resume).to.have.been.calledOnce;
+                    expect(connector.resume).to.have.been.calledWith('req_1');
+                    expect(connector.resume).to.have.been.calledAfter(connector.pause);
+                    expect(getCompletion('req_0').hasErrors).to.be.false;
+                    expect(getCompletion('req_1').hasErrors).to.be.false;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should pause only the connectors of the specified category when a category is specified', function(done) {
+                _runCommands([
+                    { action: 'pause_all_connectors', category: 'device' }
+                ], function(getCompletion, mockConfig) {
+                    mockConfig.deviceConnectorIds.forEach(function(id) {
+                        expect(mockConfig.getConnectorById('device', id).pause).to.have.been.calledOnce;
+                    });
+                    mockConfig.cloudConnectorIds.forEach(function(id) {
+                        expect(mockConfig.getConnectorById('cloud', id).pause).to.not.have.been.called;
+                    });
+                    expect(getCompletion('req_0').hasErrors).to.be.false;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should resume all connectors when no category is specified', function(done) {
+                _runCommands([
+                    { action: 'resume_all_connectors' }
+                ], function(getCompletion, mockConfig) {
+                    mockConfig.deviceConnectorIds.forEach(function(id) {
+                        expect(mockConfig.getConnectorById('device', id).resume).to.have.been.calledOnce;
+                    });
+                    mockConfig.cloudConnectorIds.forEach(function(id) {
+                        expect(mockConfig.getConnectorById('cloud', id).resume).to.have.been.calledOnce;
+                    });
+                    expect(getCompletion('req_0').hasErrors).to.be.false;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+        });
+
+        describe('[cloud -> device (poll now)]', function() {
+            var DEVICE_ID = 'device_temp-instance-0';
+            var POLL_RESULT = {
+                group: 'default',
+                reading: 42,
+                data: [ { speed: 42 } ]
+            };
+
+            function _runCommands(commands, doTests, pollNow) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                if(pollNow) {
+                    mockConfig.getConnectorById('device', DEVICE_ID).pollNow = pollNow;
+                }
+                commands.forEach(function(command, index) {
+                    command.requestId = 'req_' + index;
+                });
+
+                return expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_emitRawData(emitterConnector, commands))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        doTests(function(requestId) {
+                            return _getCompletionPayload(emitterConnector, requestId);
+                        }, mockConfig);
+                    });
+            }
+
+            it('should fail the request if the command has an invalid connector category', function(done) {
+                _runCommands([
+                    { action: 'poll_now', category: 'bad-category', id: DEVICE_ID }
+                ], function(getCompletion) {
+                    expect(getCompletion('req_0').hasErrors).to.be.true;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail the request if the specified connector has not been initialized', function(done) {
+                _runCommands([
+                    { action: 'poll_now', category: 'device', id: 'bad-id' }
+                ], function(getCompletion) {
+                    expect(getCompletion('req_0').hasErrors).to.be.true;
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail the request if the connector does not support on demand polling', function(done) {
+                _runCommands([
+                    { action: 'poll_now', category: 'device', id: DEVICE_ID }
+                ], function(getCompletion) {
+                    var completion = getCompletion('req_0');
+                    expect(completion.hasErrors).to.be.true;
+                    expect(completion.message).to.equal('Cannot poll connector. Connector does not support on demand polling: [device::' + DEVICE_ID + ']');
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail the request if the poll fails', function(done) {
+                var pollNow = _sinon.stub().returns(_q.reject(new Error('something went wrong')));
+                _runCommands([
+                    { action: 'poll_now', category: 'device', id: DEVICE_ID }
+                ], function(getCompletion) {
+                    var completion = getCompletion('req_0');
+                    expect(completion.hasErrors).to.be.true;
+                    expect(completion.message).to.equal('Error polling connector: [device::' + DEVICE_ID + ']. Error: [something went wrong]');
+                }, pollNow).then(_assertionHelper.getNotifySuccessHandler(done),
+                                 _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should poll the connector and complete the request with the data produced by the poll', function(done) {
+                var pollNow = _sinon.stub().returns(_q(POLL_RESULT));
+                _runCommands([
+                    { action: 'poll_now', category: 'device', id: DEVICE_ID, group: 'default' },
+                    { action: 'poll_now', category: 'device', id: DEVICE_ID }
+                ], function(getCompletion) {
+                    expect(pollNow).to.have.been.calledTwice;
+                    expect(pollNow.args[0]).to.deep.equal([ 'default', 'req_0' ]);
+                    expect(pollNow.args[1]).to.deep.equal([ undefined, 'req_1' ]);
+
+                    var completion = getCompletion('req_0');
+                    expect(completion.hasErrors).to.be.false;
+                    expect(completion.response).to.deep.equal(POLL_RESULT);
+                    expect(getCompletion('req_1').hasErrors).to.be.false;
+                }, pollNow).then(_assertionHelper.getNotifySuccessHandler(done),
+                                 _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should continue to poll a polling connector on demand after a poll has failed', function(done) {
+                var pollId = 'device_poll-instance-0';
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                mockConfig.config.connectorTypes.device_poll =
+                                _path.resolve(__dirname, '../../lib/polling-connector');
+                mockConfig.config.deviceConnectors[pollId] = {
+                    type: 'device_poll',
+                    config: { pollFrequency: 60000 }
+                };
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var emitterConnector = mockConfig.getConnectorById('cloud', mockConfig.cloudConnectorIds[0]);
+                var connector = null;
+
+                function _pollNow(requestId) {
+                    return _emitRawData(emitterConnector, [ {
+                        action: 'poll_now',
+                        requestId: requestId,
+                        category: 'device',
+                        id: pollId
+                    } ]);
+                }
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(function() {
+                        connector = ctrl.getDeviceConnectors()[pollId].connector;
+                        var process = _sinon.stub(connector, '_process');
+                        process.onFirstCall().returns(_q.reject(new Error('device offline')));
+                        process.returns(_q(42));
+                    })
+                    .then(_pollNow('req_0'))
+                    .then(_assertionHelper.wait(10))
+                    .then(_pollNow('req_1'))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        var completion = _getCompletionPayload(emitterConnector, 'req_0');
+                        expect(completion.hasErrors).to.be.true;
+                        expect(completion.message).to.equal('Error polling connector: [device::' + pollId + ']. Error: [device offline]');
+
+                        completion = _getCompletionPayload(emitterConnector, 'req_1');
+                        expect(completion.hasErrors).to.be.false;
+                        expect(completion.response).to.deep.equal([
+                            { group: 'default', reading: 42, data: [] }
+                        ]);
+                        expect(ctrl.getDeviceConnectors()[pollId].connector).to.equal(connector);
+                        expect(connector.getState().state).to.equal('ACTIVE');
+                    })
+                    .fin(function() {
+                        return ctrl.stop();
+                    })
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+        });
+
+        describe('[cloud -> device (alarms)]', function() {
+            var DEVICE_ID = 'device_temp-instance-0';
+            var ALARM_ID = DEVICE_ID + '::overheat';
+
+            function _alarm(state, severity) {
+                return { type: 'alarm', name: 'overheat', state: state, severity: severity, timestamp: 1000 };
+            }
+
+            function _runCommands(alarms, commands, doTests) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var deviceConnector = mockConfig.getConnectorById('device', DEVICE_ID);
+                commands.forEach(function(command, index) {
+                    command.requestId = 'req_' + index;
+                });
+
+                return expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(function() {
+                        alarms.forEach(function(alarm) {
+                            deviceConnector._emitData(alarm);
+                        });
+                    })
+                    .then(_emitRawData(emitterConnector, commands))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        doTests(function(requestId) {
+                            return _getCompletionPayload(emitterConnector, requestId);
+                        }, emitterConnector);
+                    });
+            }
+
+            it('should only deliver alarm records to the cloud when the state of the alarm changes', function(done) {
+                _runCommands([
+                    _alarm('raised'),
+                    _alarm('raised'),
+                    _alarm('raised', 'critical'),
+                    _alarm('cleared'),
+                    _alarm('cleared')
+                ], [], function(getCompletion, connector) {
+                    var alarms = connector.addData.args.map(function(arg) {
+                        return arg[0];
+                    });
+                    expect(alarms).to.have.length(3);
+                    alarms.forEach(function(alarm) {
+                        expect(alarm).to.have.property('id', ALARM_ID);
+                    });
+                    expect(alarms[0]).to.have.property('state', 'raised');
+                    expect(alarms[1]).to.have.property('severity', 'critical');
+                    expect(alarms[2]).to.have.property('state', 'cleared');
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should complete list alarm requests with the alarms tracked by the controller', function(done) {
+                _runCommands([
+                    _alarm('raised'),
+                    _alarm('raised')
+                ], [
+                    { action: 'list_alarms' }
+                ], function(getCompletion) {
+                    var completion = getCompletion('req_0');
+                    expect(completion.hasErrors).to.be.false;
+                    expect(completion.response).to.have.length(1);
+
+                    var alarm = completion.response[0];
+                    expect(alarm).to.have.property('id', ALARM_ID);
+                    expect(alarm).to.have.property('source', DEVICE_ID);
+                    expect(alarm).to.have.property('state', 'raised');
+                    expect(alarm).to.have.property('acknowledged', false);
+                    expect(alarm).to.have.property('raisedAt', 1000);
+                    expect(alarm).to.have.property('duplicates', 1);
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should fail ack alarm requests that do not specify a valid alarm id', function(done) {
+                _runCommands([], [
+                    { action: 'ack_alarm' },
+                    { action: 'ack_alarm', id: 'bad-id' }
+                ], function(getCompletion) {
+                    expect(getCompletion('req_0').hasErrors).to.be.true;
+                    expect(getCompletion('req_0').message).to.equal('Invalid alarm id specified: [undefined]');
+                    expect(getCompletion('req_1').hasErrors).to.be.true;
+                    expect(getCompletion('req_1').message).to.equal('Cannot acknowledge alarm. Alarm not defined: [bad-id]');
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should acknowledge alarms, and stop tracking alarms that are cleared and acknowledged', function(done) {
+                _runCommands([
+                    _alarm('raised'),
+                    _alarm('cleared')
+                ], [
+                    { action: 'list_alarms' },
+                    { action: 'ack_alarm', id: ALARM_ID, user: 'operator1' },
+                    { action: 'list_alarms' }
+                ], function(getCompletion) {
+                    expect(getCompletion('req_0').response).to.have.length(1);
+                    expect(getCompletion('req_0').response[0]).to.have.property('state', 'cleared');
+
+                    var completion = getCompletion('req_1');
+                    expect(completion.hasErrors).to.be.false;
+                    expect(completion.response).to.have.property('acknowledged', true);
+                    expect(completion.response).to.have.property('acknowledgedBy', 'operator1');
+
+                    expect(getCompletion('req_2').response).to.deep.equal([]);
+                }).then(_assertionHelper.getNotifySuccessHandler(done),
+                        _assertionHelper.getNotifyFailureHandler(done));
+            });
+        });
+
         describe('[cloud -> device (list connectors)]', function() {
             function _checkListConnectorsResponse(cloudConnectors, requestId, expectedConnectors) {
                 return function(data) {
@@ -1017,6 +1568,39 @@ describe('Controller (2)', function() {
                           _assertionHelper.getNotifyFailureHandler(done));
             });
 
+            it('should report the lifecycle state of each connector in the response', function(done) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var requestId = 'req_1';
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var payload = [{
+                    action: LIST_CONNECTORS_ACTION,
+                    requestId: requestId
+                }];
+
+                var doTests = function() {
+                    var response = _getCompletionPayload(emitterConnector, requestId).response;
+                    var expectedIds = mockConfig.cloudConnectorIds.concat(mockConfig.deviceConnectorIds);
+                    expect(response).to.be.an('array').and.to.have.length(expectedIds.length);
+                    response.forEach(function(item) {
+                        expect(expectedIds).to.include(item.id);
+                        expect(item.state).to.equal('ACTIVE');
+                        expect(item).to.have.property('error').and.to.be.null;
+                        expect(item).to.have.property('timestamp');
+                    });
+                };
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_emitRawData(emitterConnector, payload))
+                    .then(_assertionHelper.wait(10))
+                    .then(doTests)
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+
             it('should start only the specified category of connectors when a valid category is specified', function(done) {
                 var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
                 var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
@@ -1596,7 +2180,7 @@ describe('Controller (2)', function() {
                           _assertionHelper.getNotifyFailureHandler(done));
             });
 
-            it('should write the configuration to the file system after command execution', function(done) {
+            it('should reject the config update if the config does not match the schema of the connector type', function(done) {
                 var mockFs = _ctrlUtil.createMockFs();
                 Controller.__set__('_fs', mockFs);
 
@@ -1604,52 +2188,297 @@ describe('Controller (2)', function() {
                 var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
                 var ctrl = new Controller();
 
+                var requestId = 'req_1';
                 var emitterId = mockConfig.cloudConnectorIds[0];
                 var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
-                var connectors = _initConnectorArray(mockConfig, emitterId);
+                var originalConnectors = [];
 
                 expect(ctrl.init(configFilePath)).to.be.fulfilled
-                    .then(_resetCallCount('init', connectors))
-                    .then(_checkConfigFileWrite(mockFs, false))
-                    .then(_emitDataEvent(emitterConnector, UPDATE_CONFIG_ACTION, connectors))
+                    .then(function() {
+                        mockConfig.getConnectorDefinition('device_temp').configSchema = {
+                            pollFrequency: { type: 'number', required: true }
+                        };
+                    })
+                    .then(_captureCurrentConfig(ctrl, originalConnectors))
+                    .then(_emitRawData(emitterConnector, [ {
+                        action: UPDATE_CONFIG_ACTION,
+                        requestId: requestId,
+                        category: 'device',
+                        id: 'device_temp-instance-0',
+                        config: { type: 'device_temp', config: { pollFrequency: 'abc' } }
+                    } ]))
                     .then(_assertionHelper.wait(10))
-                    .then(_checkConfigFileWrite(mockFs, true))
+                    .then(function() {
+                        var completion = _getCompletionPayload(emitterConnector, requestId);
+                        expect(completion.hasErrors).to.be.true;
+                    })
+                    .then(_verifyConnectorConfig(ctrl, originalConnectors))
+                    .then(_checkConfigFileWrite(mockFs, false))
                     .then(_assertionHelper.getNotifySuccessHandler(done),
                           _assertionHelper.getNotifyFailureHandler(done));
             });
-        });
 
-        describe('[cloud -> device (delete config)]', function() {
-            it('should ignore delete config requests if the command has an invalid connector category', function(done) {
+            it('should reject the config update if the config defines an invalid transform', function(done) {
+                var mockFs = _ctrlUtil.createMockFs();
+                Controller.__set__('_fs', mockFs);
+
                 var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
                 var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
                 var ctrl = new Controller();
 
+                var requestId = 'req_1';
                 var emitterId = mockConfig.cloudConnectorIds[0];
                 var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
-                var connectors = _initConnectorArray(mockConfig, emitterId);
                 var originalConnectors = [];
-                var badConnectors = [
-                    { category: 'bad1' },
-                    { category: null },
-                    { category: 123 },
-                    { category: true },
-                    { category: function() {} },
-                    { category: {} },
-                    { category: [] },
-                ];
 
                 expect(ctrl.init(configFilePath)).to.be.fulfilled
-                    .then(_resetCallCount('init', connectors))
                     .then(_captureCurrentConfig(ctrl, originalConnectors))
-                    .then(_emitDataEvent(emitterConnector, DELETE_CONFIG_ACTION, badConnectors))
+                    .then(_emitRawData(emitterConnector, [ {
+                        action: UPDATE_CONFIG_ACTION,
+                        requestId: requestId,
+                        category: 'device',
+                        id: 'device_temp-instance-0',
+                        config: {
+                            type: 'device_temp',
+                            config: {},
+                            transform: [ { op: 'round', field: 'level' } ]
+                        }
+                    } ]))
                     .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        var completion = _getCompletionPayload(emitterConnector, requestId);
+                        expect(completion.hasErrors).to.be.true;
+                        expect(completion.message).to.equal('Cannot update connector config. ' +
+                            'Invalid configuration: deviceConnectors.device_temp-instance-0.transform[0].op: ' +
+                            'must be one of [rename, scale, convert, drop, tag]: ' +
+                            '[device::device_temp-instance-0]');
+                    })
                     .then(_verifyConnectorConfig(ctrl, originalConnectors))
+                    .then(_checkConfigFileWrite(mockFs, false))
                     .then(_assertionHelper.getNotifySuccessHandler(done),
                           _assertionHelper.getNotifyFailureHandler(done));
             });
 
-            it('should ignore delete config requests if the command has an invalid id property', function(done) {
+            function _runInvalidUpdate(typeName, modulePath, config, done) {
+                var mockFs = _ctrlUtil.createMockFs();
+                Controller.__set__('_fs', mockFs);
+
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                mockConfig.config.connectorTypes[typeName] = _path.resolve(__dirname, modulePath);
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var requestId = 'req_1';
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var originalConnectors = [];
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_captureCurrentConfig(ctrl, originalConnectors))
+                    .then(_emitRawData(emitterConnector, [ {
+                        action: UPDATE_CONFIG_ACTION,
+                        requestId: requestId,
+                        category: 'device',
+                        id: 'device_new-instance-0',
+                        config: { type: typeName, config: config }
+                    } ]))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        var completion = _getCompletionPayload(emitterConnector, requestId);
+                        expect(completion.hasErrors).to.be.true;
+                        expect(ctrl._config.deviceConnectors).to.not.have.property('device_new-instance-0');
+                    })
+                    .then(_verifyConnectorConfig(ctrl, originalConnectors))
+                    .then(_checkConfigFileWrite(mockFs, false))
+                    .fin(function() {
+                        return ctrl.stop();
+                    })
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            }
+
+            it('should reject the config update if the config fails the polling checks of the connector type', function(done) {
+                _runInvalidUpdate('device_poll', '../../lib/polling-connector', {
+                    pollFrequency: 1000,
+                    schedule: '*/5 * * * *'
+                }, done);
+            });
+
+            it('should reject the config update if the config fails the buffer checks of the connector type', function(done) {
+                _runInvalidUpdate('device_base', '../../lib/connector', {
+                    bufferLimit: 'abc'
+                }, done);
+            });
+
+            it('should reject config updates that would fail validation when the config file is loaded', function(done) {
+                var mockFs = _ctrlUtil.createMockFs();
+                Controller.__set__('_fs', mockFs);
+
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var originalConnectors = [];
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_captureCurrentConfig(ctrl, originalConnectors))
+                    .then(_emitRawData(emitterConnector, [ {
+                        action: UPDATE_CONFIG_ACTION,
+                        requestId: 'req_1',
+                        category: 'device',
+                        id: 'device_temp-instance-0',
+                        config: { type: 'device_temp', config: {}, restartPolicy: 'sometimes' }
+                    }, {
+                        action: UPDATE_CONFIG_ACTION,
+                        requestId: 'req_2',
+                        category: 'cloud',
+                        id: 'cloud_new-instance-0',
+                        config: { type: 'cloud_unknown', config: {} }
+                    } ]))
+                    .then(_assertionHelper.wait(10))
+                    .then(function() {
+                        var completion = _getCompletionPayload(emitterConnector, 'req_1');
+                        expect(completion.hasErrors).to.be.true;
+                        expect(completion.message).to.equal('Cannot update connector config. ' +
+                            'Invalid configuration: deviceConnectors.device_temp-instance-0.restartPolicy: ' +
+                            'Restart policy does not define a valid policy property: ' +
+                            '[device::device_temp-instance-0]');
+
+                        completion = _getCompletionPayload(emitterConnector, 'req_2');
+                        expect(completion.hasErrors).to.be.true;
+                        expect(completion.message).to.equal('Cannot update connector config. ' +
+                            'Invalid configuration: cloudConnectors.cloud_new-instance-0.type: ' +
+                            'unknown connector type "cloud_unknown": [cloud::cloud_new-instance-0]');
+                        expect(ctrl._config.cloudConnectors).to.not.have.property('cloud_new-instance-0');
+                    })
+                    .then(_verifyConnectorConfig(ctrl, originalConnectors))
+                    .then(_checkConfigFileWrite(mockFs, false))
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            describe('[hot reconfiguration]', function() {
+                var DEVICE_ID = 'device_temp-instance-0';
+
+                function _runUpdate(reconfigureResult, newType, doTests) {
+                    var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                    var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                    var ctrl = new Controller();
+
+                    var requestId = 'req_1';
+                    var emitterId = mockConfig.cloudConnectorIds[0];
+                    var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                    var deviceConnector = mockConfig.getConnectorById('device', DEVICE_ID);
+                    deviceConnector.reconfigure = _sinon.stub().returns(_q.resolve(reconfigureResult));
+                    var newConfig = { type: newType, config: { pollFrequency: 500 } };
+
+                    return expect(ctrl.init(configFilePath)).to.be.fulfilled
+                        .then(function() {
+                            deviceConnector.init.reset();
+                            deviceConnector.stop.reset();
+                        })
+                        .then(_emitRawData(emitterConnector, [ {
+                            action: UPDATE_CONFIG_ACTION,
+                            requestId: requestId,
+                            category: 'device',
+                            id: DEVICE_ID,
+                            config: newConfig
+                        } ]))
+                        .then(_assertionHelper.wait(10))
+                        .then(function() {
+                            doTests(deviceConnector, newConfig,
+                                    _getCompletionPayload(emitterConnector, requestId));
+                        });
+                }
+
+                it('should reconfigure the running connector in place if the connector type is unchanged', function(done) {
+                    _runUpdate(true, 'device_temp', function(connector, newConfig, completion) {
+                        expect(connector.reconfigure).to.have.been.calledOnce;
+                        expect(connector.reconfigure).to.have.been.calledWith(newConfig.config, 'req_1');
+                        expect(connector.stop).to.not.have.been.called;
+                        expect(connector.init).to.not.have.been.called;
+                        expect(completion.hasErrors).to.be.false;
+                    }).then(_assertionHelper.getNotifySuccessHandler(done),
+                            _assertionHelper.getNotifyFailureHandler(done));
+                });
+
+                it('should restart the connector with the new config if the connector declines reconfiguration', function(done) {
+                    _runUpdate(false, 'device_temp', function(connector, newConfig, completion) {
+                        expect(connector.reconfigure).to.have.been.calledOnce;
+                        expect(connector.stop).to.have.been.calledOnce;
+                        expect(connector.init).to.have.been.calledOnce;
+                        expect(connector.init).to.have.been.calledWith(newConfig.config);
+                        expect(completion.hasErrors).to.be.false;
+                    }).then(_assertionHelper.getNotifySuccessHandler(done),
+                            _assertionHelper.getNotifyFailureHandler(done));
+                });
+
+                it('should not reconfigure the running connector if the connector type has changed', function(done) {
+                    _runUpdate(true, 'device_humi', function(connector, newConfig, completion) {
+                        expect(connector.reconfigure).to.not.have.been.called;
+                        expect(connector.stop).to.not.have.been.called;
+                        expect(completion.hasErrors).to.be.false;
+                    }).then(_assertionHelper.getNotifySuccessHandler(done),
+                            _assertionHelper.getNotifyFailureHandler(done));
+                });
+            });
+
+            it('should write the configuration to the file system after command execution', function(done) {
+                var mockFs = _ctrlUtil.createMockFs();
+                Controller.__set__('_fs', mockFs);
+
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var connectors = _initConnectorArray(mockConfig, emitterId);
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_resetCallCount('init', connectors))
+                    .then(_checkConfigFileWrite(mockFs, false))
+                    .then(_emitDataEvent(emitterConnector, UPDATE_CONFIG_ACTION, connectors))
+                    .then(_assertionHelper.wait(10))
+                    .then(_checkConfigFileWrite(mockFs, true))
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+        });
+
+        describe('[cloud -> device (delete config)]', function() {
+            it('should ignore delete config requests if the command has an invalid connector category', function(done) {
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+                var ctrl = new Controller();
+
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var connectors = _initConnectorArray(mockConfig, emitterId);
+                var originalConnectors = [];
+                var badConnectors = [
+                    { category: 'bad1' },
+                    { category: null },
+                    { category: 123 },
+                    { category: true },
+                    { category: function() {} },
+                    { category: {} },
+                    { category: [] },
+                ];
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(_resetCallCount('init', connectors))
+                    .then(_captureCurrentConfig(ctrl, originalConnectors))
+                    .then(_emitDataEvent(emitterConnector, DELETE_CONFIG_ACTION, badConnectors))
+                    .then(_assertionHelper.wait(10))
+                    .then(_verifyConnectorConfig(ctrl, originalConnectors))
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
+
+            it('should ignore delete config requests if the command has an invalid id property', function(done) {
                 var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
                 var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
                 var ctrl = new Controller();
@@ -2098,6 +2927,50 @@ describe('Controller (2)', function() {
                     .then(_assertionHelper.getNotifySuccessHandler(done),
                           _assertionHelper.getNotifyFailureHandler(done));
             });
+
+            it('should write updated configuration back in the format of the original config file', function(done) {
+                var mockFs = _ctrlUtil.createMockFs();
+                Controller.__set__('_fs', mockFs);
+
+                var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+                var emitterId = mockConfig.cloudConnectorIds[0];
+                var deviceId = mockConfig.deviceConnectorIds[0];
+                mockConfig.config.cloudConnectors[emitterId].config.url = '${IOT_CLIENT_TEST_URL:-http://localhost}';
+                var configFilePath = _ctrlUtil.initConfig('# Gateway config\n' +
+                                            _yaml.dump(mockConfig.config), 'controller.yml');
+                var ctrl = new Controller();
+                var emitterConnector = mockConfig.getConnectorById('cloud', emitterId);
+                var deviceConfig = {
+                    type: 'device_temp',
+                    config: { id: deviceId, pollFrequency: 1000 }
+                };
+
+                var doTests = function() {
+                    expect(mockFs.writeFile).to.have.been.calledOnce;
+                    var args = mockFs.writeFile.args[0];
+                    expect(args[0]).to.equal(configFilePath);
+                    expect(args[1]).to.match(/^# Gateway config\n/);
+
+                    var config = _yaml.load(args[1]);
+                    expect(config.cloudConnectors[emitterId].config.url).to.equal('${IOT_CLIENT_TEST_URL:-http://localhost}');
+                    expect(config.deviceConnectors[deviceId]).to.deep.equal(deviceConfig);
+                };
+
+                expect(ctrl.init(configFilePath)).to.be.fulfilled
+                    .then(function() {
+                        expect(ctrl.getCloudConnectors()[emitterId].config.url).to.equal('http://localhost');
+                    })
+                    .then(_emitRawData(emitterConnector, [ {
+                        action: UPDATE_CONFIG_ACTION,
+                        category: 'device',
+                        id: deviceId,
+                        config: deviceConfig
+                    } ]))
+                    .then(_assertionHelper.wait(10))
+                    .then(doTests)
+                    .then(_assertionHelper.getNotifySuccessHandler(done),
+                          _assertionHelper.getNotifyFailureHandler(done));
+            });
         });
 
         describe('[cloud -> device (maintenance action)]', function() {
@@ -2214,4 +3087,1299 @@ describe('Controller (2)', function() {
         });
 
     });
+
+    describe('[health probe]', function() {
+        function _attachHealthCheck(connector, reports) {
+            var index = 0;
+            connector.checkHealth = _sinon.spy(function() {
+                var report = reports[Math.min(index, reports.length - 1)];
+                index++;
+                return _q.resolve(report);
+            });
+        }
+
+        it('should not probe connector health if a probe interval has not been configured', function(done) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+            var ctrl = new Controller();
+            var deviceConnector = mockConfig.getConnectorById('device', mockConfig.deviceConnectorIds[0]);
+            _attachHealthCheck(deviceConnector, [ { healthy: true } ]);
+
+            expect(ctrl.init(configFilePath)).to.be.fulfilled
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(deviceConnector.checkHealth).to.not.have.been.called;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should periodically probe connector health, and mark connectors unhealthy once the failure threshold is reached', function(done) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+            var ctrl = new Controller({
+                healthCheckInterval: 40,
+                healthCheckThreshold: 2
+            });
+            var deviceId = mockConfig.deviceConnectorIds[0];
+            var deviceConnector = mockConfig.getConnectorById('device', deviceId);
+            _attachHealthCheck(deviceConnector, [
+                { healthy: true },
+                { healthy: false, error: 'no reads' }
+            ]);
+
+            var getHealth = function() {
+                return ctrl._connectors.device[deviceId].health;
+            };
+
+            expect(ctrl.init(configFilePath)).to.be.fulfilled
+                .then(_assertionHelper.wait(60))
+                .then(function() {
+                    expect(getHealth().healthy).to.be.true;
+                })
+                .then(_assertionHelper.wait(40))
+                .then(function() {
+                    expect(getHealth().consecutiveFailures).to.equal(1);
+                    expect(getHealth().healthy).to.be.true;
+                })
+                .then(_assertionHelper.wait(40))
+                .then(function() {
+                    expect(getHealth().consecutiveFailures).to.equal(2);
+                    expect(getHealth().healthy).to.be.false;
+                    expect(getHealth().error).to.equal('no reads');
+                })
+                .then(ctrl.stop.bind(ctrl))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should stop probing connector health when the controller is stopped', function(done) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            var configFilePath = _ctrlUtil.initConfig(mockConfig.config);
+            var ctrl = new Controller({ healthCheckInterval: 20 });
+            var deviceConnector = mockConfig.getConnectorById('device', mockConfig.deviceConnectorIds[0]);
+            _attachHealthCheck(deviceConnector, [ { healthy: true } ]);
+            var callCount = 0;
+
+            expect(ctrl.init(configFilePath)).to.be.fulfilled
+                .then(ctrl.stop.bind(ctrl))
+                .then(function() {
+                    callCount = deviceConnector.checkHealth.callCount;
+                })
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(deviceConnector.checkHealth.callCount).to.equal(callCount);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[restart policy]', function() {
+        var RESTART_POLICY = {
+            policy: 'on-failure',
+            maxAttempts: 2,
+            initialDelay: 10,
+            multiplier: 2,
+            jitter: 0
+        };
+
+        function _setup(initAction, restartPolicy) {
+            var mockConfig = _ctrlUtil.createConfig(1, initAction, 'resolve');
+            var deviceId = mockConfig.deviceConnectorIds[0];
+            if(restartPolicy) {
+                mockConfig.config.deviceConnectors[deviceId].restartPolicy = restartPolicy;
+            }
+            return {
+                mockConfig: mockConfig,
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                deviceConnector: mockConfig.getConnectorById('device', deviceId)
+            };
+        }
+
+        function _getLogMessages(connector) {
+            return connector.addLogData.args.map(function(arg) {
+                return arg[0].data.message;
+            }).filter(function(message) {
+                return !!message;
+            });
+        }
+
+        it('should not restart connectors that fail to start if no restart policy is defined', function(done) {
+            var setup = _setup('rejected');
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.rejected
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledOnce;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should restart connectors that fail to start with backoff, until the maximum attempts are exhausted', function(done) {
+            var setup = _setup('rejected', RESTART_POLICY);
+            var ctrl = new Controller();
+            var cloudConnector = setup.mockConfig.getConnectorById('cloud',
+                                        setup.mockConfig.cloudConnectorIds[0]);
+
+            expect(ctrl.init(setup.configFilePath)).to.be.rejected
+                .then(_assertionHelper.wait(5))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledOnce;
+                })
+                .then(_assertionHelper.wait(15))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledTwice;
+                })
+                .then(_assertionHelper.wait(60))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledThrice;
+                    expect(setup.deviceConnector.stop).to.have.been.calledTwice;
+
+                    var messages = _getLogMessages(cloudConnector);
+                    var scheduled = messages.filter(function(message) {
+                        return message.indexOf('Scheduling connector restart') >= 0;
+                    });
+                    var exhausted = messages.filter(function(message) {
+                        return message.indexOf('Restart attempts exhausted') >= 0;
+                    });
+                    expect(scheduled).to.have.length(2);
+                    expect(exhausted).to.have.length(1);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should cancel pending restarts when the controller is stopped', function(done) {
+            var setup = _setup('rejected', {
+                policy: 'always',
+                initialDelay: 30,
+                jitter: 0
+            });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.rejected
+                .then(function() {
+                    ctrl.stop();
+                })
+                .then(_assertionHelper.wait(60))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledOnce;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should restart connectors that report a failure while running', function(done) {
+            var setup = _setup('resolve', RESTART_POLICY);
+            var ctrl = new Controller();
+            setup.deviceConnector.getState = function() {
+                return { state: 'ACTIVE', error: null, timestamp: null };
+            };
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.deviceConnector.emit('state', {
+                        state: 'FAILED',
+                        error: 'device unplugged'
+                    });
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.stop).to.have.been.calledOnce;
+                    expect(setup.deviceConnector.init).to.have.been.calledTwice;
+                })
+                .then(ctrl.stop.bind(ctrl))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not restart connectors that stop unexpectedly if the policy is "on-failure"', function(done) {
+            var setup = _setup('resolve', RESTART_POLICY);
+            var ctrl = new Controller();
+            setup.deviceConnector.getState = function() {
+                return { state: 'ACTIVE', error: null, timestamp: null };
+            };
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.deviceConnector.emit('state', { state: 'INACTIVE' });
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledOnce;
+                })
+                .then(ctrl.stop.bind(ctrl))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should restart connectors that stop unexpectedly if the policy is "always"', function(done) {
+            var setup = _setup('resolve', {
+                policy: 'always',
+                initialDelay: 10,
+                jitter: 0
+            });
+            var ctrl = new Controller();
+            setup.deviceConnector.getState = function() {
+                return { state: 'ACTIVE', error: null, timestamp: null };
+            };
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.deviceConnector.emit('state', { state: 'INACTIVE' });
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledTwice;
+                })
+                .then(ctrl.stop.bind(ctrl))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[connector faults]', function() {
+        function _setup(restartPolicy) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            var deviceId = mockConfig.deviceConnectorIds[0];
+            if(restartPolicy) {
+                mockConfig.config.deviceConnectors[deviceId].restartPolicy = restartPolicy;
+            }
+            var cloudId = mockConfig.cloudConnectorIds[0];
+            return {
+                mockConfig: mockConfig,
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                deviceId: deviceId,
+                deviceConnector: mockConfig.getConnectorById('device', deviceId),
+                cloudConnector: mockConfig.getConnectorById('cloud', cloudId)
+            };
+        }
+
+        function _getFaultMessages(connector) {
+            return connector.addLogData.args.map(function(arg) {
+                return arg[0].data.message || '';
+            }).filter(function(message) {
+                return message.indexOf('Connector fault') >= 0;
+            });
+        }
+
+        it('should capture error events from connectors, and report them to the cloud', function(done) {
+            var setup = _setup();
+            var ctrl = new Controller();
+            var error = new Error('device unplugged');
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    expect(function() {
+                        setup.deviceConnector.emit('error', error);
+                    }).to.not.throw();
+                })
+                .then(function() {
+                    var messages = _getFaultMessages(setup.cloudConnector);
+                    expect(messages).to.have.length(1);
+                    expect(messages[0]).to.contain('device::' + setup.deviceId);
+                    expect(messages[0]).to.contain(error.stack);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should mark the faulted connector as failed, while other connectors keep running', function(done) {
+            var setup = _setup();
+            var ctrl = new Controller();
+            setup.deviceConnector.markFailed = _sinon.spy();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.deviceConnector.emit('error', new Error('device unplugged'));
+                    setup.cloudConnector.addData.reset();
+                    setup.deviceConnector._emitData({ foo: 'bar' });
+                })
+                .then(function() {
+                    expect(setup.deviceConnector.markFailed).to.have.been.calledOnce;
+                    expect(setup.deviceConnector.markFailed).to.have.been.calledWith('device unplugged');
+                    expect(setup.cloudConnector.addData).to.have.been.calledWith({ foo: 'bar' });
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should treat exceptions thrown while handling connector events as faults of the connector', function(done) {
+            var setup = _setup();
+            var ctrl = new Controller();
+            setup.cloudConnector.markFailed = _sinon.spy();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    ctrl._processCloudCommand = function() {
+                        throw new Error('bad command');
+                    };
+                    expect(function() {
+                        setup.cloudConnector._emitData([ {
+                            requestId: 'req_1',
+                            action: 'list_connectors'
+                        } ]);
+                    }).to.not.throw();
+                })
+                .then(function() {
+                    expect(setup.cloudConnector.markFailed).to.have.been.calledWith('bad command');
+                    expect(_getFaultMessages(setup.cloudConnector)).to.have.length(1);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should apply the restart policy of the faulted connector', function(done) {
+            var setup = _setup({
+                policy: 'on-failure',
+                initialDelay: 10,
+                jitter: 0
+            });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.deviceConnector.emit('error', new Error('device unplugged'));
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.stop).to.have.been.calledOnce;
+                    expect(setup.deviceConnector.init).to.have.been.calledTwice;
+                })
+                .then(ctrl.stop.bind(ctrl))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[polling connectors]', function() {
+        var DEVICE_ID = 'device_poll-instance-0';
+
+        function _setup(pollConfig) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            mockConfig.config.connectorTypes.device_poll =
+                            _path.resolve(__dirname, '../../lib/polling-connector');
+            mockConfig.config.deviceConnectors[DEVICE_ID] = {
+                type: 'device_poll',
+                config: pollConfig,
+                restartPolicy: { policy: 'always', initialDelay: 10, jitter: 0 }
+            };
+            return {
+                mockConfig: mockConfig,
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                cloudConnector: mockConfig.getConnectorById('cloud', mockConfig.cloudConnectorIds[0])
+            };
+        }
+
+        function _getPollingConnector(ctrl) {
+            return ctrl.getDeviceConnectors()[DEVICE_ID].connector;
+        }
+
+        function _stubProcess(connector, failures) {
+            var calls = 0;
+            return _sinon.stub(connector, '_process', function() {
+                calls++;
+                if(calls <= failures) {
+                    return _q.reject(new Error('device offline'));
+                }
+                this.emit('data', { poll: calls });
+                return _q(calls);
+            });
+        }
+
+        it('should not treat a failed poll as a connector fault', function(done) {
+            var setup = _setup({ pollFrequency: 20 });
+            var ctrl = new Controller();
+            var connector = null;
+            var process = null;
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    connector = _getPollingConnector(ctrl);
+                    process = _stubProcess(connector, 1);
+                    setup.cloudConnector.addData.reset();
+                })
+                .then(_assertionHelper.wait(70))
+                .then(function() {
+                    expect(process.callCount).to.be.at.least(2);
+                    expect(_getPollingConnector(ctrl)).to.equal(connector);
+                    expect(connector.getState().state).to.equal('ACTIVE');
+                    expect(connector.getMetrics().failedPolls).to.equal(1);
+                    expect(setup.cloudConnector.addData).to.have.been.calledWith({ poll: 2 });
+                })
+                .fin(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+        it('should back off and recover the poll frequency of adaptive polling connectors', function(done) {
+            var setup = _setup({
+                pollFrequency: 20,
+                adaptivePolling: {
+                    minPollFrequency: 20,
+                    maxPollFrequency: 80,
+                    backoffMultiplier: 2
+                }
+            });
+            var ctrl = new Controller();
+            var connector = null;
+            var process = null;
+
+            function _checkFrequency(frequency) {
+                return function() {
+                    var metrics = ctrl.getMetrics().device[DEVICE_ID];
+                    expect(metrics.currentPollFrequency).to.equal(frequency);
+                };
+            }
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    connector = _getPollingConnector(ctrl);
+                    process = _stubProcess(connector, 2);
+                })
+                .then(_checkFrequency(20))
+                .then(_assertionHelper.wait(100))
+                .then(function() {
+                    expect(process).to.have.been.calledTwice;
+                    expect(_getPollingConnector(ctrl)).to.equal(connector);
+                })
+                .then(_checkFrequency(80))
+                .then(_assertionHelper.wait(80))
+                .then(_checkFrequency(20))
+                .fin(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[lifecycle timeouts]', function() {
+
+        function _setup(initAction, stopAction) {
+            var mockConfig = _ctrlUtil.createConfig(1, initAction, stopAction);
+            var deviceId = mockConfig.deviceConnectorIds[0];
+            var deviceConnector = mockConfig.getConnectorById('device', deviceId);
+            deviceConnector.markFailed = _sinon.spy();
+            return {
+                mockConfig: mockConfig,
+                deviceConnector: deviceConnector
+            };
+        }
+
+        it('should reject init with a timeout error, and mark the connector as failed, if the connector does not start in time', function(done) {
+            var setup = _setup();
+            var configFilePath = _ctrlUtil.initConfig(setup.mockConfig.config);
+            var ctrl = new Controller({ startTimeout: 20 });
+
+            expect(ctrl.init(configFilePath)).to.be.rejected
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.have.been.calledOnce;
+                    expect(setup.deviceConnector.markFailed).to.have.been.calledOnce;
+                    expect(setup.deviceConnector.markFailed.args[0][0])
+                        .to.match(/^Connector init timed out after \[20 ms\]/);
+
+                    var connectors = ctrl.getDeviceConnectors();
+                    var result = connectors[setup.mockConfig.deviceConnectorIds[0]].result;
+                    expect(result.name).to.equal('TimeoutError');
+                    expect(result.timeout).to.equal(20);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not time out connector lifecycle operations if no timeout has been configured', function(done) {
+            var setup = _setup();
+            var configFilePath = _ctrlUtil.initConfig(setup.mockConfig.config);
+            var ctrl = new Controller();
+            var initPromise = ctrl.init(configFilePath);
+
+            _assertionHelper.wait(30)()
+                .then(function() {
+                    expect(initPromise.isPending()).to.be.true;
+                    expect(setup.deviceConnector.markFailed).to.not.have.been.called;
+
+                    setup.mockConfig.deviceConnectorIds.forEach(function(id) {
+                        setup.mockConfig.getConnectorById('device', id)._completeDeferred('init', 0, true);
+                    });
+                    setup.mockConfig.cloudConnectorIds.forEach(function(id) {
+                        setup.mockConfig.getConnectorById('cloud', id)._completeDeferred('init', 0, true);
+                    });
+                    return expect(initPromise).to.be.fulfilled;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should use the timeout defined in the connector config in preference to the controller default', function(done) {
+            var setup = _setup();
+            var config = setup.mockConfig.config;
+            [ 'cloudConnectors', 'deviceConnectors' ].forEach(function(section) {
+                for(var id in config[section]) {
+                    config[section][id].startTimeout = 10;
+                }
+            });
+            var configFilePath = _ctrlUtil.initConfig(config);
+            var ctrl = new Controller({ startTimeout: 60000 });
+
+            expect(ctrl.init(configFilePath)).to.be.rejected
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.markFailed.args[0][0])
+                        .to.match(/^Connector init timed out after \[10 ms\]/);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should stop connectors that finish starting after their init has timed out', function(done) {
+            var setup = _setup(undefined, 'resolve');
+            var configFilePath = _ctrlUtil.initConfig(setup.mockConfig.config);
+            var ctrl = new Controller({ startTimeout: 20 });
+
+            expect(ctrl.init(configFilePath)).to.be.rejected
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.stop).to.not.have.been.called;
+                    setup.deviceConnector._completeDeferred('init', 0, true);
+                })
+                .then(_assertionHelper.wait(10))
+                .then(function() {
+                    expect(setup.deviceConnector.stop).to.have.been.calledOnce;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should allow shutdown to complete if a connector does not stop in time', function(done) {
+            var setup = _setup('resolve');
+            var configFilePath = _ctrlUtil.initConfig(setup.mockConfig.config);
+            var ctrl = new Controller({ stopTimeout: 20 });
+
+            expect(ctrl.init(configFilePath)).to.be.fulfilled
+                .then(function() {
+                    return expect(ctrl.stop()).to.be.rejected;
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(setup.deviceConnector.stop).to.have.been.calledOnce;
+                    expect(setup.deviceConnector.markFailed).to.have.been.calledOnce;
+                    expect(setup.deviceConnector.markFailed.args[0][0])
+                        .to.match(/^Connector stop timed out after \[20 ms\]/);
+
+                    var connectors = ctrl.getDeviceConnectors();
+                    expect(connectors).to.not.have.property(setup.mockConfig.deviceConnectorIds[0]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[deadband]', function() {
+        function _setup(deadband, rules) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            var deviceId = mockConfig.deviceConnectorIds[0];
+            if(deadband) {
+                mockConfig.config.deviceConnectors[deviceId].deadband = deadband;
+            }
+            if(rules) {
+                mockConfig.config.rules = rules;
+            }
+            return {
+                mockConfig: mockConfig,
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                deviceConnector: mockConfig.getConnectorById('device', deviceId),
+                cloudConnector: mockConfig.getConnectorById('cloud', mockConfig.cloudConnectorIds[0])
+            };
+        }
+
+        function _emitValues(connector, values) {
+            return function() {
+                values.forEach(function(value) {
+                    connector._emitData({ id: 'tank1', data: { level: value } });
+                });
+            };
+        }
+
+        function _getLevels(connector) {
+            return connector.addData.args.map(function(arg) {
+                return arg[0].data.level;
+            });
+        }
+
+        it('should deliver all device data if no deadband is defined', function(done) {
+            var setup = _setup();
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(_emitValues(setup.deviceConnector, [ 10, 10, 10.2 ]))
+                .then(function() {
+                    expect(_getLevels(setup.cloudConnector)).to.deep.equal([ 10, 10, 10.2 ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should suppress device data that has not moved outside of the deadband', function(done) {
+            var setup = _setup({
+                key: 'id',
+                fields: { 'data.level': { absolute: 0.5 } }
+            });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(_emitValues(setup.deviceConnector, [ 10, 10, 10.2, 10.6, 10.8, 9.5 ]))
+                .then(function() {
+                    expect(_getLevels(setup.cloudConnector)).to.deep.equal([ 10, 10.6, 9.5 ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should redeliver the last reported device data every heartbeat interval, even if no new data is emitted', function(done) {
+            var setup = _setup({
+                fields: { 'data.level': { percent: 10 } },
+                heartbeatInterval: 20
+            });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(_emitValues(setup.deviceConnector, [ 10, 10 ]))
+                .then(function() {
+                    expect(_getLevels(setup.cloudConnector)).to.deep.equal([ 10 ]);
+                })
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    var levels = _getLevels(setup.cloudConnector);
+                    expect(levels.length).to.be.at.least(3);
+                    levels.forEach(function(level) {
+                        expect(level).to.equal(10);
+                    });
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should stop the heartbeat when the connector is stopped', function(done) {
+            var setup = _setup({
+                fields: { 'data.level': { percent: 10 } },
+                heartbeatInterval: 20
+            });
+            var ctrl = new Controller();
+            var count = 0;
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(_emitValues(setup.deviceConnector, [ 10 ]))
+                .then(ctrl.stop.bind(ctrl))
+                .then(function() {
+                    count = setup.cloudConnector.addData.callCount;
+                })
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(setup.cloudConnector.addData.callCount).to.equal(count);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should suspend the heartbeat while the connector is paused', function(done) {
+            var setup = _setup({
+                fields: { 'data.level': { percent: 10 } },
+                heartbeatInterval: 20
+            });
+            var ctrl = new Controller();
+            var deviceId = setup.mockConfig.deviceConnectorIds[0];
+            var count = 0;
+            setup.deviceConnector.pause = _sinon.stub().returns(_q.resolve());
+            setup.deviceConnector.resume = _sinon.stub().returns(_q.resolve());
+
+            function _sendCommand(action) {
+                return function() {
+                    setup.cloudConnector._emitData([ {
+                        action: action,
+                        requestId: 'req_1',
+                        category: 'device',
+                        id: deviceId
+                    } ]);
+                };
+            }
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(_emitValues(setup.deviceConnector, [ 10 ]))
+                .then(_sendCommand('pause_connector'))
+                .then(_assertionHelper.wait(10))
+                .then(function() {
+                    expect(setup.deviceConnector.pause).to.have.been.calledOnce;
+                    count = setup.cloudConnector.addData.callCount;
+                })
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(setup.cloudConnector.addData.callCount).to.equal(count);
+                })
+                .then(_sendCommand('resume_connector'))
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(setup.deviceConnector.resume).to.have.been.calledOnce;
+                    expect(setup.cloudConnector.addData.callCount).to.be.above(count);
+                })
+                .fin(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should stop the heartbeat when the connector reports a failure', function(done) {
+            var setup = _setup({
+                fields: { 'data.level': { percent: 10 } },
+                heartbeatInterval: 20
+            });
+            var ctrl = new Controller();
+            var count = 0;
+            setup.deviceConnector.getState = function() {
+                return { state: 'ACTIVE', error: null, timestamp: null };
+            };
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(_emitValues(setup.deviceConnector, [ 10 ]))
+                .then(function() {
+                    setup.deviceConnector.emit('state', {
+                        state: 'FAILED',
+                        error: 'device unplugged'
+                    });
+                    count = setup.cloudConnector.addData.callCount;
+                })
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(setup.cloudConnector.addData.callCount).to.equal(count);
+                })
+                .fin(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not evaluate rules against heartbeat records', function(done) {
+            var setup = _setup({
+                fields: { 'data.level': { percent: 10 } },
+                heartbeatInterval: 20
+            }, [
+                { id: 'high', when: { 'data.level': { gt: 50 } }, actions: [ { type: 'alarm' } ] }
+            ]);
+            var ctrl = new Controller();
+            var evaluate = null;
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    evaluate = _sinon.spy(ctrl._rulesEngine, 'evaluate');
+                })
+                .then(_emitValues(setup.deviceConnector, [ 10 ]))
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(_getLevels(setup.cloudConnector).length).to.be.at.least(3);
+                    expect(evaluate).to.have.been.calledOnce;
+                })
+                .fin(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should replace the heartbeat when the connector is reconfigured', function(done) {
+            var setup = _setup({
+                fields: { 'data.level': { percent: 10 } },
+                heartbeatInterval: 20
+            });
+            var ctrl = new Controller();
+            var deviceId = setup.mockConfig.deviceConnectorIds[0];
+            var count = 0;
+            setup.deviceConnector.reconfigure = _sinon.stub().returns(_q(true));
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(_emitValues(setup.deviceConnector, [ 10 ]))
+                .then(function() {
+                    setup.cloudConnector._emitData([ {
+                        action: 'update_config',
+                        requestId: 'req_1',
+                        category: 'device',
+                        id: deviceId,
+                        config: {
+                            type: setup.mockConfig.config.deviceConnectors[deviceId].type,
+                            config: {},
+                            deadband: { fields: { 'data.level': { percent: 10 } } }
+                        }
+                    } ]);
+                })
+                .then(_assertionHelper.wait(10))
+                .then(function() {
+                    expect(setup.deviceConnector.reconfigure).to.have.been.calledOnce;
+                    count = setup.cloudConnector.addData.callCount;
+                })
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(setup.cloudConnector.addData.callCount).to.equal(count);
+                })
+                .fin(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject the init promise if the deadband config is invalid', function(done) {
+            var setup = _setup({ fields: 'data.level' });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.rejectedWith('Invalid configuration: ' +
+                    'deviceConnectors.device_temp-instance-0.deadband: ' +
+                    'Deadband config does not define a valid fields property')
+                .then(function() {
+                    expect(setup.deviceConnector.init).to.not.have.been.called;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[data routing]', function() {
+        var TEMP_ID = 'device_temp-instance-0';
+        var HUMI_ID = 'device_humi-instance-0';
+        var HTTP_ID = 'cloud_http-instance-0';
+        var MQTT_ID = 'cloud_mqtt-instance-0';
+
+        function _setup(routes) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            if(routes) {
+                mockConfig.config.routes = routes;
+            }
+            return {
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                temp: mockConfig.getConnectorById('device', TEMP_ID),
+                humi: mockConfig.getConnectorById('device', HUMI_ID),
+                http: mockConfig.getConnectorById('cloud', HTTP_ID),
+                mqtt: mockConfig.getConnectorById('cloud', MQTT_ID)
+            };
+        }
+
+        function _getPayloads(connector) {
+            return connector.addData.args.map(function(arg) {
+                return arg[0];
+            });
+        }
+
+        it('should deliver device data to all cloud connectors if no routes are defined', function(done) {
+            var setup = _setup();
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ value: 1 });
+                    setup.humi._emitData({ value: 2 });
+
+                    expect(_getPayloads(setup.http)).to.deep.equal([ { value: 1 }, { value: 2 } ]);
+                    expect(_getPayloads(setup.mqtt)).to.deep.equal([ { value: 1 }, { value: 2 } ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should deliver device data only to the cloud connectors that it is routed to', function(done) {
+            var setup = _setup([
+                { from: TEMP_ID, to: HTTP_ID },
+                { from: '*', to: MQTT_ID, match: { type: 'alarm' } }
+            ]);
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ type: 'reading', value: 1 });
+                    setup.temp._emitData({ type: 'alarm', value: 2 });
+                    setup.humi._emitData({ type: 'reading', value: 3 });
+                    setup.humi._emitData([
+                        { type: 'alarm', value: 4 },
+                        { type: 'reading', value: 5 }
+                    ]);
+
+                    expect(_getPayloads(setup.http)).to.deep.equal([
+                        { type: 'reading', value: 1 },
+                        { type: 'alarm', value: 2 }
+                    ]);
+                    expect(_getPayloads(setup.mqtt)).to.deep.equal([
+                        { type: 'alarm', value: 2 },
+                        { type: 'alarm', value: 4 }
+                    ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[data transforms]', function() {
+        var TEMP_ID = 'device_temp-instance-0';
+        var HTTP_ID = 'cloud_http-instance-0';
+        var MQTT_ID = 'cloud_mqtt-instance-0';
+
+        function _setup(transform, routes) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            if(transform) {
+                mockConfig.config.deviceConnectors[TEMP_ID].transform = transform;
+            }
+            if(routes) {
+                mockConfig.config.routes = routes;
+            }
+            return {
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                temp: mockConfig.getConnectorById('device', TEMP_ID),
+                http: mockConfig.getConnectorById('cloud', HTTP_ID),
+                mqtt: mockConfig.getConnectorById('cloud', MQTT_ID)
+            };
+        }
+
+        function _getPayloads(connector) {
+            return connector.addData.args.map(function(arg) {
+                return arg[0];
+            });
+        }
+
+        function _getLogMessages(connector) {
+            return connector.addLogData.args.map(function(arg) {
+                return arg[0].data.message;
+            }).filter(function(message) {
+                return !!message && message.indexOf('Error transforming data') >= 0;
+            });
+        }
+
+        it('should apply the transform of the device connector to the data that it emits', function(done) {
+            var setup = _setup([
+                { op: 'rename', from: 'temp', to: 'temperature' },
+                { op: 'convert', field: 'temperature', from: 'C', to: 'F', decimals: 1 },
+                { op: 'tag', tags: { site: 'plant1' } }
+            ]);
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ temp: 20 });
+
+                    expect(_getPayloads(setup.http)).to.deep.equal([ { temperature: 68, site: 'plant1' } ]);
+                    expect(_getPayloads(setup.mqtt)).to.deep.equal([ { temperature: 68, site: 'plant1' } ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should apply the transforms of routes to the data that they deliver', function(done) {
+            var setup = _setup([
+                { op: 'scale', field: 'level', factor: 10 }
+            ], [
+                { to: HTTP_ID },
+                { to: MQTT_ID, transform: [ { op: 'drop', fields: 'raw' } ] }
+            ]);
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ level: 1, raw: 100 });
+
+                    expect(_getPayloads(setup.http)).to.deep.equal([ { level: 10, raw: 100 } ]);
+                    expect(_getPayloads(setup.mqtt)).to.deep.equal([ { level: 10 } ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should drop records that cannot be transformed, and log the error to the cloud', function(done) {
+            var setup = _setup([
+                { op: 'scale', field: 'level', factor: 10 }
+            ]);
+            var ctrl = new Controller();
+            var error = '[warn] [na] Error transforming data: [device::' + TEMP_ID + ']. ' +
+                        'Error: [Transform step [0] (scale) failed: field "level" is not a number]';
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData([ { level: 1 }, { level: 'high' } ]);
+                    setup.temp._emitData({ level: 'high' });
+
+                    expect(_getPayloads(setup.http)).to.deep.equal([ { level: 10 } ]);
+                    expect(_getLogMessages(setup.http)).to.deep.equal([ error, error ]);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not start a device connector that defines an invalid transform', function(done) {
+            var setup = _setup([ { op: 'scale', field: 'level', factor: 'ten' } ]);
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.rejected
+                .then(function() {
+                    expect(setup.temp.init).to.not.have.been.called;
+                    expect(ctrl.getDeviceConnectors()).to.not.have.property(TEMP_ID);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[data aggregation]', function() {
+        var TEMP_ID = 'device_temp-instance-0';
+        var CLOUD_ID = 'cloud_buffer-instance-0';
+        var WINDOW_SIZE = 100;
+
+        function _setup(aggregate) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            mockConfig.config.deviceConnectors[TEMP_ID].aggregate = aggregate;
+            mockConfig.config.connectorTypes.cloud_buffer =
+                            _ctrlUtil.createConnectorModule('cloud_buffer').path;
+            mockConfig.config.cloudConnectors[CLOUD_ID] = {
+                type: 'cloud_buffer',
+                config: {}
+            };
+            return {
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                temp: mockConfig.getConnectorById('device', TEMP_ID)
+            };
+        }
+
+        function _getCloudConnector(ctrl) {
+            return ctrl.getCloudConnectors()[CLOUD_ID].connector;
+        }
+
+        it('should deliver one aggregate record per window instead of the data emitted by the device connector', function(done) {
+            var setup = _setup({ size: WINDOW_SIZE, fields: 'level' });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ level: 10 });
+                    setup.temp._emitData([ { level: 30 }, { level: 20 } ]);
+
+                    expect(_getCloudConnector(ctrl)._buffer).to.be.empty;
+                })
+                .then(_assertionHelper.wait(WINDOW_SIZE * 2.5))
+                .then(function() {
+                    var buffer = _getCloudConnector(ctrl)._buffer;
+                    expect(buffer).to.have.length(1);
+
+                    var record = buffer[0];
+                    expect(record.windowEnd - record.windowStart).to.equal(WINDOW_SIZE);
+                    expect(record.level).to.deep.equal({ min: 10, max: 30, mean: 20, last: 20, count: 3 });
+                })
+                .then(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should immediately deliver records that cannot be aggregated', function(done) {
+            var setup = _setup({ size: WINDOW_SIZE * 10, fields: 'level' });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData([ { level: 10 }, { event: 'door_open' } ]);
+
+                    expect(_getCloudConnector(ctrl)._buffer).to.deep.equal([ { event: 'door_open' } ]);
+                })
+                .then(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should discard incomplete windows when the device connector is stopped', function(done) {
+            var setup = _setup({ size: WINDOW_SIZE, fields: 'level' });
+            var ctrl = new Controller();
+            var cloudConnector = null;
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    cloudConnector = _getCloudConnector(ctrl);
+                    _sinon.spy(cloudConnector, 'addData');
+                    setup.temp._emitData({ level: 10 });
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.wait(WINDOW_SIZE * 2.5))
+                .then(function() {
+                    expect(cloudConnector.addData).to.not.have.been.called;
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not start a device connector that defines an invalid aggregate config', function(done) {
+            var setup = _setup({ size: WINDOW_SIZE, fields: [] });
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.rejected
+                .then(function() {
+                    expect(setup.temp.init).to.not.have.been.called;
+                    expect(ctrl.getDeviceConnectors()).to.not.have.property(TEMP_ID);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[rules]', function() {
+        var TEMP_ID = 'device_temp-instance-0';
+        var HUMI_ID = 'device_humi-instance-0';
+        var HTTP_ID = 'cloud_http-instance-0';
+        var MQTT_ID = 'cloud_mqtt-instance-0';
+
+        function _setup(rules, routes) {
+            var mockConfig = _ctrlUtil.createConfig(1, 'resolve', 'resolve');
+            mockConfig.config.rules = rules;
+            if(routes) {
+                mockConfig.config.routes = routes;
+            }
+            return {
+                configFilePath: _ctrlUtil.initConfig(mockConfig.config),
+                temp: mockConfig.getConnectorById('device', TEMP_ID),
+                humi: mockConfig.getConnectorById('device', HUMI_ID),
+                http: mockConfig.getConnectorById('cloud', HTTP_ID),
+                mqtt: mockConfig.getConnectorById('cloud', MQTT_ID)
+            };
+        }
+
+        function _getAlarms(connector) {
+            return connector.addData.args.map(function(arg) {
+                return arg[0];
+            }).filter(function(payload) {
+                return payload.type === 'alarm';
+            });
+        }
+
+        it('should deliver alarm records to the cloud connectors when a rule raises and clears', function(done) {
+            var setup = _setup([ {
+                id: 'temp_high',
+                from: TEMP_ID,
+                when: { temp: { gt: 90 } },
+                clearWhen: { temp: { lt: 85 } },
+                actions: [ { type: 'alarm', severity: 'critical', message: 'Temperature too high' } ]
+            } ]);
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ temp: 95 });
+                    setup.temp._emitData({ temp: 88 });
+                    setup.humi._emitData({ temp: 80 });
+                    setup.temp._emitData({ temp: 80 });
+
+                    var alarms = _getAlarms(setup.http);
+                    expect(alarms).to.have.length(2);
+                    alarms.forEach(function(alarm) {
+                        expect(alarm).to.have.property('rule', 'temp_high');
+                        expect(alarm).to.have.property('severity', 'critical');
+                        expect(alarm).to.have.property('message', 'Temperature too high');
+                        expect(alarm).to.have.property('source', TEMP_ID);
+                        expect(alarm).to.have.property('timestamp').and.to.be.a('number');
+                    });
+                    expect(alarms[0]).to.have.property('state', 'raised');
+                    expect(alarms[0].record).to.deep.equal({ temp: 95 });
+                    expect(alarms[1]).to.have.property('state', 'cleared');
+                    expect(alarms[1].record).to.deep.equal({ temp: 80 });
+                    expect(_getAlarms(setup.mqtt)).to.deep.equal(alarms);
+                })
+                .then(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should route alarm records like any other data', function(done) {
+            var setup = _setup([ {
+                id: 'temp_high',
+                when: { temp: { gt: 90 } },
+                actions: [ { type: 'alarm' } ]
+            } ], [
+                { to: HTTP_ID },
+                { to: MQTT_ID, match: { type: 'alarm' } }
+            ]);
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ temp: 95 });
+
+                    expect(setup.http.addData).to.have.been.calledTwice;
+                    expect(setup.mqtt.addData).to.have.been.calledOnce;
+                    expect(setup.mqtt.addData.args[0][0]).to.have.property('type', 'alarm');
+                    expect(setup.mqtt.addData.args[0][0]).to.have.property('severity', 'warning');
+                })
+                .then(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should add data to device connectors when a rule raises or clears', function(done) {
+            var setup = _setup([ {
+                id: 'temp_high',
+                from: TEMP_ID,
+                when: { temp: { gt: 90 } },
+                actions: [
+                    { type: 'send', to: HUMI_ID, data: { command: 'stop' } },
+                    { type: 'send', to: HUMI_ID, data: { command: 'start' }, on: 'cleared' }
+                ]
+            } ]);
+            var ctrl = new Controller();
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ temp: 95 });
+                    expect(setup.humi.addData).to.have.been.calledOnce;
+                    expect(setup.humi.addData.args[0][0]).to.deep.equal({ command: 'stop' });
+
+                    setup.temp._emitData({ temp: 80 });
+                    expect(setup.humi.addData).to.have.been.calledTwice;
+                    expect(setup.humi.addData.args[1][0]).to.deep.equal({ command: 'start' });
+                    expect(_getAlarms(setup.http)).to.deep.equal([]);
+                })
+                .then(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should log a warning to the cloud if the target of a send action is not running', function(done) {
+            var setup = _setup([ {
+                id: 'temp_high',
+                when: { temp: { gt: 90 } },
+                actions: [ { type: 'send', to: 'pump1', data: { command: 'stop' } } ]
+            } ]);
+            var ctrl = new Controller();
+            var warning = '[warn] [na] Cannot execute rule action. Connector not initialized: ' +
+                          '[device::pump1]. Rule: [temp_high]';
+
+            expect(ctrl.init(setup.configFilePath)).to.be.fulfilled
+                .then(function() {
+                    setup.temp._emitData({ temp: 95 });
+
+                    var messages = setup.http.addLogData.args.map(function(arg) {
+                        return arg[0].data.message;
+                    });
+                    expect(messages).to.include(warning);
+                })
+                .then(function() {
+                    return ctrl.stop();
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
 });
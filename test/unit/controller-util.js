@@ -129,14 +129,45 @@ var mod = {
         return ret;
     },
 
-    initConfig: function(config) {
+    createConnectorModule: function(name) {
+        var body = [
+                     'var _util = require("util");',
+                     'var _q = require("q");',
+                     'var Connector = require(' + JSON.stringify(_path.resolve(__dirname, '../../lib/connector')) + ');',
+                     '',
+                     'function TestConnector(id) {',
+                     '    TestConnector.super_.call(this, id);',
+                     '}',
+                     '_util.inherits(TestConnector, Connector);',
+                     '',
+                     'TestConnector.prototype._start = function() { return _q(); };',
+                     'TestConnector.prototype._stop = function() { return _q(); };',
+                     '',
+                     'module.exports = TestConnector;',
+                     ''
+                    ].join('\r\n');
+        name = name + '-' + _shortId.generate();
+        var filePath = _path.join(TEMP_DIR, name + '.js');
+
+        _wfs.createFiles({
+            path: filePath,
+            contents: body
+        });
+        _filesToCleanup.push(filePath);
+
+        return {
+            path: _path.resolve(filePath)
+        };
+    },
+
+    initConfig: function(config, fileName) {
         if(!config) {
             config = JSON.stringify(DEFAULT_CONFIG);
         } else if (!(config instanceof Array) && typeof config === 'object') {
             config = JSON.stringify(config);
         }
 
-        var configFilePath = CONFIG_FILE;
+        var configFilePath = fileName? _path.join(TEMP_DIR, fileName): CONFIG_FILE;
 
         _wfs.createFiles({
             path: configFilePath,
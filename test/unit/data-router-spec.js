@@ -0,0 +1,211 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var DataRouter = require('../../lib/data-router');
+
+describe('DataRouter', function() {
+    var CLOUD_IDS = [ 'historian', 'cloud', 'sms' ];
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid routes array', function() {
+            var error = 'Invalid routes specified (arg #1)';
+
+            function invokeMethod(routes) {
+                return function() {
+                    return new DataRouter(routes);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should throw an error if a route is invalid', function() {
+            function checkError(route, error) {
+                expect(function() {
+                    return new DataRouter([ { to: '*' }, route ]);
+                }).to.throw(error);
+            }
+
+            var idError = 'must be "*", a connector id or an array of connector ids';
+            checkError(null, 'routes[1]: must be of type object');
+            checkError('cloud', 'routes[1]: must be of type object');
+            checkError({ from: 'temp1' }, 'routes[1].to: is required');
+            checkError({ to: 123 }, 'routes[1].to: ' + idError);
+            checkError({ to: [] }, 'routes[1].to: ' + idError);
+            checkError({ to: [ 'cloud', '' ] }, 'routes[1].to: ' + idError);
+            checkError({ to: '*', from: '' }, 'routes[1].from: ' + idError);
+            checkError({ to: '*', match: 'alarm' }, 'routes[1].match: must be of type object');
+            checkError({ to: '*', match: { level: { above: 1 } } },
+                       'routes[1].match.level: unsupported operator "above"');
+            checkError({ to: '*', match: { level: { in: 1 } } },
+                       'routes[1].match.level.in: must be of type array');
+            checkError({ to: '*', match: { level: { exists: 1 } } },
+                       'routes[1].match.level.exists: must be of type boolean');
+            checkError({ to: '*', transform: {} }, 'routes[1].transform: must be of type array');
+            checkError({ to: '*', transform: [ { op: 'round' } ] },
+                       'routes[1].transform[0].op: must be one of [rename, scale, convert, drop, tag]');
+        });
+
+        it('should return an object with the expected methods when invoked with valid routes', function() {
+            var router = new DataRouter([]);
+
+            expect(router).to.be.an('object');
+            expect(router).to.have.property('getTargets').and.to.be.a('function');
+            expect(router).to.have.property('route').and.to.be.a('function');
+        });
+    });
+
+    describe('getTargets()', function() {
+        it('should not return any targets if no routes have been defined', function() {
+            var router = new DataRouter([]);
+
+            expect(router.getTargets('temp1', { level: 10 }, CLOUD_IDS)).to.deep.equal([]);
+        });
+
+        it('should return the targets of the routes that apply to the source connector', function() {
+            var router = new DataRouter([
+                { from: 'temp1', to: 'historian' },
+                { from: [ 'temp2', 'temp3' ], to: [ 'sms', 'cloud' ] },
+                { to: 'historian' }
+            ]);
+
+            expect(router.getTargets('temp1', {}, CLOUD_IDS)).to.deep.equal([ 'historian' ]);
+            expect(router.getTargets('temp2', {}, CLOUD_IDS)).to.deep.equal([ 'historian', 'cloud', 'sms' ]);
+            expect(router.getTargets('temp4', {}, CLOUD_IDS)).to.deep.equal([ 'historian' ]);
+        });
+
+        it('should return all targets for routes that target all connectors', function() {
+            var router = new DataRouter([
+                { from: '*', to: '*' }
+            ]);
+
+            expect(router.getTargets('temp1', {}, CLOUD_IDS)).to.deep.equal(CLOUD_IDS);
+        });
+
+        it('should ignore targets that are not available', function() {
+            var router = new DataRouter([
+                { to: [ 'cloud', 'archive' ] }
+            ]);
+
+            expect(router.getTargets('temp1', {}, CLOUD_IDS)).to.deep.equal([ 'cloud' ]);
+        });
+
+        it('should only apply routes whose match conditions are met by the record', function() {
+            var router = new DataRouter([
+                { to: 'historian' },
+                { to: 'cloud', match: { type: 'alarm', 'data.severity': { gte: 2 } } },
+                { to: 'sms', match: { 'data.severity': { gt: 3, lte: 5 } } }
+            ]);
+            var record = function(type, severity) {
+                return { type: type, data: { severity: severity } };
+            };
+
+            expect(router.getTargets('temp1', record('reading', 4), CLOUD_IDS)).to.deep.equal([ 'historian', 'sms' ]);
+            expect(router.getTargets('temp1', record('alarm', 1), CLOUD_IDS)).to.deep.equal([ 'historian' ]);
+            expect(router.getTargets('temp1', record('alarm', 2), CLOUD_IDS)).to.deep.equal([ 'historian', 'cloud' ]);
+            expect(router.getTargets('temp1', record('alarm', 5), CLOUD_IDS)).to.deep.equal(CLOUD_IDS);
+            expect(router.getTargets('temp1', record('alarm', 6), CLOUD_IDS)).to.deep.equal([ 'historian', 'cloud' ]);
+            expect(router.getTargets('temp1', record('alarm', '6'), CLOUD_IDS)).to.deep.equal([ 'historian' ]);
+        });
+
+        it('should support all of the match operators', function() {
+            function checkMatch(condition, value, expected) {
+                var router = new DataRouter([ { to: 'cloud', match: { value: condition } } ]);
+                var targets = router.getTargets('temp1', { value: value }, CLOUD_IDS);
+                expect(targets).to.deep.equal(expected ? [ 'cloud' ] : []);
+            }
+
+            checkMatch(null, null, true);
+            checkMatch({ eq: 1 }, 1, true);
+            checkMatch({ eq: 1 }, '1', false);
+            checkMatch({ ne: 1 }, 2, true);
+            checkMatch({ ne: 1 }, 1, false);
+            checkMatch({ gt: 1 }, 2, true);
+            checkMatch({ gt: 1 }, 1, false);
+            checkMatch({ gte: 1 }, 1, true);
+            checkMatch({ lt: 1 }, 0, true);
+            checkMatch({ lt: 1 }, 1, false);
+            checkMatch({ lte: 1 }, 1, true);
+            checkMatch({ lte: 'b' }, 'a', true);
+            checkMatch({ in: [ 'a', 'b' ] }, 'b', true);
+            checkMatch({ in: [ 'a', 'b' ] }, 'c', false);
+            checkMatch({ exists: true }, 0, true);
+            checkMatch({ exists: true }, undefined, false);
+            checkMatch({ exists: false }, undefined, true);
+        });
+    });
+
+    describe('route()', function() {
+        it('should map each target to the payload if the payload is not an array', function() {
+            var router = new DataRouter([
+                { from: 'temp1', to: [ 'historian', 'cloud' ] }
+            ]);
+            var data = { level: 10 };
+
+            var deliveries = router.route('temp1', data, CLOUD_IDS);
+            expect(deliveries).to.have.keys([ 'historian', 'cloud' ]);
+            expect(deliveries.historian).to.equal(data);
+            expect(deliveries.cloud).to.equal(data);
+            expect(router.route('temp2', data, CLOUD_IDS)).to.deep.equal({});
+        });
+
+        it('should route array payloads record by record', function() {
+            var router = new DataRouter([
+                { to: 'historian' },
+                { to: 'cloud', match: { type: 'alarm' } }
+            ]);
+            var data = [
+                { type: 'reading', level: 10 },
+                { type: 'alarm', level: 95 },
+                { type: 'reading', level: 11 }
+            ];
+
+            expect(router.route('temp1', data, CLOUD_IDS)).to.deep.equal({
+                historian: data,
+                cloud: [ { type: 'alarm', level: 95 } ]
+            });
+        });
+
+        it('should apply the transform of the first route that delivers a record to each target', function() {
+            var router = new DataRouter([
+                { to: 'historian' },
+                { to: 'cloud', transform: [ { op: 'tag', tags: { route: 1 } } ] },
+                { to: [ 'cloud', 'sms' ], transform: [ { op: 'tag', tags: { route: 2 } } ] }
+            ]);
+            var data = { level: 10 };
+
+            var deliveries = router.route('temp1', data, CLOUD_IDS);
+            expect(deliveries.historian).to.equal(data);
+            expect(deliveries.cloud).to.deep.equal({ level: 10, route: 1 });
+            expect(deliveries.sms).to.deep.equal({ level: 10, route: 2 });
+            expect(data).to.deep.equal({ level: 10 });
+        });
+
+        it('should not deliver records that cannot be transformed by a route, and report the errors', function() {
+            var router = new DataRouter([
+                { to: 'historian' },
+                { to: 'cloud', transform: [ { op: 'scale', field: 'level', factor: 10 } ] }
+            ]);
+            var errors = [];
+
+            expect(router.route('temp1', [ { level: 1 }, { level: 'x' } ], CLOUD_IDS, errors)).to.deep.equal({
+                historian: [ { level: 1 }, { level: 'x' } ],
+                cloud: [ { level: 10 } ]
+            });
+            expect(router.route('temp1', { level: 'x' }, CLOUD_IDS, errors)).to.deep.equal({
+                historian: { level: 'x' }
+            });
+            expect(errors).to.deep.equal([
+                'Transform step [0] (scale) failed: field "level" is not a number',
+                'Transform step [0] (scale) failed: field "level" is not a number'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,378 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _sinon = require('sinon');
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+var expect = _chai.expect;
+
+var DeadbandFilter = require('../../lib/deadband-filter');
+
+describe('DeadbandFilter', function() {
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid config', function() {
+            var error = 'Invalid deadband config specified (arg #1)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return new DeadbandFilter(config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should throw an error if the config does not define at least one field', function() {
+            var error = 'Deadband config does not define a valid fields property';
+
+            function invokeMethod(fields) {
+                return function() {
+                    return new DeadbandFilter({ fields: fields });
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+            expect(invokeMethod('value')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should throw an error if the config defines an invalid deadband for a field', function() {
+            var error = 'Deadband config does not define a valid deadband for field: value';
+
+            function invokeMethod(deadband) {
+                return function() {
+                    return new DeadbandFilter({ fields: { value: deadband } });
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(0.5)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+            expect(invokeMethod({ absolute: -1 })).to.throw(error);
+            expect(invokeMethod({ absolute: 'abc' })).to.throw(error);
+            expect(invokeMethod({ percent: -1 })).to.throw(error);
+            expect(invokeMethod({ percent: NaN })).to.throw(error);
+        });
+
+        it('should throw an error if the config defines an invalid key or heartbeat option', function() {
+            function invokeMethod(config) {
+                config.fields = { value: { absolute: 1 } };
+                return function() {
+                    return new DeadbandFilter(config);
+                };
+            }
+
+            var error = 'Deadband config does not define a valid key property';
+            expect(invokeMethod({ key: '' })).to.throw(error);
+            expect(invokeMethod({ key: 123 })).to.throw(error);
+
+            error = 'Deadband config does not define a valid heartbeatInterval property';
+            expect(invokeMethod({ heartbeatInterval: -1 })).to.throw(error);
+            expect(invokeMethod({ heartbeatInterval: 'abc' })).to.throw(error);
+
+            error = 'Deadband config does not define a valid heartbeatMaxAge property';
+            expect(invokeMethod({ heartbeatMaxAge: -1 })).to.throw(error);
+            expect(invokeMethod({ heartbeatMaxAge: 'abc' })).to.throw(error);
+        });
+
+        it('should return an object with the expected methods when invoked with a valid config', function() {
+            var filter = new DeadbandFilter({ fields: { value: { absolute: 1 } } });
+
+            expect(filter).to.be.an('object');
+            expect(filter).to.have.property('accept').and.to.be.a('function');
+            expect(filter).to.have.property('filter').and.to.be.a('function');
+        });
+    });
+
+    describe('accept()', function() {
+        it('should always accept the first record', function() {
+            var filter = new DeadbandFilter({ fields: { value: { absolute: 10 } } });
+
+            expect(filter.accept({ value: 1 }, 0)).to.be.true;
+        });
+
+        it('should accept records that do not define any of the configured fields', function() {
+            var filter = new DeadbandFilter({ fields: { value: { absolute: 10 } } });
+
+            expect(filter.accept({ value: 1 }, 0)).to.be.true;
+            expect(filter.accept({ other: 1 }, 0)).to.be.true;
+            expect(filter.accept({ other: 1 }, 0)).to.be.true;
+            expect(filter.accept('abc', 0)).to.be.true;
+            expect(filter.accept(null, 0)).to.be.true;
+        });
+
+        it('should only accept records that move outside of an absolute deadband', function() {
+            var filter = new DeadbandFilter({ fields: { value: { absolute: 0.5 } } });
+
+            expect(filter.accept({ value: 20 }, 0)).to.be.true;
+            expect(filter.accept({ value: 20.5 }, 0)).to.be.false;
+            expect(filter.accept({ value: 19.5 }, 0)).to.be.false;
+            expect(filter.accept({ value: 20.6 }, 0)).to.be.true;
+            expect(filter.accept({ value: 20.2 }, 0)).to.be.false;
+            expect(filter.accept({ value: 20 }, 0)).to.be.true;
+        });
+
+        it('should only accept records that move outside of a percentage deadband', function() {
+            var filter = new DeadbandFilter({ fields: { value: { percent: 10 } } });
+
+            expect(filter.accept({ value: 200 }, 0)).to.be.true;
+            expect(filter.accept({ value: 219 }, 0)).to.be.false;
+            expect(filter.accept({ value: 181 }, 0)).to.be.false;
+            expect(filter.accept({ value: 221 }, 0)).to.be.true;
+            expect(filter.accept({ value: 0 }, 0)).to.be.true;
+            expect(filter.accept({ value: 0 }, 0)).to.be.false;
+            expect(filter.accept({ value: 0.001 }, 0)).to.be.true;
+        });
+
+        it('should accept records that exceed either threshold when both are defined', function() {
+            var filter = new DeadbandFilter({ fields: { value: { absolute: 5, percent: 50 } } });
+
+            expect(filter.accept({ value: 4 }, 0)).to.be.true;
+            expect(filter.accept({ value: 6.5 }, 0)).to.be.true;
+            expect(filter.accept({ value: 100 }, 0)).to.be.true;
+            expect(filter.accept({ value: 104 }, 0)).to.be.false;
+        });
+
+        it('should compare against the last accepted value, so that slow drifts are reported', function() {
+            var filter = new DeadbandFilter({ fields: { value: { absolute: 1 } } });
+
+            expect(filter.accept({ value: 10 }, 0)).to.be.true;
+            expect(filter.accept({ value: 10.4 }, 0)).to.be.false;
+            expect(filter.accept({ value: 10.8 }, 0)).to.be.false;
+            expect(filter.accept({ value: 11.2 }, 0)).to.be.true;
+        });
+
+        it('should accept records when any one of the configured fields changes', function() {
+            var filter = new DeadbandFilter({
+                fields: {
+                    'data.temperature': { absolute: 1 },
+                    'data.pressure': { percent: 5 },
+                    'data.mode': {}
+                }
+            });
+            var record = function(temperature, pressure, mode) {
+                return {
+                    timestamp: Date.now(),
+                    data: { temperature: temperature, pressure: pressure, mode: mode }
+                };
+            };
+
+            expect(filter.accept(record(20, 100, 'auto'), 0)).to.be.true;
+            expect(filter.accept(record(20.5, 102, 'auto'), 0)).to.be.false;
+            expect(filter.accept(record(20.5, 106, 'auto'), 0)).to.be.true;
+            expect(filter.accept(record(20.5, 106, 'manual'), 0)).to.be.true;
+            expect(filter.accept(record(22, 106, 'manual'), 0)).to.be.true;
+            expect(filter.accept({ data: { temperature: 22, pressure: 106 } }, 0)).to.be.true;
+        });
+
+        it('should accept the next record after the heartbeat interval has elapsed, even if nothing has changed', function() {
+            var filter = new DeadbandFilter({
+                fields: { value: { absolute: 1 } },
+                heartbeatInterval: 60000
+            });
+
+            expect(filter.accept({ value: 10 }, 1000)).to.be.true;
+            expect(filter.accept({ value: 10 }, 30000)).to.be.false;
+            expect(filter.accept({ value: 10 }, 60999)).to.be.false;
+            expect(filter.accept({ value: 10 }, 61000)).to.be.true;
+            expect(filter.accept({ value: 10 }, 62000)).to.be.false;
+            expect(filter.accept({ value: 12 }, 90000)).to.be.true;
+            expect(filter.accept({ value: 12 }, 149999)).to.be.false;
+            expect(filter.accept({ value: 12 }, 150000)).to.be.true;
+        });
+
+        it('should track records with different keys independently', function() {
+            var filter = new DeadbandFilter({
+                key: 'id',
+                fields: { value: { absolute: 1 } }
+            });
+
+            expect(filter.accept({ id: 'tank1', value: 10 }, 0)).to.be.true;
+            expect(filter.accept({ id: 'tank2', value: 10 }, 0)).to.be.true;
+            expect(filter.accept({ id: 'tank1', value: 10.5 }, 0)).to.be.false;
+            expect(filter.accept({ id: 'tank2', value: 12 }, 0)).to.be.true;
+            expect(filter.accept({ id: 'tank1', value: 12 }, 0)).to.be.true;
+        });
+    });
+
+    describe('filter()', function() {
+        it('should return the payload if it is accepted, and null otherwise', function() {
+            var filter = new DeadbandFilter({ fields: { value: { absolute: 1 } } });
+            var payload = { value: 10 };
+
+            expect(filter.filter(payload, 0)).to.equal(payload);
+            expect(filter.filter({ value: 10 }, 0)).to.be.null;
+        });
+
+        it('should filter array payloads record by record', function() {
+            var filter = new DeadbandFilter({
+                key: 'id',
+                fields: { value: { absolute: 1 } }
+            });
+
+            expect(filter.filter([
+                { id: 'tank1', value: 10 },
+                { id: 'tank2', value: 20 }
+            ], 0)).to.deep.equal([
+                { id: 'tank1', value: 10 },
+                { id: 'tank2', value: 20 }
+            ]);
+            expect(filter.filter([
+                { id: 'tank1', value: 10 },
+                { id: 'tank2', value: 25 }
+            ], 0)).to.deep.equal([
+                { id: 'tank2', value: 25 }
+            ]);
+            expect(filter.filter([
+                { id: 'tank1', value: 10 },
+                { id: 'tank2', value: 25 }
+            ], 0)).to.be.null;
+        });
+    });
+
+    describe('start()', function() {
+        var _clock = null;
+
+        beforeEach(function() {
+            _clock = _sinon.useFakeTimers(0, 'setTimeout', 'clearTimeout', 'Date');
+        });
+
+        afterEach(function() {
+            _clock.restore();
+        });
+
+        function _createFilter(heartbeatInterval, heartbeatMaxAge) {
+            return new DeadbandFilter({
+                key: 'id',
+                fields: { value: { absolute: 1 } },
+                heartbeatInterval: heartbeatInterval,
+                heartbeatMaxAge: heartbeatMaxAge
+            });
+        }
+
+        it('should throw an error if invoked without a valid handler', function() {
+            var error = 'Invalid handler specified (arg #1)';
+            var filter = _createFilter(1000);
+
+            function invokeMethod(handler) {
+                return function() {
+                    return filter.start(handler);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should republish the last reported record of each key when the heartbeat interval elapses without new input', function() {
+            var filter = _createFilter(1000);
+            var handler = _sinon.spy();
+            var record = { id: 'tank1', value: 10 };
+            filter.start(handler);
+
+            filter.filter(record);
+            _clock.tick(500);
+            filter.filter({ id: 'tank2', value: 20 });
+            record.value = 30;
+
+            _clock.tick(499);
+            expect(handler).to.not.have.been.called;
+            _clock.tick(1);
+            expect(handler).to.have.been.calledOnce;
+            expect(handler.args[0][0]).to.deep.equal({ id: 'tank1', value: 10 });
+
+            _clock.tick(500);
+            expect(handler).to.have.been.calledTwice;
+            expect(handler.args[1][0]).to.deep.equal({ id: 'tank2', value: 20 });
+
+            _clock.tick(2000);
+            expect(handler.callCount).to.equal(6);
+            expect(handler.args[5][0]).to.deep.equal({ id: 'tank2', value: 20 });
+        });
+
+        it('should restart the heartbeat interval of a key when a new record is reported', function() {
+            var filter = _createFilter(1000);
+            var handler = _sinon.spy();
+            filter.start(handler);
+
+            filter.filter({ id: 'tank1', value: 10 });
+            _clock.tick(800);
+            filter.filter({ id: 'tank1', value: 10.5 });
+            filter.filter({ id: 'tank1', value: 15 });
+
+            _clock.tick(999);
+            expect(handler).to.not.have.been.called;
+            _clock.tick(1);
+            expect(handler).to.have.been.calledOnce;
+            expect(handler.args[0][0]).to.deep.equal({ id: 'tank1', value: 15 });
+        });
+
+        it('should stop republishing the record of a key once no records have been seen for the maximum age', function() {
+            var filter = _createFilter(1000, 2500);
+            var handler = _sinon.spy();
+            filter.start(handler);
+
+            filter.filter({ id: 'tank1', value: 10 });
+            _clock.tick(1500);
+            filter.filter({ id: 'tank1', value: 10.5 });
+
+            _clock.tick(10000);
+            expect(handler.callCount).to.equal(3);
+
+            filter.filter({ id: 'tank1', value: 10.5 });
+            _clock.tick(1000);
+            expect(handler.callCount).to.equal(4);
+            expect(handler.args[3][0]).to.deep.equal({ id: 'tank1', value: 10.5 });
+        });
+
+        it('should not republish records if heartbeats have not been enabled', function() {
+            var filter = _createFilter();
+            var handler = _sinon.spy();
+            filter.start(handler);
+
+            filter.filter({ id: 'tank1', value: 10 });
+            _clock.tick(60000);
+            expect(handler).to.not.have.been.called;
+        });
+    });
+
+    describe('stop()', function() {
+        var _clock = null;
+
+        beforeEach(function() {
+            _clock = _sinon.useFakeTimers(0, 'setTimeout', 'clearTimeout', 'Date');
+        });
+
+        afterEach(function() {
+            _clock.restore();
+        });
+
+        it('should stop republishing records', function() {
+            var filter = new DeadbandFilter({
+                fields: { value: { absolute: 1 } },
+                heartbeatInterval: 1000
+            });
+            var handler = _sinon.spy();
+            filter.start(handler);
+
+            filter.filter({ value: 10 });
+            _clock.tick(1000);
+            expect(handler).to.have.been.calledOnce;
+
+            filter.stop();
+            _clock.tick(5000);
+            filter.filter({ value: 20 });
+            _clock.tick(5000);
+            expect(handler).to.have.been.calledOnce;
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var _fieldPath = require('../../lib/field-path');
+
+describe('fieldPath', function() {
+
+    describe('getValue()', function() {
+        it('should return the value of a top level field', function() {
+            expect(_fieldPath.getValue({ level: 10 }, 'level')).to.equal(10);
+            expect(_fieldPath.getValue({ level: null }, 'level')).to.be.null;
+        });
+
+        it('should return the value of a nested field', function() {
+            var record = {
+                data: {
+                    tank: { level: 10 },
+                    values: [ 1, 2 ]
+                }
+            };
+
+            expect(_fieldPath.getValue(record, 'data.tank.level')).to.equal(10);
+            expect(_fieldPath.getValue(record, 'data.tank')).to.deep.equal({ level: 10 });
+            expect(_fieldPath.getValue(record, 'data.values.1')).to.equal(2);
+        });
+
+        it('should return undefined if the record does not contain the field', function() {
+            var record = {
+                data: { level: 10 }
+            };
+
+            expect(_fieldPath.getValue(record, 'value')).to.be.undefined;
+            expect(_fieldPath.getValue(record, 'data.value')).to.be.undefined;
+            expect(_fieldPath.getValue(record, 'data.level.value')).to.be.undefined;
+            expect(_fieldPath.getValue(null, 'data')).to.be.undefined;
+            expect(_fieldPath.getValue('abc', 'length')).to.be.undefined;
+        });
+    });
+
+    describe('setValue()', function() {
+        it('should set the value of a top level field', function() {
+            var record = { level: 10 };
+
+            _fieldPath.setValue(record, 'level', 20);
+            _fieldPath.setValue(record, 'units', 'm');
+            expect(record).to.deep.equal({ level: 20, units: 'm' });
+        });
+
+        it('should set the value of a nested field, creating intermediate objects as required', function() {
+            var record = {
+                data: { level: 10 },
+                tags: 'abc'
+            };
+
+            _fieldPath.setValue(record, 'data.level', 20);
+            _fieldPath.setValue(record, 'meta.site.name', 'plant1');
+            _fieldPath.setValue(record, 'tags.site', 'plant1');
+            expect(record).to.deep.equal({
+                data: { level: 20 },
+                meta: { site: { name: 'plant1' } },
+                tags: { site: 'plant1' }
+            });
+        });
+    });
+
+    describe('deleteValue()', function() {
+        it('should remove the field, and return true if the field exists', function() {
+            var record = {
+                level: 10,
+                data: { level: 10, units: 'm' }
+            };
+
+            expect(_fieldPath.deleteValue(record, 'level')).to.be.true;
+            expect(_fieldPath.deleteValue(record, 'data.units')).to.be.true;
+            expect(record).to.deep.equal({ data: { level: 10 } });
+        });
+
+        it('should return false if the field does not exist', function() {
+            var record = {
+                data: { level: 10 }
+            };
+
+            expect(_fieldPath.deleteValue(record, 'level')).to.be.false;
+            expect(_fieldPath.deleteValue(record, 'data.units')).to.be.false;
+            expect(_fieldPath.deleteValue(record, 'meta.units')).to.be.false;
+            expect(_fieldPath.deleteValue(record, 'data.level.units')).to.be.false;
+            expect(record).to.deep.equal({ data: { level: 10 } });
+        });
+    });
+});
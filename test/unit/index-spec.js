@@ -17,5 +17,8 @@ describe('index', function() {
 
         expect(_index).to.have.property('Connector').and.to.be.a('function');
         expect(_index).to.have.property('PollingConnector').and.to.be.a('function');
+        expect(_index).to.have.property('TimeoutError').and.to.be.a('function');
+        expect(_index).to.have.property('configValidator').and.to.be.an('object');
+        expect(_index).to.have.property('configFile').and.to.be.an('object');
     });
 });
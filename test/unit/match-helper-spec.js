@@ -0,0 +1,92 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var _matchHelper = require('../../lib/match-helper');
+
+describe('matchHelper', function() {
+
+    describe('parseConnectorIds()', function() {
+        it('should throw an error if the ids are invalid', function() {
+            var error = 'must be "*", a connector id or an array of connector ids';
+
+            function invokeMethod(ids) {
+                return function() {
+                    return _matchHelper.parseConnectorIds(ids);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+            expect(invokeMethod([ 'temp1', '' ])).to.throw(error);
+        });
+
+        it('should return null if all connectors have been selected', function() {
+            expect(_matchHelper.parseConnectorIds('*')).to.be.null;
+        });
+
+        it('should return an array of ids if one or more connectors have been selected', function() {
+            var ids = [ 'temp1', 'temp2' ];
+            var result = _matchHelper.parseConnectorIds(ids);
+
+            expect(_matchHelper.parseConnectorIds('temp1')).to.deep.equal([ 'temp1' ]);
+            expect(result).to.deep.equal(ids);
+            expect(result).to.not.equal(ids);
+        });
+    });
+
+    describe('parseConditions()', function() {
+        it('should return an empty list if no conditions have been specified', function() {
+            expect(_matchHelper.parseConditions(undefined, 'when')).to.deep.equal([]);
+            expect(_matchHelper.parseConditions({}, 'when')).to.deep.equal([]);
+        });
+
+        it('should throw an error that identifies the condition if a condition is invalid', function() {
+            function invokeMethod(match) {
+                return function() {
+                    return _matchHelper.parseConditions(match, 'rules[0].when');
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw('rules[0].when: must be of type object');
+            expect(invokeMethod([])).to.throw('rules[0].when: must be of type object');
+            expect(invokeMethod({ level: { above: 1 } }))
+                .to.throw('rules[0].when.level: unsupported operator "above"');
+            expect(invokeMethod({ level: { in: 1 } }))
+                .to.throw('rules[0].when.level.in: must be of type array');
+            expect(invokeMethod({ level: { exists: 'yes' } }))
+                .to.throw('rules[0].when.level.exists: must be of type boolean');
+        });
+
+        it('should return one condition per operator, treating values as equality conditions', function() {
+            expect(_matchHelper.parseConditions({
+                type: 'alarm',
+                level: { gt: 1, lte: 5 }
+            }, 'when')).to.deep.equal([
+                { field: 'type', operator: 'eq', operand: 'alarm' },
+                { field: 'level', operator: 'gt', operand: 1 },
+                { field: 'level', operator: 'lte', operand: 5 }
+            ]);
+        });
+    });
+
+    describe('isMatch()', function() {
+        it('should return true only if the record meets all of the conditions', function() {
+            var conditions = _matchHelper.parseConditions({
+                type: 'alarm',
+                'data.level': { gt: 1, lte: 5 }
+            }, 'when');
+
+            expect(_matchHelper.isMatch(conditions, { type: 'alarm', data: { level: 3 } })).to.be.true;
+            expect(_matchHelper.isMatch(conditions, { type: 'alarm', data: { level: 6 } })).to.be.false;
+            expect(_matchHelper.isMatch(conditions, { type: 'reading', data: { level: 3 } })).to.be.false;
+            expect(_matchHelper.isMatch(conditions, { type: 'alarm' })).to.be.false;
+            expect(_matchHelper.isMatch([], {})).to.be.true;
+        });
+    });
+});
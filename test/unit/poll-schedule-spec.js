@@ -0,0 +1,230 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var PollSchedule = require('../../lib/poll-schedule');
+
+describe('PollSchedule', function() {
+
+    function _getNextTime(config, fromTime) {
+        var time = new PollSchedule(config).getNextTime(Date.parse(fromTime));
+        return (time === null) ? null : new Date(time).toISOString();
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid schedule', function() {
+            var error = 'Invalid schedule specified (arg #1)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return new PollSchedule(config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should throw an error if the schedule does not define exactly one of cron or interval', function() {
+            var error = 'Schedule must define exactly one of the cron or interval properties';
+
+            function invokeMethod(config) {
+                return function() {
+                    return new PollSchedule(config);
+                };
+            }
+
+            expect(invokeMethod({})).to.throw(error);
+            expect(invokeMethod({ timezone: 'UTC' })).to.throw(error);
+            expect(invokeMethod({ cron: '* * * * *', interval: 1000 })).to.throw(error);
+        });
+
+        it('should throw an error if the schedule defines an invalid cron expression', function() {
+            var error = 'Schedule does not define a valid cron property';
+
+            function invokeMethod(cron) {
+                return function() {
+                    return new PollSchedule({ cron: cron });
+                };
+            }
+
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod('* * * *')).to.throw(error);
+            expect(invokeMethod('* * * * * *')).to.throw(error);
+            expect(invokeMethod('60 * * * *')).to.throw(error);
+            expect(invokeMethod('* 24 * * *')).to.throw(error);
+            expect(invokeMethod('* * 0 * *')).to.throw(error);
+            expect(invokeMethod('* * * 13 *')).to.throw(error);
+            expect(invokeMethod('* * * * 8')).to.throw(error);
+            expect(invokeMethod('*/0 * * * *')).to.throw(error);
+            expect(invokeMethod('10-5 * * * *')).to.throw(error);
+            expect(invokeMethod('a * * * *')).to.throw(error);
+            expect(function() {
+                return new PollSchedule('* * *');
+            }).to.throw(error);
+        });
+
+        it('should throw an error if the schedule defines an invalid interval or offset', function() {
+            function invokeMethod(interval, offset) {
+                return function() {
+                    return new PollSchedule({ interval: interval, offset: offset });
+                };
+            }
+
+            var error = 'Schedule does not define a valid interval property';
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod(0)).to.throw(error);
+            expect(invokeMethod(-1)).to.throw(error);
+            expect(invokeMethod(NaN)).to.throw(error);
+
+            error = 'Schedule does not define a valid offset property';
+            expect(invokeMethod(1000, null)).to.throw(error);
+            expect(invokeMethod(1000, 'abc')).to.throw(error);
+            expect(invokeMethod(1000, -1)).to.throw(error);
+        });
+
+        it('should throw an error if the schedule defines an invalid timezone', function() {
+            var error = 'Schedule does not define a valid timezone property';
+
+            function invokeMethod(timezone) {
+                return function() {
+                    return new PollSchedule({ interval: 1000, timezone: timezone });
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod('Not/AZone')).to.throw(error);
+        });
+
+        it('should return an object with the expected methods when invoked with a valid schedule', function() {
+            var schedule = new PollSchedule('*/15 * * * *');
+
+            expect(schedule).to.be.an('object');
+            expect(schedule).to.have.property('getNextTime').and.to.be.a('function');
+        });
+    });
+
+    describe('getNextTime() [cron]', function() {
+        it('should return the next matching minute after the specified time', function() {
+            var cron = { cron: '*/15 * * * *', timezone: 'UTC' };
+
+            expect(_getNextTime(cron, '2024-01-01T10:07:30.000Z')).to.equal('2024-01-01T10:15:00.000Z');
+            expect(_getNextTime(cron, '2024-01-01T10:15:00.000Z')).to.equal('2024-01-01T10:30:00.000Z');
+            expect(_getNextTime(cron, '2024-01-01T23:59:00.000Z')).to.equal('2024-01-02T00:00:00.000Z');
+        });
+
+        it('should support lists, ranges and steps', function() {
+            var cron = { cron: '0,30 8-17/2 * * *', timezone: 'UTC' };
+
+            expect(_getNextTime(cron, '2024-01-01T07:00:00.000Z')).to.equal('2024-01-01T08:00:00.000Z');
+            expect(_getNextTime(cron, '2024-01-01T08:00:00.000Z')).to.equal('2024-01-01T08:30:00.000Z');
+            expect(_getNextTime(cron, '2024-01-01T08:30:00.000Z')).to.equal('2024-01-01T10:00:00.000Z');
+            expect(_getNextTime(cron, '2024-01-01T16:30:00.000Z')).to.equal('2024-01-02T08:00:00.000Z');
+        });
+
+        it('should match days of the week, treating 0 and 7 as Sunday', function() {
+            // 2024-01-05 is a Friday.
+            expect(_getNextTime({ cron: '0 9 * * 1-5', timezone: 'UTC' }, '2024-01-05T10:00:00.000Z'))
+                .to.equal('2024-01-08T09:00:00.000Z');
+            expect(_getNextTime({ cron: '0 9 * * 7', timezone: 'UTC' }, '2024-01-05T10:00:00.000Z'))
+                .to.equal('2024-01-07T09:00:00.000Z');
+            expect(_getNextTime({ cron: '0 9 * * 0', timezone: 'UTC' }, '2024-01-05T10:00:00.000Z'))
+                .to.equal('2024-01-07T09:00:00.000Z');
+        });
+
+        it('should match either the day of month or the day of week, if both are restricted', function() {
+            var cron = { cron: '0 9 13 * 5', timezone: 'UTC' };
+
+            expect(_getNextTime(cron, '2024-01-01T10:00:00.000Z')).to.equal('2024-01-05T09:00:00.000Z');
+            expect(_getNextTime(cron, '2024-01-12T10:00:00.000Z')).to.equal('2024-01-13T09:00:00.000Z');
+        });
+
+        it('should skip months that do not contain a matching day', function() {
+            expect(_getNextTime({ cron: '0 0 31 * *', timezone: 'UTC' }, '2024-04-01T00:00:00.000Z'))
+                .to.equal('2024-05-31T00:00:00.000Z');
+            expect(_getNextTime({ cron: '0 0 29 2 *', timezone: 'UTC' }, '2024-03-01T00:00:00.000Z'))
+                .to.equal('2028-02-29T00:00:00.000Z');
+        });
+
+        it('should return null if the expression never matches', function() {
+            expect(_getNextTime({ cron: '0 0 30 2 *', timezone: 'UTC' }, '2024-01-01T00:00:00.000Z'))
+                .to.be.null;
+        });
+
+        it('should evaluate the expression in the specified timezone', function() {
+            var cron = { cron: '0 2 * * *', timezone: 'America/New_York' };
+
+            expect(_getNextTime(cron, '2024-01-01T10:00:00.000Z')).to.equal('2024-01-02T07:00:00.000Z');
+            expect(_getNextTime(cron, '2024-07-01T10:00:00.000Z')).to.equal('2024-07-02T06:00:00.000Z');
+            expect(_getNextTime({ cron: '5 * * * *', timezone: 'Asia/Kolkata' }, '2024-01-01T10:07:30.000Z'))
+                .to.equal('2024-01-01T10:35:00.000Z');
+        });
+
+        it('should fire once when the clocks move forward, for times skipped by daylight saving transitions', function() {
+            // Clocks in New York move from 02:00 to 03:00 on 2024-03-10 and
+            // on 2026-03-08.
+            var cron = { cron: '30 2 * * *', timezone: 'America/New_York' };
+            expect(_getNextTime(cron, '2024-03-10T05:00:00.000Z')).to.equal('2024-03-10T07:00:00.000Z');
+            expect(_getNextTime(cron, '2024-03-10T07:00:00.000Z')).to.equal('2024-03-11T06:30:00.000Z');
+
+            cron = { cron: '0 2 * * *', timezone: 'America/New_York' };
+            expect(_getNextTime(cron, '2026-03-08T05:00:00.000Z')).to.equal('2026-03-08T07:00:00.000Z');
+            expect(_getNextTime(cron, '2026-03-08T07:00:00.000Z')).to.equal('2026-03-09T06:00:00.000Z');
+
+            cron = { cron: '*/20 2 * * *', timezone: 'America/New_York' };
+            expect(_getNextTime(cron, '2026-03-08T05:00:00.000Z')).to.equal('2026-03-08T07:00:00.000Z');
+            expect(_getNextTime(cron, '2026-03-08T07:00:00.000Z')).to.equal('2026-03-09T06:00:00.000Z');
+        });
+
+        it('should fire once for times that are repeated because of daylight saving transitions', function() {
+            // Clocks in New York move from 02:00 back to 01:00 on 2024-11-03.
+            var cron = { cron: '30 1 * * *', timezone: 'America/New_York' };
+
+            expect(_getNextTime(cron, '2024-11-03T04:00:00.000Z')).to.equal('2024-11-03T05:30:00.000Z');
+            expect(_getNextTime(cron, '2024-11-03T05:30:00.000Z')).to.equal('2024-11-04T06:30:00.000Z');
+        });
+    });
+
+    describe('getNextTime() [interval]', function() {
+        it('should return the next time that is aligned to the interval', function() {
+            var interval = { interval: 15 * 60 * 1000, timezone: 'UTC' };
+
+            expect(_getNextTime(interval, '2024-01-01T10:07:30.000Z')).to.equal('2024-01-01T10:15:00.000Z');
+            expect(_getNextTime(interval, '2024-01-01T10:14:59.999Z')).to.equal('2024-01-01T10:15:00.000Z');
+            expect(_getNextTime(interval, '2024-01-01T10:15:00.000Z')).to.equal('2024-01-01T10:30:00.000Z');
+            expect(_getNextTime(interval, '2024-01-01T23:50:00.000Z')).to.equal('2024-01-02T00:00:00.000Z');
+        });
+
+        it('should apply the offset to the aligned time', function() {
+            var interval = { interval: 60 * 60 * 1000, offset: 5 * 60 * 1000, timezone: 'UTC' };
+
+            expect(_getNextTime(interval, '2024-01-01T10:00:00.000Z')).to.equal('2024-01-01T10:05:00.000Z');
+            expect(_getNextTime(interval, '2024-01-01T10:05:00.000Z')).to.equal('2024-01-01T11:05:00.000Z');
+        });
+
+        it('should align the interval to the wall clock in the specified timezone', function() {
+            var interval = { interval: 60 * 60 * 1000, timezone: 'Asia/Kolkata' };
+
+            expect(_getNextTime(interval, '2024-01-01T10:07:30.000Z')).to.equal('2024-01-01T10:30:00.000Z');
+        });
+
+        it('should use the current time if a start time is not specified', function() {
+            var schedule = new PollSchedule({ interval: 1000 });
+            var now = Date.now();
+            var time = schedule.getNextTime();
+
+            expect(time).to.be.above(now - 1);
+            expect(time).to.be.at.most(now + 1000 + 50);
+            expect(time % 1000).to.equal(0);
+        });
+    });
+});
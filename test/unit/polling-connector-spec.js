@@ -12,6 +12,7 @@ var _util = require('util');
 var _assertionHelper = require('wysknd-test').assertionHelper;
 var PollingConnector = require('../../lib/polling-connector');
 var Connector = require('../../lib/connector');
+var TimeoutError = require('../../lib/timeout-error');
 var EventEmitter = require('events').EventEmitter;
 
 describe('Connector', function() {
@@ -57,10 +58,26 @@ describe('Connector', function() {
         });
     });
 
+    describe('validateConfig()', function() {
+        it('should apply the polling checks of the connector type', function() {
+            expect(Connector.validateConfig(PollingConnector, { pollFrequency: 1000 })).to.be.null;
+            expect(Connector.validateConfig(PollingConnector, {
+                pollFrequency: 1000,
+                schedule: '*/5 * * * *'
+            })).to.equal('Invalid connector configuration: pollFrequency: cannot be combined with a schedule');
+            expect(Connector.validateConfig(PollingConnector, {
+                pollGroups: { fast: { pollFrequency: 100 } },
+                pollFrequency: 1000
+            })).to.equal('Invalid connector configuration: pollFrequency: cannot be combined with pollGroups');
+            expect(Connector.validateConfig(PollingConnector, { pollFrequency: 1000, bufferLimit: 'abc' }))
+                .to.equal('Connector configuration does not define a valid bufferLimit property');
+        });
+    });
+
     describe('init()', function() {
 
         it('should reject the promise if the connector config does not define a pollFrequency property', function(done) {
-            var error = 'Connector configuration does not define a valid pollFrequency property';
+            var error = 'Invalid connector configuration: pollFrequency';
             var con = _createConnector();
             var ret = con.init({});
 
@@ -85,6 +102,19 @@ describe('Connector', function() {
                       _assertionHelper.getNotifyFailureHandler(done));
         });
 
+        it('should reject the promise if the connector config defines an invalid pollTimeout or overrunPolicy', function(done) {
+            var con = _createConnector();
+
+            expect(con.init({ pollFrequency: 100, pollTimeout: -1 }))
+                .to.be.rejectedWith('pollTimeout: must have a value of at least 0')
+                .then(function() {
+                    return expect(con.init({ pollFrequency: 100, overrunPolicy: 'wait' }))
+                        .to.be.rejectedWith('overrunPolicy: must be one of [skip, queue]');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
         it('should resolve the promise when the connector config defines a valid pollFrequency property', function(done) {
             var con = _createConnector();
             var ret = con.init({
@@ -110,6 +140,24 @@ describe('Connector', function() {
                       _assertionHelper.getNotifyFailureHandler(done));
         });
 
+        it('should emit a poll error event if the process() method throws an exception', function(done) {
+            var con = _createConnector();
+            var error = new Error('something went wrong');
+            var errorHandler = _sinon.spy();
+            _sinon.stub(con, '_process').throws(error);
+            con.on('pollError', errorHandler);
+
+            expect(con.init({ pollFrequency: 50 })).to.be.fulfilled
+                .then(_assertionHelper.wait(55))
+                .then(function() {
+                    expect(errorHandler).to.have.been.calledOnce;
+                    expect(errorHandler).to.have.been.calledWith(error, 'default');
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
         it('should change the polling frequency to a new one, if invoked consecutive times', function(done) {
             var con = _createConnector();
             var process = _sinon.stub(con, '_process');
@@ -132,6 +180,948 @@ describe('Connector', function() {
         });
     });
 
+    describe('[overlapping polls]', function() {
+        function _stubProcess(con) {
+            var defers = [];
+            var process = _sinon.stub(con, '_process', function() {
+                var def = _q.defer();
+                defers.push(def);
+                return def.promise;
+            });
+            process.defers = defers;
+            return process;
+        }
+
+        it('should not start a poll until the promise returned by the previous poll has been settled', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+
+            expect(con.init({ pollFrequency: 20 })).to.be.fulfilled
+                .then(_assertionHelper.wait(70))
+                .then(function() {
+                    expect(process).to.have.been.calledOnce;
+                    expect(con.getMetrics().skippedPolls).to.be.at.least(2);
+                    process.defers[0].resolve();
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(process).to.have.been.calledTwice;
+                    expect(con.getMetrics().latePolls).to.equal(0);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should run a single queued poll as soon as the previous poll completes, if the overrun policy is "queue"', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+            var skippedPolls = 0;
+
+            expect(con.init({ pollFrequency: 20, overrunPolicy: 'queue' })).to.be.fulfilled
+                .then(_assertionHelper.wait(70))
+                .then(function() {
+                    expect(process).to.have.been.calledOnce;
+                    skippedPolls = con.getMetrics().skippedPolls;
+                    expect(skippedPolls).to.be.at.least(1);
+                    process.defers[0].resolve();
+                })
+                .then(_assertionHelper.wait(5))
+                .then(function() {
+                    var metrics = con.getMetrics();
+                    expect(process).to.have.been.calledTwice;
+                    expect(metrics.latePolls).to.equal(1);
+                    expect(metrics.polls).to.equal(2);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not run queued polls after the connector has been stopped', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+
+            expect(con.init({ pollFrequency: 20, overrunPolicy: 'queue' })).to.be.fulfilled
+                .then(_assertionHelper.wait(50))
+                .then(con.stop.bind(con))
+                .then(function() {
+                    process.defers[0].resolve();
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(process).to.have.been.calledOnce;
+                    expect(con.getMetrics().latePolls).to.equal(0);
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should emit a poll error event if the promise returned by the process() method is rejected', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+            var error = new Error('something went wrong');
+            var errorHandler = _sinon.spy();
+            con.on('pollError', errorHandler);
+
+            expect(con.init({ pollFrequency: 20 })).to.be.fulfilled
+                .then(_assertionHelper.wait(25))
+                .then(function() {
+                    process.defers[0].reject(error);
+                })
+                .then(_assertionHelper.wait(5))
+                .then(function() {
+                    expect(errorHandler).to.have.been.calledOnce;
+                    expect(errorHandler).to.have.been.calledWith(error, 'default');
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should abandon polls that do not complete within the poll timeout, and emit a poll error event', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+            var errorHandler = _sinon.spy();
+            con.on('pollError', errorHandler);
+
+            expect(con.init({ pollFrequency: 20, pollTimeout: 30 })).to.be.fulfilled
+                .then(_assertionHelper.wait(60))
+                .then(function() {
+                    expect(errorHandler).to.have.been.calledOnce;
+                    var error = errorHandler.args[0][0];
+                    expect(error).to.be.an.instanceof(TimeoutError);
+                    expect(error.message).to.equal('Poll timed out after [30 ms]');
+                    expect(con.getMetrics().timedOutPolls).to.equal(1);
+                    expect(con.getMetrics().failedPolls).to.equal(1);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not start another poll until an abandoned poll has been settled', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+            var errorHandler = _sinon.spy();
+            con.on('pollError', errorHandler);
+
+            expect(con.init({ pollFrequency: 20, pollTimeout: 50 })).to.be.fulfilled
+                .then(_assertionHelper.wait(90))
+                .then(function() {
+                    expect(errorHandler).to.have.been.calledOnce;
+                    expect(process).to.have.been.calledOnce;
+                    expect(con.getMetrics().skippedPolls).to.be.at.least(2);
+                    process.defers[0].reject(new Error('late failure'));
+                })
+                .then(_assertionHelper.wait(30))
+                .then(function() {
+                    expect(process).to.have.been.calledTwice;
+                    expect(errorHandler).to.have.been.calledOnce;
+                    expect(con.getMetrics().failedPolls).to.equal(1);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+        it('should keep polling without emitting an error event or changing state when polls fail', function(done) {
+            var con = _createConnector();
+            var error = new Error('something went wrong');
+            var errorHandler = _sinon.spy();
+            var process = _sinon.stub(con, '_process').throws(error);
+            con.on('error', errorHandler);
+
+            expect(con.init({ pollFrequency: 20 })).to.be.fulfilled
+                .then(_assertionHelper.wait(50))
+                .then(function() {
+                    expect(process).to.have.been.calledTwice;
+                    expect(errorHandler).to.not.have.been.called;
+                    expect(con.getState().state).to.equal('ACTIVE');
+
+                    var metrics = con.getMetrics();
+                    expect(metrics.failedPolls).to.equal(2);
+                    expect(metrics.errors).to.equal(2);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[scheduled polls]', function() {
+        var START_TIME = Date.parse('2024-01-01T10:07:30.000Z');
+        var MINUTE = 60 * 1000;
+        var _clock = null;
+
+        beforeEach(function() {
+            _clock = _sinon.useFakeTimers(START_TIME, 'setTimeout', 'clearTimeout', 'Date');
+        });
+
+        afterEach(function() {
+            _clock.restore();
+        });
+
+        function _flush() {
+            var def = _q.defer();
+            setImmediate(def.resolve);
+            return def.promise;
+        }
+
+        function _tick(ms) {
+            return function() {
+                _clock.tick(ms);
+                return _flush();
+            };
+        }
+
+        it('should reject the promise if the connector config does not define exactly one of pollFrequency or schedule', function(done) {
+            var con = _createConnector();
+
+            expect(con.init({ pollFrequency: 100, schedule: '*/15 * * * *' }))
+                .to.be.rejectedWith('pollFrequency: cannot be combined with a schedule')
+                .then(function() {
+                    return expect(con.init({}))
+                        .to.be.rejectedWith('pollFrequency: is required when no schedule is defined');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject the promise if the connector config defines an invalid schedule', function(done) {
+            var con = _createConnector();
+
+            expect(con.init({ schedule: '*/15 * *' }))
+                .to.be.rejectedWith('Invalid connector configuration: schedule: Schedule does not define a valid cron property')
+                .then(function() {
+                    return expect(con.init({ schedule: { interval: 1000, timezone: 'Not/AZone' } }))
+                        .to.be.rejectedWith('schedule: Schedule does not define a valid timezone property');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should invoke the process() method at the times defined by a cron schedule', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+
+            expect(con.init({ schedule: { cron: '*/15 * * * *', timezone: 'UTC' } })).to.be.fulfilled
+                .then(_tick(7 * MINUTE + 29 * 1000))
+                .then(_checkCallCount(process, 0))
+                .then(_tick(1000))
+                .then(_checkCallCount(process, 1))
+                .then(_tick(15 * MINUTE))
+                .then(_checkCallCount(process, 2))
+                .then(con.stop.bind(con))
+                .then(_tick(60 * MINUTE))
+                .then(_checkCallCount(process, 2))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should keep aligned interval polls on schedule across long uptimes', function(done) {
+            var con = _createConnector();
+            var pollTimes = [];
+            _sinon.stub(con, '_process');
+            _sinon.stub(con, '_poll', function() {
+                pollTimes.push(Date.now());
+            });
+
+            function _tickLate() {
+                // Simulate a busy event loop by advancing the clock without
+                // firing timers, so that every poll fires late. Polls that
+                // are scheduled relative to the previous poll would drift.
+                _clock.now += 3000;
+                return _tick(15 * MINUTE - 3000)();
+            }
+
+            var promise = expect(con.init({ schedule: { interval: 15 * MINUTE } })).to.be.fulfilled;
+            for(var index = 0; index < 24 * 4; index++) {
+                promise = promise.then(_tickLate);
+            }
+            promise
+                .then(function() {
+                    expect(pollTimes).to.have.length(24 * 4);
+                    pollTimes.forEach(function(time) {
+                        var wallTime = time - new Date(time).getTimezoneOffset() * MINUTE;
+                        expect(wallTime % (15 * MINUTE)).to.be.at.most(3000);
+                    });
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reschedule polling in place when the schedule is reconfigured', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+            var stop = _sinon.spy(con, '_stop');
+
+            expect(con.init({ pollFrequency: 60 * MINUTE })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({ schedule: { cron: '10 * * * *', timezone: 'UTC' } });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.true;
+                    expect(stop).to.not.have.been.called;
+                })
+                .then(_tick(2 * MINUTE + 30 * 1000))
+                .then(_checkCallCount(process, 1))
+                .then(_tick(60 * MINUTE))
+                .then(_checkCallCount(process, 2))
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[adaptive polling]', function() {
+        var ADAPTIVE_CONFIG = {
+            pollFrequency: 1000,
+            adaptivePolling: {
+                minPollFrequency: 250,
+                maxPollFrequency: 8000,
+                changeThreshold: 2
+            }
+        };
+        var _clock = null;
+
+        beforeEach(function() {
+            _clock = _sinon.useFakeTimers(Date.now(), 'setTimeout', 'clearTimeout',
+                                          'setInterval', 'clearInterval', 'Date');
+        });
+
+        afterEach(function() {
+            _clock.restore();
+        });
+
+        function _tick(ms) {
+            return function() {
+                var def = _q.defer();
+                _clock.tick(ms);
+                setImmediate(def.resolve);
+                return def.promise;
+            };
+        }
+
+        function _checkFrequency(con, frequency) {
+            return function() {
+                expect(con.getMetrics().currentPollFrequency).to.equal(frequency);
+            };
+        }
+
+        it('should reject the promise if the connector config defines an invalid adaptive polling config', function(done) {
+            var con = _createConnector();
+
+            expect(con.init({ pollFrequency: 1000, adaptivePolling: { maxPollFrequency: 1000 } }))
+                .to.be.rejectedWith('adaptivePolling.minPollFrequency: is required')
+                .then(function() {
+                    return expect(con.init({
+                        pollFrequency: 1000,
+                        adaptivePolling: { minPollFrequency: 2000, maxPollFrequency: 1000 }
+                    })).to.be.rejectedWith('adaptivePolling.maxPollFrequency: must not be less than minPollFrequency');
+                })
+                .then(function() {
+                    return expect(con.init({
+                        schedule: '* * * * *',
+                        adaptivePolling: { minPollFrequency: 1000, maxPollFrequency: 2000 }
+                    })).to.be.rejectedWith('adaptivePolling: cannot be combined with a schedule');
+                })
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should expose the current poll frequency as a metric', function(done) {
+            var con = _createConnector();
+            _sinon.stub(con, '_process');
+
+            expect(con.getMetrics().currentPollFrequency).to.be.null;
+            expect(con.init({ pollFrequency: 1000 })).to.be.fulfilled
+                .then(_checkFrequency(con, 1000))
+                .then(con.stop.bind(con))
+                .then(_checkFrequency(con, null))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should back off exponentially while polls fail, and return to the poll frequency once they succeed', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process').returns(_q.reject(new Error('device offline')));
+
+            expect(con.init(ADAPTIVE_CONFIG)).to.be.fulfilled
+                .then(_checkFrequency(con, 1000))
+                .then(_tick(1000))
+                .then(_checkFrequency(con, 2000))
+                .then(_tick(2000))
+                .then(_checkFrequency(con, 4000))
+                .then(_tick(4000))
+                .then(_checkFrequency(con, 8000))
+                .then(_tick(8000))
+                .then(_checkFrequency(con, 8000))
+                .then(_checkCallCount(process, 4))
+                .then(function() {
+                    process.returns(_q(10));
+                })
+                .then(_tick(8000))
+                .then(_checkFrequency(con, 1000))
+                .then(_checkCallCount(process, 5))
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should speed up while readings change beyond the threshold, and slow down once they settle', function(done) {
+            var con = _createConnector();
+            var readings = [ 1, 5, 10, 11, 11, 11 ];
+            var process = _sinon.stub(con, '_process', function() {
+                return readings.shift();
+            });
+
+            expect(con.init(ADAPTIVE_CONFIG)).to.be.fulfilled
+                .then(_tick(1000))
+                .then(_checkFrequency(con, 1000))
+                .then(_tick(1000))
+                .then(_checkFrequency(con, 500))
+                .then(_tick(500))
+                .then(_checkFrequency(con, 250))
+                .then(_tick(250))
+                .then(_checkFrequency(con, 500))
+                .then(_tick(500))
+                .then(_checkFrequency(con, 1000))
+                .then(_tick(1000))
+                .then(_checkFrequency(con, 1000))
+                .then(_checkCallCount(process, 6))
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not adjust the poll frequency if adaptive polling has not been enabled', function(done) {
+            var con = _createConnector();
+            _sinon.stub(con, '_process').returns(_q.reject(new Error('device offline')));
+
+            expect(con.init({ pollFrequency: 1000 })).to.be.fulfilled
+                .then(_tick(1000))
+                .then(_tick(1000))
+                .then(_checkFrequency(con, 1000))
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('[poll groups]', function() {
+        var GROUP_CONFIG = {
+            overrunPolicy: 'queue',
+            pollGroups: {
+                fast: {
+                    pollFrequency: 1000,
+                    tags: [ 'speed', 'pressure' ]
+                },
+                slow: {
+                    pollFrequency: 60000,
+                    pollTimeout: 5000,
+                    tags: [ 'runHours' ]
+                }
+            }
+        };
+        var _clock = null;
+
+        beforeEach(function() {
+            _clock = _sinon.useFakeTimers(Date.now(), 'setTimeout', 'clearTimeout',
+                                          'setInterval', 'clearInterval', 'Date');
+        });
+
+        afterEach(function() {
+            _clock.restore();
+        });
+
+        function _tick(ms) {
+            return function() {
+                var def = _q.defer();
+                _clock.tick(ms);
+                setImmediate(def.resolve);
+                return def.promise;
+            };
+        }
+
+        function _tickBy(ms, step) {
+            return function() {
+                var promise = _q();
+                for(var elapsed = 0; elapsed < ms; elapsed += step) {
+                    promise = promise.then(_tick(step));
+                }
+                return promise;
+            };
+        }
+
+        function _getGroupCalls(process, name) {
+            return process.args.filter(function(args) {
+                return args[0].name === name;
+            });
+        }
+
+        it('should reject the promise if the connector config defines invalid poll groups', function(done) {
+            var con = _createConnector();
+
+            function checkReject(config, error) {
+                return function() {
+                    return expect(con.init(config)).to.be.rejectedWith(error);
+                };
+            }
+
+            checkReject({ pollGroups: [] }, 'pollGroups: must be of type object')()
+                .then(checkReject({ pollGroups: {} }, 'pollGroups: must define at least one poll group'))
+                .then(checkReject({
+                    pollFrequency: 1000,
+                    pollGroups: { fast: { pollFrequency: 1000 } }
+                }, 'pollFrequency: cannot be combined with pollGroups'))
+                .then(checkReject({
+                    pollGroups: { fast: 1000 }
+                }, 'pollGroups.fast: must be of type object'))
+                .then(checkReject({
+                    pollGroups: { fast: { tags: [] } }
+                }, 'pollGroups.fast.pollFrequency: is required when no schedule is defined'))
+                .then(checkReject({
+                    pollGroups: { fast: { pollFrequency: 1000, tags: 'speed' } }
+                }, 'pollGroups.fast.tags: must be of type array'))
+                .then(checkReject({
+                    pollGroups: { fast: { schedule: 'bad schedule' } }
+                }, 'pollGroups.fast.schedule: Schedule does not define a valid cron property'))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should poll each group independently, passing the group to the process() method', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+
+            expect(con.init(GROUP_CONFIG)).to.be.fulfilled
+                .then(_tick(1000))
+                .then(function() {
+                    expect(_getGroupCalls(process, 'fast')).to.have.length(1);
+                    expect(_getGroupCalls(process, 'slow')).to.have.length(0);
+
+                    var group = process.args[0][0];
+                    expect(group.tags).to.deep.equal([ 'speed', 'pressure' ]);
+                    expect(group.config.pollFrequency).to.equal(1000);
+                    expect(group.config.overrunPolicy).to.equal('queue');
+                })
+                .then(_tickBy(59000, 1000))
+                .then(function() {
+                    expect(_getGroupCalls(process, 'fast')).to.have.length(60);
+                    expect(_getGroupCalls(process, 'slow')).to.have.length(1);
+
+                    var group = _getGroupCalls(process, 'slow')[0][0];
+                    expect(group.tags).to.deep.equal([ 'runHours' ]);
+                    expect(group.config.pollTimeout).to.equal(5000);
+                    expect(group.config.overrunPolicy).to.equal('queue');
+                })
+                .then(con.stop.bind(con))
+                .then(_tickBy(60000, 1000))
+                .then(_checkCallCount(process, 61))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not block polls of one group while a poll of another group is running', function(done) {
+            var con = _createConnector();
+            var slowPoll = _q.defer();
+            var process = _sinon.stub(con, '_process', function(group) {
+                return (group.name === 'slow') ? slowPoll.promise : undefined;
+            });
+
+            expect(con.init({
+                pollGroups: {
+                    fast: { pollFrequency: 1000 },
+                    slow: { pollFrequency: 2000 }
+                }
+            })).to.be.fulfilled
+                .then(_tickBy(4000, 1000))
+                .then(function() {
+                    var metrics = con.getMetrics();
+                    expect(_getGroupCalls(process, 'fast')).to.have.length(4);
+                    expect(_getGroupCalls(process, 'slow')).to.have.length(1);
+                    expect(metrics.pollGroups.fast.skippedPolls).to.equal(0);
+                    expect(metrics.pollGroups.slow.skippedPolls).to.equal(1);
+                    expect(metrics.pollGroups.fast.currentPollFrequency).to.equal(1000);
+                    expect(metrics.polls).to.equal(5);
+                    expect(metrics.skippedPolls).to.equal(1);
+                    slowPoll.resolve();
+                })
+                .then(_tickBy(2000, 1000))
+                .then(function() {
+                    expect(_getGroupCalls(process, 'slow')).to.have.length(2);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should pass the default group to the process() method if no poll groups are defined', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+
+            expect(con.init({ pollFrequency: 1000 })).to.be.fulfilled
+                .then(_tick(1000))
+                .then(function() {
+                    var group = process.args[0][0];
+                    expect(group.name).to.equal(PollingConnector.DEFAULT_GROUP);
+                    expect(group.tags).to.deep.equal([]);
+                    expect(group.config.pollFrequency).to.equal(1000);
+                    expect(con.getMetrics().pollGroups).to.deep.equal({});
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reschedule poll groups in place when they are reconfigured', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+            var stop = _sinon.spy(con, '_stop');
+
+            expect(con.init(GROUP_CONFIG)).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({
+                        pollGroups: {
+                            fast: { pollFrequency: 500 }
+                        }
+                    });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.true;
+                    expect(stop).to.not.have.been.called;
+                })
+                .then(_tickBy(60000, 500))
+                .then(function() {
+                    expect(_getGroupCalls(process, 'fast')).to.have.length(120);
+                    expect(_getGroupCalls(process, 'slow')).to.have.length(0);
+                    expect(con.getMetrics().pollGroups).to.have.keys([ 'fast' ]);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('pollNow()', function() {
+        function _stubProcess(con) {
+            var defers = [];
+            var process = _sinon.stub(con, '_process', function() {
+                var def = _q.defer();
+                defers.push(def);
+                return def.promise;
+            });
+            process.defers = defers;
+            return process;
+        }
+
+        it('should throw an error if invoked with an invalid group', function() {
+            var error = 'Invalid poll group specified (arg #1)';
+
+            function invokeMethod(group) {
+                return function() {
+                    var con = _createConnector();
+                    return con.pollNow(group);
+                };
+            }
+
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should reject the promise if the connector is not running', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+
+            expect(con.pollNow()).to.be.rejectedWith('Connector cannot be polled when it is not running: INACTIVE')
+                .then(function() {
+                    return con.init({ pollFrequency: 60000 });
+                })
+                .then(con.pause.bind(con))
+                .then(function() {
+                    return expect(con.pollNow()).to.be.rejectedWith('Connector cannot be polled when it is not running: PAUSED');
+                })
+                .then(function() {
+                    expect(process).to.not.have.been.called;
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject the promise if the group is not defined', function(done) {
+            var con = _createConnector();
+            _sinon.stub(con, '_process');
+
+            expect(con.init({ pollFrequency: 60000 })).to.be.fulfilled
+                .then(function() {
+                    return expect(con.pollNow('bad')).to.be.rejectedWith('Poll group is not defined: bad');
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should poll immediately, and resolve the promise with the reading and the data emitted by the poll', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process', function() {
+                this.emit(Connector.DATA_EVENT, { speed: 10 });
+                this.emit(Connector.DATA_EVENT, { speed: 12 });
+                return 12;
+            });
+
+            expect(con.init({ pollFrequency: 60000 })).to.be.fulfilled
+                .then(function() {
+                    return con.pollNow(PollingConnector.DEFAULT_GROUP, 'req_1');
+                })
+                .then(function(result) {
+                    expect(process).to.have.been.calledOnce;
+                    expect(result).to.deep.equal({
+                        group: PollingConnector.DEFAULT_GROUP,
+                        reading: 12,
+                        data: [ { speed: 10 }, { speed: 12 } ]
+                    });
+                    expect(con.getMetrics().polls).to.equal(1);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject the promise if the poll fails', function(done) {
+            var con = _createConnector();
+            var error = new Error('something went wrong');
+            _sinon.stub(con, '_process').throws(error);
+
+            expect(con.init({ pollFrequency: 60000 })).to.be.fulfilled
+                .then(function() {
+                    return expect(con.pollNow()).to.be.rejectedWith(error);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should wait for a poll that is in progress to complete before polling', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+            var pollDone = _sinon.spy();
+
+            expect(con.init({ pollFrequency: 20 })).to.be.fulfilled
+                .then(_assertionHelper.wait(25))
+                .then(function() {
+                    expect(process).to.have.been.calledOnce;
+                    con.pollNow(PollingConnector.DEFAULT_GROUP).then(pollDone).done();
+                })
+                .then(_assertionHelper.wait(5))
+                .then(function() {
+                    expect(process).to.have.been.calledOnce;
+                    process.defers[0].resolve('first');
+                })
+                .then(_assertionHelper.wait(5))
+                .then(function() {
+                    expect(process).to.have.been.calledTwice;
+                    expect(pollDone).to.not.have.been.called;
+                    process.defers[1].resolve('second');
+                })
+                .then(_assertionHelper.wait(5))
+                .then(function() {
+                    expect(pollDone).to.have.been.calledOnce;
+                    expect(pollDone.args[0][0].reading).to.equal('second');
+                    expect(con.getMetrics().latePolls).to.equal(0);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should poll every group if a group is not specified', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process', function(group) {
+                return group.name;
+            });
+
+            expect(con.init({
+                pollGroups: {
+                    fast: { pollFrequency: 60000 },
+                    slow: { pollFrequency: 120000 }
+                }
+            })).to.be.fulfilled
+                .then(function() {
+                    return con.pollNow();
+                })
+                .then(function(results) {
+                    expect(process).to.have.been.calledTwice;
+                    expect(results).to.deep.equal([
+                        { group: 'fast', reading: 'fast', data: [] },
+                        { group: 'slow', reading: 'slow', data: [] }
+                    ]);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should reject on demand polls that have not started when the connector is stopped', function(done) {
+            var con = _createConnector();
+            var process = _stubProcess(con);
+
+            expect(con.init({ pollFrequency: 20 })).to.be.fulfilled
+                .then(_assertionHelper.wait(25))
+                .then(function() {
+                    var promise = con.pollNow();
+                    return con.stop().then(function() {
+                        return expect(promise).to.be.rejectedWith('Polling stopped before the on demand poll could run');
+                    });
+                })
+                .then(function() {
+                    process.defers[0].resolve();
+                })
+                .then(_assertionHelper.wait(5))
+                .then(_checkCallCount(process, 1))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('_hasReadingChanged()', function() {
+        it('should compare numbers using the threshold', function() {
+            var con = _createConnector();
+
+            expect(con._hasReadingChanged(10, 12, 2)).to.be.false;
+            expect(con._hasReadingChanged(10, 8, 2)).to.be.false;
+            expect(con._hasReadingChanged(10, 12.5, 2)).to.be.true;
+            expect(con._hasReadingChanged(10, 10.1, 0)).to.be.true;
+        });
+
+        it('should compare objects and arrays property by property', function() {
+            var con = _createConnector();
+
+            expect(con._hasReadingChanged({ temp: 20, unit: 'C' }, { temp: 21, unit: 'C' }, 2)).to.be.false;
+            expect(con._hasReadingChanged({ temp: 20, unit: 'C' }, { temp: 23, unit: 'C' }, 2)).to.be.true;
+            expect(con._hasReadingChanged({ temp: 20, unit: 'C' }, { temp: 20, unit: 'F' }, 2)).to.be.true;
+            expect(con._hasReadingChanged({ temp: 20 }, { temp: 20, humidity: 40 }, 2)).to.be.true;
+            expect(con._hasReadingChanged([ 1, 2 ], [ 1, 3 ], 2)).to.be.false;
+            expect(con._hasReadingChanged([ 1, 2 ], [ 1, 2, 3 ], 2)).to.be.true;
+        });
+
+        it('should compare other values by identity', function() {
+            var con = _createConnector();
+
+            expect(con._hasReadingChanged('on', 'on', 2)).to.be.false;
+            expect(con._hasReadingChanged('on', 'off', 2)).to.be.true;
+            expect(con._hasReadingChanged(null, 1, 2)).to.be.true;
+            expect(con._hasReadingChanged(undefined, undefined, 2)).to.be.false;
+        });
+    });
+
+    describe('reconfigure()', function() {
+        it('should change the polling frequency in place, without restarting the connector', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+            var stop = _sinon.spy(con, '_stop');
+
+            expect(con.init({ pollFrequency: 300 })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({ pollFrequency: 100 });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.true;
+                    expect(stop).to.not.have.been.called;
+                    expect(con._config.pollFrequency).to.equal(100);
+                })
+                .then(_assertionHelper.wait(105))
+                .then(_checkCallCount(process, 1))
+                .then(_assertionHelper.wait(105))
+                .then(_checkCallCount(process, 2))
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should apply changes to the poll timeout and overrun policy in place', function(done) {
+            var con = _createConnector();
+            var stop = _sinon.spy(con, '_stop');
+
+            expect(con.init({ pollFrequency: 1000 })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({
+                        pollFrequency: 1000,
+                        pollTimeout: 500,
+                        overrunPolicy: 'queue'
+                    });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.true;
+                    expect(stop).to.not.have.been.called;
+                    expect(con._config.pollTimeout).to.equal(500);
+                    expect(con._config.overrunPolicy).to.equal('queue');
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should decline changes to properties other than the polling properties', function(done) {
+            var con = _createConnector();
+
+            expect(con.init({ pollFrequency: 1000, host: 'localhost' })).to.be.fulfilled
+                .then(function() {
+                    return con.reconfigure({ pollFrequency: 500, host: 'remotehost' });
+                })
+                .then(function(applied) {
+                    expect(applied).to.be.false;
+                    expect(con._config.pollFrequency).to.equal(1000);
+                })
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
+    describe('pause()', function() {
+        it('should suspend polling until the connector is resumed', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+
+            expect(con.init({ pollFrequency: 100 })).to.be.fulfilled
+                .then(_assertionHelper.wait(105))
+                .then(_checkCallCount(process, 1))
+                .then(con.pause.bind(con))
+                .then(_assertionHelper.wait(210))
+                .then(_checkCallCount(process, 1))
+                .then(con.resume.bind(con))
+                .then(_assertionHelper.wait(105))
+                .then(_checkCallCount(process, 2))
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+
+        it('should not resume polling if the polling frequency is changed while paused', function(done) {
+            var con = _createConnector();
+            var process = _sinon.stub(con, '_process');
+
+            expect(con.init({ pollFrequency: 100 })).to.be.fulfilled
+                .then(con.pause.bind(con))
+                .then(function() {
+                    return con.reconfigure({ pollFrequency: 50 });
+                })
+                .then(_assertionHelper.wait(110))
+                .then(_checkCallCount(process, 0))
+                .then(con.resume.bind(con))
+                .then(_assertionHelper.wait(60))
+                .then(_checkCallCount(process, 1))
+                .then(con.stop.bind(con))
+                .then(_assertionHelper.getNotifySuccessHandler(done),
+                      _assertionHelper.getNotifyFailureHandler(done));
+        });
+    });
+
     describe('stop()', function() {
         it('should resolve the promise when invoked', function(done) {
             var con = _createConnector();
@@ -0,0 +1,170 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _sinon = require('sinon');
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+var expect = _chai.expect;
+
+var _fs = require('fs');
+var _path = require('path');
+var _shortId = require('shortid');
+var RecordJournal = require('../../lib/record-journal');
+
+describe('RecordJournal', function() {
+    var TEMP_DIR = './.tmp';
+    var _journalPath = null;
+
+    function _removeFolder(path) {
+        if (!_fs.existsSync(path)) {
+            return;
+        }
+        _fs.readdirSync(path).forEach(function(fileName) {
+            var filePath = _path.join(path, fileName);
+            if (_fs.statSync(filePath).isDirectory()) {
+                _removeFolder(filePath);
+            } else {
+                _fs.unlinkSync(filePath);
+            }
+        });
+        _fs.rmdirSync(path);
+    }
+
+    function _createJournal() {
+        var journal = new RecordJournal(_journalPath);
+        journal.open();
+        return journal;
+    }
+
+    beforeEach(function() {
+        _journalPath = _path.join(TEMP_DIR, 'journal-' + _shortId.generate());
+    });
+
+    afterEach(function() {
+        _removeFolder(TEMP_DIR);
+    });
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid path', function() {
+            var error = 'Invalid journal path specified (arg #1)';
+
+            function invokeMethod(path) {
+                return function() {
+                    return new RecordJournal(path);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('')).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+            expect(invokeMethod(function() {})).to.throw(error);
+        });
+
+        it('should return an object with the required methods', function() {
+            var journal = new RecordJournal(_journalPath);
+
+            expect(journal).to.have.property('getPath').and.to.be.a('function');
+            expect(journal).to.have.property('open').and.to.be.a('function');
+            expect(journal).to.have.property('append').and.to.be.a('function');
+            expect(journal).to.have.property('remove').and.to.be.a('function');
+            expect(journal).to.have.property('readAll').and.to.be.a('function');
+            expect(journal.getPath()).to.equal(_journalPath);
+        });
+    });
+
+    describe('open()', function() {
+        it('should create the journal directory if it does not exist', function() {
+            expect(_fs.existsSync(_journalPath)).to.be.false;
+            _createJournal();
+            expect(_fs.existsSync(_journalPath)).to.be.true;
+        });
+
+        it('should create missing parent directories of the journal directory', function() {
+            _journalPath = _path.join(_journalPath, 'nested', 'journal');
+            _createJournal();
+            expect(_fs.statSync(_journalPath).isDirectory()).to.be.true;
+        });
+
+        it('should throw an error if the journal path refers to a file', function() {
+            _createJournal();
+            var filePath = _path.join(_journalPath, 'file');
+            _fs.writeFileSync(filePath, '');
+
+            expect(function() {
+                return new RecordJournal(filePath).open();
+            }).to.throw();
+        });
+
+        it('should remove incomplete entries left behind by a previous write', function() {
+            var journal = _createJournal();
+            var tempFile = _path.join(_journalPath, 'incomplete.tmp');
+            _fs.writeFileSync(tempFile, '{ "foo":');
+
+            journal.open();
+            expect(_fs.existsSync(tempFile)).to.be.false;
+        });
+    });
+
+    describe('append()', function() {
+        it('should write the record to the journal, and return a unique key', function() {
+            var journal = _createJournal();
+            var key1 = journal.append({ foo: 'bar' });
+            var key2 = journal.append({ foo: 'baz' });
+
+            expect(key1).to.be.a('string').and.to.not.be.empty;
+            expect(key2).to.be.a('string').and.to.not.equal(key1);
+            expect(_fs.readdirSync(_journalPath)).to.have.length(2);
+        });
+    });
+
+    describe('remove()', function() {
+        it('should remove the record from the journal', function() {
+            var journal = _createJournal();
+            var key = journal.append({ foo: 'bar' });
+
+            journal.remove(key);
+            expect(_fs.readdirSync(_journalPath)).to.be.empty;
+        });
+
+        it('should do nothing if the record does not exist', function() {
+            var journal = _createJournal();
+
+            expect(function() {
+                journal.remove('bad-key');
+            }).to.not.throw();
+        });
+    });
+
+    describe('readAll()', function() {
+        it('should return all records in the order in which they were written', function() {
+            var journal = _createJournal();
+            var keys = [];
+            for (var index = 0; index < 20; index++) {
+                keys.push(journal.append({ foo: index }));
+            }
+
+            var entries = new RecordJournal(_journalPath).readAll();
+            expect(entries).to.have.length(20);
+            entries.forEach(function(entry, index) {
+                expect(entry.key).to.equal(keys[index]);
+                expect(entry.record).to.deep.equal({ foo: index });
+            });
+        });
+
+        it('should discard entries that cannot be parsed', function() {
+            var journal = _createJournal();
+            journal.append({ foo: 'bar' });
+            var badFile = _path.join(_journalPath, '0-bad.json');
+            _fs.writeFileSync(badFile, '{ "foo":');
+
+            var entries = journal.readAll();
+            expect(entries).to.have.length(1);
+            expect(entries[0].record).to.deep.equal({ foo: 'bar' });
+            expect(_fs.existsSync(badFile)).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var RestartPolicy = require('../../lib/restart-policy');
+
+describe('RestartPolicy', function() {
+
+    describe('[static members]', function() {
+        it('should expose static members for each of the supported policies', function() {
+            expect(RestartPolicy).to.have.property('NEVER').and.to.equal('never');
+            expect(RestartPolicy).to.have.property('ON_FAILURE').and.to.equal('on-failure');
+            expect(RestartPolicy).to.have.property('ALWAYS').and.to.equal('always');
+        });
+    });
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked with an invalid policy config', function() {
+            var error = 'Invalid restart policy specified (arg #1)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return new RestartPolicy(config);
+                };
+            }
+
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod(true)).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+            expect(invokeMethod(function() {})).to.throw(error);
+        });
+
+        it('should throw an error if the config does not define a valid policy name', function() {
+            var error = 'Restart policy does not define a valid policy property';
+
+            expect(function() { return new RestartPolicy('sometimes'); }).to.throw(error);
+            expect(function() { return new RestartPolicy({ policy: 123 }); }).to.throw(error);
+        });
+
+        it('should throw an error if the config defines invalid numeric properties', function() {
+            function checkError(property, value) {
+                var config = { policy: 'always' };
+                config[property] = value;
+                expect(function() {
+                    return new RestartPolicy(config);
+                }).to.throw('Restart policy does not define a valid ' + property + ' property');
+            }
+
+            checkError('maxAttempts', -1);
+            checkError('maxAttempts', 1.5);
+            checkError('maxAttempts', 'abc');
+            checkError('initialDelay', -1);
+            checkError('maxDelay', 10);
+            checkError('multiplier', 0.5);
+            checkError('jitter', -0.1);
+            checkError('jitter', 2);
+        });
+
+        it('should default to a policy that never restarts connectors', function() {
+            expect(new RestartPolicy().getPolicy()).to.equal(RestartPolicy.NEVER);
+            expect(new RestartPolicy(null).getPolicy()).to.equal(RestartPolicy.NEVER);
+            expect(new RestartPolicy({}).getPolicy()).to.equal(RestartPolicy.NEVER);
+        });
+
+        it('should accept the name of a policy in place of a config object', function() {
+            var policy = new RestartPolicy('on-failure');
+
+            expect(policy.getPolicy()).to.equal(RestartPolicy.ON_FAILURE);
+            expect(policy.getMaxAttempts()).to.equal(0);
+        });
+    });
+
+    describe('shouldRestart()', function() {
+        it('should never restart connectors if the policy is "never"', function() {
+            var policy = new RestartPolicy('never');
+
+            expect(policy.shouldRestart(0, true)).to.be.false;
+            expect(policy.shouldRestart(0, false)).to.be.false;
+        });
+
+        it('should only restart failed connectors if the policy is "on-failure"', function() {
+            var policy = new RestartPolicy('on-failure');
+
+            expect(policy.shouldRestart(0, true)).to.be.true;
+            expect(policy.shouldRestart(0, false)).to.be.false;
+        });
+
+        it('should restart connectors regardless of failure if the policy is "always"', function() {
+            var policy = new RestartPolicy('always');
+
+            expect(policy.shouldRestart(0, true)).to.be.true;
+            expect(policy.shouldRestart(0, false)).to.be.true;
+        });
+
+        it('should stop restarting connectors once the maximum number of attempts has been made', function() {
+            var policy = new RestartPolicy({ policy: 'always', maxAttempts: 3 });
+
+            expect(policy.shouldRestart(2, true)).to.be.true;
+            expect(policy.shouldRestart(3, true)).to.be.false;
+            expect(new RestartPolicy('always').shouldRestart(1000, true)).to.be.true;
+        });
+    });
+
+    describe('getDelay()', function() {
+        it('should increase the delay exponentially with each attempt, up to the maximum delay', function() {
+            var policy = new RestartPolicy({
+                policy: 'always',
+                initialDelay: 100,
+                maxDelay: 1000,
+                multiplier: 3,
+                jitter: 0
+            });
+
+            expect(policy.getDelay(0)).to.equal(100);
+            expect(policy.getDelay(1)).to.equal(300);
+            expect(policy.getDelay(2)).to.equal(900);
+            expect(policy.getDelay(3)).to.equal(1000);
+            expect(policy.getDelay(10)).to.equal(1000);
+        });
+
+        it('should randomize the delay within the bounds defined by the jitter factor', function() {
+            var policy = new RestartPolicy({
+                policy: 'always',
+                initialDelay: 1000,
+                jitter: 0.5
+            });
+
+            for (var index = 0; index < 50; index++) {
+                var delay = policy.getDelay(0);
+                expect(delay).to.be.at.least(500);
+                expect(delay).to.be.at.most(1500);
+            }
+        });
+    });
+});
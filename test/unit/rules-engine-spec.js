@@ -0,0 +1,330 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _sinon = require('sinon');
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+var expect = _chai.expect;
+
+var RulesEngine = require('../../lib/rules-engine');
+
+describe('RulesEngine', function() {
+    var ALARM = [ { type: 'alarm' } ];
+
+    function _createEngine(rules) {
+        var engine = new RulesEngine(rules);
+        var handler = _sinon.spy();
+        engine.start(handler);
+        return {
+            engine: engine,
+            handler: handler,
+            getTransitions: function() {
+                return handler.args.map(function(args) {
+                    return args[0].state + ':' + args[0].timestamp;
+                });
+            }
+        };
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid rules array', function() {
+            var error = 'Invalid rules specified (arg #1)';
+
+            function invokeMethod(rules) {
+                return function() {
+                    return new RulesEngine(rules);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should throw an error if a rule is invalid', function() {
+            function checkError(rule, error) {
+                expect(function() {
+                    return new RulesEngine([ { id: 'first', when: { level: 1 }, actions: ALARM }, rule ]);
+                }).to.throw(error);
+            }
+
+            function createRule(props) {
+                var rule = { id: 'second', when: { level: { gt: 90 } }, actions: ALARM };
+                for (var prop in props) {
+                    rule[prop] = props[prop];
+                }
+                return rule;
+            }
+
+            checkError(null, 'rules[1]: must be of type object');
+            checkError('rule', 'rules[1]: must be of type object');
+            checkError(createRule({ id: undefined }), 'rules[1].id: must be a non empty string');
+            checkError(createRule({ id: '' }), 'rules[1].id: must be a non empty string');
+            checkError(createRule({ id: 'first' }), 'rules[1].id: duplicate rule id "first"');
+            checkError(createRule({ from: [] }),
+                       'rules[1].from: must be "*", a connector id or an array of connector ids');
+            checkError(createRule({ key: 123 }), 'rules[1].key: must be a non empty string');
+            checkError(createRule({ when: undefined }), 'rules[1].when: is required');
+            checkError(createRule({ when: 'level > 90' }), 'rules[1].when: must be of type object');
+            checkError(createRule({ when: {} }), 'rules[1].when: must define at least one condition');
+            checkError(createRule({ when: { level: { above: 90 } } }),
+                       'rules[1].when.level: unsupported operator "above"');
+            checkError(createRule({ clearWhen: [] }), 'rules[1].clearWhen: must be of type object');
+            checkError(createRule({ duration: -1 }), 'rules[1].duration: must be a non negative number');
+            checkError(createRule({ duration: '30s' }), 'rules[1].duration: must be a non negative number');
+        });
+
+        it('should throw an error if an action is invalid', function() {
+            function checkError(action, error) {
+                expect(function() {
+                    return new RulesEngine([ { id: 'rule', when: { level: 1 }, actions: [ action ] } ]);
+                }).to.throw(error);
+            }
+
+            expect(function() {
+                return new RulesEngine([ { id: 'rule', when: { level: 1 }, actions: [] } ]);
+            }).to.throw('rules[0].actions: must be a non empty array');
+            checkError(null, 'rules[0].actions[0]: must be of type object');
+            checkError({ type: 'email' }, 'rules[0].actions[0].type: must be one of [alarm, send]');
+            checkError({ type: 'alarm', severity: '' }, 'rules[0].actions[0].severity: must be a non empty string');
+            checkError({ type: 'alarm', message: 123 }, 'rules[0].actions[0].message: must be of type string');
+            checkError({ type: 'send', data: {} }, 'rules[0].actions[0].to: must be a non empty string');
+            checkError({ type: 'send', to: 'pump1' }, 'rules[0].actions[0].data: must be of type object');
+            checkError({ type: 'send', to: 'pump1', data: {}, on: 'raise' },
+                       'rules[0].actions[0].on: must be one of [raised, cleared]');
+        });
+
+        it('should return an object with the expected methods when invoked with valid rules', function() {
+            var engine = new RulesEngine([]);
+
+            expect(engine).to.be.an('object');
+            expect(engine).to.have.property('evaluate').and.to.be.a('function');
+            expect(engine).to.have.property('start').and.to.be.a('function');
+            expect(engine).to.have.property('stop').and.to.be.a('function');
+        });
+    });
+
+    describe('start()', function() {
+        it('should throw an error if invoked without a valid handler', function() {
+            var error = 'Invalid handler specified (arg #1)';
+            var engine = new RulesEngine([]);
+
+            expect(function() {
+                engine.start();
+            }).to.throw(error);
+            expect(function() {
+                engine.start('abc');
+            }).to.throw(error);
+        });
+    });
+
+    describe('evaluate()', function() {
+        it('should ignore data if the engine has not been started', function() {
+            var engine = new RulesEngine([ { id: 'high', when: { level: { gt: 90 } }, actions: ALARM } ]);
+
+            expect(function() {
+                engine.evaluate('tank1', { level: 95 }, 0);
+            }).to.not.throw();
+        });
+
+        it('should raise a rule when its conditions are met, and clear it when they are not', function() {
+            var actions = [ { type: 'alarm', severity: 'critical' } ];
+            var setup = _createEngine([ { id: 'high', when: { level: { gt: 90 } }, actions: actions } ]);
+            var record = { level: 95 };
+
+            setup.engine.evaluate('tank1', { level: 80 }, 0);
+            expect(setup.handler).to.not.have.been.called;
+
+            setup.engine.evaluate('tank1', record, 1000);
+            expect(setup.handler).to.have.been.calledOnce;
+            expect(setup.handler.args[0][0]).to.deep.equal({
+                rule: 'high',
+                state: 'raised',
+                source: 'tank1',
+                timestamp: 1000,
+                record: record,
+                actions: actions
+            });
+
+            setup.engine.evaluate('tank1', { level: 99 }, 2000);
+            expect(setup.handler).to.have.been.calledOnce;
+
+            setup.engine.evaluate('tank1', { level: 90 }, 3000);
+            expect(setup.handler).to.have.been.calledTwice;
+            expect(setup.handler.args[1][0]).to.have.property('state', 'cleared');
+            expect(setup.handler.args[1][0].record).to.deep.equal({ level: 90 });
+            setup.engine.stop();
+        });
+
+        it('should evaluate array payloads record by record', function() {
+            var setup = _createEngine([ { id: 'high', when: { level: { gt: 90 } }, actions: ALARM } ]);
+
+            setup.engine.evaluate('tank1', [ { level: 95 }, { level: 80 }, 'abc' ], 0);
+            expect(setup.getTransitions()).to.deep.equal([ 'raised:0', 'cleared:0' ]);
+            setup.engine.stop();
+        });
+
+        it('should ignore records that do not define any of the fields of the raise conditions', function() {
+            var setup = _createEngine([ { id: 'high', when: { level: { gt: 90 } }, actions: ALARM } ]);
+
+            setup.engine.evaluate('tank1', { level: 95 }, 0);
+            setup.engine.evaluate('tank1', { event: 'door_open' }, 1000);
+            expect(setup.getTransitions()).to.deep.equal([ 'raised:0' ]);
+            setup.engine.stop();
+        });
+
+        it('should only clear a rule when its clear conditions are met, if they have been defined', function() {
+            var setup = _createEngine([ {
+                id: 'high',
+                when: { level: { gt: 90 } },
+                clearWhen: { level: { lt: 85 } },
+                actions: ALARM
+            } ]);
+
+            setup.engine.evaluate('tank1', { level: 91 }, 0);
+            setup.engine.evaluate('tank1', { level: 88 }, 1000);
+            setup.engine.evaluate('tank1', { level: 91 }, 2000);
+            setup.engine.evaluate('tank1', { level: 84 }, 3000);
+            setup.engine.evaluate('tank1', { level: 88 }, 4000);
+            expect(setup.getTransitions()).to.deep.equal([ 'raised:0', 'cleared:3000' ]);
+            setup.engine.stop();
+        });
+
+        it('should only apply rules to the device connectors that they select', function() {
+            var setup = _createEngine([ {
+                id: 'high',
+                from: [ 'tank1', 'tank2' ],
+                when: { level: { gt: 90 } },
+                actions: ALARM
+            } ]);
+
+            setup.engine.evaluate('tank3', { level: 95 }, 0);
+            expect(setup.handler).to.not.have.been.called;
+
+            setup.engine.evaluate('tank1', { level: 95 }, 0);
+            setup.engine.evaluate('tank2', { level: 95 }, 0);
+            expect(setup.handler).to.have.been.calledTwice;
+            expect(setup.handler.args[0][0].source).to.equal('tank1');
+            expect(setup.handler.args[1][0].source).to.equal('tank2');
+            setup.engine.stop();
+        });
+
+        it('should track records with different keys independently', function() {
+            var setup = _createEngine([ {
+                id: 'high',
+                key: 'meta.tank',
+                when: { level: { gt: 90 } },
+                actions: ALARM
+            } ]);
+
+            setup.engine.evaluate('plc1', { meta: { tank: 'a' }, level: 95 }, 0);
+            setup.engine.evaluate('plc1', { meta: { tank: 'b' }, level: 80 }, 0);
+            setup.engine.evaluate('plc1', { meta: { tank: 'b' }, level: 95 }, 1000);
+            setup.engine.evaluate('plc1', { meta: { tank: 'a' }, level: 95 }, 1000);
+
+            expect(setup.handler).to.have.been.calledTwice;
+            expect(setup.handler.args[0][0]).to.have.property('key', 'a');
+            expect(setup.handler.args[1][0]).to.have.property('key', 'b');
+            setup.engine.stop();
+        });
+
+        describe('[duration]', function() {
+            var clock = null;
+
+            beforeEach(function() {
+                clock = _sinon.useFakeTimers(0);
+            });
+
+            afterEach(function() {
+                clock.restore();
+            });
+
+            function _createDurationEngine() {
+                return _createEngine([ {
+                    id: 'high',
+                    when: { level: { gt: 90 } },
+                    duration: 30000,
+                    actions: ALARM
+                } ]);
+            }
+
+            it('should only raise a rule once its conditions have been met for the duration of the rule', function() {
+                var setup = _createDurationEngine();
+
+                setup.engine.evaluate('tank1', { level: 95 });
+                clock.tick(10000);
+                setup.engine.evaluate('tank1', { level: 96 });
+                clock.tick(19999);
+                expect(setup.handler).to.not.have.been.called;
+
+                clock.tick(1);
+                expect(setup.getTransitions()).to.deep.equal([ 'raised:30000' ]);
+                expect(setup.handler.args[0][0].record).to.deep.equal({ level: 96 });
+                setup.engine.stop();
+            });
+
+            it('should raise a rule when a record arrives after the duration of the rule has elapsed', function() {
+                var setup = _createDurationEngine();
+
+                setup.engine.evaluate('tank1', { level: 95 }, 0);
+                setup.engine.evaluate('tank1', { level: 95 }, 30000);
+                expect(setup.getTransitions()).to.deep.equal([ 'raised:30000' ]);
+
+                clock.tick(30000);
+                expect(setup.handler).to.have.been.calledOnce;
+                setup.engine.stop();
+            });
+
+            it('should not raise a rule if its conditions stop being met before the duration elapses', function() {
+                var setup = _createDurationEngine();
+
+                setup.engine.evaluate('tank1', { level: 95 });
+                clock.tick(20000);
+                setup.engine.evaluate('tank1', { level: 85 });
+                clock.tick(5000);
+                setup.engine.evaluate('tank1', { level: 95 });
+                clock.tick(29999);
+                expect(setup.handler).to.not.have.been.called;
+
+                clock.tick(1);
+                expect(setup.getTransitions()).to.deep.equal([ 'raised:55000' ]);
+                setup.engine.stop();
+            });
+        });
+    });
+
+    describe('stop()', function() {
+        var clock = null;
+
+        beforeEach(function() {
+            clock = _sinon.useFakeTimers(0);
+        });
+
+        afterEach(function() {
+            clock.restore();
+        });
+
+        it('should cancel pending rules, and ignore data until the engine is restarted', function() {
+            var setup = _createEngine([ {
+                id: 'high',
+                when: { level: { gt: 90 } },
+                duration: 1000,
+                actions: ALARM
+            } ]);
+
+            setup.engine.evaluate('tank1', { level: 95 });
+            setup.engine.stop();
+            clock.tick(5000);
+            setup.engine.evaluate('tank1', { level: 95 }, 10000);
+            expect(setup.handler).to.not.have.been.called;
+
+            setup.engine.start(setup.handler);
+            setup.engine.evaluate('tank1', { level: 95 });
+            clock.tick(1000);
+            expect(setup.handler).to.have.been.calledOnce;
+            setup.engine.stop();
+        });
+    });
+});
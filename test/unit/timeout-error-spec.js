@@ -0,0 +1,23 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var TimeoutError = require('../../lib/timeout-error');
+
+describe('TimeoutError', function() {
+
+    describe('ctor()', function() {
+        it('should return an Error object with the expected properties', function() {
+            var error = new TimeoutError('Operation timed out', 1000);
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error).to.be.an.instanceof(TimeoutError);
+            expect(error.name).to.equal('TimeoutError');
+            expect(error.message).to.equal('Operation timed out');
+            expect(error.timeout).to.equal(1000);
+            expect(error.stack).to.be.a('string');
+        });
+    });
+});
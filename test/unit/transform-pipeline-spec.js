@@ -0,0 +1,245 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+var expect = _chai.expect;
+
+var TransformPipeline = require('../../lib/transform-pipeline');
+
+describe('TransformPipeline', function() {
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid steps array', function() {
+            var error = 'Invalid transform steps specified (arg #1)';
+
+            function invokeMethod(steps) {
+                return function() {
+                    return new TransformPipeline(steps);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should throw an error that identifies the step if a step is invalid', function() {
+            function checkError(step, error) {
+                expect(function() {
+                    return new TransformPipeline([ { op: 'drop', fields: 'id' }, step ]);
+                }).to.throw(error);
+            }
+
+            checkError(null, '[1]: must be of type object');
+            checkError([], '[1]: must be of type object');
+            checkError({}, '[1].op: must be one of [rename, scale, convert, drop, tag]');
+            checkError({ op: 'round' }, '[1].op: must be one of [rename, scale, convert, drop, tag]');
+            checkError({ op: 'rename', from: 'a' }, '[1].to: is invalid for a rename step');
+            checkError({ op: 'rename', from: '', to: 'b' }, '[1].from: is invalid for a rename step');
+            checkError({ op: 'scale', field: 'a', factor: 'abc' }, '[1].factor: is invalid for a scale step');
+            checkError({ op: 'scale', field: 'a', offset: NaN }, '[1].offset: is invalid for a scale step');
+            checkError({ op: 'scale', field: 'a', decimals: 1.5 }, '[1].decimals: is invalid for a scale step');
+            checkError({ op: 'convert', field: 'a', from: 'C', to: 'X' }, '[1].to: is invalid for a convert step');
+            checkError({ op: 'convert', field: 'a', from: 'C', to: 'psi' }, '[1].to: cannot convert from C to psi');
+            checkError({ op: 'drop', fields: [] }, '[1].fields: is invalid for a drop step');
+            checkError({ op: 'drop', fields: [ 'a', 1 ] }, '[1].fields: is invalid for a drop step');
+            checkError({ op: 'tag', tags: {} }, '[1].tags: is invalid for a tag step');
+        });
+
+        it('should throw an error if invoked with an invalid config path', function() {
+            var error = 'Invalid config path specified (arg #2)';
+
+            function invokeMethod(path) {
+                return function() {
+                    return new TransformPipeline([], path);
+                };
+            }
+
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod({})).to.throw(error);
+        });
+
+        it('should qualify the path of an invalid step with the config path, if one is specified', function() {
+            function getError(steps, path) {
+                try {
+                    return new TransformPipeline(steps, path);
+                } catch (ex) {
+                    return ex.message;
+                }
+            }
+
+            expect(getError([ { op: 'scale', field: 'a', factor: 'abc' } ], 'transform'))
+                .to.equal('transform[0].factor: is invalid for a scale step');
+            expect(getError([ { op: 'drop', fields: 'id' }, null ], 'routes[2].transform'))
+                .to.equal('routes[2].transform[1]: must be of type object');
+            expect(getError([ { op: 'round' } ], ''))
+                .to.equal('[0].op: must be one of [rename, scale, convert, drop, tag]');
+        });
+
+        it('should return an object with the expected methods when invoked with valid steps', function() {
+            var pipeline = new TransformPipeline([]);
+
+            expect(pipeline).to.be.an('object');
+            expect(pipeline).to.have.property('apply').and.to.be.a('function');
+            expect(pipeline).to.have.property('transform').and.to.be.a('function');
+        });
+    });
+
+    describe('apply()', function() {
+        function _apply(steps, record) {
+            return new TransformPipeline(steps).apply(record);
+        }
+
+        it('should return a transformed copy of the record, without modifying the original record', function() {
+            var record = { data: { level: 10 } };
+            var result = _apply([ { op: 'scale', field: 'data.level', factor: 2 } ], record);
+
+            expect(result).to.deep.equal({ data: { level: 20 } });
+            expect(record).to.deep.equal({ data: { level: 10 } });
+        });
+
+        it('should return records that are not objects as is', function() {
+            var pipeline = new TransformPipeline([ { op: 'tag', tags: { site: 'plant1' } } ]);
+
+            expect(pipeline.apply('abc')).to.equal('abc');
+            expect(pipeline.apply(10)).to.equal(10);
+        });
+
+        it('should rename fields', function() {
+            var steps = [
+                { op: 'rename', from: 'lvl', to: 'level' },
+                { op: 'rename', from: 'data.temp', to: 'readings.temperature' },
+                { op: 'rename', from: 'missing', to: 'present' }
+            ];
+
+            expect(_apply(steps, { lvl: 10, data: { temp: 20, hum: 30 } })).to.deep.equal({
+                level: 10,
+                data: { hum: 30 },
+                readings: { temperature: 20 }
+            });
+        });
+
+        it('should scale numeric fields', function() {
+            var steps = [
+                { op: 'scale', field: 'level', factor: 0.1 },
+                { op: 'scale', field: 'raw', factor: 2, offset: -5 },
+                { op: 'scale', field: 'ratio', factor: 1 / 3, decimals: 2 },
+                { op: 'scale', field: 'missing', factor: 2 }
+            ];
+
+            expect(_apply(steps, { level: 1000, raw: 10, ratio: 1 })).to.deep.equal({
+                level: 100,
+                raw: 15,
+                ratio: 0.33
+            });
+        });
+
+        it('should convert numeric fields between units', function() {
+            function convert(value, from, to) {
+                return _apply([ { op: 'convert', field: 'value', from: from, to: to } ],
+                              { value: value }).value;
+            }
+
+            expect(convert(100, 'C', 'F')).to.be.closeTo(212, 0.000001);
+            expect(convert(32, 'F', 'C')).to.be.closeTo(0, 0.000001);
+            expect(convert(0, 'C', 'K')).to.be.closeTo(273.15, 0.000001);
+            expect(convert(14.5037738, 'psi', 'kPa')).to.be.closeTo(100, 0.0001);
+            expect(convert(1, 'bar', 'kPa')).to.be.closeTo(100, 0.000001);
+            expect(convert(1, 'ft', 'in')).to.be.closeTo(12, 0.000001);
+            expect(convert(1, 'gal', 'L')).to.be.closeTo(3.785411784, 0.000001);
+            expect(convert(1, 'lb', 'kg')).to.be.closeTo(0.45359237, 0.000001);
+            expect(convert(36, 'km/h', 'm/s')).to.be.closeTo(10, 0.000001);
+            expect(convert(2, 'h', 'min')).to.be.closeTo(120, 0.000001);
+        });
+
+        it('should round converted values if decimals are specified', function() {
+            var steps = [ { op: 'convert', field: 'value', from: 'C', to: 'F', decimals: 1 } ];
+
+            expect(_apply(steps, { value: 21.3 })).to.deep.equal({ value: 70.3 });
+        });
+
+        it('should drop fields', function() {
+            var steps = [
+                { op: 'drop', fields: 'raw' },
+                { op: 'drop', fields: [ 'data.debug', 'missing' ] }
+            ];
+
+            expect(_apply(steps, { raw: 1, level: 2, data: { debug: 3, value: 4 } })).to.deep.equal({
+                level: 2,
+                data: { value: 4 }
+            });
+        });
+
+        it('should add static tags', function() {
+            var steps = [
+                { op: 'tag', tags: { site: 'plant1', 'meta.line': 3, 'meta.labels': [ 'a' ] } }
+            ];
+            var pipeline = new TransformPipeline(steps);
+            var first = pipeline.apply({ level: 1 });
+            first.meta.labels.push('b');
+
+            expect(pipeline.apply({ level: 2 })).to.deep.equal({
+                level: 2,
+                site: 'plant1',
+                meta: { line: 3, labels: [ 'a' ] }
+            });
+        });
+
+        it('should apply steps in order', function() {
+            var steps = [
+                { op: 'rename', from: 'temp', to: 'temperature' },
+                { op: 'convert', field: 'temperature', from: 'C', to: 'F', decimals: 2 },
+                { op: 'tag', tags: { units: 'F' } }
+            ];
+
+            expect(_apply(steps, { temp: 0 })).to.deep.equal({ temperature: 32, units: 'F' });
+        });
+
+        it('should throw an error that identifies the step if a step cannot be applied to a record', function() {
+            var steps = [
+                { op: 'tag', tags: { site: 'plant1' } },
+                { op: 'scale', field: 'data.level', factor: 2 }
+            ];
+
+            expect(function() {
+                return _apply(steps, { data: { level: 'high' } });
+            }).to.throw('Transform step [1] (scale) failed: field "data.level" is not a number');
+        });
+    });
+
+    describe('transform()', function() {
+        var STEPS = [ { op: 'scale', field: 'level', factor: 10 } ];
+
+        it('should transform a single record', function() {
+            var pipeline = new TransformPipeline(STEPS);
+
+            expect(pipeline.transform({ level: 1 })).to.deep.equal({ level: 10 });
+        });
+
+        it('should transform array payloads record by record', function() {
+            var pipeline = new TransformPipeline(STEPS);
+
+            expect(pipeline.transform([ { level: 1 }, { level: 2 } ])).to.deep.equal([
+                { level: 10 },
+                { level: 20 }
+            ]);
+            expect(pipeline.transform([])).to.deep.equal([]);
+        });
+
+        it('should drop records that cannot be transformed, and report the errors', function() {
+            var pipeline = new TransformPipeline(STEPS);
+            var errors = [];
+            var error = 'Transform step [0] (scale) failed: field "level" is not a number';
+
+            expect(pipeline.transform([ { level: 1 }, { level: 'x' } ], errors)).to.deep.equal([
+                { level: 10 }
+            ]);
+            expect(pipeline.transform([ { level: 'x' } ], errors)).to.be.null;
+            expect(pipeline.transform({ level: 'x' }, errors)).to.be.null;
+            expect(errors).to.deep.equal([ error, error, error ]);
+        });
+    });
+});
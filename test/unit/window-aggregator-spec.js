@@ -0,0 +1,299 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _sinon = require('sinon');
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+var expect = _chai.expect;
+
+var WindowAggregator = require('../../lib/window-aggregator');
+
+describe('WindowAggregator', function() {
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid config', function() {
+            var error = 'Invalid aggregate config specified (arg #1)';
+
+            function invokeMethod(config) {
+                return function() {
+                    return new WindowAggregator(config);
+                };
+            }
+
+            expect(invokeMethod()).to.throw(error);
+            expect(invokeMethod(null)).to.throw(error);
+            expect(invokeMethod(123)).to.throw(error);
+            expect(invokeMethod('abc')).to.throw(error);
+            expect(invokeMethod([])).to.throw(error);
+        });
+
+        it('should throw an error if the config defines an invalid window', function() {
+            function invokeMethod(config) {
+                config.fields = 'value';
+                return function() {
+                    return new WindowAggregator(config);
+                };
+            }
+
+            var error = 'Aggregate config does not define a valid type property';
+            expect(invokeMethod({ type: 'hopping', size: 1000 })).to.throw(error);
+            expect(invokeMethod({ type: null, size: 1000 })).to.throw(error);
+
+            error = 'Aggregate config does not define a valid size property';
+            expect(invokeMethod({})).to.throw(error);
+            expect(invokeMethod({ size: 0 })).to.throw(error);
+            expect(invokeMethod({ size: -1000 })).to.throw(error);
+            expect(invokeMethod({ size: 1.5 })).to.throw(error);
+            expect(invokeMethod({ size: '1000' })).to.throw(error);
+
+            error = 'Aggregate config does not define a valid advance property';
+            expect(invokeMethod({ type: 'sliding', size: 1000 })).to.throw(error);
+            expect(invokeMethod({ type: 'sliding', size: 1000, advance: 0 })).to.throw(error);
+            expect(invokeMethod({ type: 'sliding', size: 1000, advance: 2000 })).to.throw(error);
+            expect(invokeMethod({ type: 'sliding', size: 1000, advance: 300 })).to.throw(error);
+        });
+
+        it('should throw an error if the config defines invalid fields, keys or stats', function() {
+            function invokeMethod(config) {
+                config.size = 1000;
+                return function() {
+                    return new WindowAggregator(config);
+                };
+            }
+
+            var error = 'Aggregate config does not define a valid fields property';
+            expect(invokeMethod({})).to.throw(error);
+            expect(invokeMethod({ fields: '' })).to.throw(error);
+            expect(invokeMethod({ fields: [] })).to.throw(error);
+            expect(invokeMethod({ fields: [ 'value', 1 ] })).to.throw(error);
+            expect(invokeMethod({ fields: { value: true } })).to.throw(error);
+
+            error = 'Aggregate config does not define a valid key property';
+            expect(invokeMethod({ fields: 'value', key: '' })).to.throw(error);
+            expect(invokeMethod({ fields: 'value', key: 123 })).to.throw(error);
+
+            error = 'Aggregate config does not define a valid stats property';
+            expect(invokeMethod({ fields: 'value', stats: 'min' })).to.throw(error);
+            expect(invokeMethod({ fields: 'value', stats: [] })).to.throw(error);
+            expect(invokeMethod({ fields: 'value', stats: [ 'min', 'median' ] })).to.throw(error);
+        });
+
+        it('should return an object with the expected methods when invoked with a valid config', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value' });
+
+            expect(aggregator).to.be.an('object');
+            expect(aggregator).to.have.property('add').and.to.be.a('function');
+            expect(aggregator).to.have.property('flush').and.to.be.a('function');
+            expect(aggregator).to.have.property('start').and.to.be.a('function');
+            expect(aggregator).to.have.property('stop').and.to.be.a('function');
+        });
+    });
+
+    describe('add()', function() {
+        it('should return null if all of the records in the payload can be aggregated', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: [ 'value', 'data.level' ] });
+
+            expect(aggregator.add({ value: 1 }, 100)).to.be.null;
+            expect(aggregator.add([ { value: 2 }, { data: { level: 3 } } ], 200)).to.be.null;
+        });
+
+        it('should return the records that do not contain a numeric value for any of the fields', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value' });
+            var event = { event: 'door_open' };
+
+            expect(aggregator.add(event, 100)).to.equal(event);
+            expect(aggregator.add('abc', 100)).to.equal('abc');
+            expect(aggregator.add([ { value: 1 }, event, { value: 'high' } ], 100)).to.deep.equal([
+                event,
+                { value: 'high' }
+            ]);
+        });
+    });
+
+    describe('flush()', function() {
+        it('should not return any records if no windows have ended', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value' });
+
+            expect(aggregator.flush(500)).to.deep.equal([]);
+            aggregator.add({ value: 1 }, 500);
+            expect(aggregator.flush(999)).to.deep.equal([]);
+        });
+
+        it('should return one record with the statistics of each field for a tumbling window', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: [ 'value', 'data.level' ] });
+
+            aggregator.add({ value: 4, data: { level: 10 } }, 1000);
+            aggregator.add([ { value: 2 }, { value: 9, data: { level: 20 } } ], 1500);
+            aggregator.add({ value: 3 }, 1999);
+            aggregator.add({ value: 100 }, 2000);
+
+            expect(aggregator.flush(2000)).to.deep.equal([ {
+                windowStart: 1000,
+                windowEnd: 2000,
+                value: { min: 2, max: 9, mean: 4.5, last: 3, count: 4 },
+                data: {
+                    level: { min: 10, max: 20, mean: 15, last: 20, count: 2 }
+                }
+            } ]);
+            expect(aggregator.flush(2500)).to.deep.equal([]);
+            expect(aggregator.flush(3000)).to.deep.equal([ {
+                windowStart: 2000,
+                windowEnd: 3000,
+                value: { min: 100, max: 100, mean: 100, last: 100, count: 1 }
+            } ]);
+        });
+
+        it('should only compute the configured statistics', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value', stats: [ 'mean', 'count' ] });
+
+            aggregator.add([ { value: 1 }, { value: 2 } ], 0);
+
+            expect(aggregator.flush(1000)).to.deep.equal([ {
+                windowStart: 0,
+                windowEnd: 1000,
+                value: { mean: 1.5, count: 2 }
+            } ]);
+        });
+
+        it('should produce one record per key', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value', key: 'meta.device' });
+
+            aggregator.add({ meta: { device: 'a' }, value: 1 }, 0);
+            aggregator.add({ meta: { device: 'b' }, value: 10 }, 100);
+            aggregator.add({ meta: { device: 'a' }, value: 3 }, 200);
+
+            expect(aggregator.flush(1000)).to.deep.equal([ {
+                windowStart: 0,
+                windowEnd: 1000,
+                meta: { device: 'a' },
+                value: { min: 1, max: 3, mean: 2, last: 3, count: 2 }
+            }, {
+                windowStart: 0,
+                windowEnd: 1000,
+                meta: { device: 'b' },
+                value: { min: 10, max: 10, mean: 10, last: 10, count: 1 }
+            } ]);
+        });
+
+        it('should return the records of all of the windows that have ended, in order', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value', stats: [ 'last' ] });
+
+            aggregator.add({ value: 1 }, 500);
+            aggregator.add({ value: 2 }, 2500);
+            aggregator.add({ value: 3 }, 3500);
+
+            expect(aggregator.flush(4000)).to.deep.equal([
+                { windowStart: 0, windowEnd: 1000, value: { last: 1 } },
+                { windowStart: 2000, windowEnd: 3000, value: { last: 2 } },
+                { windowStart: 3000, windowEnd: 4000, value: { last: 3 } }
+            ]);
+            expect(aggregator.flush(10000)).to.deep.equal([]);
+        });
+
+        it('should produce overlapping records for sliding windows', function() {
+            var aggregator = new WindowAggregator({
+                type: 'sliding',
+                size: 3000,
+                advance: 1000,
+                fields: 'value',
+                stats: [ 'min', 'max', 'count' ]
+            });
+
+            aggregator.add({ value: 1 }, 0);
+            expect(aggregator.flush(1000)).to.deep.equal([
+                { windowStart: -2000, windowEnd: 1000, value: { min: 1, max: 1, count: 1 } }
+            ]);
+            aggregator.add({ value: 5 }, 1000);
+            expect(aggregator.flush(2000)).to.deep.equal([
+                { windowStart: -1000, windowEnd: 2000, value: { min: 1, max: 5, count: 2 } }
+            ]);
+            aggregator.add({ value: 3 }, 2000);
+            aggregator.add({ value: 4 }, 3000);
+            expect(aggregator.flush(4000)).to.deep.equal([
+                { windowStart: 0, windowEnd: 3000, value: { min: 1, max: 5, count: 3 } },
+                { windowStart: 1000, windowEnd: 4000, value: { min: 3, max: 5, count: 3 } }
+            ]);
+            expect(aggregator.flush(6000)).to.deep.equal([
+                { windowStart: 2000, windowEnd: 5000, value: { min: 3, max: 4, count: 2 } },
+                { windowStart: 3000, windowEnd: 6000, value: { min: 4, max: 4, count: 1 } }
+            ]);
+            expect(aggregator.flush(7000)).to.deep.equal([]);
+        });
+    });
+
+    describe('start()', function() {
+        var clock = null;
+
+        beforeEach(function() {
+            clock = _sinon.useFakeTimers(500);
+        });
+
+        afterEach(function() {
+            clock.restore();
+        });
+
+        it('should throw an error if invoked without a valid handler', function() {
+            var error = 'Invalid handler specified (arg #1)';
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value' });
+
+            expect(function() {
+                aggregator.start();
+            }).to.throw(error);
+            expect(function() {
+                aggregator.start('abc');
+            }).to.throw(error);
+        });
+
+        it('should pass the records of each window to the handler when the window ends', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value', stats: [ 'count' ] });
+            var handler = _sinon.spy();
+
+            aggregator.start(handler);
+            aggregator.add({ value: 1 });
+            clock.tick(499);
+            expect(handler).to.not.have.been.called;
+
+            clock.tick(1);
+            expect(handler).to.have.been.calledOnce;
+            expect(handler.args[0][0]).to.deep.equal([
+                { windowStart: 0, windowEnd: 1000, value: { count: 1 } }
+            ]);
+
+            clock.tick(1000);
+            expect(handler).to.have.been.calledOnce;
+
+            aggregator.add([ { value: 1 }, { value: 2 } ]);
+            clock.tick(1000);
+            expect(handler).to.have.been.calledTwice;
+            expect(handler.args[1][0]).to.deep.equal([
+                { windowStart: 2000, windowEnd: 3000, value: { count: 2 } }
+            ]);
+            aggregator.stop();
+        });
+    });
+
+    describe('stop()', function() {
+        var clock = null;
+
+        beforeEach(function() {
+            clock = _sinon.useFakeTimers(500);
+        });
+
+        afterEach(function() {
+            clock.restore();
+        });
+
+        it('should stop the timer, and discard windows that have not ended', function() {
+            var aggregator = new WindowAggregator({ size: 1000, fields: 'value' });
+            var handler = _sinon.spy();
+
+            aggregator.start(handler);
+            aggregator.add({ value: 1 });
+            aggregator.stop();
+            clock.tick(5000);
+
+            expect(handler).to.not.have.been.called;
+            expect(aggregator.flush()).to.deep.equal([]);
+        });
+    });
+});